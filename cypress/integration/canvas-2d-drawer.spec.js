@@ -0,0 +1,89 @@
+import Canvas2DDrawer from "../../src/epiviz.gl/canvas-2d-drawer";
+
+// Stands in for a canvas, recording the calls to and properties set on its 2D context
+const createRecordingCanvas = (width, height) => {
+  const calls = [];
+  const context = new Proxy(
+    {},
+    {
+      get: (target, name) =>
+        name in target
+          ? target[name]
+          : (...args) => calls.push([name, ...args]),
+      set: (target, name, value) => {
+        target[name] = value;
+        calls.push([name, value]);
+        return true;
+      },
+    }
+  );
+  return { width, height, calls, getContext: () => context };
+};
+
+const specification = {
+  defaultData: {
+    x: [2, 5, 5],
+    y: [2, 5, 5],
+    category: ["a", "a", "b"],
+  },
+  tracks: [
+    {
+      mark: "point",
+      x: { attribute: "x", type: "quantitative", domain: [0, 10] },
+      y: { attribute: "y", type: "quantitative", domain: [0, 10] },
+      color: {
+        attribute: "category",
+        type: "categorical",
+        cardinality: 3,
+        colorScheme: "interpolateRainbow",
+      },
+      size: { value: 4 },
+      shape: { value: "dot" },
+    },
+  ],
+};
+
+// Draw the specification on a 200 by 200 canvas showing all of it
+const drawSpecification = () => {
+  const canvas = createRecordingCanvas(200, 200);
+  const drawer = new Canvas2DDrawer({
+    canvas,
+    minX: -1,
+    maxX: 1,
+    minY: -1,
+    maxY: 1,
+    xRange: [-1, 1],
+    yRange: [-1, 1],
+  });
+  return new Promise((resolve) =>
+    drawer.setSpecification(specification, undefined, resolve)
+  ).then(() => {
+    cancelAnimationFrame(drawer.lastFrame);
+    return { canvas, drawer };
+  });
+};
+
+describe("Canvas 2D drawer", () => {
+  it("can draw the marks of tracks with canvas calls", () =>
+    drawSpecification().then(({ canvas }) => {
+      const arcs = canvas.calls.filter(([name]) => name === "arc");
+      expect(arcs).to.have.lengthOf(3);
+      // The first dot is at x = 2 and y = 2 of 10, the y axis points down in pixels
+      expect(arcs[0].slice(1, 3)).to.deep.eq([40, 160]);
+      // Dots of the same color are filled together
+      const fills = canvas.calls.filter(([name]) => name === "fill");
+      expect(fills).to.have.lengthOf(2);
+    }));
+
+  it("can pick the topmost mark under a point", () =>
+    drawSpecification().then(({ drawer }) => {
+      // The last two rows are drawn on top of each other, the last one is on top
+      expect(drawer.pick([0, 0])).to.deep.eq({ trackIndex: 0, rowIndex: 2 });
+      expect(drawer.pick([-0.6, -0.6])).to.deep.eq({
+        trackIndex: 0,
+        rowIndex: 0,
+      });
+      expect(drawer.pick([0.5, -0.5])).to.eq(null);
+      expect(drawer.pick([2, 0])).to.eq(null);
+    }));
+});
@@ -0,0 +1,108 @@
+import CSVParser, {
+  getDelimiterForFormat,
+  TYPE_PARSERS,
+} from "../../src/epiviz.gl/csv-parser";
+
+describe("Parsing delimited text", () => {
+  it("can parse simple rows", () => {
+    const parser = new CSVParser();
+    expect(parser.parse("x,y\n1,2\n3,4\n", true)).to.deep.eq([
+      ["x", "y"],
+      ["1", "2"],
+      ["3", "4"],
+    ]);
+  });
+
+  it("can parse CRLF line endings and skip empty lines", () => {
+    const parser = new CSVParser();
+    expect(parser.parse("x,y\r\n1,2\r\n\r\n3,4", true)).to.deep.eq([
+      ["x", "y"],
+      ["1", "2"],
+      ["3", "4"],
+    ]);
+  });
+
+  it("can parse quoted fields with delimiters, quotes and line breaks", () => {
+    const parser = new CSVParser();
+    expect(
+      parser.parse('name,note\n"Smith, J","said ""hi"""\n"a\nb",c\n', true)
+    ).to.deep.eq([
+      ["name", "note"],
+      ["Smith, J", 'said "hi"'],
+      ["a\nb", "c"],
+    ]);
+  });
+
+  it("can keep empty fields", () => {
+    const parser = new CSVParser();
+    expect(parser.parse('a,,""\n,1,\n', true)).to.deep.eq([
+      ["a", "", ""],
+      ["", "1", ""],
+    ]);
+  });
+
+  it("can skip comments", () => {
+    const parser = new CSVParser({ comment: "#" });
+    expect(parser.parse("# generated\nx,y\n#1,2\n3,4\n", true)).to.deep.eq([
+      ["x", "y"],
+      ["3", "4"],
+    ]);
+  });
+
+  it("can parse text given in chunks", () => {
+    const parser = new CSVParser();
+    const chunks = ['x,y\n1,"tw', 'o"\n3,4\r', '\n"5""', '",6'];
+    const records = [];
+    chunks.forEach((chunk, i) =>
+      records.push(...parser.parse(chunk, i === chunks.length - 1))
+    );
+
+    expect(records).to.deep.eq([
+      ["x", "y"],
+      ["1", "two"],
+      ["3", "4"],
+      ['5"', "6"],
+    ]);
+  });
+
+  it("can hold incomplete records until the last chunk", () => {
+    const parser = new CSVParser();
+    expect(parser.parse("x,y\n1,2")).to.deep.eq([["x", "y"]]);
+    expect(parser.parse("", true)).to.deep.eq([["1", "2"]]);
+  });
+
+  it("can parse tab separated values", () => {
+    const parser = new CSVParser({ type: "tsv" });
+    expect(parser.parse("chr1\t100\t200\nchr2\t5\t10\n", true)).to.deep.eq([
+      ["chr1", "100", "200"],
+      ["chr2", "5", "10"],
+    ]);
+  });
+});
+
+describe("Choosing a delimiter", () => {
+  it("can use an explicit delimiter", () => {
+    expect(getDelimiterForFormat({ delimiter: ";", type: "tsv" })).to.eq(";");
+  });
+
+  it("can use the type of the format", () => {
+    expect(getDelimiterForFormat({ type: "tsv" }, "data.csv")).to.eq("\t");
+    expect(getDelimiterForFormat({ type: "csv" }, "data.tsv")).to.eq(",");
+  });
+
+  it("can guess from the url", () => {
+    expect(getDelimiterForFormat({}, "data.TSV")).to.eq("\t");
+    expect(getDelimiterForFormat({}, "data.csv")).to.eq(",");
+    expect(getDelimiterForFormat({})).to.eq(",");
+  });
+});
+
+describe("Converting fields with type hints", () => {
+  it("can convert numbers, integers and booleans", () => {
+    expect(TYPE_PARSERS.number("1.5")).to.eq(1.5);
+    expect(TYPE_PARSERS.integer("1.5")).to.eq(1);
+    expect(TYPE_PARSERS.boolean("true")).to.eq(true);
+    expect(TYPE_PARSERS.boolean("0")).to.eq(false);
+    expect(TYPE_PARSERS.string("chr1")).to.eq("chr1");
+  });
+});
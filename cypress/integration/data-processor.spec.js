@@ -1,5 +1,8 @@
 import DataProcessor from "../../src/epiviz.gl/data-processor";
+import { diffSpecifications } from "../../src/epiviz.gl/specification-diff";
 import { GenomeScale } from "../../src/epiviz.gl/genome-sizes";
+import { checkColumnsToAppend } from "../../src/epiviz.gl/data-loader";
+import { VisualizationError } from "../../src/epiviz.gl/errors";
 
 const getDefaultData = () => ({
   x: [1, 2, 3, 4, 5, 6, 7],
@@ -368,10 +371,15 @@ describe("Box selection", () => {
           specificationPoints.defaultData.category
         );
 
-        // some points, arc bbox only includes the endpoints
+        // some points, the curve of the arc starting at (1, 1) crosses the box
         expect(
           dataProcessor.selectBox([1.1, 1.1, 3.3, 3.3]).points
-        ).to.have.lengthOf(2);
+        ).to.have.lengthOf(3);
+
+        // under the curve of an arc but away from it
+        expect(
+          dataProcessor.selectBox([1.1, 1.01, 1.2, 1.1]).points
+        ).to.have.lengthOf(0);
 
         // lower left corner
         expect(
@@ -891,4 +899,528 @@ describe("Get closest point", () => {
         expect(closest.end).to.eq(605);
       });
   });
+
+  it("can get an arc along its curve with a tolerance", () => {
+    dataProcessor = new DataProcessor(
+      JSON.parse(JSON.stringify(specificationArcs))
+    );
+
+    cy.wrap(dataProcessor)
+      .should("have.property", "index")
+      .then(() => {
+        // The arc from (1, 1) to (1.3, 1) peaks at (1.15, 2.5)
+        const { closestPoint, isInside } = dataProcessor.getClosestPoint(
+          [1.16, 2.52],
+          [0.05, 0.05]
+        );
+        expect(closestPoint.x).to.eq(1);
+        expect(isInside).to.eq(true);
+
+        // Under the curve, but away from it
+        expect(
+          dataProcessor.getClosestPoint([1.15, 1.5], [0.05, 0.05])
+        ).to.deep.eq({});
+
+        // Near the curve, but outside of the tolerance
+        expect(dataProcessor.getClosestPoint([1.16, 2.52])).to.deep.eq({});
+      });
+  });
+});
+
+describe("Querying points", () => {
+  let dataProcessor;
+
+  it("can find the nearest points", () => {
+    // Deep copy to since specification processor modifies original object
+    dataProcessor = new DataProcessor(
+      JSON.parse(JSON.stringify(specificationPoints))
+    );
+
+    cy.wrap(dataProcessor)
+      .should("have.property", "index")
+      .then(() => {
+        const { points, distances, tracks } = dataProcessor.queryNearest(
+          [2.1, 2],
+          3
+        );
+        expect(points.map((point) => point.x)).to.deep.eq([2, 3, 1]);
+        expect(distances[0]).to.be.closeTo(0.1, 1e-10);
+        expect(distances[1]).to.be.closeTo(Math.sqrt(0.9 ** 2 + 1), 1e-10);
+        expect(tracks).to.deep.eq([{ trackIndex: 0, rows: [1, 2, 0], points }]);
+
+        expect(
+          dataProcessor.queryNearest([2.1, 2], 3, 1).points
+        ).to.have.lengthOf(1);
+      });
+  });
+
+  it("can find the points within a radius or a box", () => {
+    // Deep copy to since specification processor modifies original object
+    dataProcessor = new DataProcessor(
+      JSON.parse(JSON.stringify(specificationPoints))
+    );
+
+    cy.wrap(dataProcessor)
+      .should("have.property", "index")
+      .then(() => {
+        const nearby = dataProcessor.queryRadius([4, 4], 1.5);
+        expect(nearby.points.map((point) => point.x)).to.deep.eq([4, 3, 5]);
+        expect(nearby.distances[0]).to.eq(0);
+
+        const inBox = dataProcessor.queryBox([2.5, 2.5, 4.5, 4.5]);
+        expect(inBox.points.map((point) => point.x)).to.have.members([3, 4]);
+        expect(inBox.distances).to.deep.eq([0, 0]);
+      });
+  });
+
+  it("can find the points with values of an attribute", () => {
+    // Deep copy to since specification processor modifies original object
+    dataProcessor = new DataProcessor(
+      JSON.parse(JSON.stringify(specificationPoints))
+    );
+
+    cy.wrap(dataProcessor)
+      .should("have.property", "index")
+      .then(() => {
+        const found = dataProcessor.queryValues("x", [2, 5, 10]);
+        expect(found.indices).to.deep.eq([1, 4]);
+        expect(found.tracks).to.deep.eq([
+          { trackIndex: 0, rows: [1, 4], points: found.points },
+        ]);
+
+        dataProcessor.setFilter(0, { attribute: "category", values: ["a"] });
+        expect(
+          dataProcessor.queryValues("category", ["a", "b"]).indices
+        ).to.deep.eq([0, 3, 6]);
+      });
+  });
+
+  it("can find the bounds of points", () => {
+    // Deep copy to since specification processor modifies original object
+    dataProcessor = new DataProcessor(
+      JSON.parse(JSON.stringify(specificationPoints))
+    );
+
+    cy.wrap(dataProcessor)
+      .should("have.property", "index")
+      .then(() => {
+        // Points are indexed with a tiny size
+        const expectBounds = (bounds, expected) =>
+          bounds.forEach((bound, i) =>
+            expect(bound).to.be.closeTo(expected[i], 1e-6)
+          );
+        expectBounds(dataProcessor.getBoundsOfPoints([1, 4]), [2, 2, 5, 5]);
+        expect(dataProcessor.getBoundsOfPoints([])).to.eq(null);
+
+        dataProcessor.setFilter(0, { attribute: "category", values: ["b"] });
+        expectBounds(dataProcessor.getBoundsOfPoints(), [2, 2, 6, 6]);
+      });
+  });
+});
+
+describe("Updating data", () => {
+  let dataProcessor;
+
+  it("can append rows to the index", () => {
+    // Deep copy to since specification processor modifies original object
+    dataProcessor = new DataProcessor(
+      JSON.parse(JSON.stringify(specificationPoints))
+    );
+
+    cy.wrap(dataProcessor)
+      .should("have.property", "index")
+      .then(() => {
+        dataProcessor.appendData(
+          0,
+          { x: [6.5, 10], y: [6.5, 10], category: ["c", "c"] },
+          2
+        );
+
+        const { points } = dataProcessor.selectBox([6, 6, 7, 7]);
+        expect(points.map((point) => point.category)).to.have.members([
+          "b",
+          "a",
+          "c",
+        ]);
+        expect(dataProcessor.getClosestPoint([9.9, 9.9]).closestPoint.x).to.eq(
+          10
+        );
+      });
+  });
+
+  it("can append rows to a track before others without rebuilding the index", () => {
+    const specification = {
+      tracks: [
+        { ...specificationPoints.tracks[0], data: { x: [1, 2], y: [1, 2] } },
+        { ...specificationPoints.tracks[0], data: { x: [5, 6], y: [5, 6] } },
+      ],
+    };
+    dataProcessor = new DataProcessor(
+      JSON.parse(JSON.stringify(specification))
+    );
+
+    cy.wrap(dataProcessor)
+      .should("have.property", "index")
+      .then(() => {
+        const index = dataProcessor.index;
+        dataProcessor.appendData(0, { x: [3], y: [3] }, 1);
+        expect(dataProcessor.index).to.eq(index);
+
+        // Indices count the rows of the tracks in order, as the drawer maps them
+        const { indices, tracks } = dataProcessor.selectBox([
+          2.5, 2.5, 5.5, 5.5,
+        ]);
+        expect(indices).to.have.members([2, 3]);
+        expect(
+          tracks.map(({ trackIndex, rows }) => [trackIndex, rows])
+        ).to.deep.eq([
+          [0, [2]],
+          [1, [0]],
+        ]);
+        expect(
+          dataProcessor.specificationHelper
+            .getRowsOfIndices(indices)
+            .map((rows) => [...rows])
+        ).to.deep.eq([[2], [0]]);
+
+        expect(dataProcessor.getClosestPoint([3, 3]).indices).to.deep.eq([2]);
+        expect(dataProcessor.queryValues("x", [6, 3, 1]).indices).to.deep.eq([
+          0, 2, 4,
+        ]);
+        // Points are indexed with a tiny size
+        expect(
+          dataProcessor.getBoundsOfPoints([2, 4]).map(Math.round)
+        ).to.deep.eq([3, 3, 6, 6]);
+        expect(
+          dataProcessor.getPickedPoint({ trackIndex: 1, rowIndex: 0 }).indices
+        ).to.deep.eq([3]);
+      });
+  });
+
+  it("can remove rows from the index", () => {
+    // Deep copy to since specification processor modifies original object
+    dataProcessor = new DataProcessor(
+      JSON.parse(JSON.stringify(specificationPoints))
+    );
+
+    cy.wrap(dataProcessor)
+      .should("have.property", "index")
+      .then(() => {
+        dataProcessor.removeData(0, "datum.category === 'b'");
+
+        const { points } = dataProcessor.selectBox([1, 1, 7, 7]);
+        expect(points.map((point) => point.x)).to.have.members([1, 4, 7]);
+
+        dataProcessor.appendData(0, { x: [2], y: [2], category: ["b"] }, 1);
+        expect(dataProcessor.selectBox([1, 1, 7, 7]).points).to.have.lengthOf(
+          4
+        );
+
+        dataProcessor.removeData(0, { field: "x", range: [3, null] });
+        expect(
+          dataProcessor.selectBox([1, 1, 7, 7]).points.map((point) => point.x)
+        ).to.have.members([1, 2]);
+      });
+  });
+
+  it("can tell which columns appended rows need", () => {
+    dataProcessor = new DataProcessor(
+      JSON.parse(JSON.stringify(specificationPoints))
+    );
+
+    cy.wrap(dataProcessor)
+      .should("have.property", "index")
+      .then(() => {
+        const [names] = dataProcessor.getColumnNamesOfTracks();
+        expect(names).to.have.members(["x", "y", "category"]);
+        expect(() =>
+          checkColumnsToAppend(names, { x: [1], y: [1] }, 0)
+        ).to.throw(VisualizationError, "no attribute category");
+        expect(() =>
+          dataProcessor.appendData(0, { x: [1], y: [1] }, 1)
+        ).to.throw(VisualizationError, "no attribute category");
+        expect(dataProcessor.specificationHelper.tracks[0].data.length).to.eq(
+          7
+        );
+      });
+  });
+
+  it("only removes rows matching predicates that can be posted", () => {
+    // Deep copy to since specification processor modifies original object
+    dataProcessor = new DataProcessor(
+      JSON.parse(JSON.stringify(specificationPoints))
+    );
+
+    cy.wrap(dataProcessor)
+      .should("have.property", "index")
+      .then(() => {
+        // Functions would lose the variables they refer to when posted to a worker
+        const category = "b";
+        expect(() =>
+          dataProcessor.removeData(0, (row) => row.category === category)
+        ).to.throw("functions can not be posted to the workers");
+        expect(() => dataProcessor.removeData(0, "row.x < 0")).to.throw(
+          'Unexpected "row"'
+        );
+        expect(dataProcessor.selectBox([1, 1, 7, 7]).points).to.have.lengthOf(
+          7
+        );
+      });
+  });
+});
+
+describe("Updating the specification", () => {
+  let dataProcessor;
+
+  it("can keep the index if only the style changed", () => {
+    // Deep copy to since specification processor modifies original object
+    dataProcessor = new DataProcessor(
+      JSON.parse(JSON.stringify(specificationPoints))
+    );
+
+    cy.wrap(dataProcessor)
+      .should("have.property", "index")
+      .then(() => {
+        const index = dataProcessor.index;
+        const updated = JSON.parse(JSON.stringify(specificationPoints));
+        updated.tracks[0].opacity = { value: 0.5 };
+        dataProcessor.updateSpecification(
+          updated,
+          diffSpecifications(specificationPoints, updated)
+        );
+
+        expect(dataProcessor.index).to.eq(index);
+        expect(dataProcessor.selectBox([1, 1, 7, 7]).points).to.have.lengthOf(
+          7
+        );
+      });
+  });
+
+  it("can reindex a track whose position changed", () => {
+    // Deep copy to since specification processor modifies original object
+    dataProcessor = new DataProcessor(
+      JSON.parse(JSON.stringify(specificationPoints))
+    );
+
+    cy.wrap(dataProcessor)
+      .should("have.property", "index")
+      .then(() => {
+        const updated = JSON.parse(JSON.stringify(specificationPoints));
+        updated.defaultData.reversed = [7, 6, 5, 4, 3, 2, 1];
+        updated.tracks[0].x.attribute = "reversed";
+        dataProcessor.updateSpecification(
+          updated,
+          diffSpecifications(specificationPoints, updated)
+        );
+      });
+
+    cy.wrap(dataProcessor)
+      .should("have.property", "index")
+      .then(() => {
+        const { points } = dataProcessor.selectBox([6.5, 0.5, 7.5, 1.5]);
+        expect(points.map((point) => point.reversed)).to.deep.eq([7]);
+      });
+  });
+
+  it("can tell when the data is loaded and indexed", () => {
+    const updated = JSON.parse(JSON.stringify(specificationPoints));
+    updated.tracks[0].y.attribute = "x";
+
+    return new Promise((resolve) => {
+      // Deep copy to since specification processor modifies original object
+      dataProcessor = new DataProcessor(
+        JSON.parse(JSON.stringify(specificationPoints)),
+        undefined,
+        resolve
+      );
+    })
+      .then(() => {
+        expect(dataProcessor.index).to.not.eq(undefined);
+        return new Promise((resolve) =>
+          dataProcessor.updateSpecification(
+            updated,
+            diffSpecifications(specificationPoints, updated),
+            undefined,
+            resolve
+          )
+        );
+      })
+      .then(() => {
+        expect(dataProcessor.index).to.not.eq(undefined);
+      });
+  });
+});
+
+describe("Filtering", () => {
+  let dataProcessor;
+
+  it("can skip filtered points when selecting", () => {
+    // Deep copy to since specification processor modifies original object
+    dataProcessor = new DataProcessor(
+      JSON.parse(JSON.stringify(specificationPoints))
+    );
+
+    cy.wrap(dataProcessor)
+      .should("have.property", "index")
+      .then(() => {
+        dataProcessor.setFilter(0, { attribute: "category", values: ["a"] });
+        const { points } = dataProcessor.selectBox([1, 1, 7, 7]);
+        expect(points.map((point) => point.x)).to.have.members([1, 4, 7]);
+        expect(
+          dataProcessor.selectLasso([1, 1, 7, 1, 7, 7, 1, 7]).points
+        ).to.have.lengthOf(3);
+
+        dataProcessor.setFilter(0, { attribute: "x", range: [null, 2] });
+        expect(dataProcessor.selectBox([1, 1, 7, 7]).points).to.have.lengthOf(
+          2
+        );
+
+        dataProcessor.setFilter(0);
+        expect(dataProcessor.selectBox([1, 1, 7, 7]).points).to.have.lengthOf(
+          7
+        );
+      });
+  });
+
+  it("can filter numbers read as text by numbers", () => {
+    const specification = JSON.parse(JSON.stringify(specificationPoints));
+    // As read from a CSV file with a type hint of string
+    specification.defaultData.rank = ["1", "2", "2", "3", "10", "2", "9"];
+    dataProcessor = new DataProcessor(specification);
+
+    cy.wrap(dataProcessor)
+      .should("have.property", "index")
+      .then(() => {
+        dataProcessor.setFilter(0, { attribute: "rank", values: [2, 10] });
+        const { points } = dataProcessor.selectBox([1, 1, 7, 7]);
+        expect(points.map((point) => point.x)).to.have.members([2, 3, 5, 6]);
+
+        dataProcessor.setFilter(0, { attribute: "rank", range: [3, 9] });
+        expect(
+          dataProcessor.selectBox([1, 1, 7, 7]).points.map((point) => point.x)
+        ).to.have.members([4, 7]);
+      });
+  });
+
+  it("can skip filtered points when finding the closest point", () => {
+    // Deep copy to since specification processor modifies original object
+    dataProcessor = new DataProcessor(
+      JSON.parse(JSON.stringify(specificationPoints))
+    );
+
+    cy.wrap(dataProcessor)
+      .should("have.property", "index")
+      .then(() => {
+        dataProcessor.setFilter(0, { attribute: "x", range: [4, 5] });
+        const { closestPoint, isInside } = dataProcessor.getClosestPoint([
+          2, 2,
+        ]);
+        expect(closestPoint.x).to.eq(4);
+        expect(isInside).to.eq(false);
+
+        dataProcessor.setFilter(0, { attribute: "x", range: [10, null] });
+        expect(dataProcessor.getClosestPoint([2, 2])).to.deep.eq({});
+      });
+  });
+});
+
+describe("Hit testing by track", () => {
+  const specificationOverlapping = {
+    defaultData: getDefaultData(),
+    tracks: [
+      {
+        mark: "area",
+        interactive: false,
+        x: { attribute: "x", type: "quantitative", domain: [1, 7] },
+        y: { attribute: "y", type: "quantitative", domain: [1, 7] },
+      },
+      specificationPoints.tracks[0],
+      {
+        mark: "rect",
+        data: { x: [2, 6], y: [2, 6], name: ["first", "second"] },
+        x: { attribute: "x", type: "quantitative", domain: [1, 7] },
+        y: { attribute: "y", type: "quantitative", domain: [1, 7] },
+        width: { value: 1 },
+        height: { value: 1 },
+      },
+    ],
+  };
+  let dataProcessor;
+
+  it("can tell which track and row a hovered point is from", () => {
+    // Deep copy to since specification processor modifies original object
+    dataProcessor = new DataProcessor(
+      JSON.parse(JSON.stringify(specificationOverlapping))
+    );
+
+    cy.wrap(dataProcessor)
+      .should("have.property", "index")
+      .then(() => {
+        // The rect of the last track is drawn over the point at (6, 6)
+        const hovered = dataProcessor.getClosestPoint([6, 6]);
+        expect(hovered.isInside).to.eq(true);
+        expect(hovered.trackIndex).to.eq(2);
+        expect(hovered.rowIndex).to.eq(1);
+        expect(hovered.closestPoint.name).to.eq("second");
+
+        const { trackIndex, rowIndex } = dataProcessor.getClosestPoint([
+          4.1, 4.1,
+        ]);
+        expect([trackIndex, rowIndex]).to.deep.eq([1, 3]);
+      });
+  });
+
+  it("can get a point picked by its track and row", () => {
+    // Deep copy to since specification processor modifies original object
+    dataProcessor = new DataProcessor(
+      JSON.parse(JSON.stringify(specificationOverlapping))
+    );
+
+    cy.wrap(dataProcessor)
+      .should("have.property", "index")
+      .then(() => {
+        const picked = dataProcessor.getPickedPoint({
+          trackIndex: 2,
+          rowIndex: 0,
+        });
+        expect(picked.closestPoint.name).to.eq("first");
+        expect(picked.isInside).to.eq(true);
+        expect(dataProcessor.data[picked.indices[0]]).to.eq(
+          picked.closestPoint
+        );
+
+        // The first track is not interactive
+        expect(
+          dataProcessor.getPickedPoint({ trackIndex: 0, rowIndex: 0 })
+        ).to.deep.eq({});
+        expect(dataProcessor.getPickedPoint(null)).to.deep.eq({});
+      });
+  });
+
+  it("can group selections by track", () => {
+    // Deep copy to since specification processor modifies original object
+    dataProcessor = new DataProcessor(
+      JSON.parse(JSON.stringify(specificationOverlapping))
+    );
+
+    cy.wrap(dataProcessor)
+      .should("have.property", "index")
+      .then(() => {
+        const { points, tracks } = dataProcessor.selectBox([
+          1.5, 1.5, 3.5, 3.5,
+        ]);
+        expect(points).to.have.lengthOf(3);
+        expect(tracks.map((group) => group.trackIndex)).to.deep.eq([1, 2]);
+        expect(tracks[0].rows).to.have.members([1, 2]);
+        expect(tracks[1].rows).to.deep.eq([0]);
+        expect(tracks[1].points[0].name).to.eq("first");
+
+        const lasso = dataProcessor.selectLasso([
+          1.5, 1.5, 3.5, 1.5, 3.5, 3.5, 1.5, 3.5,
+        ]);
+        expect(lasso.tracks.map((group) => group.trackIndex)).to.deep.eq([
+          1, 2,
+        ]);
+      });
+  });
 });
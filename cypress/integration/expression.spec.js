@@ -0,0 +1,52 @@
+import { compileExpression } from "../../src/epiviz.gl/expression";
+
+const datum = { start: 10, end: 25, chr: "chr2", score: "0.5", group: "a" };
+const evaluate = (expression) => compileExpression(expression)(datum);
+
+describe("Compiling expressions", () => {
+  it("can calculate with fields and literals", () => {
+    expect(evaluate("datum.end - datum.start")).to.eq(15);
+    expect(evaluate("(datum.start + datum.end) / 5")).to.eq(7);
+    expect(evaluate("datum.start + datum.end / 5")).to.eq(15);
+    expect(evaluate("-datum.start % 4 * 2")).to.eq(-4);
+    expect(evaluate('datum["chr"] + "_" + \'x\'')).to.eq("chr2_x");
+    expect(evaluate("1.5e1 + .5")).to.eq(15.5);
+  });
+
+  it("can compare and combine conditions", () => {
+    expect(evaluate("datum.start < datum.end && datum.chr === 'chr2'")).to.eq(
+      true
+    );
+    expect(evaluate("datum.chr !== 'chr2' || !(datum.end >= 25)")).to.eq(false);
+    expect(evaluate("datum.group === 'a' ? 1 : datum.missing ? 2 : 3")).to.eq(
+      1
+    );
+    expect(evaluate("datum.missing == null")).to.eq(true);
+    expect(evaluate("true && false")).to.eq(false);
+  });
+
+  it("compares and adds numbers read as text as numbers", () => {
+    expect(evaluate("datum.score + 1")).to.eq(1.5);
+    expect(evaluate("datum.score === 0.5")).to.eq(true);
+    expect(evaluate("datum.score > '0.25'")).to.eq(true);
+    expect(evaluate("'10' > '9'")).to.eq(true);
+  });
+
+  it("does not run anything but expressions", () => {
+    [
+      "alert(1)",
+      "datum.constructor.constructor('return 1')()",
+      "this",
+      "datum.start = 1",
+      "datum.start +",
+      "(datum.start",
+      "datum",
+      "datum.start datum.end",
+      "`text`",
+    ].forEach((expression) =>
+      expect(() => compileExpression(expression), expression).to.throw(
+        "in expression"
+      )
+    );
+  });
+});
@@ -0,0 +1,64 @@
+import { renderToSVG } from "../../src/epiviz.gl/headless-renderer";
+
+const specification = {
+  width: "400px",
+  height: "300px",
+  margins: { top: "10px", right: "10px", bottom: "40px", left: "40px" },
+  xAxis: "bottom",
+  yAxis: "left",
+  labels: [{ x: 4, y: 25, text: "Prices & days", "font-size": 12 }],
+  defaultData: {
+    day: [1, 2, 3, 4, 5, 6, 7],
+    price: [10, 20, 30, 20, 10, 5, 1],
+  },
+  tracks: [
+    {
+      mark: "point",
+      x: { attribute: "day", type: "quantitative", domain: [0, 8] },
+      y: { attribute: "price", type: "quantitative", domain: [0, 40] },
+      color: { value: "#ff0000" },
+      size: { value: 4 },
+      shape: { value: "dot" },
+    },
+  ],
+};
+
+describe("Rendering without a browser", () => {
+  it("can draw the marks of tracks within the margins", () =>
+    renderToSVG(specification).then((svg) => {
+      expect(svg).to.contain('width="400" height="300"');
+      expect(svg).to.contain(
+        '<svg x="40" y="10" width="350" height="250" overflow="hidden">'
+      );
+      const paths = svg.match(/<g class="track-0"><path [^>]*>/);
+      expect(paths[0]).to.contain('fill="#ff0000"');
+      expect(paths[0].match(/M/g)).to.have.lengthOf(7);
+    }));
+
+  it("can draw the axes and labels like the SVGInteractor", () =>
+    renderToSVG(specification).then((svg) => {
+      expect(svg).to.contain('<g transform="translate(0, 250)"');
+      expect(svg).to.contain('<g transform="translate(0, 0)"');
+      expect(svg.match(/class="tick"/g).length).to.be.greaterThan(4);
+      expect(svg).to.contain(
+        '<text x="175" y="93.75" font-size="12">Prices &amp; days</text>'
+      );
+    }));
+
+  it("can draw part of the data without changing the specification", () => {
+    const before = JSON.stringify(specification);
+    return renderToSVG(specification, { xRange: [0, 1.5] }).then((svg) => {
+      // Only the first day is in view, the label is outside of it
+      const paths = svg.match(/<g class="track-0"><path [^>]*>/);
+      expect(paths[0].match(/M/g)).to.have.lengthOf(1);
+      expect(svg).not.to.contain("Prices");
+      expect(JSON.stringify(specification)).to.eq(before);
+    });
+  });
+
+  it("rejects specifications that are not valid", () =>
+    renderToSVG({ tracks: [{ mark: "nonsense" }] }).then(
+      () => expect.fail("The specification should not be valid"),
+      (error) => expect(error.stage).to.eq("validation")
+    ));
+});
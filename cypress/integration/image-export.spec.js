@@ -0,0 +1,102 @@
+import { getSVGOfMarks } from "../../src/epiviz.gl/image-export";
+import { VertexShader } from "../../src/epiviz.gl/webgl";
+import VertexCalculator from "../../src/epiviz.gl/vertex-calculator";
+
+const identity = (value) => value;
+
+const getShaderWithMarks = (track, marks) => {
+  const trackShader = VertexShader.fromTrack(track);
+  const vertexCalculator = new VertexCalculator(identity, identity, track);
+  marks.forEach((mark) => trackShader.addMarkToBuffers(mark, vertexCalculator));
+  return trackShader;
+};
+
+// The whole clip space in a drawing of 200 by 200 pixels, with dots at their size
+const viewport = [-1, -1, 1, 1, 1];
+
+const rectTrack = {
+  mark: "rect",
+  x: { attribute: "x", type: "quantitative", domain: [0, 1] },
+  y: { attribute: "y", type: "quantitative", domain: [0, 1] },
+  width: { value: 10 },
+  height: { value: 10 },
+  color: { value: "#ff0000" },
+};
+
+const pointTrack = {
+  mark: "point",
+  x: { attribute: "x", type: "quantitative", domain: [0, 1] },
+  y: { attribute: "y", type: "quantitative", domain: [0, 1] },
+  size: { value: 10 },
+  color: { value: "#0000ff" },
+};
+
+const getPaths = (svg) => svg.match(/<path [^>]*>/g) || [];
+
+describe("Exporting images", () => {
+  it("can merge the triangles of marks of the same style into a path", () => {
+    const trackShader = getShaderWithMarks(rectTrack, [
+      { x: 0, y: 0, width: 10, height: 10 },
+      { x: -0.5, y: -0.5, width: 10, height: 10 },
+    ]);
+
+    const svg = getSVGOfMarks([trackShader], ["TRIANGLES"], viewport, 200, 200);
+    const paths = getPaths(svg);
+    expect(svg.startsWith('<g class="track-0">')).to.eq(true);
+    expect(paths).to.have.lengthOf(1);
+    expect(paths[0]).to.contain('fill="#ff0000"');
+    expect(paths[0].match(/Z/g)).to.have.lengthOf(4);
+    // The first vertex of the first mark, the y axis points down in pixels
+    expect(paths[0]).to.contain('d="M100 90L100 100L110 90Z');
+  });
+
+  it("can leave out dots that are hidden or outside of the viewport", () => {
+    const trackShader = getShaderWithMarks(pointTrack, [
+      { x: 0, y: 0, shape: "dot", size: 10, filterValue: 1 },
+      { x: 0.5, y: 0.5, shape: "dot", size: 10, filterValue: 5 },
+      { x: 2, y: 0, shape: "dot", size: 10, filterValue: 1 },
+    ]);
+    trackShader.setFilter({ attribute: "score", range: [null, 2] });
+    trackShader.attributes.a_filterValue.data = [1, 5, 1];
+
+    const paths = getPaths(
+      getSVGOfMarks([trackShader], ["POINTS"], viewport, 200, 200)
+    );
+    expect(paths).to.have.lengthOf(1);
+    expect(paths[0]).to.contain('fill="#0000ff"');
+    expect(paths[0]).to.contain('d="M95 100a5 5 0 1 0 10 0a5 5 0 1 0 -10 0"');
+  });
+
+  it("can draw highlighted dots with an outline and dim the others", () => {
+    const trackShader = getShaderWithMarks(pointTrack, [
+      { x: 0, y: 0, shape: "dot", size: 10, selected: 1 },
+      { x: 0.5, y: 0.5, shape: "dot", size: 10, selected: 0 },
+    ]);
+    trackShader.setHighlight({ size: 2, outline: "#000000", opacity: 0.5 });
+    trackShader.attributes.a_selected.data = [1, 0];
+
+    const paths = getPaths(
+      getSVGOfMarks([trackShader], ["POINTS"], viewport, 200, 200)
+    );
+    expect(paths).to.have.lengthOf(3);
+    expect(paths[0]).to.contain('fill="#000000"');
+    expect(paths[0]).to.contain("a10 10"); // Twice the size
+    expect(paths[1]).to.contain('fill="#0000ff"');
+    expect(paths[1]).to.contain("a7 7");
+    expect(paths[2]).to.contain('fill-opacity="0.5"');
+  });
+
+  it("can draw lines with strokes", () => {
+    const trackShader = getShaderWithMarks(rectTrack, [
+      { x: 0, y: 0, width: 10, height: 10 },
+    ]);
+
+    // Zoomed out genome tracks draw the triangles of rects as lines, see SemanticZoomer
+    const paths = getPaths(
+      getSVGOfMarks([trackShader], ["LINES"], viewport, 200, 200)
+    );
+    expect(paths).to.have.lengthOf(1);
+    expect(paths[0]).to.contain('fill="none" stroke="#ff0000"');
+    expect(paths[0].match(/M/g)).to.have.lengthOf(3);
+  });
+});
@@ -0,0 +1,100 @@
+import LinkGroup from "../../src/epiviz.gl/link-group";
+
+// Stands in for a WebGLVis, recording what the group asks of it
+class RecordingPlot extends EventTarget {
+  constructor(indicesOfValues = () => []) {
+    super();
+    this.indicesOfValues = indicesOfValues;
+    this.viewOptions = [];
+    this.queries = [];
+    this.highlights = [];
+  }
+
+  setViewOptions(options) {
+    this.viewOptions.push(options);
+  }
+
+  queryValues(attribute, values) {
+    this.queries.push({ attribute, values });
+    return Promise.resolve({ indices: this.indicesOfValues(values) });
+  }
+
+  highlight(indices, style) {
+    this.highlights.push({ indices, style });
+  }
+
+  dispatch(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+}
+
+const viewport = { xRange: [0, 1], yRange: [2, 3] };
+
+const select = (plot, points) =>
+  plot.dispatch("onSelectionEnd", { data: { selection: { points } } });
+
+describe("Linking plots", () => {
+  it("can link the ranges of axes with copies", () => {
+    const plots = [new RecordingPlot(), new RecordingPlot()];
+    const xOnly = new RecordingPlot();
+    new LinkGroup().add(plots[0]).add(plots[1]);
+    new LinkGroup({ axes: "x" }).add(plots[0]).add(xOnly);
+
+    plots[0].dispatch("pan", { viewport });
+    expect(plots[0].viewOptions).to.have.lengthOf(0);
+    expect(plots[1].viewOptions).to.deep.eq([
+      { currentXRange: [0, 1], currentYRange: [2, 3] },
+    ]);
+    // Panning changes the ranges in place, so they are not shared
+    expect(plots[1].viewOptions[0].currentXRange).not.to.eq(viewport.xRange);
+    expect(xOnly.viewOptions).to.deep.eq([{ currentXRange: [0, 1] }]);
+  });
+
+  it("does not change plots again when linked plots fire events", () => {
+    const plots = [new RecordingPlot(), new RecordingPlot()];
+    // Such as a listener of the app moving the first plot whenever the second one moves
+    plots[1].setViewOptions = (options) => {
+      plots[1].viewOptions.push(options);
+      plots[1].dispatch("zoomIn", { viewport });
+    };
+    new LinkGroup().add(plots[0]).add(plots[1]);
+
+    plots[0].dispatch("zoomOut", { viewport });
+    expect(plots[0].viewOptions).to.have.lengthOf(0);
+    expect(plots[1].viewOptions).to.have.lengthOf(1);
+  });
+
+  it("can highlight the points with the keys of selected points", () => {
+    const plots = [
+      new RecordingPlot(),
+      new RecordingPlot((values) => values.map((_, index) => index * 10)),
+    ];
+    const style = { color: "red" };
+    new LinkGroup({ key: "sample", highlightStyle: style })
+      .add(plots[0])
+      .add(plots[1]);
+
+    select(plots[0], [{ sample: "a" }, { sample: "b" }, { sample: "a" }, {}]);
+    expect(plots[0].queries).to.have.lengthOf(0);
+    expect(plots[1].queries).to.deep.eq([
+      { attribute: "sample", values: ["a", "b"] },
+    ]);
+    return Promise.resolve().then(() => {
+      expect(plots[1].highlights).to.deep.eq([{ indices: [0, 10], style }]);
+    });
+  });
+
+  it("stops linking removed plots", () => {
+    const plots = [new RecordingPlot(), new RecordingPlot()];
+    const group = new LinkGroup({ key: "sample" }).add(plots[0]).add(plots[1]);
+    group.remove(plots[1]);
+
+    plots[0].dispatch("pan", { viewport });
+    plots[1].dispatch("pan", { viewport });
+    select(plots[0], [{ sample: "a" }]);
+    expect(group.plots).to.deep.eq([plots[0]]);
+    expect(plots[0].viewOptions).to.have.lengthOf(0);
+    expect(plots[1].viewOptions).to.have.lengthOf(0);
+    expect(plots[1].queries).to.have.lengthOf(0);
+  });
+});
@@ -0,0 +1,160 @@
+import MainThreadWorker from "../../src/epiviz.gl/main-thread-worker";
+import WorkerChannel from "../../src/epiviz.gl/worker-channel";
+import WebGLVis from "../../src/epiviz.gl/webgl-vis";
+import { VisualizationError } from "../../src/epiviz.gl/errors";
+
+// Stands in for a worker module, answering every message with what it received
+const echoModule = {
+  createMessageHandler: (postMessage) => (message) => {
+    if (message.data.type === "throw") {
+      throw new VisualizationError("Could not draw", { trackIndex: 1 });
+    }
+    postMessage({ type: "echo", received: message.data });
+  },
+};
+
+// Collect the messages a worker posts until it has posted count of them
+const receiveMessages = (worker, count) =>
+  new Promise((resolve) => {
+    const messages = [];
+    worker.onmessage = (message) => {
+      messages.push(message.data);
+      if (messages.length === count) {
+        resolve(messages);
+      }
+    };
+  });
+
+describe("Main thread worker", () => {
+  it("can handle copies of messages in the order they are posted", () => {
+    const worker = new MainThreadWorker(
+      () => Promise.resolve(echoModule),
+      "worker"
+    );
+    const received = receiveMessages(worker, 2);
+
+    const first = { type: "viewport", xRange: [0, 1] };
+    worker.postMessage(first);
+    worker.postMessage({ type: "render" });
+    first.xRange[1] = 2; // Changes after posting are not seen by the handler
+
+    return received.then((messages) => {
+      expect(messages.map(({ received }) => received)).to.deep.eq([
+        { type: "viewport", xRange: [0, 1] },
+        { type: "render" },
+      ]);
+    });
+  });
+
+  it("can post errors of the handler as error messages", () => {
+    const worker = new MainThreadWorker(
+      () => Promise.resolve(echoModule),
+      "drawing"
+    );
+    const received = receiveMessages(worker, 2);
+
+    worker.postMessage({ type: "throw" });
+    worker.postMessage({ type: "render" });
+
+    return received.then(([error, echo]) => {
+      expect(error).to.deep.eq({
+        type: "error",
+        message: "Could not draw",
+        stage: "drawing",
+        trackIndex: 1,
+        attribute: undefined,
+        row: undefined,
+      });
+      // The handler keeps handling messages after an error
+      expect(echo.received.type).to.eq("render");
+    });
+  });
+
+  it("can report errors of batches received after handling the messages", () => {
+    const dataChannel = new MessageChannel();
+    const worker = new MainThreadWorker(
+      () => import("../../src/epiviz.gl/data-processor-worker"),
+      "worker"
+    );
+    const errors = [];
+    const channel = new WorkerChannel(worker, undefined, (error) =>
+      errors.push(error)
+    );
+    worker.postMessage({ type: "connect", dataPort: dataChannel.port2 }, [
+      dataChannel.port2,
+    ]);
+
+    const loaded = channel.request({
+      type: "init",
+      loadId: 1,
+      specification: {
+        defaultData: "data.csv",
+        tracks: [
+          {
+            mark: "point",
+            x: { attribute: "x", type: "quantitative", domain: [0, 1] },
+            y: { attribute: "missing", type: "quantitative", domain: [0, 1] },
+          },
+        ],
+      },
+    });
+    // Mapped as the batch arrives, after the init message has been handled
+    dataChannel.port1.postMessage({
+      type: "dataBatch",
+      loadId: 1,
+      sourceId: "defaultData",
+      columns: { x: [0.5], y: [0.5] },
+      numRows: 1,
+      progress: { loadedBytes: 10 },
+    });
+
+    return loaded
+      .then(
+        () => expect.fail("the specification should not load"),
+        (error) => {
+          expect(error).to.include({ stage: "mapping", attribute: "missing" });
+          expect(errors).to.deep.eq([error]);
+        }
+      )
+      .finally(() => dataChannel.port1.close());
+  });
+});
+
+describe("Falling back to the main thread", () => {
+  const specification = {
+    defaultData: { x: [0.5], y: [0.5] },
+    tracks: [
+      {
+        mark: "point",
+        x: { attribute: "x", type: "quantitative", domain: [0, 1] },
+        y: { attribute: "missing", type: "quantitative", domain: [0, 1] },
+      },
+    ],
+  };
+
+  it("can fire error events and reject the specification", () => {
+    // Without module workers every worker runs on the main thread
+    const { Worker } = window;
+    window.Worker = undefined;
+    const container = document.createElement("div");
+    document.body.appendChild(container);
+    const plot = new WebGLVis(container);
+    plot.addToDom(false, "canvas2d");
+    window.Worker = Worker;
+
+    const errors = [];
+    plot.addEventListener("error", (event) => errors.push(event.detail.data));
+
+    return plot
+      .setSpecification(specification)
+      .then(
+        () => expect.fail("the specification should not load"),
+        (error) => {
+          expect(error).to.be.instanceOf(VisualizationError);
+          expect(error).to.include({ stage: "mapping", attribute: "missing" });
+          expect(errors).to.include(error);
+        }
+      )
+      .finally(() => container.remove());
+  });
+});
@@ -0,0 +1,109 @@
+import {
+  DEFAULT_EMPHASIS_STYLE,
+  getDrawnMark,
+  getEmphasisPasses,
+  growTriangles,
+  thickenLines,
+} from "../../src/epiviz.gl/mark-emphasis";
+import { VertexShader } from "../../src/epiviz.gl/webgl";
+import VertexCalculator from "../../src/epiviz.gl/vertex-calculator";
+
+const identity = (value) => value;
+
+const getShaderWithMarks = (track, marks) => {
+  const trackShader = VertexShader.fromTrack(track);
+  const vertexCalculator = new VertexCalculator(identity, identity, track);
+  marks.forEach((mark) => trackShader.addMarkToBuffers(mark, vertexCalculator));
+  return trackShader;
+};
+
+const rectTrack = {
+  mark: "rect",
+  x: { attribute: "x", type: "quantitative", domain: [0, 1] },
+  y: { attribute: "y", type: "quantitative", domain: [0, 1] },
+  width: { value: 10 },
+  height: { value: 10 },
+  color: { value: "#ff0000" },
+};
+
+describe("Emphasizing marks", () => {
+  it("can get the vertices of a drawn mark", () => {
+    const trackShader = getShaderWithMarks(rectTrack, [
+      { x: 0, y: 0, width: 10, height: 10 },
+      { x: 0.5, y: 0.5, width: 20, height: 10 },
+    ]);
+
+    const mark = getDrawnMark(trackShader, 1);
+    expect(mark.drawMode).to.eq("TRIANGLES");
+    expect(mark.vertices).to.deep.eq(
+      trackShader.attributes.a_VertexPosition.data.slice(12, 24)
+    );
+    expect(mark.color).to.eq(0xff0000);
+    expect(getDrawnMark(trackShader, 2)).to.eq(undefined);
+  });
+
+  it("can skip marks hidden by a filter", () => {
+    const trackShader = getShaderWithMarks(rectTrack, [
+      { x: 0, y: 0, width: 10, height: 10, filterValue: 1 },
+    ]);
+    trackShader.setFilter({ attribute: "score", range: [2, null] });
+    trackShader.attributes.a_filterValue.data = [1, 1, 1, 1, 1, 1];
+
+    expect(getDrawnMark(trackShader, 0)).to.eq(undefined);
+  });
+
+  it("can thicken lines into triangles", () => {
+    const triangles = thickenLines([0, 0, 10, 0], 2, [1, 1]);
+    expect(triangles).to.have.lengthOf(12);
+    const ys = triangles.filter((_, i) => i % 2 === 1);
+    expect(Math.min(...ys)).to.eq(-1);
+    expect(Math.max(...ys)).to.eq(1);
+  });
+
+  it("can grow triangles by pixels", () => {
+    const grown = growTriangles([0, 0, 2, 0, 0, 2], 1, [0.5, 0.25]);
+    expect(grown.slice(0, 2)).to.deep.eq([-0.5, -0.25]);
+    expect(grown.slice(2, 4)).to.deep.eq([2.5, -0.25]);
+  });
+
+  it("can draw an outline behind enlarged dots", () => {
+    const passes = getEmphasisPasses(
+      { drawMode: "POINTS", vertices: [0.5, 0.5], color: 0x0000ff, size: 4 },
+      DEFAULT_EMPHASIS_STYLE,
+      [0.01, 0.01],
+      2
+    );
+
+    expect(passes.map((pass) => pass.pointSize)).to.deep.eq([16, 12]);
+    expect(passes[0].color).to.deep.eq([0, 0, 0, 1]);
+    expect(passes[1].color).to.deep.eq([0, 0, 1, 1]);
+  });
+
+  it("can emphasize arcs without an outline", () => {
+    const passes = getEmphasisPasses(
+      { drawMode: "LINES", vertices: [0, 0, 1, 1, 1, 1, 2, 0], color: 0 },
+      { ...DEFAULT_EMPHASIS_STYLE, outline: null, color: "red" },
+      [0.01, 0.01],
+      1
+    );
+
+    expect(passes).to.have.lengthOf(1);
+    expect(passes[0].drawMode).to.eq("TRIANGLES");
+    expect(passes[0].vertices).to.have.lengthOf(24);
+    expect(passes[0].color).to.deep.eq([1, 0, 0, 1]);
+  });
+});
+
+describe("Picking marks", () => {
+  it("can find the mark of a vertex", () => {
+    const trackShader = getShaderWithMarks(rectTrack, [
+      { x: 0, y: 0, width: 10, height: 10 },
+      { x: 0.5, y: 0.5, width: 20, height: 10 },
+    ]);
+
+    expect(trackShader.getMarkOfVertex(0)).to.eq(0);
+    expect(trackShader.getMarkOfVertex(5)).to.eq(0);
+    expect(trackShader.getMarkOfVertex(6)).to.eq(1);
+    expect(trackShader.getMarkOfVertex(12)).to.eq(undefined);
+  });
+});
@@ -1,4 +1,5 @@
 import { expectCanvasToLookLike } from "../support";
+import WebGLVis from "../../src/epiviz.gl/webgl-vis";
 
 const mouseReaderSelector = ".content > div > div";
 
@@ -329,3 +330,47 @@ describe("The mouse reader should select points appropriately", () => {
     expectThisManyPointsSelected(1);
   });
 });
+
+describe("Zooming to ranges", () => {
+  const specification = {
+    xAxis: "bottom",
+    yAxis: "none",
+    defaultData: { x: [10, 50, 90], y: [0.5, 0.5, 0.5] },
+    tracks: [
+      {
+        mark: "point",
+        x: { attribute: "x", type: "quantitative", domain: [0, 100] },
+        y: { attribute: "y", type: "quantitative", domain: [0, 1] },
+      },
+    ],
+  };
+
+  it("shows the ranges on the axes once the viewport has changed", () => {
+    const container = document.createElement("div");
+    document.body.appendChild(container);
+    const plot = new WebGLVis(container);
+    plot.addToDom(false);
+
+    const ticksWhenChanged = new Promise((resolve) =>
+      plot.addEventListener("viewportChanged", (event) => {
+        if (event.detail.type === "zoomTo") {
+          resolve(
+            [...plot.parent.querySelectorAll(".tick text")].map((tick) =>
+              Number(tick.textContent)
+            )
+          );
+        }
+      })
+    );
+
+    return plot
+      .setSpecification(specification)
+      .then(() => plot.zoomTo([20, 40], undefined, { duration: 100 }))
+      .then(() => ticksWhenChanged)
+      .then((ticks) => {
+        expect(ticks.length).to.be.greaterThan(1);
+        ticks.forEach((tick) => expect(tick).to.be.within(20, 40));
+      })
+      .finally(() => container.remove());
+  });
+});
@@ -0,0 +1,126 @@
+import OverviewBrush, { moveBrush } from "../../src/epiviz.gl/overview-brush";
+
+// Stands in for a WebGLVis, with the parts of the mouse reader the brush uses
+class RecordingPlot extends EventTarget {
+  constructor(xRange, yRange) {
+    super();
+    this.viewOptions = [];
+    this.events = [];
+    this.mouseReader = {
+      minX: 0,
+      maxX: 100,
+      minY: 0,
+      maxY: 10,
+      currentXRange: xRange,
+      currentYRange: yRange,
+      width: 200,
+      height: 100,
+      brush: null,
+      throttledUpdateSVG: () => {},
+      getViewport() {
+        return {
+          minX: this.minX,
+          maxX: this.maxX,
+          minY: this.minY,
+          maxY: this.maxY,
+          xRange: this.currentXRange,
+          yRange: this.currentYRange,
+        };
+      },
+      SVGInteractor: { brushMarker: new EventTarget() },
+    };
+  }
+
+  setViewOptions(options) {
+    this.viewOptions.push(options);
+    this.mouseReader.currentXRange = options.currentXRange;
+    this.mouseReader.currentYRange = options.currentYRange;
+  }
+
+  dispatchEvent(type, detail) {
+    this.events.push(type);
+    return super.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+}
+
+const viewport = {
+  minX: 0,
+  maxX: 100,
+  minY: 0,
+  maxY: 10,
+  xRange: [20, 40],
+  yRange: [2, 4],
+};
+
+describe("Overview brush", () => {
+  it("can move a brush within the bounds of the viewport", () => {
+    expect(moveBrush(viewport, "move", [10, 1], [1, 1])).to.deep.eq({
+      xRange: [30, 50],
+      yRange: [3, 5],
+    });
+    expect(moveBrush(viewport, "move", [-50, 10], [1, 1])).to.deep.eq({
+      xRange: [0, 20],
+      yRange: [8, 10],
+    });
+    // Not moved back in if it already was outside of the bounds
+    const outside = { ...viewport, xRange: [-10, 10] };
+    expect(moveBrush(outside, "move", [-5, 0], [1, 1]).xRange).to.deep.eq([
+      -10, 10,
+    ]);
+  });
+
+  it("can resize a brush by its edges and corners", () => {
+    expect(moveBrush(viewport, "e", [10, 1], [1, 1])).to.deep.eq({
+      xRange: [20, 50],
+      yRange: [2, 4],
+    });
+    expect(moveBrush(viewport, "nw", [-30, 1], [1, 1])).to.deep.eq({
+      xRange: [0, 40],
+      yRange: [2, 5],
+    });
+    // Edges do not cross, the brush keeps the smallest size
+    expect(moveBrush(viewport, "s", [0, 5], [1, 1]).yRange).to.deep.eq([3, 4]);
+    expect(moveBrush(viewport, "w", [50, 0], [1, 1]).xRange).to.deep.eq([
+      39, 40,
+    ]);
+  });
+
+  it("draws the ranges of the detail plot and follows them", () => {
+    const overview = new RecordingPlot([0, 100], [0, 10]);
+    const detail = new RecordingPlot([20, 40], [2, 4]);
+    const brush = new OverviewBrush(overview, detail, { axes: "x" });
+    expect(overview.mouseReader.brush).to.deep.eq({
+      points: [20, 4, 40, 2],
+      mode: "boxh",
+      handles: ["w", "e"],
+    });
+
+    detail.mouseReader.currentXRange = [30, 60];
+    detail.dispatchEvent("pan", {});
+    expect(overview.mouseReader.brush.points).to.deep.eq([30, 4, 60, 2]);
+
+    brush.remove();
+    detail.dispatchEvent("pan", {});
+    expect(overview.mouseReader.brush).to.eq(null);
+  });
+
+  it("changes the detail plot when the brush is dragged", () => {
+    const overview = new RecordingPlot([0, 100], [0, 10]);
+    const detail = new RecordingPlot([20, 40], [2, 4]);
+    const brush = new OverviewBrush(overview, detail, { axes: "x" });
+
+    // 20 pixels of the 200 pixel wide overview are 10 of its 100 units
+    brush.drag = { handle: "e", start: [0, 0], viewport };
+    brush._drag({ clientX: 20, clientY: 50 });
+    expect(detail.viewOptions).to.deep.eq([
+      { currentXRange: [20, 50], currentYRange: [2, 4] },
+    ]);
+    expect(detail.events).to.deep.eq(["zoomOut"]);
+    expect(overview.mouseReader.brush.points).to.deep.eq([20, 4, 50, 2]);
+
+    brush.drag = { handle: "move", start: [0, 0], viewport };
+    brush._drag({ clientX: -20, clientY: 0 });
+    expect(detail.viewOptions[1].currentXRange).to.deep.eq([10, 30]);
+    expect(detail.events).to.deep.eq(["zoomOut", "pan"]);
+  });
+});
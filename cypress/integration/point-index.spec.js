@@ -0,0 +1,37 @@
+import PointIndex from "../../src/epiviz.gl/point-index";
+
+// Points on a diagonal, with a size of 1
+const getBounds = (index) => [index, index, index + 1, index + 1];
+
+describe("Point index", () => {
+  it("can search points appended after it was built", () => {
+    const index = new PointIndex(getBounds, 10);
+    index.append(15);
+
+    expect(index.search(8.5, 8.5, 11.5, 11.5)).to.have.members([8, 9, 10, 11]);
+    expect(
+      index.search(0, 0, 20, 20, (i) => i % 2 === 0).sort((a, b) => a - b)
+    ).to.deep.eq([0, 2, 4, 6, 8, 10, 12, 14]);
+  });
+
+  it("can find the nearest points of both parts in order", () => {
+    const index = new PointIndex(getBounds, 10);
+    index.append(15);
+
+    expect(index.neighbors(9.5, 11, 3)).to.deep.eq([10, 9, 11]);
+    expect(index.neighbors(20, 20, 2, Infinity, (i) => i < 12)).to.deep.eq([
+      11, 10,
+    ]);
+    expect(index.neighbors(0, 0, Infinity, 1)).to.deep.eq([0]);
+  });
+
+  it("can start empty and tell when to rebuild", () => {
+    const index = new PointIndex(getBounds, 0);
+    expect(index.search(0, 0, 10, 10)).to.deep.eq([]);
+    index.append(2);
+    expect(index.neighbors(0, 0)).to.deep.eq([0, 1]);
+
+    expect(index.shouldRebuild(1000)).to.eq(false);
+    expect(index.shouldRebuild(1001)).to.eq(true);
+  });
+});
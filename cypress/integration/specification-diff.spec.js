@@ -0,0 +1,126 @@
+import {
+  copySpecification,
+  diffSpecifications,
+  isEqual,
+} from "../../src/epiviz.gl/specification-diff";
+
+const getSpecification = () => ({
+  labels: [{ x: 0, y: 0, text: "title" }],
+  defaultData: {
+    x: [1, 2, 3],
+    y: [1, 2, 3],
+    category: ["a", "b", "a"],
+  },
+  tracks: [
+    {
+      mark: "point",
+      x: { attribute: "x", type: "quantitative", domain: [0, 4] },
+      y: { attribute: "y", type: "quantitative", domain: [0, 4] },
+      color: { attribute: "category", type: "categorical", cardinality: 2 },
+    },
+    {
+      mark: "rect",
+      data: "https://example.com/regions.csv",
+      x: { attribute: "x", type: "quantitative", domain: [0, 4] },
+      y: { attribute: "y", type: "quantitative", domain: [0, 4] },
+      width: { value: 1 },
+      height: { value: 1 },
+    },
+  ],
+});
+
+describe("Diffing specifications", () => {
+  it("finds no changes in equal specifications", () => {
+    const changes = diffSpecifications(getSpecification(), getSpecification());
+    expect(changes).to.deep.eq({
+      layout: false,
+      svg: false,
+      scales: false,
+      data: [],
+      transform: false,
+      tracks: ["none", "none"],
+    });
+  });
+
+  it("only restyles tracks whose color, opacity or size changed", () => {
+    const specification = getSpecification();
+    specification.tracks[0].color.colorScheme = "interpolateBlues";
+    specification.tracks[0].size = { value: 5 };
+    specification.tracks[1].opacity = { value: 0.5 };
+
+    const changes = diffSpecifications(getSpecification(), specification);
+    expect(changes.tracks).to.deep.eq(["style", "style"]);
+    expect(changes.svg).to.eq(false);
+    expect(changes.data).to.deep.eq([]);
+  });
+
+  it("rebuilds tracks whose size changes their vertices", () => {
+    const specification = getSpecification();
+    specification.tracks[1].size = { value: 5 };
+
+    const changes = diffSpecifications(getSpecification(), specification);
+    expect(changes.tracks).to.deep.eq(["none", "rebuild"]);
+  });
+
+  it("only changes the svg for labels and axes", () => {
+    const specification = getSpecification();
+    specification.labels[0].text = "new title";
+    specification.xAxis = "top";
+
+    const changes = diffSpecifications(getSpecification(), specification);
+    expect(changes.svg).to.eq(true);
+    expect(changes.tracks).to.deep.eq(["none", "none"]);
+  });
+
+  it("rebuilds the tracks using changed data", () => {
+    const specification = getSpecification();
+    specification.defaultData.x = [3, 2, 1];
+
+    let changes = diffSpecifications(getSpecification(), specification);
+    expect(changes.data).to.deep.eq(["defaultData"]);
+    expect(changes.tracks).to.deep.eq(["rebuild", "none"]);
+
+    specification.tracks[1].data = "https://example.com/other.csv";
+    changes = diffSpecifications(getSpecification(), specification);
+    expect(changes.data).to.deep.eq(["defaultData", 1]);
+    expect(changes.tracks).to.deep.eq(["rebuild", "rebuild"]);
+  });
+
+  it("rebuilds every track if the scales changed", () => {
+    const specification = getSpecification();
+    specification.tracks[0].x.domain = [0, 10];
+
+    const changes = diffSpecifications(getSpecification(), specification);
+    expect(changes.scales).to.eq(true);
+    expect(changes.svg).to.eq(true);
+    expect(changes.data).to.deep.eq([]);
+    expect(changes.tracks).to.deep.eq(["rebuild", "rebuild"]);
+  });
+
+  it("can treat all data as changed", () => {
+    const changes = diffSpecifications(
+      getSpecification(),
+      getSpecification(),
+      true
+    );
+    expect(changes.data).to.deep.eq(["defaultData", 1]);
+    expect(changes.tracks).to.deep.eq(["rebuild", "rebuild"]);
+  });
+
+  it("compares binary data by reference", () => {
+    const bytes = new ArrayBuffer(8);
+    expect(isEqual({ data: bytes }, { data: bytes })).to.eq(true);
+    expect(isEqual({ data: bytes }, { data: new ArrayBuffer(8) })).to.eq(false);
+    expect(isEqual(new Uint8Array([1, 2]), new Uint8Array([1, 2]))).to.eq(true);
+  });
+
+  it("copies specifications without copying binary data", () => {
+    const bytes = new Uint8Array(8);
+    const specification = { ...getSpecification(), defaultData: bytes };
+    const copy = copySpecification(specification);
+
+    expect(copy).to.deep.eq(specification);
+    expect(copy.tracks[0]).not.to.eq(specification.tracks[0]);
+    expect(copy.defaultData).to.eq(bytes);
+  });
+});
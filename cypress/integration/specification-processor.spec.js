@@ -2,6 +2,26 @@ import SpecificationProcessor, {
   DEFAULT_CHANNELS,
 } from "../../src/epiviz.gl/specification-processor";
 import isJSONValid from "../../src/epiviz.gl/specification-validation";
+import {
+  addTextTypeHints,
+  appendToColumnarData,
+  createColumnarData,
+  inferColumnTypes,
+  loadDataSource,
+  recordsToColumns,
+  removeFromColumnarData,
+  rowsToColumns,
+  streamRecordsFromUrl,
+} from "../../src/epiviz.gl/data-loader";
+import { createMessageHandler } from "../../src/epiviz.gl/data-loader-worker";
+import DataReceiver from "../../src/epiviz.gl/data-receiver";
+import {
+  VisualizationError,
+  addErrorContext,
+  fromErrorMessage,
+  toErrorMessage,
+} from "../../src/epiviz.gl/errors";
+import { tableFromArrays, tableToIPC } from "apache-arrow";
 import { interpolateGreys } from "d3-scale-chromatic";
 import {
   scale,
@@ -519,3 +539,679 @@ describe("Mapping the channels with inline values (specification 4)", () => {
     );
   });
 });
+
+describe("Reading Arrow IPC data", () => {
+  const arrowTable = tableFromArrays({
+    day: Float32Array.from([1, 2, 3, 4]),
+    price: Int32Array.from([10, 20, 30, 40]),
+    category: ["a", "b", "b", "a"],
+  });
+
+  const getSpecification = (data) => ({
+    defaultData: data,
+    tracks: [
+      {
+        mark: "point",
+        x: { attribute: "day", type: "quantitative", domain: [1, 4] },
+        y: { attribute: "price", type: "quantitative", domain: [0, 40] },
+        color: {
+          attribute: "category",
+          type: "categorical",
+          cardinality: 2,
+          colorScheme: "interpolateGreys",
+        },
+      },
+    ],
+  });
+
+  const getMarks = (specification) =>
+    new Promise(
+      (resolve) => new SpecificationProcessor(specification, resolve)
+    ).then((specificationHelper) => {
+      const track = specificationHelper.getNextTrack();
+      const marks = [];
+      let currentMark = track.getNextMark();
+      while (currentMark !== null) {
+        marks.push(currentMark);
+        currentMark = track.getNextMark();
+      }
+      return marks;
+    });
+
+  it("can validate bytes as data", () => {
+    expect(isJSONValid(getSpecification(tableToIPC(arrowTable)))).to.eq(true);
+    expect(isJSONValid(getSpecification(tableToIPC(arrowTable).buffer))).to.eq(
+      true
+    );
+    expect(
+      isJSONValid(
+        getSpecification({
+          url: "http://example.com/data",
+          format: { type: "arrow" },
+        })
+      )
+    ).to.eq(true);
+  });
+
+  it("can map columns of the file format without converting to strings", () => {
+    return getMarks(getSpecification(tableToIPC(arrowTable, "file"))).then(
+      (marks) => {
+        expect(marks.map((mark) => mark.x)).to.deep.eq([1, 2, 3, 4]);
+        expect(marks.map((mark) => mark.y)).to.deep.eq([10, 20, 30, 40]);
+        expect(marks[0].color).to.eq(marks[3].color);
+        expect(marks[0].color).to.not.eq(marks[1].color);
+      }
+    );
+  });
+
+  it("can map columns of the stream format given as an ArrayBuffer", () => {
+    const bytes = tableToIPC(arrowTable, "stream");
+    const buffer = bytes.buffer.slice(
+      bytes.byteOffset,
+      bytes.byteOffset + bytes.byteLength
+    );
+    return getMarks(getSpecification(buffer)).then((marks) => {
+      expect(marks.map((mark) => mark.x)).to.deep.eq([1, 2, 3, 4]);
+      expect(marks.map((mark) => mark.y)).to.deep.eq([10, 20, 30, 40]);
+    });
+  });
+
+  it("can report progress of the bytes", () => {
+    const bytes = tableToIPC(arrowTable);
+    return new Promise(
+      (resolve) => new SpecificationProcessor(getSpecification(bytes), resolve)
+    ).then((specificationHelper) => {
+      expect(specificationHelper.getProgress()).to.deep.eq({
+        loadedBytes: bytes.byteLength,
+        totalBytes: bytes.byteLength,
+        loadedRows: 4,
+      });
+    });
+  });
+});
+
+describe("Loading data from urls", () => {
+  const fetchData = globalThis.fetch;
+  beforeEach(() => {
+    globalThis.fetch = () =>
+      Promise.resolve(
+        new Response("Not Found", { status: 404, statusText: "Not Found" })
+      );
+  });
+  afterEach(() => {
+    globalThis.fetch = fetchData;
+  });
+
+  it("can reject when the server answers with an error status", () => {
+    return streamRecordsFromUrl(
+      "http://example.com/missing.csv",
+      { type: "csv" },
+      () => expect.fail("No records are read from an error")
+    ).then(
+      () => expect.fail("Loading should have failed"),
+      (error) => {
+        expect(error).to.be.instanceOf(VisualizationError);
+        expect(error.stage).to.eq("data");
+        expect(error.message).to.contain("404");
+        expect(error.message).to.contain("http://example.com/missing.csv");
+      }
+    );
+  });
+
+  it("can tag errors with the load they belong to", () => {
+    return new Promise((resolve) => {
+      const handleMessage = createMessageHandler(resolve);
+      handleMessage({ data: { type: "init", ports: [] } });
+      handleMessage({
+        data: {
+          type: "load",
+          loadId: 3,
+          specification: {
+            defaultData: "http://example.com/missing.csv",
+            tracks: [],
+          },
+        },
+      });
+    }).then((message) => {
+      expect(message.type).to.eq("error");
+      expect(message.stage).to.eq("data");
+      expect(message.loadId).to.eq(3);
+      expect(message.message).to.match(
+        /^Could not load data for defaultData: /
+      );
+      expect(message.message).to.contain("404");
+    });
+  });
+});
+
+describe("Appending to columnar data", () => {
+  it("can keep the chunks the data was loaded in", () => {
+    const data = createColumnarData();
+    const firstChunk = { x: Float32Array.from([1, 2]), name: ["a", "b"] };
+    appendToColumnarData(data, firstChunk, 2);
+    appendToColumnarData(data, { x: new Float32Array(), name: [] }, 0);
+    appendToColumnarData(
+      data,
+      { x: Float32Array.from([3, 4, 5]), name: ["c", "d", "e"] },
+      3
+    );
+
+    expect(data.length).to.eq(5);
+    expect(data.chunks).to.have.lengthOf(2);
+    expect(data.chunks[0].columns).to.eq(firstChunk);
+  });
+
+  it("can reject rows without every column of the data", () => {
+    const data = createColumnarData();
+    appendToColumnarData(data, { x: [1], name: ["a"] }, 1);
+
+    expect(() => appendToColumnarData(data, { x: [2] }, 1))
+      .to.throw(VisualizationError, "The appended rows have no attribute name")
+      .with.property("attribute", "name");
+    expect(data.length).to.eq(1);
+    // Rows can have columns the data does not use
+    appendToColumnarData(data, { x: [2], name: ["b"], extra: [true] }, 1);
+    expect(data.length).to.eq(2);
+  });
+
+  it("can read marks across chunks", () => {
+    const specification = {
+      defaultData: "unused.csv",
+      tracks: [
+        {
+          mark: "point",
+          x: { attribute: "x", type: "quantitative", domain: [0, 5] },
+          y: { attribute: "y", type: "quantitative", domain: [0, 5] },
+        },
+      ],
+    };
+    const loadData = (source, onBatch) => {
+      onBatch({ x: [1, 2], y: Float64Array.from([5, 4]) }, 2, {});
+      onBatch({ x: [3], y: Float64Array.from([3]) }, 1, {});
+      return Promise.resolve();
+    };
+
+    return new Promise(
+      (resolve) =>
+        new SpecificationProcessor(specification, resolve, undefined, loadData)
+    ).then((specificationHelper) => {
+      const track = specificationHelper.getNextTrack();
+      const marks = [];
+      let currentMark = track.getNextMark();
+      while (currentMark !== null) {
+        marks.push(currentMark);
+        currentMark = track.getNextMark();
+      }
+      expect(marks.map((mark) => [mark.x, mark.y])).to.deep.eq([
+        [1, 5],
+        [2, 4],
+        [3, 3],
+      ]);
+    });
+  });
+});
+
+describe("Transforming the rows of tracks", () => {
+  const readMarks = (track) => {
+    const marks = [];
+    let currentMark = track.getNextMark();
+    while (currentMark !== null) {
+      marks.push(currentMark);
+      currentMark = track.getNextMark();
+    }
+    return marks;
+  };
+
+  const specification = {
+    defaultData: {
+      x: [1, 2, 3, 4],
+      y: [4, 3, 2, 1],
+      group: ["a", "b", "a", "b"],
+    },
+    transform: [{ filter: "datum.x > 1" }],
+    tracks: [
+      {
+        mark: "point",
+        x: { attribute: "x", type: "quantitative", domain: [0, 5] },
+        y: { attribute: "y", type: "quantitative", domain: [0, 5] },
+      },
+      {
+        mark: "rect",
+        transform: [
+          {
+            aggregate: [{ op: "sum", field: "y", as: "total" }],
+            groupby: ["group"],
+          },
+          { calculate: "datum.group === 'a' ? 1 : 2", as: "x" },
+        ],
+        x: { attribute: "x", type: "quantitative", domain: [0, 5] },
+        y: { attribute: "total", type: "quantitative", domain: [0, 5] },
+      },
+    ],
+  };
+
+  it("can validate transforms", () => {
+    expect(isJSONValid(specification)).to.eq(true);
+    expect(isJSONValid({ ...specification, transform: [{ filter: 1 }] })).to.eq(
+      false
+    );
+  });
+
+  it("can read the marks of transformed rows", () => {
+    const specificationHelper = new SpecificationProcessor(
+      JSON.parse(JSON.stringify(specification)),
+      () => {}
+    );
+
+    const pointTrack = specificationHelper.getNextTrack();
+    expect(readMarks(pointTrack).map((mark) => mark.x)).to.deep.eq([2, 3, 4]);
+
+    const rectTrack = specificationHelper.getNextTrack();
+    expect(readMarks(rectTrack).map((mark) => [mark.x, mark.y])).to.deep.eq([
+      [2, 4],
+      [1, 2],
+    ]);
+    expect(rectTrack.hasOwnRows).to.eq(true);
+    expect(rectTrack.transformsAllRows).to.eq(true);
+  });
+
+  it("can wait for streamed data to load before aggregating", () => {
+    let onBatch;
+    let resolveLoad;
+    const loadData = (source, batchCallback) => {
+      onBatch = batchCallback;
+      return new Promise((resolve) => (resolveLoad = resolve));
+    };
+
+    const loaded = new Promise(
+      (resolve) =>
+        new SpecificationProcessor(
+          {
+            ...JSON.parse(JSON.stringify(specification)),
+            defaultData: "a.csv",
+          },
+          resolve,
+          undefined,
+          loadData
+        )
+    );
+    onBatch(specification.defaultData, 4, {});
+    resolveLoad();
+
+    return loaded.then((specificationHelper) => {
+      const rectTrack = specificationHelper.tracks[1];
+      expect(readMarks(rectTrack)).to.have.lengthOf(2);
+    });
+  });
+});
+
+describe("Filtering marks", () => {
+  it("can give marks the value compared to the filter range", () => {
+    const specificationHelper = new SpecificationProcessor(
+      JSON.parse(JSON.stringify(specification4)),
+      () => {}
+    );
+    const track = specificationHelper.getNextTrack();
+
+    track.setFilter({ attribute: "price", range: [0, 10] });
+    expect(track.getNextMark().filterValue).to.eq(
+      specification4.defaultData.price[0]
+    );
+
+    track.setFilter({ attribute: "shape", values: ["triangle"] });
+    track.rewind();
+    const filterValues = specification4.defaultData.shape.map(
+      () => track.getNextMark().filterValue
+    );
+    expect(filterValues).to.deep.eq(
+      specification4.defaultData.shape.map((shape) =>
+        shape === "triangle" ? 1 : 0
+      )
+    );
+
+    track.setFilter();
+    track.rewind();
+    expect(track.getNextMark()).not.to.have.property("filterValue");
+  });
+});
+
+describe("Reporting errors", () => {
+  it("can tell which attribute of which track is missing", () => {
+    const specification = JSON.parse(JSON.stringify(specification1));
+    specification.tracks[0].y.attribute = "cost";
+    // Inline data is read as the tracks are built
+    expect(() => new SpecificationProcessor(specification, () => {}))
+      .to.throw(VisualizationError, "no attribute cost")
+      .that.includes({ stage: "mapping", trackIndex: 0, attribute: "cost" });
+  });
+
+  it("can tell which row failed to be mapped", () => {
+    const track = new SpecificationProcessor(
+      {
+        defaultData: { chr: ["1", "2", 3], start: [1, 2, 3] },
+        tracks: [
+          {
+            mark: "point",
+            x: {
+              type: "genomic",
+              chrAttribute: "chr",
+              geneAttribute: "start",
+              domain: ["chr1:1", "chr3:1"],
+              genome: "hg38",
+            },
+            y: { value: 0 },
+          },
+        ],
+      },
+      () => {}
+    ).getNextTrack();
+
+    track.getNextMark();
+    track.getNextMark();
+    expect(() => track.getNextMark())
+      .to.throw(VisualizationError)
+      .that.includes({ stage: "mapping", trackIndex: 0, row: 2 });
+  });
+
+  it("can post errors as messages and turn them back into errors", () => {
+    const message = toErrorMessage(
+      addErrorContext(new TypeError("oops"), { trackIndex: 1, row: 5 }),
+      "drawing"
+    );
+    expect(message).to.deep.eq({
+      type: "error",
+      message: "oops",
+      stage: "drawing",
+      trackIndex: 1,
+      attribute: undefined,
+      row: 5,
+    });
+
+    const error = fromErrorMessage(message);
+    expect(error).to.be.an.instanceOf(VisualizationError);
+    expect(error).to.include({ message: "oops", stage: "drawing", row: 5 });
+  });
+});
+
+describe("Highlighting rows", () => {
+  const specification = {
+    defaultData: { x: [1, 2, 3], y: [1, 2, 3] },
+    tracks: [
+      {
+        mark: "point",
+        x: { attribute: "x", type: "quantitative", domain: [0, 4] },
+        y: { attribute: "y", type: "quantitative", domain: [0, 4] },
+      },
+      {
+        mark: "point",
+        data: { x: [1, 2], y: [3, 4] },
+        x: { attribute: "x", type: "quantitative", domain: [0, 4] },
+        y: { attribute: "y", type: "quantitative", domain: [0, 4] },
+      },
+      {
+        mark: "rect",
+        x: { attribute: "x", type: "quantitative", domain: [0, 4] },
+        y: { attribute: "y", type: "quantitative", domain: [0, 4] },
+      },
+    ],
+  };
+
+  it("can map indices of points to the rows of tracks", () => {
+    const specificationHelper = new SpecificationProcessor(
+      JSON.parse(JSON.stringify(specification)),
+      () => {}
+    );
+
+    // Tracks are indexed separately even if they share the default data
+    const rowsOfTracks = specificationHelper.getRowsOfIndices([0, 2, 4, 6, 10]);
+    expect(rowsOfTracks.map((rows) => [...rows])).to.deep.eq([
+      [0, 2],
+      [1],
+      [1],
+    ]);
+  });
+
+  it("can skip tracks that are not interactive", () => {
+    const nonInteractive = JSON.parse(JSON.stringify(specification));
+    nonInteractive.tracks[0].interactive = false;
+    const specificationHelper = new SpecificationProcessor(
+      nonInteractive,
+      () => {}
+    );
+
+    expect(specificationHelper.getTracksToIndex()).to.deep.eq(
+      specificationHelper.tracks.slice(1)
+    );
+    const rowsOfTracks = specificationHelper.getRowsOfIndices([0, 2, 4]);
+    expect(rowsOfTracks.map((rows) => [...rows])).to.deep.eq([[], [0], [0, 2]]);
+  });
+
+  it("can mark the highlighted rows", () => {
+    const specificationHelper = new SpecificationProcessor(
+      JSON.parse(JSON.stringify(specification)),
+      () => {}
+    );
+    const track = specificationHelper.getNextTrack();
+
+    track.setHighlight(new Set([1]));
+    const selected = [0, 1, 2].map(() => track.getNextMark().selected);
+    expect(selected).to.deep.eq([0, 1, 0]);
+
+    track.setHighlight();
+    track.rewind();
+    expect(track.getNextMark()).not.to.have.property("selected");
+  });
+});
+
+describe("Removing from columnar data", () => {
+  it("can remove rows and keep chunks without removed rows", () => {
+    const data = createColumnarData();
+    const keptChunk = { x: Float32Array.from([1, 2]), name: ["a", "b"] };
+    appendToColumnarData(data, keptChunk, 2);
+    appendToColumnarData(
+      data,
+      { x: Float32Array.from([3, 4, 5]), name: ["c", "d", "e"] },
+      3
+    );
+
+    const indices = [];
+    const removed = removeFromColumnarData(data, (row, index) => {
+      indices.push(index);
+      return row.x === 4 || row.name === "e";
+    });
+
+    expect(removed).to.eq(2);
+    expect(indices).to.deep.eq([0, 1, 2, 3, 4]);
+    expect(data.length).to.eq(3);
+    expect(data.chunks[0].columns).to.eq(keptChunk);
+    expect(data.chunks[1].columns.x).to.be.instanceOf(Float32Array);
+    expect(Array.from(data.chunks[1].columns.x)).to.deep.eq([3]);
+    expect(data.chunks[1].columns.name).to.deep.eq(["c"]);
+  });
+
+  it("can drop chunks with every row removed", () => {
+    const data = createColumnarData();
+    appendToColumnarData(data, { x: [1, 2] }, 2);
+    removeFromColumnarData(data, () => true);
+
+    expect(data.length).to.eq(0);
+    expect(data.chunks).to.have.lengthOf(0);
+  });
+});
+
+describe("Converting rows to columns", () => {
+  it("can use the attributes of the first row", () => {
+    expect(
+      rowsToColumns([
+        { x: 1, name: "a" },
+        { x: 2, name: "b", extra: true },
+      ])
+    ).to.deep.eq({ x: [1, 2], name: ["a", "b"] });
+    expect(rowsToColumns([])).to.deep.eq({});
+  });
+});
+
+describe("Converting records to columns", () => {
+  it("can store hinted numbers in typed arrays", () => {
+    const columns = recordsToColumns(
+      [
+        ["chr1", "100", "true"],
+        ["chr2", "5", "0"],
+      ],
+      ["chr", "start", "flag"],
+      { start: "integer", flag: "boolean" }
+    );
+
+    expect(columns.chr).to.deep.eq(["chr1", "chr2"]);
+    expect(columns.start).to.be.instanceOf(Float64Array);
+    expect(Array.from(columns.start)).to.deep.eq([100, 5]);
+    expect(columns.flag).to.deep.eq([true, false]);
+  });
+
+  it("can infer which columns without hints are numbers", () => {
+    const headers = ["x", "id", "name", "empty"];
+    const inferredTypes = {};
+    const types = inferColumnTypes(
+      [
+        ["1.5", "007", "a", ""],
+        ["-2e3", "1", "b", ""],
+        ["", "2", "c", ""],
+      ],
+      headers,
+      { name: "string" },
+      inferredTypes
+    );
+    expect(types).to.deep.eq({
+      x: "number",
+      id: "string",
+      name: "string",
+      empty: "string",
+    });
+
+    const columns = recordsToColumns([["1.5"], ["-2e3"], [""]], ["x"], types);
+    expect(columns.x).to.be.instanceOf(Float64Array);
+    expect(Array.from(columns.x)).to.deep.eq([1.5, -2000, NaN]);
+
+    // Later batches keep the types of the first, even with text in a number column
+    expect(
+      inferColumnTypes([["x", "3", "d", "4"]], headers, {}, inferredTypes)
+    ).to.deep.eq(types);
+  });
+
+  it("can keep the types of columns across the batches of a file", () => {
+    const fetchData = globalThis.fetch;
+    const chunks = ["x,name\n1,a\n2,b\n", "three,c\n4,d\n"];
+    globalThis.fetch = () =>
+      Promise.resolve(
+        new Response(
+          new ReadableStream({
+            start(controller) {
+              chunks.forEach((chunk) =>
+                controller.enqueue(new TextEncoder().encode(chunk))
+              );
+              controller.close();
+            },
+          })
+        )
+      );
+
+    const batches = [];
+    return loadDataSource(
+      { url: "data.csv", format: { type: "csv" } },
+      (columns, numRows) => {
+        if (numRows > 0) {
+          batches.push(columns);
+        }
+      }
+    )
+      .then(() => {
+        expect(batches).to.have.lengthOf(2);
+        batches.forEach((columns) => {
+          expect(columns.x).to.be.instanceOf(Float64Array);
+          expect(columns.name).to.be.instanceOf(Array);
+        });
+        expect(Array.from(batches[1].x)).to.deep.eq([NaN, 4]);
+        expect(batches[1].name).to.deep.eq(["c", "d"]);
+      })
+      .finally(() => {
+        globalThis.fetch = fetchData;
+      });
+  });
+
+  it("keeps the attributes tracks read as text as strings", () => {
+    const source = addTextTypeHints({ url: "data.csv", format: {} }, [
+      {
+        x: { type: "genomic", chrAttribute: "chr", geneAttribute: "start" },
+        color: { type: "categorical", attribute: "sample" },
+        y: { type: "quantitative", attribute: "score" },
+      },
+    ]);
+    expect(source.format.types).to.deep.eq({
+      chr: "string",
+      sample: "string",
+    });
+  });
+});
+
+describe("Receiving data from the data loader worker", () => {
+  const createReceiver = () => {
+    const port = {};
+    const receiver = new DataReceiver(port);
+    return [receiver, (message) => port.onmessage({ data: message })];
+  };
+
+  it("can hand batches to the source they are for", () => {
+    const [receiver, post] = createReceiver();
+    const loadData = receiver.getLoaderFor(1);
+    const batches = [];
+    const loaded = loadData({}, (...batch) => batches.push(batch), 0);
+
+    const columns = { x: [1] };
+    post({ type: "dataBatch", loadId: 1, sourceId: 0, columns, numRows: 1 });
+    post({ type: "dataBatch", loadId: 1, sourceId: "defaultData", numRows: 1 });
+    post({ type: "dataLoaded", loadId: 1, sourceId: 0 });
+
+    return loaded.then(() => {
+      expect(batches).to.have.lengthOf(1);
+      expect(batches[0][0]).to.eq(columns);
+    });
+  });
+
+  it("can reject the load of a source whose batch can not be handled", () => {
+    const [receiver, post] = createReceiver();
+    const batches = [];
+    const loaded = receiver.getLoaderFor(1)(
+      {},
+      (columns, numRows) => {
+        batches.push(numRows);
+        throw new VisualizationError("Could not map", { stage: "mapping" });
+      },
+      0
+    );
+
+    post({ type: "dataBatch", loadId: 1, sourceId: 0, numRows: 1 });
+    post({ type: "dataBatch", loadId: 1, sourceId: 0, numRows: 2 });
+    post({ type: "dataLoaded", loadId: 1, sourceId: 0 });
+
+    return loaded.then(
+      () => expect.fail("the load should be rejected"),
+      (error) => {
+        expect(error.message).to.eq("Could not map");
+        expect(batches).to.deep.eq([1]);
+      }
+    );
+  });
+
+  it("can drop batches of old loads and keep batches of new loads", () => {
+    const [receiver, post] = createReceiver();
+    receiver.getLoaderFor(1);
+    post({ type: "dataBatch", loadId: 1, sourceId: 0, numRows: 1 });
+    post({ type: "dataBatch", loadId: 2, sourceId: 0, numRows: 2 });
+    post({ type: "dataLoaded", loadId: 2, sourceId: 0 });
+
+    const batches = [];
+    return receiver
+      .getLoaderFor(2)({}, (columns, numRows) => batches.push(numRows), 0)
+      .then(() => expect(batches).to.deep.eq([2]));
+  });
+});
@@ -1,7 +1,12 @@
 import { Validator } from "jsonschema";
 import isJSONValid from "../../src/epiviz.gl/specification-validation";
 
-import { channel, track } from "../../src/epiviz.gl/specification-validation";
+import {
+  channel,
+  format,
+  track,
+  transform,
+} from "../../src/epiviz.gl/specification-validation";
 
 const baseValidTrack = {
   mark: "point",
@@ -23,6 +28,8 @@ describe("Visualization Specification Validation", function () {
 
   const trackValidator = new Validator();
   trackValidator.addSchema(channel, "/channel");
+  trackValidator.addSchema(format, "/format");
+  trackValidator.addSchema(transform, "/transform");
 
   before(() => {
     // check if the import worked correctly
@@ -519,6 +526,106 @@ describe("Visualization Specification Validation", function () {
         })
       ).to.eq(false);
     });
+
+    it("can allow a url with a format for data", function () {
+      expect(
+        validate({
+          ...baseValidTrack,
+          data: { url: "example.com/data.csv" },
+        })
+      ).to.eq(true);
+
+      expect(
+        validate({
+          ...baseValidTrack,
+          data: {
+            url: "example.com/peaks.bed",
+            format: {
+              type: "tsv",
+              header: false,
+              columns: ["chr", "start", "end"],
+              comment: "#",
+              types: { start: "integer", end: "integer" },
+            },
+          },
+        })
+      ).to.eq(true);
+
+      expect(
+        validate({
+          ...baseValidTrack,
+          data: { url: "example.com/data.csv", format: { delimiter: ";" } },
+        })
+      ).to.eq(true);
+    });
+
+    it("can reject an invalid format for data", function () {
+      expect(
+        validate({
+          ...baseValidTrack,
+          data: { url: "example.com/peaks.bed", format: { header: false } },
+        })
+      ).to.eq(false);
+
+      expect(
+        validate({
+          ...baseValidTrack,
+          data: { url: "example.com/data.csv", format: { delimiter: ",," } },
+        })
+      ).to.eq(false);
+
+      expect(
+        validate({
+          ...baseValidTrack,
+          data: {
+            url: "example.com/data.csv",
+            format: { types: { attr: "date" } },
+          },
+        })
+      ).to.eq(false);
+
+      expect(
+        validate({
+          ...baseValidTrack,
+          data: { url: "example.com/data.csv", extra: [1, 2] },
+        })
+      ).to.eq(false);
+    });
+
+    it("can allow transforms", function () {
+      expect(
+        validate({
+          ...baseValidTrack,
+          transform: [
+            { filter: "datum.score > 0.5" },
+            { filter: { field: "chr", oneOf: ["chr1", "chr2"] } },
+            { calculate: "datum.end - datum.start", as: "length" },
+            { bin: { maxbins: 20 }, field: "length", as: "lengthBin" },
+            {
+              aggregate: [{ op: "count", as: "count" }],
+              groupby: ["lengthBin", "lengthBin_end"],
+            },
+            { sort: [{ field: "count", order: "descending" }] },
+            { fold: ["lengthBin", "lengthBin_end"] },
+          ],
+        })
+      ).to.eq(true);
+    });
+
+    it("can reject invalid transforms", function () {
+      for (const invalidTransform of [
+        { calculate: "datum.x * 2" },
+        { filter: { field: "x" } },
+        { bin: { step: 0 }, field: "x", as: "b" },
+        { aggregate: [{ op: "median", field: "x", as: "m" }] },
+        { sort: [] },
+        { unknown: true },
+      ]) {
+        expect(
+          validate({ ...baseValidTrack, transform: [invalidTransform] })
+        ).to.eq(false);
+      }
+    });
   });
 
   context("visualization validation", function () {
@@ -589,6 +696,47 @@ describe("Visualization Specification Validation", function () {
           tracks: baseValidVisualization.tracks,
         })
       ).to.eq(false);
+
+      expect(
+        isJSONValid({
+          defaultData: { url: "example.com/data.csv", format: { type: "xls" } },
+          tracks: baseValidVisualization.tracks,
+        })
+      ).to.eq(false);
+    });
+
+    it("can allow a url with a format for default data", function () {
+      expect(
+        isJSONValid({
+          defaultData: {
+            url: "example.com/data.tsv",
+            format: { type: "tsv", comment: "#" },
+          },
+          tracks: baseValidVisualization.tracks,
+        })
+      ).to.eq(true);
+    });
+
+    it("can validate a tooltip template", function () {
+      expect(
+        isJSONValid({
+          ...baseValidVisualization,
+          tooltip: [
+            { attribute: "score", title: "Score", format: ".2f" },
+            { channel: "x" },
+          ],
+        })
+      ).to.eq(true);
+
+      for (const invalidRow of [
+        { title: "Score" },
+        { channel: "color" },
+        { attribute: "score", color: "red" },
+      ]) {
+        expect(
+          isJSONValid({ ...baseValidVisualization, tooltip: [invalidRow] })
+        ).to.eq(false);
+      }
     });
 
     it("can require tracks to have data specified if defaultData is not present", function () {
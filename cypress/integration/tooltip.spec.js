@@ -0,0 +1,79 @@
+import { areTooltipsShown, getTooltipRows } from "../../src/epiviz.gl/tooltip";
+import { GenomeScale } from "../../src/epiviz.gl/genome-sizes";
+import { getScaleForSpecification } from "../../src/epiviz.gl/utilities";
+
+const getViewport = (xRange, yRange) => ({
+  minX: -1,
+  maxX: 1,
+  minY: -1,
+  maxY: 1,
+  xRange,
+  yRange,
+});
+
+const point = {
+  score: 0.12345,
+  name: "gene",
+  geometry: { coordinates: [0.5, -0.5] },
+};
+
+describe("Tooltips", () => {
+  it("can show tooltips depending on the zoom", () => {
+    const zoomedOut = getViewport([-1, 1], [-1, 1]);
+    const zoomedIn = getViewport([0, 0.1], [-1, 1]);
+
+    expect(areTooltipsShown({}, zoomedIn)).to.eq(false);
+    expect(areTooltipsShown({ tooltips: 0 }, zoomedIn)).to.eq(false);
+    expect(areTooltipsShown({ tooltips: 1 }, zoomedOut)).to.eq(true);
+    expect(areTooltipsShown({ tooltips: 0.1 }, zoomedOut)).to.eq(false);
+    expect(areTooltipsShown({ tooltips: 0.1 }, zoomedIn)).to.eq(true);
+  });
+
+  it("can show every attribute without a template", () => {
+    expect(getTooltipRows(point, undefined, {})).to.deep.eq([
+      ["score", "0.12345"],
+      ["name", "gene"],
+    ]);
+  });
+
+  it("can show rows of a template", () => {
+    const xScale = getScaleForSpecification("x", {
+      tracks: [
+        {
+          x: { type: "quantitative", domain: [0, 100] },
+          y: { type: "quantitative", domain: [0, 1] },
+        },
+      ],
+    });
+
+    expect(
+      getTooltipRows(
+        point,
+        [
+          { attribute: "score", title: "Score", format: ".2f" },
+          { channel: "x", format: ".1f" },
+        ],
+        { x: xScale }
+      )
+    ).to.deep.eq([
+      ["Score", "0.12"],
+      // Coordinates of quantitative channels are in the units of the data
+      ["x", "0.5"],
+    ]);
+  });
+
+  it("can show genomic positions", () => {
+    const genomeScale = GenomeScale.completeScale("hg38").toCallable();
+    const genomicPoint = {
+      geometry: { coordinates: [genomeScale(["2", 1500000]), 0] },
+    };
+
+    expect(
+      getTooltipRows(
+        genomicPoint,
+        [{ channel: "x", title: "Position", format: "," }],
+        { x: genomeScale }
+      )
+    ).to.deep.eq([["Position", "chr2:1,500,000"]]);
+  });
+});
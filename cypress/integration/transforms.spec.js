@@ -0,0 +1,277 @@
+import {
+  compileTransform,
+  needsAllRows,
+  TransformedData,
+} from "../../src/epiviz.gl/transforms";
+import {
+  appendToColumnarData,
+  createColumnarData,
+  removeFromColumnarData,
+} from "../../src/epiviz.gl/data-loader";
+import { VisualizationError } from "../../src/epiviz.gl/errors";
+
+const getColumns = () => ({
+  chr: ["chr1", "chr2", "chr2", "chr1"],
+  start: Float64Array.from([10, 20, 30, 40]),
+  end: Float64Array.from([15, 40, 31, 60]),
+  score: Float64Array.from([0.2, 0.9, 0.6, 0.4]),
+});
+
+const transform = (specification, columns = getColumns()) =>
+  compileTransform(specification)(columns, columns.chr.length);
+
+describe("Applying transforms", () => {
+  it("can filter with an expression", () => {
+    const { columns, numRows } = transform({ filter: "datum.score > 0.5" });
+    expect(numRows).to.eq(2);
+    expect(columns.chr).to.deep.eq(["chr2", "chr2"]);
+    expect(columns.start).to.be.instanceOf(Float64Array);
+    expect(Array.from(columns.start)).to.deep.eq([20, 30]);
+  });
+
+  it("can filter with a predicate", () => {
+    expect(
+      transform({ filter: { field: "chr", equal: "chr2" } }).numRows
+    ).to.eq(2);
+    expect(
+      transform({ filter: { field: "chr", oneOf: ["chr1", "chr3"] } }).numRows
+    ).to.eq(2);
+    expect(
+      Array.from(
+        transform({ filter: { field: "score", range: [0.4, null] } }).columns
+          .score
+      )
+    ).to.deep.eq([0.9, 0.6, 0.4]);
+    expect(
+      transform({ filter: { field: "start", gt: 10, lte: 30 } }).numRows
+    ).to.eq(2);
+  });
+
+  it("can calculate a field", () => {
+    const { columns } = transform({
+      calculate: "datum.end - datum.start",
+      as: "length",
+    });
+    expect(columns.length).to.deep.eq([5, 20, 1, 20]);
+    expect(columns.chr).to.deep.eq(getColumns().chr);
+  });
+
+  it("can bin with a step", () => {
+    const { columns } = transform({
+      bin: { step: 25 },
+      field: "start",
+      as: ["bin_start", "bin_end"],
+    });
+    expect(Array.from(columns.bin_start)).to.deep.eq([0, 0, 25, 25]);
+    expect(Array.from(columns.bin_end)).to.deep.eq([25, 25, 50, 50]);
+  });
+
+  it("can bin over the extent of the field", () => {
+    const { columns } = transform({
+      bin: { maxbins: 3 },
+      field: "start",
+      as: "bin",
+    });
+    expect(Array.from(columns.bin)).to.deep.eq([10, 20, 30, 30]);
+    expect(Array.from(columns.bin_end)).to.deep.eq([20, 30, 40, 40]);
+  });
+
+  it("can aggregate groups", () => {
+    const { columns, numRows } = transform({
+      aggregate: [
+        { op: "count", as: "count" },
+        { op: "mean", field: "score", as: "meanScore" },
+        { op: "max", field: "end", as: "maxEnd" },
+      ],
+      groupby: ["chr"],
+    });
+    expect(numRows).to.eq(2);
+    expect(columns.chr).to.deep.eq(["chr1", "chr2"]);
+    expect(Array.from(columns.count)).to.deep.eq([2, 2]);
+    expect(columns.meanScore[0]).to.be.closeTo(0.3, 1e-9);
+    expect(columns.meanScore[1]).to.be.closeTo(0.75, 1e-9);
+    expect(Array.from(columns.maxEnd)).to.deep.eq([60, 40]);
+  });
+
+  it("rejects fields that are not attributes of the data", () => {
+    const getError = (specification) => {
+      try {
+        transform(specification);
+      } catch (error) {
+        return error;
+      }
+    };
+
+    const missingGroup = getError({
+      aggregate: [{ op: "count", as: "count" }],
+      groupby: ["strand"],
+    });
+    expect(missingGroup).to.be.instanceOf(VisualizationError);
+    expect(missingGroup.message).to.contain("strand");
+    expect(missingGroup.stage).to.eq("transform");
+    expect(missingGroup.attribute).to.eq("strand");
+
+    const missingField = getError({
+      aggregate: [{ op: "sum", field: "cost", as: "total" }],
+      groupby: ["chr"],
+    });
+    expect(missingField.stage).to.eq("transform");
+    expect(missingField.attribute).to.eq("cost");
+
+    const missingSort = getError({ sort: [{ field: "strand" }] });
+    expect(missingSort).to.be.instanceOf(VisualizationError);
+    expect(missingSort.attribute).to.eq("strand");
+  });
+
+  it("can sort by several fields", () => {
+    const { columns } = transform({
+      sort: [{ field: "chr" }, { field: "score", order: "descending" }],
+    });
+    expect(columns.chr).to.deep.eq(["chr1", "chr1", "chr2", "chr2"]);
+    expect(Array.from(columns.score)).to.deep.eq([0.4, 0.2, 0.9, 0.6]);
+  });
+
+  it("can fold fields into rows", () => {
+    const { columns, numRows } = transform({
+      fold: ["start", "end"],
+      as: ["side", "position"],
+    });
+    expect(numRows).to.eq(8);
+    expect(columns.side.slice(0, 4)).to.deep.eq([
+      "start",
+      "end",
+      "start",
+      "end",
+    ]);
+    expect(columns.position.slice(0, 4)).to.deep.eq([10, 15, 20, 40]);
+    expect(columns.chr.slice(0, 4)).to.deep.eq([
+      "chr1",
+      "chr1",
+      "chr2",
+      "chr2",
+    ]);
+  });
+
+  it("can transform numbers read as text", () => {
+    // As read from a CSV file without type hints
+    const text = {
+      chr: ["1", "2", "2", "10"],
+      start: ["10", "9", "2", "100"],
+      score: ["0.2", "0.9", "0.6", "0.4"],
+    };
+    const transformText = (specification) =>
+      compileTransform(specification)(text, 4);
+
+    expect(transformText({ filter: { field: "chr", equal: 2 } }).numRows).to.eq(
+      2
+    );
+    expect(
+      transformText({ filter: { field: "chr", oneOf: [1, "10"] } }).numRows
+    ).to.eq(2);
+    expect(
+      transformText({ filter: { field: "start", gt: 9, lte: 100 } }).columns
+        .start
+    ).to.deep.eq(["10", "100"]);
+    expect(transformText({ filter: "datum.start > 9" }).numRows).to.eq(2);
+    expect(
+      transformText({ calculate: "datum.start + datum.score", as: "sum" })
+        .columns.sum
+    ).to.deep.eq([10.2, 9.9, 2.6, 100.4]);
+
+    const { columns } = transformText({
+      aggregate: [{ op: "sum", field: "start", as: "total" }],
+      groupby: ["chr"],
+    });
+    expect(Array.from(columns.total)).to.deep.eq([10, 11, 100]);
+    expect(
+      transformText({ sort: [{ field: "start" }] }).columns.start
+    ).to.deep.eq(["2", "9", "10", "100"]);
+    expect(
+      Array.from(
+        transformText({ bin: { maxbins: 2 }, field: "start", as: "bin" })
+          .columns.bin
+      )
+    ).to.deep.eq([2, 2, 2, 51]);
+  });
+
+  it("can tell which transforms need every row", () => {
+    expect(needsAllRows({ filter: "datum.x > 1" })).to.eq(false);
+    expect(needsAllRows({ bin: { step: 1 }, field: "x", as: "b" })).to.eq(
+      false
+    );
+    expect(needsAllRows({ bin: true, field: "x", as: "b" })).to.eq(true);
+    expect(needsAllRows({ sort: [{ field: "x" }] })).to.eq(true);
+    expect(needsAllRows({ aggregate: [{ op: "count", as: "n" }] })).to.eq(true);
+  });
+});
+
+describe("Deriving rows as data arrives", () => {
+  it("can derive the rows of new chunks", () => {
+    const data = createColumnarData();
+    const transformed = new TransformedData(data, [
+      { filter: { field: "x", gt: 1 } },
+      { calculate: "datum.x * 2", as: "double" },
+    ]);
+
+    appendToColumnarData(data, { x: [1, 2] }, 2);
+    transformed.update();
+    expect(transformed.length).to.eq(1);
+
+    appendToColumnarData(data, { x: [3, 4] }, 2);
+    transformed.update();
+    expect(transformed.length).to.eq(3);
+    expect(transformed.chunks[1].columns.double).to.deep.eq([6, 8]);
+  });
+
+  it("can wait for every row before aggregating", () => {
+    const data = createColumnarData();
+    const transformed = new TransformedData(data, [
+      { aggregate: [{ op: "sum", field: "x", as: "total" }] },
+    ]);
+
+    appendToColumnarData(data, { x: [1, 2] }, 2);
+    transformed.update();
+    expect(transformed.length).to.eq(0);
+
+    appendToColumnarData(data, { x: [3] }, 1);
+    data.isComplete = true;
+    transformed.update();
+    expect(transformed.length).to.eq(1);
+    expect(transformed.chunks[0].columns.total[0]).to.eq(6);
+    expect(transformed.needsAllRows).to.eq(true);
+  });
+
+  it("can derive the rows again after rows are removed", () => {
+    const data = createColumnarData();
+    const transformed = new TransformedData(data, [
+      { calculate: "datum.x + 1", as: "next" },
+    ]);
+    appendToColumnarData(data, { x: [1, 2] }, 2);
+    appendToColumnarData(data, { x: [3] }, 1);
+    transformed.update();
+
+    removeFromColumnarData(data, (row) => row.x === 2);
+    transformed.update();
+    expect(transformed.length).to.eq(2);
+    expect(
+      transformed.chunks.flatMap((chunk) => chunk.columns.next)
+    ).to.deep.eq([2, 4]);
+  });
+
+  it("can derive rows from derived rows", () => {
+    const data = createColumnarData();
+    const shared = new TransformedData(data, [
+      { filter: "datum.chr === 'chr2'" },
+    ]);
+    const transformed = new TransformedData(shared, [
+      { sort: [{ field: "start", order: "descending" }] },
+    ]);
+
+    appendToColumnarData(data, getColumns(), 4);
+    data.isComplete = true;
+    transformed.update();
+    expect(Array.from(transformed.chunks[0].columns.start)).to.deep.eq([
+      30, 20,
+    ]);
+  });
+});
@@ -0,0 +1,66 @@
+import {
+  animateRanges,
+  getRangesToFit,
+  EASINGS,
+} from "../../src/epiviz.gl/viewport-transition";
+
+const from = { xRange: [0, 10], yRange: [0, 1] };
+const to = { xRange: [20, 40], yRange: [0, 1] };
+
+describe("Viewport transitions", () => {
+  it("can animate ranges until they are reached", () => {
+    const frames = [];
+    const { promise } = animateRanges(from, to, { duration: 100 }, (ranges) =>
+      frames.push(ranges)
+    );
+    return promise.then((isFinished) => {
+      expect(isFinished).to.eq(true);
+      expect(frames.length).to.be.greaterThan(1);
+      expect(frames[frames.length - 1]).to.deep.eq(to);
+      // Every frame is between the ranges and further along than the one before
+      frames.slice(1).forEach((ranges, i) => {
+        expect(ranges.xRange[0]).to.be.within(frames[i].xRange[0], 20);
+      });
+    });
+  });
+
+  it("can jump or stop without reaching the ranges", () => {
+    const jumps = [];
+    const jump = animateRanges(from, to, { duration: 0 }, (ranges) =>
+      jumps.push(ranges)
+    );
+    const stopped = animateRanges(from, to, { duration: 100 }, () => {});
+    stopped.cancel();
+
+    expect(() => animateRanges(from, to, { easing: "bounce" })).to.throw(
+      "bounce is not a known easing"
+    );
+    return Promise.all([jump.promise, stopped.promise]).then(
+      ([isJumpFinished, isStoppedFinished]) => {
+        expect(jumps).to.deep.eq([to]);
+        expect(isJumpFinished).to.eq(true);
+        expect(isStoppedFinished).to.eq(false);
+      }
+    );
+  });
+
+  it("has easings from 0 to 1", () => {
+    Object.values(EASINGS).forEach((ease) => {
+      expect(ease(0)).to.eq(0);
+      expect(ease(1)).to.eq(1);
+      expect(ease(0.5)).to.be.within(0, 1);
+    });
+  });
+
+  it("can fit ranges to bounds with padding", () => {
+    expect(getRangesToFit([10, 0, 20, 100], 0.1, from)).to.deep.eq({
+      xRange: [9, 21],
+      yRange: [-10, 110],
+    });
+    // A single point keeps the size of the current ranges
+    expect(getRangesToFit([5, 5, 5, 5], 0.1, from)).to.deep.eq({
+      xRange: [0, 10],
+      yRange: [4.5, 5.5],
+    });
+  });
+});
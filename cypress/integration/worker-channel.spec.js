@@ -0,0 +1,121 @@
+import WorkerChannel from "../../src/epiviz.gl/worker-channel";
+import { VisualizationError } from "../../src/epiviz.gl/errors";
+import { createMessageHandler } from "../../src/epiviz.gl/data-processor-worker";
+
+// Stands in for a worker, keeping the messages posted to it until they are answered
+class FakeWorker {
+  constructor() {
+    this.messages = [];
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  respond(message, data) {
+    this.onmessage({ data: { type: message.type, id: message.id, ...data } });
+  }
+}
+
+// Stands in for a worker running the message handler of a worker module
+class HandlerWorker {
+  constructor(createHandler) {
+    this.handle = createHandler((data) => this.onmessage({ data }));
+  }
+
+  postMessage(message) {
+    this.handle({ data: message });
+  }
+}
+
+describe("Worker channel", () => {
+  it("can pair responses arriving out of order with their requests", () => {
+    const worker = new FakeWorker();
+    const channel = new WorkerChannel(worker);
+
+    const first = channel.request({ type: "queryBox", bounds: [0, 0, 1, 1] });
+    const second = channel.request({ type: "queryBox", bounds: [1, 1, 2, 2] });
+    expect(worker.messages[0].id).to.not.eq(worker.messages[1].id);
+
+    worker.respond(worker.messages[1], { result: "second" });
+    worker.respond(worker.messages[0], { result: "first" });
+
+    return Promise.all([first, second]).then(([firstData, secondData]) => {
+      expect(firstData.result).to.eq("first");
+      expect(secondData.result).to.eq("second");
+    });
+  });
+
+  it("can cancel a request superseded by one with the same key", () => {
+    const worker = new FakeWorker();
+    const channel = new WorkerChannel(worker);
+
+    const stale = channel.request({ type: "getClosestPoint" }, "hover");
+    const other = channel.request({ type: "getClickPoint" });
+    const latest = channel.request({ type: "getClosestPoint" }, "hover");
+
+    // The response of the stale request is dropped
+    worker.respond(worker.messages[0], { closestPoint: "stale" });
+    worker.respond(worker.messages[1], { closestPoint: "other" });
+    worker.respond(worker.messages[2], { closestPoint: "latest" });
+
+    return Promise.all([stale, other, latest]).then((results) => {
+      expect(results[0]).to.eq(null);
+      expect(results[1].closestPoint).to.eq("other");
+      expect(results[2].closestPoint).to.eq("latest");
+    });
+  });
+
+  it("can reject a request the worker fails to answer", () => {
+    const worker = new FakeWorker();
+    const errors = [];
+    const channel = new WorkerChannel(worker, undefined, (error) =>
+      errors.push(error)
+    );
+
+    const failed = channel.request({ type: "exportImage" });
+    const answered = channel.request({ type: "exportSVG" });
+    worker.respond(worker.messages[0], {
+      type: "error",
+      message: "Could not draw",
+      stage: "drawing",
+    });
+    worker.respond(worker.messages[1], { svg: "<svg/>" });
+
+    return Promise.all([
+      failed.then(
+        () => expect.fail("the request should be rejected"),
+        (error) => error
+      ),
+      answered,
+    ]).then(([error, data]) => {
+      expect(error).to.be.instanceOf(VisualizationError);
+      expect(error).to.include({ message: "Could not draw", stage: "drawing" });
+      expect(errors).to.deep.eq([error]);
+      expect(data.svg).to.eq("<svg/>");
+    });
+  });
+
+  it("can reject requests the data processor worker fails to answer", () => {
+    const channel = new WorkerChannel(new HandlerWorker(createMessageHandler));
+
+    // There is no processor before the init message
+    return channel.request({ type: "queryBox", bounds: [0, 0, 1, 1] }).then(
+      () => expect.fail("the request should be rejected"),
+      (error) => {
+        expect(error).to.be.instanceOf(VisualizationError);
+        expect(error.stage).to.eq("worker");
+        expect(channel.pending.size).to.eq(0);
+      }
+    );
+  });
+
+  it("can pass on messages that are not responses", () => {
+    const worker = new FakeWorker();
+    const received = [];
+    new WorkerChannel(worker, (message) => received.push(message.data.type));
+
+    worker.onmessage({ data: { type: "dataProgress" } });
+    expect(received).to.deep.eq(["dataProgress"]);
+  });
+});
@@ -5,7 +5,7 @@ import json from "@rollup/plugin-json";
 import OMT from "@surma/rollup-plugin-off-main-thread";
 import nodePolyfills from "rollup-plugin-node-polyfills";
 
-export default {
+const browserConfig = {
   input: "src/index.js",
   output: {
     dir: "dist",
@@ -19,3 +19,22 @@ export default {
     nodePolyfills(),
   ],
 };
+
+// Rendering without a browser, see src/node.js. The dependencies are imported from
+// node_modules by Node, and the JSON schemas of the specification are inlined.
+const nodeConfig = {
+  input: "src/node.js",
+  output: {
+    file: "dist/node.js",
+    format: "esm",
+  },
+  external: [
+    ...Object.keys(pkg.dependencies),
+    ...Object.keys(pkg.peerDependencies),
+  ].map((name) => new RegExp(`^${name}(/|$)`)),
+  plugins: [resolve(), json()],
+};
+
+export default process.env.BUILD === "node"
+  ? nodeConfig
+  : [browserConfig, nodeConfig];
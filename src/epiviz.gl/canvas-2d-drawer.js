@@ -0,0 +1,316 @@
+import TrackDrawer from "./track-drawer";
+import { VisualizationError } from "./errors";
+import {
+  forEachPrimitive,
+  toHexColor,
+  DOT_OUTLINE_RADIUS,
+} from "./image-export";
+import { getEmphasisPasses } from "./mark-emphasis";
+
+// Distance in pixels from a line within which it covers a pixel, lines are 1 pixel wide
+const LINE_HALF_WIDTH = 0.5;
+
+/**
+ * Check whether a point is inside of a triangle.
+ *
+ * @param {Array} point [x, y]
+ * @param {Array} triangle of three [x, y] vertices
+ * @returns boolean
+ */
+const isInTriangle = ([x, y], [[x1, y1], [x2, y2], [x3, y3]]) => {
+  const side1 = (x - x2) * (y1 - y2) - (x1 - x2) * (y - y2);
+  const side2 = (x - x3) * (y2 - y3) - (x2 - x3) * (y - y3);
+  const side3 = (x - x1) * (y3 - y1) - (x3 - x1) * (y - y1);
+  const hasNegative = side1 < 0 || side2 < 0 || side3 < 0;
+  const hasPositive = side1 > 0 || side2 > 0 || side3 > 0;
+  return !(hasNegative && hasPositive);
+};
+
+/**
+ * Get the distance from a point to a line segment.
+ *
+ * @param {Array} point [x, y]
+ * @param {Array} segment of two [x, y] vertices
+ * @returns Number
+ */
+const distanceToSegment = ([x, y], [[x1, y1], [x2, y2]]) => {
+  const lengthSquared = (x2 - x1) ** 2 + (y2 - y1) ** 2;
+  const t =
+    lengthSquared === 0
+      ? 0
+      : Math.max(
+          0,
+          Math.min(
+            1,
+            ((x - x1) * (x2 - x1) + (y - y1) * (y2 - y1)) / lengthSquared
+          )
+        );
+  return Math.hypot(x - (x1 + t * (x2 - x1)), y - (y1 + t * (y2 - y1)));
+};
+
+/**
+ * Check whether a primitive covers a pixel.
+ *
+ * @param {String} drawMode of the primitive, see SemanticZoomer
+ * @param {Array} vertices of the primitive in pixels, from forEachPrimitive
+ * @param {Number} radius of dots in pixels
+ * @param {Array} pixel [x, y] of the center of the pixel
+ * @returns boolean
+ */
+const coversPixel = (drawMode, vertices, radius, pixel) => {
+  switch (drawMode) {
+    case "POINTS":
+      return (
+        Math.hypot(pixel[0] - vertices[0][0], pixel[1] - vertices[0][1]) <=
+        radius
+      );
+    case "TRIANGLES":
+      return isInTriangle(pixel, vertices);
+    default:
+      return distanceToSegment(pixel, vertices) <= LINE_HALF_WIDTH;
+  }
+};
+
+class Canvas2DDrawer extends TrackDrawer {
+  /**
+   * A drawer using the 2D context of a canvas instead of WebGL, for machines where WebGL2 is
+   * not available such as when it is blocklisted, and as a reference for what the
+   * {@link WebGLCanvasDrawer} draws. The marks have the same vertices and styles, the shaders
+   * are replaced by canvas calls, see forEachPrimitive in image-export.js.
+   *
+   * @param {Object} drawingData object containing keys for {@link Drawer#receiveViewport}
+   *  and canvas key used for drawing.
+   */
+  constructor(drawingData) {
+    super(drawingData);
+
+    this.context = this.canvas.getContext("2d", { alpha: false });
+    if (!this.context) {
+      throw new VisualizationError("Unable to initialize a 2D canvas!", {
+        stage: "drawing",
+      });
+    }
+  }
+
+  /**
+   * Draw the tracks and the emphasized marks in the current viewport.
+   *
+   * @param {Number=} pointScale to multiply the size of dots with, such as when drawing the
+   *  canvas at a multiple of its size
+   */
+  _drawFrame(pointScale = 1) {
+    const viewport = this.getWebGLViewport();
+    viewport[4] *= pointScale;
+
+    this.context.globalAlpha = 1;
+    this.context.fillStyle = "#ffffff";
+    this.context.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+    this.trackShaders.forEach((trackShader) =>
+      this._drawTrack(
+        trackShader,
+        this.semanticZoomer.getRecommendedDrawingMode(
+          trackShader,
+          this.currentXRange,
+          this.currentYRange
+        ),
+        viewport
+      )
+    );
+    this._drawEmphasizedMarks(viewport);
+  }
+
+  /**
+   * Draw the primitives of a track. Consecutive primitives of the same style are filled or
+   * stroked together.
+   *
+   * @param {VertexShader} trackShader of the track
+   * @param {String} drawMode the track is drawn with, see SemanticZoomer
+   * @param {Array} viewport from getWebGLViewport
+   */
+  _drawTrack(trackShader, drawMode, viewport) {
+    const context = this.context;
+    const isFilled = drawMode === "POINTS" || drawMode === "TRIANGLES";
+    context.lineWidth = 1;
+
+    let currentStyle;
+    const paint = () => (isFilled ? context.fill() : context.stroke());
+    const useStyle = (color, opacity) => {
+      const style = `${color} ${opacity}`;
+      if (style === currentStyle) {
+        return;
+      }
+      if (currentStyle !== undefined) {
+        paint();
+      }
+      currentStyle = style;
+      context.globalAlpha = opacity;
+      context.fillStyle = toHexColor(color);
+      context.strokeStyle = toHexColor(color);
+      context.beginPath();
+    };
+    const addDot = ([x, y], radius) => {
+      context.moveTo(x + radius, y);
+      context.arc(x, y, radius, 0, 2 * Math.PI);
+    };
+
+    forEachPrimitive(
+      trackShader,
+      drawMode,
+      viewport,
+      this.canvas.width,
+      this.canvas.height,
+      (vertices, style, radius) => {
+        if (drawMode !== "POINTS") {
+          useStyle(style.color, style.opacity);
+          context.moveTo(...vertices[0]);
+          vertices.slice(1).forEach((vertex) => context.lineTo(...vertex));
+          if (isFilled) {
+            context.closePath();
+          }
+        } else if (style.outline === undefined) {
+          useStyle(style.color, style.opacity);
+          addDot(vertices[0], radius);
+        } else {
+          useStyle(style.outline, style.opacity);
+          addDot(vertices[0], radius);
+          useStyle(style.color, style.opacity);
+          addDot(vertices[0], radius * DOT_OUTLINE_RADIUS);
+        }
+      }
+    );
+    if (currentStyle !== undefined) {
+      paint();
+    }
+  }
+
+  /**
+   * Draw the emphasis of the marks from emphasizePoint over the tracks.
+   *
+   * @param {Array} viewport from getWebGLViewport
+   */
+  _drawEmphasizedMarks(viewport) {
+    if (this.emphasizedMarks.length === 0) {
+      return;
+    }
+
+    const { width, height } = this.canvas;
+    const pixelSize = [
+      (viewport[2] - viewport[0]) / width,
+      (viewport[3] - viewport[1]) / height,
+    ];
+    const context = this.context;
+    context.globalAlpha = 1;
+
+    for (const mark of this.emphasizedMarks) {
+      const passes = getEmphasisPasses(
+        mark,
+        this.emphasisStyle,
+        pixelSize,
+        viewport[4]
+      );
+      for (const pass of passes) {
+        const [red, green, blue] = pass.color.map((channel) => channel * 255);
+        context.fillStyle = `rgb(${red}, ${green}, ${blue})`;
+        context.beginPath();
+        for (let i = 0; i + 1 < pass.vertices.length; i += 2) {
+          const x = (pass.vertices[i] - viewport[0]) / pixelSize[0];
+          const y =
+            height - (pass.vertices[i + 1] - viewport[1]) / pixelSize[1];
+          const vertex = i / 2;
+          if (pass.drawMode === "POINTS") {
+            context.moveTo(x + pass.pointSize / 2, y);
+            context.arc(x, y, pass.pointSize / 2, 0, 2 * Math.PI);
+          } else if (vertex % 3 === 0) {
+            context.moveTo(x, y);
+          } else {
+            context.lineTo(x, y);
+          }
+        }
+        context.fill();
+      }
+    }
+  }
+
+  /**
+   * Pick the topmost mark drawn at a point, like WebGLCanvasDrawer.pick does on the GPU, by
+   * checking which primitives cover the pixel under the point. Tracks that are not
+   * interactive are not picked.
+   *
+   * @param {Array} point [x, y] in the coordinates of the viewport, such as the mouse position
+   * @returns object of the form {trackIndex, rowIndex}, or null if no mark is drawn there
+   */
+  pick(point) {
+    if (!this.isRendered) {
+      return null;
+    }
+
+    const { width, height } = this.canvas;
+    const x = Math.floor(
+      ((point[0] - this.currentXRange[0]) /
+        (this.currentXRange[1] - this.currentXRange[0])) *
+        width
+    );
+    const y = Math.floor(
+      ((point[1] - this.currentYRange[0]) /
+        (this.currentYRange[1] - this.currentYRange[0])) *
+        height
+    );
+    if (x < 0 || y < 0 || x >= width || y >= height) {
+      return null;
+    }
+    // The center of the pixel, with the y axis pointing down like the vertices in pixels
+    const pixel = [x + 0.5, height - y - 0.5];
+
+    const viewport = this.getWebGLViewport();
+    let picked = null;
+    this.trackShaders.forEach((trackShader, trackIndex) => {
+      if (
+        this.specificationHelper.tracks[trackIndex].track.interactive === false
+      ) {
+        return;
+      }
+      const drawMode = this.semanticZoomer.getRecommendedDrawingMode(
+        trackShader,
+        this.currentXRange,
+        this.currentYRange
+      );
+      forEachPrimitive(
+        trackShader,
+        drawMode,
+        viewport,
+        width,
+        height,
+        (vertices, style, radius, lastVertex) => {
+          // Primitives drawn later are on top
+          if (coversPixel(drawMode, vertices, radius, pixel)) {
+            picked = { trackIndex, lastVertex };
+          }
+        }
+      );
+    });
+
+    if (!picked) {
+      return null;
+    }
+    const rowIndex = this.trackShaders[picked.trackIndex].getMarkOfVertex(
+      picked.lastVertex
+    );
+    return rowIndex === undefined
+      ? null
+      : { trackIndex: picked.trackIndex, rowIndex };
+  }
+
+  /**
+   * Start animating the tracks. The track shaders are drawn from directly, so there is
+   * nothing to prepare.
+   */
+  render() {
+    super.render();
+    this.isRendered = true;
+    this.needsAnimation = true;
+    this.animate();
+  }
+}
+
+export default Canvas2DDrawer;
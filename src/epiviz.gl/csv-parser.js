@@ -0,0 +1,196 @@
+const QUOTE = '"';
+
+// Functions to convert a field to the type hinted in the format of the data
+const TYPE_PARSERS = Object.freeze({
+  string: (field) => field,
+  number: (field) => parseFloat(field),
+  integer: (field) => parseInt(field, 10),
+  boolean: (field) => field === "true" || field === "1",
+});
+
+const TSV_EXTENSIONS = [".tsv", ".tab"];
+
+/**
+ * Get the delimiter to use for a data source from its format. An explicit delimiter takes
+ * precedence, then the type of the format, and lastly the extension of the url.
+ *
+ * @param {Object} format from the data property of a specification or track
+ * @param {String=} url of the data
+ * @returns delimiter character
+ */
+const getDelimiterForFormat = (format, url) => {
+  if (format.delimiter) {
+    return format.delimiter;
+  }
+  if (format.type === "tsv") {
+    return "\t";
+  }
+  if (
+    format.type === undefined &&
+    url &&
+    TSV_EXTENSIONS.some((extension) => url.toLowerCase().endsWith(extension))
+  ) {
+    return "\t";
+  }
+  return ",";
+};
+
+class CSVParser {
+  /**
+   * A tokenizer for delimited text following RFC 4180. Fields may be quoted to contain
+   * delimiters, line breaks, or quotes (escaped as ""). Records are separated by LF or CRLF.
+   * Text can be given in chunks as it is received, incomplete records are held until
+   * the rest of the record arrives.
+   *
+   * @param {Object} format of the data, see format.json in specification-validation
+   * @param {String=} url of the data, used to guess the delimiter if not specified
+   */
+  constructor(format = {}, url) {
+    this.delimiter = getDelimiterForFormat(format, url);
+    this.comment = format.comment;
+    this.remainder = "";
+  }
+
+  /**
+   * Parse a chunk of text into records.
+   *
+   * @param {String} text next chunk of text to parse
+   * @param {Boolean} isLastChunk whether no more text will be given
+   * @returns Array of records, each record is an Array of fields as strings. Empty lines and
+   *  comments are skipped.
+   */
+  parse(text, isLastChunk = false) {
+    const buffer = this.remainder + text;
+    const records = [];
+    let position = 0;
+
+    while (position < buffer.length) {
+      const parsed = this._parseRecord(buffer, position, isLastChunk);
+      if (!parsed) {
+        // Incomplete record, wait for the next chunk
+        break;
+      }
+      const [record, nextPosition] = parsed;
+      if (record) {
+        records.push(record);
+      }
+      position = nextPosition;
+    }
+
+    this.remainder = buffer.substring(position);
+    return records;
+  }
+
+  /**
+   * Parse a single record starting at position.
+   *
+   * @param {String} buffer text containing the record
+   * @param {Number} position index of buffer the record starts at
+   * @param {Boolean} isLastChunk whether the end of the buffer is the end of the data
+   * @returns [record, positionOfNextRecord] where record is null if the line was skipped, or
+   *  null if the record is incomplete
+   */
+  _parseRecord(buffer, position, isLastChunk) {
+    const lineEnd = buffer.indexOf("\n", position);
+    if (lineEnd === -1 && !isLastChunk) {
+      return null;
+    }
+    const nextPosition = lineEnd === -1 ? buffer.length : lineEnd + 1;
+    let line = buffer.substring(position, lineEnd === -1 ? undefined : lineEnd);
+    if (line.endsWith("\r")) {
+      line = line.substring(0, line.length - 1);
+    }
+
+    if (line.length === 0 || (this.comment && line.startsWith(this.comment))) {
+      return [null, nextPosition];
+    }
+
+    if (!line.includes(QUOTE)) {
+      // Fast path, most rows do not have quoted fields
+      return [line.split(this.delimiter), nextPosition];
+    }
+
+    return this._parseQuotedRecord(buffer, position, isLastChunk);
+  }
+
+  /**
+   * Parse a record with quoted fields character by character, as quoted fields
+   * may span multiple lines.
+   *
+   * @param {String} buffer text containing the record
+   * @param {Number} position index of buffer the record starts at
+   * @param {Boolean} isLastChunk whether the end of the buffer is the end of the data
+   * @returns same as {@link CSVParser#_parseRecord}
+   */
+  _parseQuotedRecord(buffer, position, isLastChunk) {
+    const record = [];
+    let field = "";
+    let atFieldStart = true;
+    let i = position;
+
+    while (i < buffer.length) {
+      const character = buffer[i];
+
+      if (character === QUOTE && atFieldStart) {
+        // Read until the closing quote, "" is an escaped quote
+        i++;
+        while (true) {
+          const closingQuote = buffer.indexOf(QUOTE, i);
+          if (closingQuote === -1) {
+            if (!isLastChunk) {
+              return null;
+            }
+            // Unterminated quote, take the rest of the text as the field
+            field += buffer.substring(i);
+            i = buffer.length;
+            break;
+          }
+          field += buffer.substring(i, closingQuote);
+          if (closingQuote + 1 >= buffer.length && !isLastChunk) {
+            // Can not tell if this quote is escaped yet
+            return null;
+          }
+          if (buffer[closingQuote + 1] === QUOTE) {
+            field += QUOTE;
+            i = closingQuote + 2;
+          } else {
+            i = closingQuote + 1;
+            break;
+          }
+        }
+        atFieldStart = false;
+        continue;
+      }
+
+      atFieldStart = false;
+      if (character === this.delimiter) {
+        record.push(field);
+        field = "";
+        atFieldStart = true;
+        i++;
+      } else if (character === "\n") {
+        record.push(field);
+        return [record, i + 1];
+      } else if (character === "\r" && buffer[i + 1] === "\n") {
+        record.push(field);
+        return [record, i + 2];
+      } else if (character === "\r" && i + 1 >= buffer.length && !isLastChunk) {
+        // May be the first half of a CRLF
+        return null;
+      } else {
+        field += character;
+        i++;
+      }
+    }
+
+    if (!isLastChunk) {
+      return null;
+    }
+    record.push(field);
+    return [record, buffer.length];
+  }
+}
+
+export default CSVParser;
+
+export { getDelimiterForFormat, TYPE_PARSERS };
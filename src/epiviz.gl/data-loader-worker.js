@@ -0,0 +1,173 @@
+/**
+ * The data loader worker loads and parses the data of a specification once for both the
+ * offscreen webgl worker and the data processor worker. Batches of columns are posted to
+ * them through the MessagePorts given by the {@link WebGLVis}, where a {@link DataReceiver}
+ * hands them to their {@link SpecificationProcessor}.
+ *
+ * Numeric columns, hinted or inferred from their fields, are stored in TypedArrays. They are
+ * posted in SharedArrayBuffers when the page is cross origin isolated, so both workers read
+ * the same memory. Otherwise one worker receives a copy and the other the transferred buffers.
+ *
+ * Data that can not be loaded is reported to the {@link WebGLVis} as an error message.
+ */
+import { getDataSourcesOfSpecification, loadDataSource } from "./data-loader";
+import {
+  addErrorContext,
+  forwardErrorsOfWorker,
+  toErrorMessage,
+} from "./errors";
+import { isWorkerScope } from "./utilities";
+
+const canShareMemory =
+  typeof SharedArrayBuffer !== "undefined" && globalThis.crossOriginIsolated;
+
+/**
+ * Get a column whose memory can be posted to every port without copying it.
+ *
+ * @param {Array|TypedArray} column of a batch
+ * @returns column backed by a SharedArrayBuffer if it is a TypedArray
+ */
+const toSharedColumn = (column) => {
+  if (!ArrayBuffer.isView(column)) {
+    return column;
+  }
+  const shared = new column.constructor(
+    new SharedArrayBuffer(column.byteLength)
+  );
+  shared.set(column);
+  return shared;
+};
+
+/**
+ * Get a column that owns its entire buffer, so transferring it does not detach the memory
+ * of other columns (e.g. Arrow batches are views into the bytes of the whole file).
+ *
+ * @param {Array|TypedArray} column of a batch
+ * @returns column which can be transferred
+ */
+const toTransferableColumn = (column) => {
+  if (
+    !ArrayBuffer.isView(column) ||
+    (column.byteOffset === 0 && column.byteLength === column.buffer.byteLength)
+  ) {
+    return column;
+  }
+  return column.slice();
+};
+
+/**
+ * Post a batch of columns to every port.
+ *
+ * @param {Array} ports MessagePorts to post the batch to
+ * @param {Object} message of type "dataBatch" without the columns
+ * @param {Object} columns mapping names to Arrays or TypedArrays
+ */
+const postBatch = (ports, message, columns) => {
+  const toPostableColumn = canShareMemory
+    ? toSharedColumn
+    : toTransferableColumn;
+  const postableColumns = {};
+  for (const [name, column] of Object.entries(columns)) {
+    postableColumns[name] = toPostableColumn(column);
+  }
+
+  const lastPort = ports[ports.length - 1];
+  ports
+    .slice(0, -1)
+    .forEach((port) =>
+      port.postMessage({ ...message, columns: postableColumns })
+    );
+
+  // The last port takes ownership of the buffers, the other ports received copies
+  const transfer = canShareMemory
+    ? []
+    : Object.values(postableColumns)
+        .filter((column) => ArrayBuffer.isView(column))
+        .map((column) => column.buffer);
+  lastPort.postMessage({ ...message, columns: postableColumns }, transfer);
+};
+
+/**
+ * Create the handler of the messages to the loader. A worker installs it as its onmessage,
+ * without module workers a {@link MainThreadWorker} runs it on the main thread.
+ *
+ * @param {Function} postMessage to post error messages to the {@link WebGLVis} with
+ * @returns function handling a MessageEvent
+ */
+const createMessageHandler = (postMessage) => {
+  const state = {}; // ports from the init message and loadId of the latest load
+
+  /**
+   * Load every data source of a specification, posting the batches as they are parsed.
+   *
+   * @param {Object} specification user defined specification
+   * @param {Number} loadId id to tag the messages of this load with
+   * @param {Array=} sourceIds ids of the sources to load, all sources if undefined
+   */
+  const load = (specification, loadId, sourceIds) => {
+    state.loadId = loadId;
+
+    const sources = getDataSourcesOfSpecification(specification).filter(
+      ({ id }) => !sourceIds || sourceIds.includes(id)
+    );
+    sources.forEach(({ id, source }) => {
+      loadDataSource(source, (columns, numRows, progress) => {
+        if (state.loadId !== loadId) {
+          return; // Superseded by a newer specification
+        }
+        postBatch(
+          state.ports,
+          { type: "dataBatch", loadId, sourceId: id, numRows, progress },
+          columns
+        );
+      })
+        .catch((error) => {
+          if (state.loadId !== loadId) {
+            return; // Errors of a superseded specification are not reported
+          }
+          // Tagged with its load, which the WebGLVis may have replaced before it arrives
+          postMessage({
+            ...toErrorMessage(
+              addErrorContext(
+                `Could not load data for ${id}: ${error?.message || error}`,
+                {
+                  stage: "data",
+                  trackIndex: id === "defaultData" ? undefined : id,
+                }
+              )
+            ),
+            loadId,
+          });
+        })
+        .then(() =>
+          state.ports.forEach((port) =>
+            port.postMessage({ type: "dataLoaded", loadId, sourceId: id })
+          )
+        );
+    });
+  };
+
+  return (message) => {
+    switch (message.data.type) {
+      case "init":
+        state.ports = message.data.ports;
+        break;
+      case "load":
+        load(
+          message.data.specification,
+          message.data.loadId,
+          message.data.sourceIds
+        );
+        break;
+      default:
+        console.error(`Received unknown message type: ${message.type}`);
+    }
+  };
+};
+
+if (isWorkerScope()) {
+  forwardErrorsOfWorker("data");
+  self.onmessage = createMessageHandler(postMessage);
+}
+
+export { createMessageHandler };
@@ -0,0 +1,477 @@
+import CSVParser, { TYPE_PARSERS } from "./csv-parser";
+import { RecordBatchReader } from "apache-arrow";
+import { VisualizationError } from "./errors";
+import { NUMBER_PATTERN } from "./utilities";
+
+const ARROW_EXTENSIONS = [".arrow", ".arrows", ".feather"];
+
+// Types of channels whose attributes are read as text, and the attributes they read
+const TEXT_ATTRIBUTES_OF_TYPES = Object.freeze({
+  categorical: ["attribute"],
+  genomic: ["chrAttribute"],
+  genomicRange: ["chrAttribute"],
+});
+
+/**
+ * Given the data property of a specification or track, get where the data needs to be
+ * loaded from and its format.
+ *
+ * @param {String|Object|ArrayBuffer|Uint8Array} data defaultData of a specification or data of a track
+ * @returns object of the form {url, format} or {buffer, format} for Arrow IPC bytes,
+ *  or null if the data is inline
+ */
+const getDataSource = (data) => {
+  if (typeof data === "string") {
+    return { url: data, format: {} };
+  }
+  if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+    return { buffer: data, format: { type: "arrow" } };
+  }
+  if (data && typeof data.url === "string") {
+    return { url: data.url, format: data.format || {} };
+  }
+  return null;
+};
+
+/**
+ * Add string type hints to a data source for the attributes its tracks read as text, the
+ * attributes of categorical channels and the chromosomes of genomic channels, so they are
+ * not inferred to be numbers, see inferColumnTypes. Hints of the format take precedence.
+ *
+ * @param {Object} source from getDataSource
+ * @param {Array} tracks of the specification using the data of the source
+ * @returns source with the hints added to the types of its format
+ */
+const addTextTypeHints = (source, tracks) => {
+  const types = {};
+  for (const track of tracks) {
+    for (const channelInfo of Object.values(track)) {
+      const attributes = TEXT_ATTRIBUTES_OF_TYPES[channelInfo?.type] || [];
+      attributes.forEach((key) => {
+        if (channelInfo[key] !== undefined) {
+          types[channelInfo[key]] = "string";
+        }
+      });
+    }
+  }
+  return {
+    ...source,
+    format: { ...source.format, types: { ...types, ...source.format.types } },
+  };
+};
+
+/**
+ * Get every data source of a specification that needs to be loaded along with an id
+ * identifying it, "defaultData" for the default data or the index of the track.
+ *
+ * @param {Object} specification user defined specification
+ * @returns Array of objects of the form {id, source} where source is from getDataSource,
+ *  with the type hints of addTextTypeHints
+ */
+const getDataSourcesOfSpecification = (specification) => {
+  const sources = [];
+  const defaultSource = getDataSource(specification.defaultData);
+  if (defaultSource) {
+    sources.push({
+      id: "defaultData",
+      source: addTextTypeHints(
+        defaultSource,
+        specification.tracks.filter((track) => !track.data)
+      ),
+    });
+  }
+  specification.tracks.forEach((track, index) => {
+    const source = getDataSource(track.data);
+    if (source) {
+      sources.push({ id: index, source: addTextTypeHints(source, [track]) });
+    }
+  });
+  return sources;
+};
+
+/**
+ * Check if data is Arrow IPC, either from the format, from being given as bytes, or from
+ * the extension of the url.
+ *
+ * @param {Object} source of the form {url, buffer, format} from getDataSource
+ * @returns boolean
+ */
+const isArrowSource = (source) => {
+  if (source.buffer || source.format.type === "arrow") {
+    return true;
+  }
+  return (
+    source.format.type === undefined &&
+    ARROW_EXTENSIONS.some((extension) =>
+      source.url.toLowerCase().endsWith(extension)
+    )
+  );
+};
+
+/**
+ * Create an empty container for columnar data. Data is kept in the chunks it was loaded in
+ * rather than concatenated, so the memory of a chunk can be shared between workers.
+ *
+ * @returns object of the form {chunks: [{columns: {name: Array or TypedArray}, length}], length,
+ *  isComplete} where isComplete is set once all the data has been loaded
+ */
+const createColumnarData = () => ({ chunks: [], length: 0, isComplete: false });
+
+/**
+ * Get the names of the columns of columnar data. Rows are read by the columns of the first
+ * chunk, so every chunk after it has them too.
+ *
+ * @param {Object} data created by createColumnarData
+ * @returns Array of names, empty until the first rows are appended
+ */
+const getColumnNames = (data) =>
+  data.chunks.length > 0 ? Object.keys(data.chunks[0].columns) : [];
+
+/**
+ * Check that rows to append to data have every column of the data.
+ *
+ * @param {Array} names of the columns of the data, see getColumnNames
+ * @param {Object} columns object mapping column names to the values of the rows
+ * @param {Number=} trackIndex of the track the rows are appended to, if known
+ * @throws VisualizationError naming the first missing column
+ */
+const checkColumnsToAppend = (names, columns, trackIndex) => {
+  const missing = names.find((name) => !(name in columns));
+  if (missing !== undefined) {
+    throw new VisualizationError(
+      `The appended rows have no attribute ${missing}`,
+      { stage: "data", trackIndex, attribute: missing }
+    );
+  }
+};
+
+/**
+ * Append a chunk of rows to columnar data.
+ *
+ * @param {Object} data created by createColumnarData
+ * @param {Object} columns object mapping column names to Arrays or TypedArrays of equal length
+ * @param {Number} numRows number of rows in columns
+ * @throws VisualizationError if columns does not have every column of the data
+ */
+const appendToColumnarData = (data, columns, numRows) => {
+  if (numRows === 0) {
+    return;
+  }
+  checkColumnsToAppend(getColumnNames(data), columns);
+  data.chunks.push({ columns, length: numRows });
+  data.length += numRows;
+};
+
+/**
+ * Remove rows from columnar data in place. Chunks without removed rows are kept as they are.
+ *
+ * @param {Object} data created by createColumnarData
+ * @param {Function} predicate called with (row, index) where row maps column names to the
+ *  values of the row, rows for which it returns true are removed
+ * @returns number of rows removed
+ */
+const removeFromColumnarData = (data, predicate) => {
+  const chunks = [];
+  let index = 0;
+
+  for (const chunk of data.chunks) {
+    const names = Object.keys(chunk.columns);
+    const kept = [];
+    for (let i = 0; i < chunk.length; i++, index++) {
+      const row = {};
+      names.forEach((name) => (row[name] = chunk.columns[name][i]));
+      if (!predicate(row, index)) {
+        kept.push(i);
+      }
+    }
+
+    if (kept.length === chunk.length) {
+      chunks.push(chunk);
+    } else if (kept.length > 0) {
+      const columns = {};
+      names.forEach((name) => {
+        const column = chunk.columns[name];
+        columns[name] = ArrayBuffer.isView(column)
+          ? column.constructor.from(kept, (i) => column[i])
+          : kept.map((i) => column[i]);
+      });
+      chunks.push({ columns, length: kept.length });
+    }
+  }
+
+  const removed = data.length - chunks.reduce((sum, c) => sum + c.length, 0);
+  data.chunks = chunks;
+  data.length -= removed;
+  return removed;
+};
+
+/**
+ * Convert rows given as objects to columns.
+ *
+ * @param {Array} rows objects mapping attribute names to values, the attributes of the
+ *  first row are used for all rows
+ * @returns object mapping the attribute names to Arrays of values
+ */
+const rowsToColumns = (rows) => {
+  const columns = {};
+  if (rows.length > 0) {
+    for (const name of Object.keys(rows[0])) {
+      columns[name] = rows.map((row) => row[name]);
+    }
+  }
+  return columns;
+};
+
+/**
+ * Get the values of a column of a record batch without converting them to strings.
+ * 64 bit integers are converted to floats since BigInts do not mix with numbers.
+ *
+ * @param {Vector} vector column of an Arrow record batch
+ * @returns Array or TypedArray of values
+ */
+const getValuesOfArrowVector = (vector) => {
+  const values = vector.toArray();
+  if (values instanceof BigInt64Array || values instanceof BigUint64Array) {
+    return Float64Array.from(values, Number);
+  }
+  return values;
+};
+
+/**
+ * Fetch the data at a url.
+ *
+ * @param {String} url of the data
+ * @returns promise of the Response, rejected with a VisualizationError if the server answers
+ *  with an error status such as 404
+ */
+const fetchData = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new VisualizationError(
+      `Could not fetch ${url}: ${response.status} ${response.statusText}`.trim(),
+      { stage: "data" }
+    );
+  }
+  return response;
+};
+
+/**
+ * Read the Arrow IPC (file or stream format) from a url or bytes as record batches.
+ *
+ * @param {Object} source of the form {url, buffer} from getDataSource
+ * @param {Function} onBatch called with (columns, numRows, progress) for every record batch
+ * @returns promise which resolves after the last batch has been handed to onBatch
+ */
+const streamArrowColumns = async (source, onBatch) => {
+  let bytes;
+  let loadedBytes = 0;
+  let totalBytes;
+
+  if (source.buffer) {
+    bytes = ArrayBuffer.isView(source.buffer)
+      ? source.buffer
+      : new Uint8Array(source.buffer);
+    loadedBytes = totalBytes = bytes.byteLength;
+  } else {
+    const response = await fetchData(source.url);
+    totalBytes = parseInt(response.headers.get("Content-Length")) || undefined;
+    bytes = (async function* () {
+      // Count the bytes as the reader pulls them
+      const reader = response.body.getReader();
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) {
+          return;
+        }
+        loadedBytes += value.byteLength;
+        yield value;
+      }
+    })();
+  }
+
+  const reader = await RecordBatchReader.from(bytes);
+  for await (const batch of reader) {
+    const columns = {};
+    for (const field of batch.schema.fields) {
+      columns[field.name] = getValuesOfArrowVector(batch.getChild(field.name));
+    }
+    onBatch(columns, batch.numRows, { loadedBytes, totalBytes });
+  }
+};
+
+/**
+ * Read the body of a response for a url as a stream of delimited text records. Records are
+ * handed to onRecords as soon as a chunk of the body has been received, so consumers can
+ * begin processing data before the whole file is downloaded.
+ *
+ * @param {String} url of the delimited text file to fetch
+ * @param {Object} format of the file, see format.json in specification-validation
+ * @param {Function} onRecords called with (records, progress) for every chunk received where
+ *  records is an Array of Arrays of fields and progress is of the form {loadedBytes, totalBytes}.
+ *  totalBytes is undefined if the server did not provide a Content-Length.
+ * @returns promise which resolves after the last record has been handed to onRecords
+ */
+const streamRecordsFromUrl = async (url, format, onRecords) => {
+  const parser = new CSVParser(format, url);
+  const response = await fetchData(url);
+  const totalBytes =
+    parseInt(response.headers.get("Content-Length")) || undefined;
+
+  if (!response.body || !response.body.getReader) {
+    // Streams are not supported, fall back to reading the whole body at once
+    const text = await response.text();
+    onRecords(parser.parse(text, true), {
+      loadedBytes: text.length,
+      totalBytes,
+    });
+    return;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let loadedBytes = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    loadedBytes += value.byteLength;
+    onRecords(parser.parse(decoder.decode(value, { stream: true })), {
+      loadedBytes,
+      totalBytes,
+    });
+  }
+
+  onRecords(parser.parse(decoder.decode(), true), { loadedBytes, totalBytes });
+};
+
+/**
+ * Infer the types of the columns of delimited text without a type hint from the first
+ * records. A column is a number column if every field of it that is not empty is a number,
+ * otherwise it is a string column. The types are kept for the rest of the data so a column
+ * does not change type in the middle of a load, fields of a number column that are not
+ * numbers are read as NaN like empty fields.
+ *
+ * @param {Array} records Arrays of fields as strings
+ * @param {Array} headers names of the columns
+ * @param {Object} types type hints of the format of the data
+ * @param {Object} inferredTypes types inferred from the first records, set in place by the
+ *  first call with records and kept by the calls after it
+ * @returns object mapping the headers to their types
+ */
+const inferColumnTypes = (records, headers, types = {}, inferredTypes = {}) => {
+  headers.forEach((header, index) => {
+    if (
+      types[header] !== undefined ||
+      inferredTypes[header] !== undefined ||
+      records.length === 0
+    ) {
+      return;
+    }
+    let hasNumbers = false;
+    for (const record of records) {
+      const field = record[index];
+      if (field === undefined || field === "") {
+        continue;
+      }
+      if (!NUMBER_PATTERN.test(field)) {
+        inferredTypes[header] = "string";
+        return;
+      }
+      hasNumbers = true;
+    }
+    inferredTypes[header] = hasNumbers ? "number" : "string";
+  });
+  return { ...inferredTypes, ...types };
+};
+
+/**
+ * Convert records of delimited text to columns. Columns with a number or integer type hint
+ * are stored in Float64Arrays, other columns are Arrays.
+ *
+ * @param {Array} records Arrays of fields as strings
+ * @param {Array} headers names of the columns
+ * @param {Object} types type hints of the format of the data
+ * @returns object mapping the headers to columns
+ */
+const recordsToColumns = (records, headers, types = {}) => {
+  const columns = {};
+  headers.forEach((header, index) => {
+    const parser = TYPE_PARSERS[types[header]];
+    const column =
+      types[header] === "number" || types[header] === "integer"
+        ? new Float64Array(records.length)
+        : new Array(records.length);
+    for (let i = 0; i < records.length; i++) {
+      column[i] = parser ? parser(records[i][index]) : records[i][index];
+    }
+    columns[header] = column;
+  });
+  return columns;
+};
+
+/**
+ * Read delimited text from a url as batches of columns. Columns without a type hint whose
+ * fields in the first batch are numbers are stored in Float64Arrays in every batch, so their
+ * memory can be shared with or transferred to the workers, see inferColumnTypes.
+ *
+ * @param {String} url of the delimited text file to fetch
+ * @param {Object} format of the file, see format.json in specification-validation
+ * @param {Function} onBatch called with (columns, numRows, progress) for every chunk received
+ * @returns promise which resolves after the last batch has been handed to onBatch
+ */
+const streamDelimitedTextColumns = async (url, format, onBatch) => {
+  let headers = format.header === false ? format.columns : undefined;
+  const inferredTypes = {}; // see inferColumnTypes
+
+  await streamRecordsFromUrl(url, format, (records, progress) => {
+    if (!headers && records.length > 0) {
+      headers = format.columns || records[0];
+      records = records.slice(1); // skip header
+    }
+    if (headers) {
+      const types = inferColumnTypes(
+        records,
+        headers,
+        format.types,
+        inferredTypes
+      );
+      onBatch(
+        recordsToColumns(records, headers, types),
+        records.length,
+        progress
+      );
+    }
+  });
+};
+
+/**
+ * Load a data source as batches of columns, regardless of its format.
+ *
+ * @param {Object} source of the form {url, buffer, format} from getDataSource
+ * @param {Function} onBatch called with (columns, numRows, progress) where columns maps names
+ *  to Arrays or TypedArrays of length numRows and progress is of the form {loadedBytes, totalBytes}
+ * @returns promise which resolves after the last batch has been handed to onBatch
+ */
+const loadDataSource = (source, onBatch) =>
+  isArrowSource(source)
+    ? streamArrowColumns(source, onBatch)
+    : streamDelimitedTextColumns(source.url, source.format, onBatch);
+
+export {
+  addTextTypeHints,
+  appendToColumnarData,
+  checkColumnsToAppend,
+  createColumnarData,
+  getDataSource,
+  getColumnNames,
+  getDataSourcesOfSpecification,
+  inferColumnTypes,
+  isArrowSource,
+  loadDataSource,
+  recordsToColumns,
+  removeFromColumnarData,
+  rowsToColumns,
+  streamRecordsFromUrl,
+};
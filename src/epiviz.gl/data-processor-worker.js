@@ -3,42 +3,179 @@
  * containing the {@link WebGLVis} a {@link DataProcessor}. It's main purpose
  * is to receive messages from the WebGLVis, call the appropriate method of
  * the DataProcessor, then post a message of the results of the method back to
- * the WebGLVis.
+ * the WebGLVis. Results carry the id of the message they answer, see {@link WorkerChannel}.
+ * The data itself is received from the data loader worker.
  */
 
 import DataProcessor from "./data-processor";
+import DataReceiver from "./data-receiver";
+import { isWorkerScope } from "./utilities";
+import { forwardErrorsOfWorker, toErrorMessage } from "./errors";
 
-self.onmessage = (message) => {
-  switch (message.data.type) {
-    case "init":
-      self.processor = new DataProcessor(message.data.specification);
-      break;
-    case "selectBox":
-      postMessage({
-        type: message.data.type,
-        selection: self.processor.selectBox(message.data.points),
-        bounds: message.data.points,
-        event: message.data?.event,
-      });
-      break;
-    case "selectLasso":
-      postMessage({
-        type: message.data.type,
-        selection: self.processor.selectLasso(message.data.points),
-        bounds: message.data.points,
-        event: message.data?.event,
-      });
-      break;
-    case "getClosestPoint":
-    case "getClickPoint":
-      const result = self.processor.getClosestPoint(message.data.point);
-      postMessage({
-        type: message.data.type,
-        event: message.data?.event,
-        ...result,
-      });
-      break;
-    default:
-      console.error(`Received unknown message type: ${message.type}`);
-  }
+/**
+ * Create the handler of the messages to the processor. A worker installs it as its
+ * onmessage, without module workers a {@link MainThreadWorker} runs it on the main thread.
+ *
+ * @param {Function} postMessage to post messages to the {@link WebGLVis} with
+ * @returns function handling a MessageEvent
+ */
+const createMessageHandler = (postMessage) => {
+  const state = {}; // dataReceiver and processor created by the connect and init messages
+
+  // Requests are answered with an error instead of being left pending, see WorkerChannel
+  const postError = (message, error) =>
+    postMessage({ id: message.data.id, ...toErrorMessage(error, "worker") });
+
+  const handleMessage = (message) => {
+    switch (message.data.type) {
+      case "connect":
+        state.dataReceiver = new DataReceiver(message.data.dataPort);
+        break;
+      case "init":
+        state.processor = new DataProcessor(
+          message.data.specification,
+          state.dataReceiver.getLoaderFor(message.data.loadId),
+          () =>
+            postMessage({
+              type: "loaded",
+              id: message.data.id,
+              columns: state.processor.getColumnNamesOfTracks(),
+            }),
+          (error) => postError(message, error)
+        );
+        break;
+      case "updateSpecification":
+        state.processor.updateSpecification(
+          message.data.specification,
+          message.data.changes,
+          message.data.loadId === undefined
+            ? undefined
+            : state.dataReceiver.getLoaderFor(message.data.loadId),
+          () =>
+            postMessage({
+              type: "loaded",
+              id: message.data.id,
+              columns: state.processor.getColumnNamesOfTracks(),
+            }),
+          (error) => postError(message, error)
+        );
+        break;
+      case "appendData":
+        state.processor.appendData(
+          message.data.trackIndex,
+          message.data.columns,
+          message.data.numRows
+        );
+        break;
+      case "removeData":
+        state.processor.removeData(
+          message.data.trackIndex,
+          message.data.predicate
+        );
+        break;
+      case "setFilter":
+        state.processor.setFilter(message.data.trackIndex, message.data.filter);
+        break;
+      case "selectBox":
+        postMessage({
+          type: message.data.type,
+          id: message.data.id,
+          selection: state.processor.selectBox(message.data.points),
+          bounds: message.data.points,
+          event: message.data?.event,
+        });
+        break;
+      case "selectLasso":
+        postMessage({
+          type: message.data.type,
+          id: message.data.id,
+          selection: state.processor.selectLasso(message.data.points),
+          bounds: message.data.points,
+          event: message.data?.event,
+        });
+        break;
+      case "getClosestPoint":
+      case "getClickPoint":
+        // Points picked on the GPU by the drawer are looked up instead of searched for
+        const result =
+          message.data.picked === undefined
+            ? state.processor.getClosestPoint(
+                message.data.point,
+                message.data.tolerance
+              )
+            : state.processor.getPickedPoint(message.data.picked);
+        postMessage({
+          type: message.data.type,
+          id: message.data.id,
+          event: message.data?.event,
+          ...result,
+        });
+        break;
+      case "queryNearest":
+        postMessage({
+          type: message.data.type,
+          id: message.data.id,
+          result: state.processor.queryNearest(
+            message.data.point,
+            message.data.k,
+            message.data.maxDistance
+          ),
+        });
+        break;
+      case "queryRadius":
+        postMessage({
+          type: message.data.type,
+          id: message.data.id,
+          result: state.processor.queryRadius(
+            message.data.point,
+            message.data.radius
+          ),
+        });
+        break;
+      case "queryBox":
+        postMessage({
+          type: message.data.type,
+          id: message.data.id,
+          result: state.processor.queryBox(message.data.bounds),
+        });
+        break;
+      case "queryValues":
+        postMessage({
+          type: message.data.type,
+          id: message.data.id,
+          result: state.processor.queryValues(
+            message.data.attribute,
+            message.data.values
+          ),
+        });
+        break;
+      case "getBoundsOfPoints":
+        postMessage({
+          type: message.data.type,
+          id: message.data.id,
+          result: state.processor.getBoundsOfPoints(message.data.indices),
+        });
+        break;
+      default:
+        console.error(`Received unknown message type: ${message.type}`);
+    }
+  };
+
+  return (message) => {
+    try {
+      handleMessage(message);
+    } catch (error) {
+      if (message.data.id === undefined) {
+        throw error; // Not a request, posted by forwardErrorsOfWorker
+      }
+      postError(message, error);
+    }
+  };
 };
+
+if (isWorkerScope()) {
+  forwardErrorsOfWorker("worker");
+  self.onmessage = createMessageHandler(postMessage);
+}
+
+export { createMessageHandler };
@@ -1,23 +1,165 @@
 import SpecificationProcessor from "./specification-processor";
+import {
+  appendToColumnarData,
+  getColumnNames,
+  removeFromColumnarData,
+} from "./data-loader";
 
-import Flatbush from "flatbush";
 import booleanPointInPolygon from "@turf/boolean-point-in-polygon";
 import { polygon } from "@turf/helpers";
 import simplify from "@turf/simplify";
-import GeometryMapper from "./geometry-mapper";
+import GeometryMapper, {
+  distanceToLine,
+  getArcVertices,
+  lineIntersectsBox,
+} from "./geometry-mapper";
+import PointIndex from "./point-index";
+import { compilePredicate } from "./transforms";
+import { buildFilterPredicate } from "./utilities";
+
+/**
+ * Get the bounds a point is indexed by.
+ *
+ * @param {Object} geometry of a point after {@link GeometryMapper#modifyGeometry}
+ * @returns Array of the form [minX, minY, maxX, maxY]
+ */
+const getBounds = ({ coordinates, dimensions, bounds }) =>
+  bounds || [
+    coordinates[0],
+    coordinates[1],
+    coordinates[0] + dimensions[0],
+    coordinates[1] + dimensions[1],
+  ];
+
+/**
+ * Get a typed array that can hold a number of elements, growing it by at least double its
+ * length if it is too short so it rarely has to be copied while appending.
+ *
+ * @param {TypedArray} array to grow
+ * @param {Number} size number of elements it needs to hold
+ * @returns TypedArray, array itself if it is long enough
+ */
+const withCapacity = (array, size) => {
+  if (array.length >= size) {
+    return array;
+  }
+  const grown = new array.constructor(Math.max(size, array.length * 2));
+  grown.set(array);
+  return grown;
+};
 
 class DataProcessor {
   /**
    * A class meant to handle processing of data used in the scatterplot.
    *
    * @param {Array} data the processor is meant to handle and index
+   * @param {Function=} loadData to load the data with, see {@link SpecificationProcessor}
+   * @param {Function=} onLoad called once the data is loaded and indexed
+   * @param {Function=} onError called with the error if the data can not be loaded or indexed
    */
-  constructor(specification) {
+  constructor(specification, loadData, onLoad, onError) {
     this.specification = specification;
+    this.filters = []; // filters of tracks by index, see setFilter
 
     console.log("Loading data...");
 
-    new SpecificationProcessor(specification, this.indexData.bind(this));
+    this.specificationHelper = new SpecificationProcessor(
+      specification,
+      (specificationHelper) => {
+        this.indexData(specificationHelper);
+        onLoad?.();
+      },
+      this.mapNewDataPoints.bind(this),
+      loadData
+    );
+    if (onError) {
+      this.specificationHelper.loaded.catch(onError);
+    }
+  }
+
+  /**
+   * Update to a new specification, keeping the mapped points of the tracks that did not
+   * change. The index is only rebuilt if the indexed points changed.
+   *
+   * @param {Object} specification user defined specification to update to
+   * @param {Object} changes from diffSpecifications in specification-diff.js
+   * @param {Function=} loadData to load the changed data with, see {@link SpecificationProcessor}
+   * @param {Function=} onLoad called once the changed data is loaded and indexed
+   * @param {Function=} onError called with the error if the changed data can not be loaded
+   *  or indexed
+   */
+  updateSpecification(specification, changes, loadData, onLoad, onError) {
+    this.specification = specification;
+    const specificationHelper = this.specificationHelper;
+    const previousTracks = this.tracksToIndex || [];
+    const previousPoints = this.trackPoints || [];
+    let needsIndex = true;
+
+    const loaded = specificationHelper.updateSpecification(
+      specification,
+      changes,
+      (helper) => {
+        if (needsIndex) {
+          this.indexData(helper);
+        }
+        onLoad?.();
+      },
+      loadData
+    );
+    if (onError) {
+      loaded.catch(onError);
+    }
+
+    const tracksToIndex = specificationHelper.getTracksToIndex();
+    const isUnchanged = (track) =>
+      previousTracks.includes(track) &&
+      changes.tracks[specificationHelper.tracks.indexOf(track)] !== "rebuild";
+    needsIndex =
+      !this.tracksToIndex ||
+      tracksToIndex.length !== previousTracks.length ||
+      tracksToIndex.some(
+        (track, index) => track !== previousTracks[index] || !isUnchanged(track)
+      );
+    if (!needsIndex) {
+      return;
+    }
+
+    this.index = undefined; // Points are remapped, see indexData
+    this.tracksToIndex = tracksToIndex;
+    this.geometryMappers = tracksToIndex.map(
+      (track) => new GeometryMapper(specificationHelper, track)
+    );
+    this.trackPoints = tracksToIndex.map((track) =>
+      isUnchanged(track) ? previousPoints[previousTracks.indexOf(track)] : []
+    );
+  }
+
+  /**
+   * Progress callback of the specification processor. Maps the geometry of the data points
+   * that have arrived since the last call so only indexing is left once all data is loaded.
+   *
+   * @param {SpecificationProcessor} specificationHelper that is built in the constructor
+   */
+  mapNewDataPoints(specificationHelper) {
+    if (!this.tracksToIndex) {
+      this.tracksToIndex = specificationHelper.getTracksToIndex();
+      this.geometryMappers = this.tracksToIndex.map(
+        (track) => new GeometryMapper(specificationHelper, track)
+      );
+      this.trackPoints = this.tracksToIndex.map(() => []);
+    }
+
+    this.tracksToIndex.forEach((track, trackIndex) => {
+      const geometryMapper = this.geometryMappers[trackIndex];
+      const points = this.trackPoints[trackIndex];
+
+      let currentPoint = track.getNextDataPoint();
+      while (currentPoint) {
+        geometryMapper.modifyGeometry(currentPoint.geometry);
+        points.push(currentPoint);
+        currentPoint = track.getNextDataPoint();
+      }
+    });
   }
 
   /**
@@ -26,103 +168,317 @@ class DataProcessor {
    * @param {SpecificationProcessor} specificationHelper that is built in the constructor
    */
   indexData(specificationHelper) {
+    console.log("Reading data...");
+    this.mapNewDataPoints(specificationHelper);
+
+    console.log("Indexing data...");
+    this.buildIndex();
+
+    console.log("Data processing complete.");
+  }
+
+  /**
+   * Build the spatial index from the mapped data points. Points are kept so the index can be
+   * rebuilt when data is removed without reading and mapping all the data again.
+   *
+   * Indices of points are their position in the data of the tracks to index one after
+   * another, which is how SpecificationProcessor.getRowsOfIndices maps them back to rows. The
+   * index itself refers to points by the order they were added to it in, see _toIndex.
+   */
+  buildIndex() {
     let totalPoints = 0;
+    this.trackPoints.forEach((points) => (totalPoints += points.length));
 
-    for (const track of specificationHelper.tracks) {
-      if (!track.hasOwnData) {
-        // index at 1 means a header needs to be skipped
-        totalPoints +=
-          track.index === 1 ? track.data.length - 1 : track.data.length;
-        break;
-      }
+    // Points by the order they are added to the index in
+    const data = [];
+    this.data = data;
+    // Track in the specification and row in the track of each indexed point
+    this.trackIndices = new Uint16Array(totalPoints);
+    this.rowIndices = new Uint32Array(totalPoints);
+    // Number of points of each track to index that have been added to the index
+    this.indexedRows = this.trackPoints.map(() => 0);
+    this.isArcTrack = this.specificationHelper.tracks.map(
+      (track) => track.track.mark === "arc"
+    );
+    this._addNewPoints();
+
+    // Only expose the index once it is built so queries are not made against a partial index
+    this.index = new PointIndex(
+      (id) => getBounds(data[id].geometry),
+      data.length
+    );
+  }
+
+  /**
+   * Add the points mapped since the index was built or last appended to. The index keeps
+   * them apart from the points it was built with until there are enough to rebuild it, see
+   * {@link PointIndex}.
+   */
+  _appendToIndex() {
+    let totalPoints = 0;
+    this.trackPoints.forEach((points) => (totalPoints += points.length));
+    if (this.index.shouldRebuild(totalPoints)) {
+      this.buildIndex();
+      return;
     }
-    specificationHelper.tracks
-      .filter((track) => track.hasOwnData)
-      .forEach(
-        (track) =>
-          (totalPoints +=
-            track.index === 1 ? track.data.length - 1 : track.data.length)
+
+    this.trackIndices = withCapacity(this.trackIndices, totalPoints);
+    this.rowIndices = withCapacity(this.rowIndices, totalPoints);
+    this._addNewPoints();
+    this.index.append(this.data.length);
+  }
+
+  /**
+   * Add the points of the tracks to index that are not in the index yet to the end of data,
+   * and update the offsets of the tracks used by _toIndex.
+   */
+  _addNewPoints() {
+    this.trackOffsets = [];
+    let offset = 0;
+    this.trackPoints.forEach((points, indexedTrack) => {
+      const trackIndex = this.specificationHelper.tracks.indexOf(
+        this.tracksToIndex[indexedTrack]
       );
+      for (
+        let rowIndex = this.indexedRows[indexedTrack];
+        rowIndex < points.length;
+        rowIndex++
+      ) {
+        this.trackIndices[this.data.length] = trackIndex;
+        this.rowIndices[this.data.length] = rowIndex;
+        this.data.push(points[rowIndex]);
+      }
+      this.indexedRows[indexedTrack] = points.length;
+      this.trackOffsets[trackIndex] = offset;
+      offset += points.length;
+    });
+  }
 
-    this.index = new Flatbush(totalPoints);
-    this.data = [];
-    console.log("Reading data...");
+  /**
+   * Get the index of a point from the position it was added to the spatial index in. They
+   * differ once points are appended to a track that is not the last one.
+   *
+   * @param {Number} id of the point in the spatial index
+   * @returns Number
+   */
+  _toIndex(id) {
+    return this.trackOffsets[this.trackIndices[id]] + this.rowIndices[id];
+  }
 
-    // Process the global data in the specification processor
-    if (specificationHelper.data) {
-      for (let track of specificationHelper.tracks) {
-        if (!track.hasOwnData) {
-          const geometryMapper = new GeometryMapper(specificationHelper, track);
-
-          let currentPoint = track.getNextDataPoint();
-          while (currentPoint) {
-            geometryMapper.modifyGeometry(currentPoint.geometry);
-
-            this.data[
-              this.index.add(
-                currentPoint.geometry.coordinates[0],
-                currentPoint.geometry.coordinates[1],
-                currentPoint.geometry.coordinates[0] +
-                  currentPoint.geometry.dimensions[0],
-                currentPoint.geometry.coordinates[1] +
-                  currentPoint.geometry.dimensions[1]
-              )
-            ] = currentPoint;
+  /**
+   * Get a point by its index, see buildIndex.
+   *
+   * @param {Number} index of the point
+   * @returns the point, or undefined if there is no point with the index
+   */
+  _getPointOfIndex(index) {
+    let offset = 0;
+    for (const points of this.trackPoints) {
+      if (index < offset + points.length) {
+        return points[index - offset];
+      }
+      offset += points.length;
+    }
+    return undefined;
+  }
 
-            currentPoint = track.getNextDataPoint();
-          }
-          break;
-        }
+  /**
+   * Append rows to the data of a track and add them to the index. The index is only rebuilt
+   * if the track transforms all of its rows again, or once many rows have been appended.
+   *
+   * @param {Number} trackIndex index of the track in the specification
+   * @param {Object} columns mapping attribute names to Arrays or TypedArrays of values
+   * @param {Number} numRows number of rows in columns
+   */
+  appendData(trackIndex, columns, numRows) {
+    const data = this.specificationHelper.tracks[trackIndex].data;
+    appendToColumnarData(data, columns, numRows);
+    if (!this.tracksToIndex) {
+      return;
+    }
+
+    const isCleared = this._clearPointsOfData(
+      data,
+      (track) => track.transformsAllRows
+    );
+    if (this.index) {
+      // Otherwise the rows are indexed with the rest once all data has loaded
+      this.mapNewDataPoints(this.specificationHelper);
+      if (isCleared) {
+        this.buildIndex();
+      } else {
+        this._appendToIndex();
       }
     }
+  }
 
-    // Process the data that is local to each track
-    specificationHelper.tracks
-      .filter((track) => track.hasOwnData)
-      .forEach((track) => {
-        const geometryMapper = new GeometryMapper(specificationHelper, track);
-
-        let currentPoint = track.getNextDataPoint();
-        while (currentPoint) {
-          geometryMapper.modifyGeometry(currentPoint.geometry);
-
-          this.data[
-            this.index.add(
-              currentPoint.geometry.coordinates[0],
-              currentPoint.geometry.coordinates[1],
-              currentPoint.geometry.coordinates[0] +
-                currentPoint.geometry.dimensions[0],
-              currentPoint.geometry.coordinates[1] +
-                currentPoint.geometry.dimensions[1]
-            )
-          ] = currentPoint;
-
-          currentPoint = track.getNextDataPoint();
-        }
-      });
+  /**
+   * Get the names of the columns of the data of each track, which appended rows need.
+   *
+   * @returns Array of Arrays of names by the index of the track
+   */
+  getColumnNamesOfTracks() {
+    return this.specificationHelper.tracks.map((track) =>
+      getColumnNames(track.data)
+    );
+  }
 
-    console.log("Indexing data...");
-    this.index.finish();
+  /**
+   * Remove rows from the data of a track and from the index.
+   *
+   * @param {Number} trackIndex index of the track in the specification
+   * @param {String|Object} predicate of the rows to remove, see compilePredicate in transforms.js
+   */
+  removeData(trackIndex, predicate) {
+    const data = this.specificationHelper.tracks[trackIndex].data;
+    const isRemoved = compilePredicate(predicate);
+    if (removeFromColumnarData(data, isRemoved) === 0 || !this.tracksToIndex) {
+      // If no points have been mapped yet, the remaining rows are read from the start
+      return;
+    }
 
-    console.log("Data processing complete.");
+    this._clearPointsOfData(data);
+    if (this.index) {
+      this.mapNewDataPoints(this.specificationHelper);
+      this.buildIndex();
+    }
+  }
+
+  /**
+   * Clear the mapped points of indexed tracks using data so they are read from the first
+   * row again.
+   *
+   * @param {Object} data columnar data of a track
+   * @param {Function=} shouldClear called with each {@link Track} using data to choose which to clear
+   * @returns boolean whether the points of any track were cleared
+   */
+  _clearPointsOfData(data, shouldClear = () => true) {
+    let isCleared = false;
+    this.tracksToIndex.forEach((track, index) => {
+      if (track.data === data && shouldClear(track)) {
+        track.rewind();
+        this.trackPoints[index] = [];
+        isCleared = true;
+      }
+    });
+    return isCleared;
+  }
+
+  /**
+   * Hide the points of a track from getClosestPoint, selectBox and selectLasso whose attribute
+   * is outside of a range or not one of a set of values.
+   *
+   * @param {Number} trackIndex index of the track in the specification
+   * @param {Object=} filter of the form {attribute, range} or {attribute, values}, undefined to remove
+   */
+  setFilter(trackIndex, filter) {
+    this.filters[trackIndex] = filter && {
+      attribute: filter.attribute,
+      passes: buildFilterPredicate(filter),
+    };
+  }
+
+  /**
+   * Build the function the index calls to skip points hidden by filters.
+   *
+   * @returns function of the form (id) => boolean of the id of a point in the spatial index,
+   *  or undefined if there are no filters
+   */
+  _getFilterFunction() {
+    if (!this.filters.some((filter) => filter)) {
+      return undefined;
+    }
+
+    return (id) => {
+      const filter = this.filters[this.trackIndices[id]];
+      return !filter || filter.passes(this.data[id][filter.attribute]);
+    };
   }
 
   /**
-   * Find the closest point in the data to a given point.
+   * Check whether an indexed point is an arc, which is hit along its curve rather than
+   * anywhere in its bounds.
+   *
+   * @param {Number} id of the point in the spatial index
+   * @returns boolean
+   */
+  _isArc(id) {
+    return this.isArcTrack[this.trackIndices[id]];
+  }
+
+  /**
+   * Get the vertices of the curve of an indexed arc, see getArcVertices.
+   *
+   * @param {Number} id of the arc in the spatial index
+   * @returns Array of vertices of the form [x1, y1, x2, y2, ...]
+   */
+  _getArcVertices(id) {
+    return getArcVertices(
+      this.data[id].geometry,
+      this.specificationHelper.xScale,
+      this.specificationHelper.yScale
+    );
+  }
+
+  /**
+   * Find the closest point in the data to a given point. Arcs are only found if their curve
+   * is within the tolerance of the point.
    *
    * @param {Array} point of two floats to find closest point to
-   * @returns closest point or undefined
+   * @param {Array=} tolerance [x, y] distance from the curve of an arc at which it is still
+   *  hit, such as a few pixels in the units of the viewport. Defaults to only the curve.
+   * @returns object of the form {closestPoint, distance, isInside, indices, trackIndex, rowIndex}
+   *  where rowIndex is the row of the point in the track with trackIndex, or {} if there is no point
    */
-  getClosestPoint(point) {
-    let indices = this.index.neighbors(point[0], point[1], 1, 0)
-    let pointToReturn =
-      this.data[indices];
+  getClosestPoint(point, tolerance = [0, 0]) {
+    if (!this.index) {
+      // Data is still loading
+      return {};
+    }
+
+    const isShown = this._getFilterFunction() || (() => true);
+    const filterFn = (index) => !this._isArc(index) && isShown(index);
+    let indices = this.index
+      .neighbors(point[0], point[1], Infinity, 0, filterFn)
+      .concat(
+        this.index.search(
+          point[0] - tolerance[0],
+          point[1] - tolerance[1],
+          point[0] + tolerance[0],
+          point[1] + tolerance[1],
+          (index) =>
+            this._isArc(index) &&
+            isShown(index) &&
+            distanceToLine(this._getArcVertices(index), point, tolerance) <= 1
+        )
+      );
+    if (indices.length > 1) {
+      // Of overlapping points, the one of the track drawn last is on top
+      indices = [
+        indices.reduce((topmost, index) =>
+          this.trackIndices[index] > this.trackIndices[topmost]
+            ? index
+            : topmost
+        ),
+      ];
+    }
+    let pointToReturn = this.data[indices];
     let distance = 0;
     let isInside = true;
     if (pointToReturn === undefined) {
-      indices = this.index.neighbors(point[0], point[1], 1, 5)
+      indices = this.index.neighbors(point[0], point[1], 1, 5, filterFn)
       if(indices.length === 0) {
-        indices = this.index.neighbors(point[0], point[1], 1)
+        indices = this.index.neighbors(
+          point[0],
+          point[1],
+          1,
+          Infinity,
+          filterFn
+        );
+      }
+      if (indices.length === 0) {
+        // Every point is filtered out or is an arc away from the point
+        return {};
       }
       pointToReturn = this.data[indices];
       distance = Math.sqrt(
@@ -131,27 +487,262 @@ class DataProcessor {
       );
       isInside = false;
     }
-    return { closestPoint: pointToReturn, distance, isInside, indices };
+    return {
+      closestPoint: pointToReturn,
+      distance,
+      isInside,
+      indices: indices.map((id) => this._toIndex(id)),
+      trackIndex: this.trackIndices[indices[0]],
+      rowIndex: this.rowIndices[indices[0]],
+    };
+  }
+
+  /**
+   * Get a point by the track and row of its mark, such as one picked by WebGLCanvasDrawer.pick.
+   *
+   * @param {Object=} picked of the form {trackIndex, rowIndex}, null if no mark was picked
+   * @returns object of the same form as getClosestPoint, or {} if the point is not indexed
+   */
+  getPickedPoint(picked) {
+    if (!this.index || !picked) {
+      return {};
+    }
+
+    const indexedTrack = this.tracksToIndex.indexOf(
+      this.specificationHelper.tracks[picked.trackIndex]
+    );
+    if (
+      indexedTrack < 0 ||
+      picked.rowIndex >= this.trackPoints[indexedTrack].length
+    ) {
+      return {};
+    }
+
+    return {
+      closestPoint: this.trackPoints[indexedTrack][picked.rowIndex],
+      distance: 0,
+      isInside: true,
+      indices: [this.trackOffsets[picked.trackIndex] + picked.rowIndex],
+      trackIndex: picked.trackIndex,
+      rowIndex: picked.rowIndex,
+    };
+  }
+
+  /**
+   * Find the k points nearest to a point, measured to the bounds of their marks.
+   *
+   * @param {Array} point of the form [x, y]
+   * @param {Number=} k number of points to find, defaults to 1
+   * @param {Number=} maxDistance points further away than this are not found
+   * @returns object of the form {indices, points, distances, tracks} ordered from nearest to
+   *  furthest, see _getQueryResult
+   */
+  queryNearest(point, k = 1, maxDistance = Infinity) {
+    if (!this.index) {
+      // Data is still loading
+      return this._getQueryResult([], point);
+    }
+
+    return this._getQueryResult(
+      this.index.neighbors(
+        point[0],
+        point[1],
+        k,
+        maxDistance,
+        this._getFilterFunction()
+      ),
+      point
+    );
+  }
+
+  /**
+   * Find the points within a radius of a point, measured to the bounds of their marks.
+   *
+   * @param {Array} point of the form [x, y]
+   * @param {Number} radius points further away than this are not found
+   * @returns object of the same form as queryNearest
+   */
+  queryRadius(point, radius) {
+    return this.queryNearest(point, Infinity, radius);
+  }
+
+  /**
+   * Find the points within a box, including arcs whose curve crosses it.
+   *
+   * @param {Array} bounds of the form [x1, y1, x2, y2]
+   * @returns object of the same form as queryNearest, ordered like selectBox with distances of 0
+   */
+  queryBox(bounds) {
+    return this._getQueryResult(this._selectBox(bounds).indices);
+  }
+
+  /**
+   * Find the points whose attribute has one of a set of values, such as the keys of points
+   * selected in a linked plot, see {@link LinkGroup}. Points hidden by filters are not found.
+   *
+   * @param {String} attribute of the data, points without it are not found
+   * @param {Array} values to find
+   * @returns object of the same form as queryNearest, in the order of the data with distances of 0
+   */
+  queryValues(attribute, values) {
+    if (!this.index) {
+      // Data is still loading
+      return this._getQueryResult([]);
+    }
+
+    const valuesToFind = new Set(values);
+    const isShown = this._getFilterFunction() || (() => true);
+    const ids = [];
+    this.data.forEach((currentPoint, id) => {
+      if (valuesToFind.has(currentPoint[attribute]) && isShown(id)) {
+        ids.push(id);
+      }
+    });
+    // Appended points are at the end of the spatial index rather than after their track
+    ids.sort((a, b) => this._toIndex(a) - this._toIndex(b));
+    return this._getQueryResult(ids);
+  }
+
+  /**
+   * Get the bounds of the marks of points, such as to zoom to them, see WebGLVis.zoomToFit.
+   *
+   * @param {Array=} indices of the points, every point shown by the filters if undefined
+   * @returns Array of the form [minX, minY, maxX, maxY], null if there are no points
+   */
+  getBoundsOfPoints(indices) {
+    if (!this.index) {
+      // Data is still loading
+      return null;
+    }
+
+    let bounds = null;
+    const addPoint = (currentPoint) => {
+      if (!currentPoint) {
+        return;
+      }
+      const [minX, minY, maxX, maxY] = getBounds(currentPoint.geometry);
+      bounds = bounds
+        ? [
+            Math.min(bounds[0], minX),
+            Math.min(bounds[1], minY),
+            Math.max(bounds[2], maxX),
+            Math.max(bounds[3], maxY),
+          ]
+        : [minX, minY, maxX, maxY];
+    };
+
+    if (indices) {
+      indices.forEach((index) => addPoint(this._getPointOfIndex(index)));
+    } else {
+      const isShown = this._getFilterFunction() || (() => true);
+      this.data.forEach(
+        (currentPoint, id) => isShown(id) && addPoint(currentPoint)
+      );
+    }
+    return bounds;
+  }
+
+  /**
+   * Build the result of a query.
+   *
+   * @param {Array} ids of the found points in the spatial index
+   * @param {Array=} point the distances are measured from, they are all 0 if undefined
+   * @returns object of the form {indices, points, distances, tracks} where points are the data
+   *  rows of the indices, distances are from the point to the bounds of each point, and tracks
+   *  groups them by track, see _getSelection
+   */
+  _getQueryResult(ids, point) {
+    const points = ids.map((id) => this.data[id]);
+    const distances = points.map((currentPoint) => {
+      if (!point) {
+        return 0;
+      }
+      const [minX, minY, maxX, maxY] = getBounds(currentPoint.geometry);
+      const dx = Math.max(minX - point[0], 0, point[0] - maxX);
+      const dy = Math.max(minY - point[1], 0, point[1] - maxY);
+      return Math.sqrt(dx ** 2 + dy ** 2);
+    });
+    return { ...this._getSelection(ids, points), distances };
+  }
+
+  /**
+   * Build the result of a selection.
+   *
+   * @param {Array} ids of the selected points in the spatial index
+   * @param {Array} points selected, in the same order as ids
+   * @returns object of the form {indices, points, tracks} where tracks groups the points by
+   *  track, see _groupByTrack
+   */
+  _getSelection(ids, points) {
+    return {
+      indices: ids.map((id) => this._toIndex(id)),
+      points,
+      tracks: this._groupByTrack(ids, points),
+    };
+  }
+
+  /**
+   * Group selected points by the track they belong to.
+   *
+   * @param {Array} ids of the selected points in the spatial index
+   * @param {Array} points selected, in the same order as ids
+   * @returns Array of objects of the form {trackIndex, rows, points} ordered by trackIndex
+   */
+  _groupByTrack(ids, points) {
+    const groups = new Map();
+    ids.forEach((id, i) => {
+      const trackIndex = this.trackIndices[id];
+      if (!groups.has(trackIndex)) {
+        groups.set(trackIndex, { trackIndex, rows: [], points: [] });
+      }
+      groups.get(trackIndex).rows.push(this.rowIndices[id]);
+      groups.get(trackIndex).points.push(points[i]);
+    });
+    return [...groups.values()].sort((a, b) => a.trackIndex - b.trackIndex);
   }
 
   /**
    * Get points within a bounding box.
    *
    * @param {Array} points Bounding rectangle in the format of [x1, y1, x2, y2]
-   * @returns points in bounding box
+   * @returns object of the form {indices, points, tracks} where tracks groups the points in
+   *  bounding box by track, see _groupByTrack
    */
   selectBox(points) {
+    const selected = this._selectBox(points);
+    return this._getSelection(selected.indices, selected.points);
+  }
+
+  /**
+   * Get points within a bounding box by their ids in the spatial index.
+   *
+   * @param {Array} points Bounding rectangle in the format of [x1, y1, x2, y2]
+   * @returns object of the form {indices, points} where indices are ids in the spatial index
+   */
+  _selectBox(points) {
+    if (!this.index) {
+      // Data is still loading
+      return { indices: [], points: [] };
+    }
+
     const smallerX = Math.min(points[0], points[2]);
     const smallerY = Math.min(points[1], points[3]);
     const largerX = Math.max(points[0], points[2]);
     const largerY = Math.max(points[1], points[3]);
+    const box = [smallerX, smallerY, largerX, largerY];
 
-    let indices = this.index
-      .search(smallerX, smallerY, largerX, largerY)
+    // Arcs are selected if their curve crosses the box
+    const isShown = this._getFilterFunction() || (() => true);
+    let indices = this.index.search(
+      ...box,
+      (id) =>
+        isShown(id) &&
+        (!this._isArc(id) || lineIntersectsBox(this._getArcVertices(id), box))
+    );
     
     let tpoints =  indices.map((i) => this.data[i]);
 
-    return {indices, "points": tpoints};
+    return { indices, points: tpoints };
   }
 
   /**
@@ -160,7 +751,7 @@ class DataProcessor {
    * to determine what points are in polygon.
    *
    * @param {Array} points of a polygon to select points format: [x1,y1,x2,y2,x3,y3,...]
-   * @returns points inside lasso
+   * @returns object of the form {indices, points, tracks} for the points inside lasso, see selectBox
    */
   selectLasso(points) {
     let smallestX = Number.POSITIVE_INFINITY;
@@ -178,7 +769,7 @@ class DataProcessor {
 
     polygonPoints.push([...polygonPoints[0]]); // First and last must be same position
 
-    const candidatePoints = this.selectBox([
+    const candidatePoints = this._selectBox([
       smallestX,
       smallestY,
       largestX,
@@ -194,17 +785,28 @@ class DataProcessor {
 
     let findices = [];
     let fpoints = candidatePoints.points.filter((point, i) => {
-      let tbool = booleanPointInPolygon(
-        point.geometry.coordinates,
-        simplifiedBoundingPolygon
-      );
+      const index = candidatePoints.indices[i];
+      // Arcs are selected if a vertex of their curve is inside the lasso
+      let tbool = this._isArc(index)
+        ? this._getArcVertices(index).some(
+            (_, j, vertices) =>
+              j % 2 === 0 &&
+              booleanPointInPolygon(
+                [vertices[j], vertices[j + 1]],
+                simplifiedBoundingPolygon
+              )
+          )
+        : booleanPointInPolygon(
+            point.geometry.coordinates,
+            simplifiedBoundingPolygon
+          );
 
       if (tbool) findices.push(candidatePoints.indices[i])
 
       return tbool;
     });
 
-    return {"indices": findices, "points": fpoints}
+    return this._getSelection(findices, fpoints);
   }
 }
 
@@ -0,0 +1,83 @@
+class DataReceiver {
+  /**
+   * Receives batches of columns posted by the data loader worker so a worker can build its
+   * {@link SpecificationProcessor} without loading and parsing the data itself. Batches are
+   * tagged with the id of the load they belong to, batches of a load that has been replaced
+   * by a newer specification are dropped.
+   *
+   * @param {MessagePort} port the data loader worker posts batches to
+   */
+  constructor(port) {
+    this.loadId = undefined;
+    this.sources = new Map();
+    this.pendingMessages = [];
+    port.onmessage = (message) => this.receive(message.data);
+  }
+
+  /**
+   * Start receiving the data of a load. Use the returned function as the loadData argument
+   * of a {@link SpecificationProcessor}.
+   *
+   * @param {Number} loadId id the data loader worker tags the batches of this load with
+   * @returns function of the form (source, onBatch, sourceId) => promise resolving once
+   *  all batches of the source have been received, rejected if onBatch throws
+   */
+  getLoaderFor(loadId) {
+    this.loadId = loadId;
+    this.sources = new Map();
+
+    // Messages of this load may have arrived before the specification
+    const pendingMessages = this.pendingMessages.filter(
+      (message) => message.loadId === loadId
+    );
+    this.pendingMessages = this.pendingMessages.filter(
+      (message) => message.loadId > loadId
+    );
+
+    return (source, onBatch, sourceId) =>
+      new Promise((resolve, reject) => {
+        this.sources.set(sourceId, { onBatch, resolve, reject });
+        pendingMessages
+          .filter((message) => message.sourceId === sourceId)
+          .forEach((message) => this.receive(message));
+      });
+  }
+
+  /**
+   * Hand a message from the data loader worker to the source it is for.
+   *
+   * @param {Object} message of type "dataBatch" or "dataLoaded"
+   */
+  receive(message) {
+    const source =
+      message.loadId === this.loadId && this.sources.get(message.sourceId);
+    if (!source) {
+      if (this.loadId === undefined || message.loadId >= this.loadId) {
+        this.pendingMessages.push(message);
+      }
+      return;
+    }
+
+    if (source.isFailed) {
+      return; // The rest of a source whose batch could not be handled
+    }
+    switch (message.type) {
+      case "dataBatch":
+        // Errors are not thrown to the port, which has no one to report them to
+        try {
+          source.onBatch(message.columns, message.numRows, message.progress);
+        } catch (error) {
+          source.isFailed = true;
+          source.reject(error);
+        }
+        break;
+      case "dataLoaded":
+        source.resolve();
+        break;
+      default:
+        console.error(`Received unknown message type: ${message.type}`);
+    }
+  }
+}
+
+export default DataReceiver;
@@ -34,6 +34,13 @@ class Drawer {
    */
   tick() {}
 
+  /**
+   * Method to implement which signifies more data has been loaded and drawn.
+   *
+   * @param {Object} progress of the form {loadedBytes, totalBytes, loadedRows, done}
+   */
+  dataProgress(progress) {}
+
   /**
    * Method to implement animating a frame.
    */
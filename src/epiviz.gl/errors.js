@@ -0,0 +1,98 @@
+// Properties describing where an error occurred, see VisualizationError
+const CONTEXT_PROPERTIES = Object.freeze([
+  "stage",
+  "trackIndex",
+  "attribute",
+  "row",
+]);
+
+class VisualizationError extends Error {
+  /**
+   * An error processing or drawing a specification. Errors in the workers are posted to the
+   * main thread as plain objects, see toErrorMessage, and surfaced by {@link WebGLVis} as an
+   * error event.
+   *
+   * @param {String} message describing the error
+   * @param {Object=} context of the form {stage, trackIndex, attribute, row} where stage is
+   *  one of "validation", "data", "transform", "mapping", "drawing", "webgl" or "worker",
+   *  trackIndex is the index of the track in the specification, attribute is the name of the
+   *  attribute of the data, and row is the index of the row in the data of the track
+   */
+  constructor(message, context = {}) {
+    super(message);
+    this.name = "VisualizationError";
+    CONTEXT_PROPERTIES.forEach((property) => {
+      this[property] = context[property];
+    });
+  }
+}
+
+/**
+ * Add where an error occurred to it, keeping what it already knows.
+ *
+ * @param {*} error that was thrown
+ * @param {Object} context of the form {stage, trackIndex, attribute, row}
+ * @returns VisualizationError to throw instead
+ */
+const addErrorContext = (error, context) => {
+  const visualizationError =
+    error instanceof VisualizationError
+      ? error
+      : new VisualizationError(error?.message || String(error));
+  CONTEXT_PROPERTIES.forEach((property) => {
+    if (visualizationError[property] === undefined) {
+      visualizationError[property] = context[property];
+    }
+  });
+  return visualizationError;
+};
+
+/**
+ * Turn an error into a message that can be posted from a worker.
+ *
+ * @param {*} error that was thrown
+ * @param {String} stage of the error if it does not know it
+ * @returns object of the form {type: "error", message, stage, trackIndex, attribute, row}
+ */
+const toErrorMessage = (error, stage) => {
+  const visualizationError = addErrorContext(error, { stage });
+  const errorMessage = { type: "error", message: visualizationError.message };
+  CONTEXT_PROPERTIES.forEach((property) => {
+    errorMessage[property] = visualizationError[property];
+  });
+  return errorMessage;
+};
+
+/**
+ * Turn a message from toErrorMessage back into an error.
+ *
+ * @param {Object} errorMessage posted by a worker
+ * @returns VisualizationError
+ */
+const fromErrorMessage = (errorMessage) =>
+  new VisualizationError(errorMessage.message, errorMessage);
+
+/**
+ * Post uncaught errors and rejections of a worker to the main thread as error messages
+ * instead of letting them reach the console.
+ *
+ * @param {String} stage of the errors that do not know theirs
+ */
+const forwardErrorsOfWorker = (stage) => {
+  self.addEventListener("error", (event) => {
+    event.preventDefault();
+    postMessage(toErrorMessage(event.error || event.message, stage));
+  });
+  self.addEventListener("unhandledrejection", (event) => {
+    event.preventDefault();
+    postMessage(toErrorMessage(event.reason, stage));
+  });
+};
+
+export {
+  VisualizationError,
+  addErrorContext,
+  forwardErrorsOfWorker,
+  fromErrorMessage,
+  toErrorMessage,
+};
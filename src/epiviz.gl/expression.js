@@ -0,0 +1,234 @@
+import { VisualizationError } from "./errors";
+import { coerceNumber } from "./utilities";
+
+// Numbers, strings in single or double quotes, names, then operators longest first
+const TOKEN_PATTERN =
+  /(?:(\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|([A-Za-z_$][\w$]*)|(===|!==|==|!=|<=|>=|&&|\|\||[-+*/%<>!()[\].?:]))/y;
+
+const LITERALS = new Map([
+  ["true", true],
+  ["false", false],
+  ["null", null],
+]);
+
+// Binary operators from the lowest to the highest precedence. Numbers given as strings, such
+// as fields of a CSV file read without a type hint, are compared and added as numbers.
+const BINARY_OPERATORS = [
+  {
+    "||": (left, right) => (datum) => left(datum) || right(datum),
+  },
+  {
+    "&&": (left, right) => (datum) => left(datum) && right(datum),
+  },
+  {
+    "===": (a, b) => a === b,
+    "!==": (a, b) => a !== b,
+    "==": (a, b) => a == b,
+    "!=": (a, b) => a != b,
+  },
+  {
+    "<": (a, b) => a < b,
+    "<=": (a, b) => a <= b,
+    ">": (a, b) => a > b,
+    ">=": (a, b) => a >= b,
+  },
+  {
+    "+": (a, b) => a + b,
+    "-": (a, b) => a - b,
+  },
+  {
+    "*": (a, b) => a * b,
+    "/": (a, b) => a / b,
+    "%": (a, b) => a % b,
+  },
+];
+
+// Operators that are given the compiled operands rather than their values, to short-circuit
+const SHORT_CIRCUIT_OPERATORS = ["||", "&&"];
+
+const UNARY_OPERATORS = Object.freeze({
+  "-": (a) => -a,
+  "+": (a) => +a,
+  "!": (a) => !a,
+});
+
+/**
+ * Split an expression into tokens.
+ *
+ * @param {String} expression to split
+ * @returns Array of objects of the form {type, value} where type is "number", "string",
+ *  "name" or "operator"
+ */
+const tokenize = (expression) => {
+  const tokens = [];
+  const whitespace = /\s*/y;
+  let index = 0;
+  while (true) {
+    whitespace.lastIndex = index;
+    whitespace.exec(expression);
+    index = whitespace.lastIndex;
+    if (index === expression.length) {
+      return tokens;
+    }
+
+    TOKEN_PATTERN.lastIndex = index;
+    const match = TOKEN_PATTERN.exec(expression);
+    if (!match) {
+      throw new VisualizationError(
+        `Unexpected "${expression[index]}" in expression "${expression}"`,
+        { stage: "validation" }
+      );
+    }
+    index = TOKEN_PATTERN.lastIndex;
+
+    const [, number, string, name, operator] = match;
+    if (number !== undefined) {
+      tokens.push({ type: "number", value: Number(number) });
+    } else if (string !== undefined) {
+      tokens.push({
+        type: "string",
+        value: JSON.parse(toDoubleQuoted(string)),
+      });
+    } else if (name !== undefined) {
+      tokens.push({ type: "name", value: name });
+    } else {
+      tokens.push({ type: "operator", value: operator });
+    }
+  }
+};
+
+/**
+ * Turn a string literal in single or double quotes into one JSON.parse can read.
+ *
+ * @param {String} literal including its quotes
+ * @returns String in double quotes
+ */
+const toDoubleQuoted = (literal) => {
+  if (literal[0] === '"') {
+    return literal;
+  }
+  const body = literal.slice(1, -1).replace(/\\'/g, "'").replace(/"/g, '\\"');
+  return `"${body}"`;
+};
+
+/**
+ * Compile an expression of a transform to a function of a row, e.g. "datum.end - datum.start".
+ * Expressions are not run as JavaScript. They are made of numbers, strings, true, false,
+ * null, fields of the row such as datum.start or datum["start"], parentheses, the ternary
+ * operator and the arithmetic, comparison and logical operators of JavaScript.
+ *
+ * @param {String} expression where datum refers to the row
+ * @returns function of the form (datum) => value
+ */
+const compileExpression = (expression) => {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const fail = (message) => {
+    throw new VisualizationError(`${message} in expression "${expression}"`, {
+      stage: "validation",
+    });
+  };
+  const peek = () => tokens[position];
+  const isOperator = (value) =>
+    peek()?.type === "operator" && peek().value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      fail(`Expected "${value}"`);
+    }
+    position++;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (!token) {
+      return fail("Unexpected end");
+    }
+    if (token.type === "number" || token.type === "string") {
+      return () => token.value;
+    }
+    if (token.type === "operator" && token.value === "(") {
+      const inner = parseTernary();
+      expect(")");
+      return inner;
+    }
+    if (token.type === "name" && LITERALS.has(token.value)) {
+      const value = LITERALS.get(token.value);
+      return () => value;
+    }
+    if (token.type === "name" && token.value === "datum") {
+      let field;
+      if (isOperator(".")) {
+        position++;
+        field = tokens[position++];
+        if (field?.type !== "name") {
+          fail("Expected the name of a field after datum.");
+        }
+      } else if (isOperator("[")) {
+        position++;
+        field = tokens[position++];
+        if (field?.type !== "string" && field?.type !== "number") {
+          fail("Expected the name of a field in datum[]");
+        }
+        expect("]");
+      } else {
+        fail("Expected a field of datum");
+      }
+      const name = field.value;
+      return (datum) => datum[name];
+    }
+    return fail(`Unexpected "${token.value}"`);
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (token?.type === "operator" && token.value in UNARY_OPERATORS) {
+      position++;
+      const operate = UNARY_OPERATORS[token.value];
+      const operand = parseUnary();
+      return (datum) => operate(coerceNumber(operand(datum)));
+    }
+    return parsePrimary();
+  };
+
+  const parseBinary = (level) => {
+    if (level === BINARY_OPERATORS.length) {
+      return parseUnary();
+    }
+    const operators = BINARY_OPERATORS[level];
+    let left = parseBinary(level + 1);
+    while (peek()?.type === "operator" && peek().value in operators) {
+      const operator = tokens[position++].value;
+      const right = parseBinary(level + 1);
+      const operate = operators[operator];
+      if (SHORT_CIRCUIT_OPERATORS.includes(operator)) {
+        left = operate(left, right);
+      } else {
+        const [a, b] = [left, right];
+        left = (datum) =>
+          operate(coerceNumber(a(datum)), coerceNumber(b(datum)));
+      }
+    }
+    return left;
+  };
+
+  const parseTernary = () => {
+    const condition = parseBinary(0);
+    if (!isOperator("?")) {
+      return condition;
+    }
+    position++;
+    const whenTrue = parseTernary();
+    expect(":");
+    const whenFalse = parseTernary();
+    return (datum) => (condition(datum) ? whenTrue(datum) : whenFalse(datum));
+  };
+
+  const compiled = parseTernary();
+  if (position < tokens.length) {
+    fail(`Unexpected "${peek().value}"`);
+  }
+  return compiled;
+};
+
+export { compileExpression };
@@ -1,5 +1,19 @@
-import { scale } from "./utilities";
 import { format, precisionRound } from "d3-format";
+import { VisualizationError } from "./errors";
+
+/**
+ * Returns a linear scale to map elements in domain to elements in range.
+ * @param {Array} domain array of length two containing minimum and maximum values
+ * @param {Array} range array of length two containing minimum and maximum values
+ * @returns linear scale mapping domain to range
+ */
+function scale(domain, range) {
+  const domainLength = domain[1] - domain[0];
+  const rangeLength = range[1] - range[0];
+  const slope = rangeLength / domainLength;
+  const intercept = range[1] - slope * domain[1];
+  return (x) => slope * x + intercept;
+}
 
 /**
  * Create a function which maps a genome pair to a location in the entire genome
@@ -34,7 +48,9 @@ class GenomeScale {
    */
   constructor(genomeId, domain) {
     if (genomeSizes[genomeId] === undefined) {
-      console.error(`${genomeId} is not a recognized genome!`);
+      throw new VisualizationError(`${genomeId} is not a recognized genome!`, {
+        stage: "validation",
+      });
     }
     this.genomeId = genomeId;
     this.domain = domain;
@@ -166,6 +182,7 @@ class GenomeScale {
     func.mapGenomeIndexToClipSpaceInverse =
       this.mapGenomeIndexToClipSpaceInverse.bind(this);
     func.getMidpoint = this.getMidpoint.bind(this);
+    func.inverse = this.inverse.bind(this);
     func.getTickCoordsAndLabels = this.getTickCoordsAndLabels.bind(this);
     return func;
   }
@@ -319,4 +336,4 @@ const genomeSizes = {
   ]),
 };
 
-export { genomeSizes, GenomeScale };
+export { genomeSizes, GenomeScale, scale };
@@ -1,10 +1,125 @@
 import {
+  getCurveForArc,
+  NUMBER_OF_VERTICES_PER_ARC,
   SIZE_UNITS,
   transformGenomicRangeToStandard,
   transformGenomicRangeArcToStandard,
 } from "./vertex-calculator";
 import { getViewportForSpecification } from "./utilities";
 
+/**
+ * Get the vertices of the curve of an arc as it is drawn by the {@link VertexCalculator}, in the
+ * coordinates the arc is indexed in by the DataProcessor.
+ *
+ * @param {Object} geometry of an arc after {@link GeometryMapper#modifyGeometry}
+ * @param {Function} xScale of the specification, see {@link SpecificationProcessor}
+ * @param {Function} yScale of the specification
+ * @returns Array of vertices of the form [x1, y1, x2, y2, ...]
+ */
+const getArcVertices = (geometry, xScale, yScale) => {
+  // Arcs are curved in clip space, which genomic coordinates already are in
+  const toClipSpace = (scale) =>
+    scale.isGenomeScale ? (value) => value : scale;
+  const fromClipSpace = (scale) => {
+    if (scale.isGenomeScale) {
+      return (value) => value;
+    }
+    const intercept = scale(0);
+    const slope = scale(1) - intercept;
+    return (value) => (value - intercept) / slope;
+  };
+  const [toX, toY] = [toClipSpace(xScale), toClipSpace(yScale)];
+  const [fromX, fromY] = [fromClipSpace(xScale), fromClipSpace(yScale)];
+
+  const [x, y] = geometry.coordinates;
+  const [width, height] = geometry.dimensions;
+  const curve = getCurveForArc(
+    [toX(x), toY(y)],
+    [toX(x + width), toY(y + height)]
+  );
+
+  // Ends are not mapped back from clip space so they stay exactly where they are indexed
+  const vertices = [x, y];
+  for (let i = 1; i < NUMBER_OF_VERTICES_PER_ARC; i++) {
+    const [curveX, curveY] = curve(i / NUMBER_OF_VERTICES_PER_ARC);
+    vertices.push(fromX(curveX), fromY(curveY));
+  }
+  vertices.push(x + width, y + height);
+  return vertices;
+};
+
+/**
+ * Get the distance from a point to a line through vertices. Distances along x and y are
+ * divided by a tolerance first, so the line is within the tolerance of the point if the
+ * distance is at most 1.
+ *
+ * @param {Array} vertices of the line of the form [x1, y1, x2, y2, ...]
+ * @param {Array} point of the form [x, y]
+ * @param {Array} tolerance of the form [x, y], values of 0 only allow points on the line
+ * @returns distance in units of the tolerance
+ */
+const distanceToLine = (vertices, point, tolerance) => {
+  // Tiny rather than 0 so the scaled coordinates stay finite
+  const [toleranceX, toleranceY] = tolerance.map((value) => value || 1e-12);
+  let smallestDistance = Infinity;
+  for (let i = 0; i + 3 < vertices.length; i += 2) {
+    const x1 = (vertices[i] - point[0]) / toleranceX;
+    const y1 = (vertices[i + 1] - point[1]) / toleranceY;
+    const dx = (vertices[i + 2] - point[0]) / toleranceX - x1;
+    const dy = (vertices[i + 3] - point[1]) / toleranceY - y1;
+
+    // Closest point of the segment to the point, which is at the origin
+    const lengthSquared = dx ** 2 + dy ** 2;
+    const t =
+      lengthSquared === 0
+        ? 0
+        : Math.min(1, Math.max(0, -(x1 * dx + y1 * dy) / lengthSquared));
+    smallestDistance = Math.min(
+      smallestDistance,
+      Math.sqrt((x1 + t * dx) ** 2 + (y1 + t * dy) ** 2)
+    );
+  }
+  return smallestDistance;
+};
+
+/**
+ * Check whether a line through vertices crosses a box, clipping each segment to the box.
+ *
+ * @param {Array} vertices of the line of the form [x1, y1, x2, y2, ...]
+ * @param {Array} box of the form [minX, minY, maxX, maxY]
+ * @returns boolean
+ */
+const lineIntersectsBox = (vertices, box) => {
+  for (let i = 0; i + 3 < vertices.length; i += 2) {
+    const [x1, y1] = [vertices[i], vertices[i + 1]];
+    const [dx, dy] = [vertices[i + 2] - x1, vertices[i + 3] - y1];
+
+    // Liang-Barsky, the part of the segment inside the box is between start and end
+    let start = 0;
+    let end = 1;
+    for (const [p, q] of [
+      [-dx, x1 - box[0]],
+      [dx, box[2] - x1],
+      [-dy, y1 - box[1]],
+      [dy, box[3] - y1],
+    ]) {
+      if (p === 0) {
+        if (q < 0) {
+          start = Infinity; // Parallel to and outside of this edge
+        }
+      } else if (p < 0) {
+        start = Math.max(start, q / p);
+      } else {
+        end = Math.min(end, q / p);
+      }
+    }
+    if (start <= end) {
+      return true;
+    }
+  }
+  return false;
+};
+
 class GeometryMapper {
   /**
    * A class meant to modify data points from the getNextDataPoint method of the {@link Track} object
@@ -63,6 +178,19 @@ class GeometryMapper {
       geometry.coordinates[1] = this.yScale(geometry.coordinates[1]);
     }
     this._modifyStandardY(geometry);
+
+    if (this.track.mark === "arc") {
+      // Arcs are indexed by the bounds of their curve, see getArcVertices
+      const vertices = getArcVertices(geometry, this.xScale, this.yScale);
+      const xs = vertices.filter((_, i) => i % 2 === 0);
+      const ys = vertices.filter((_, i) => i % 2 === 1);
+      geometry.bounds = [
+        Math.min(...xs),
+        Math.min(...ys),
+        Math.max(...xs),
+        Math.max(...ys),
+      ];
+    }
   }
 
   _modifyStandardX(geometry) {
@@ -174,3 +302,4 @@ class GeometryMapper {
 }
 
 export default GeometryMapper;
+export { distanceToLine, getArcVertices, lineIntersectsBox };
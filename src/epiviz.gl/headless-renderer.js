@@ -0,0 +1,320 @@
+import SpecificationProcessor from "./specification-processor";
+import SemanticZoomer from "./semantic-zoomer";
+import VertexCalculator from "./vertex-calculator";
+import { getValidationErrors } from "./specification-validation/index";
+import { VertexShader } from "./webgl";
+import { calculateWebGLViewport } from "./track-drawer";
+import { getAxisLayout } from "./svg-interactor";
+import { getSVGDocument, getSVGOfMarks } from "./image-export";
+import { copySpecification } from "./specification-diff";
+import { VisualizationError, addErrorContext } from "./errors";
+import {
+  getPixelMeasurement,
+  getScaleForSpecification,
+  getViewportForSpecification,
+  scale,
+  DEFAULT_MARGIN,
+} from "./utilities";
+
+// Size in pixels of images of specifications without a width or height in pixels
+const DEFAULT_IMAGE_WIDTH = 800;
+const DEFAULT_IMAGE_HEIGHT = 600;
+
+// Sizes in pixels of the ticks of axes, the same as d3-axis draws for the SVGInteractor
+const TICK_SIZE = 6;
+const TICK_PADDING = 3;
+
+// Properties of labels that are not attributes of their text element, see SVGInteractor.updateLabels
+const LABEL_PROPERTIES = Object.freeze([
+  "x",
+  "y",
+  "text",
+  "transformRotate",
+  "type",
+  "index",
+  "fixedX",
+  "fixedY",
+]);
+
+/**
+ * Escape text so it can be written in an SVG document.
+ *
+ * @param {*} text of an element or value of an attribute
+ * @returns String
+ */
+const escapeXML = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Get a length of a specification in pixels.
+ *
+ * @param {String=} measurement such as "50px"
+ * @param {Number} defaultPixels used if the measurement is undefined or not in pixels
+ * @returns Number
+ */
+const toPixels = (measurement, defaultPixels) => {
+  const pixels =
+    measurement === undefined ? false : getPixelMeasurement(`${measurement}`);
+  return pixels === false ? defaultPixels : pixels;
+};
+
+/**
+ * Get where the marks are drawn in an image of a specification.
+ *
+ * @param {Object} specification of the visualization
+ * @param {Object} options of renderToSVG
+ * @returns layout of the form {width, height, left, top, canvasWidth, canvasHeight}
+ */
+const getLayout = (specification, options) => {
+  const margins = specification.margins || {};
+  const defaultMargin = toPixels(DEFAULT_MARGIN);
+  const [top, right, bottom, left] = ["top", "right", "bottom", "left"].map(
+    (side) => toPixels(margins[side], defaultMargin)
+  );
+  const width =
+    options.width || toPixels(specification.width, DEFAULT_IMAGE_WIDTH);
+  const height =
+    options.height || toPixels(specification.height, DEFAULT_IMAGE_HEIGHT);
+
+  return {
+    width,
+    height,
+    left,
+    top,
+    canvasWidth: width - left - right,
+    canvasHeight: height - top - bottom,
+  };
+};
+
+/**
+ * Calculate the marks of every track like the {@link WebGLDrawer} does, into the buffers of
+ * a {@link VertexShader} for each track.
+ *
+ * @param {SpecificationProcessor} specificationHelper whose data is loaded
+ * @returns Array of VertexShaders
+ */
+const calculateMarks = (specificationHelper) =>
+  specificationHelper.tracks.map((currentTrack, trackIndex) => {
+    const trackShader = VertexShader.fromTrack(currentTrack.track);
+    const vertexCalculator = new VertexCalculator(
+      specificationHelper.xScale,
+      specificationHelper.yScale,
+      currentTrack.track
+    );
+
+    let currentMark = currentTrack.getNextMark();
+    while (currentMark) {
+      try {
+        trackShader.addMarkToBuffers(currentMark, vertexCalculator);
+      } catch (error) {
+        throw addErrorContext(error, {
+          stage: "drawing",
+          trackIndex,
+          row: currentTrack.index - 1,
+        });
+      }
+      currentMark = currentTrack.getNextMark();
+    }
+    return trackShader;
+  });
+
+/**
+ * Write an axis as SVG elements, in the same form as d3-axis draws it.
+ *
+ * @param {Object} layout from getAxisLayout in svg-interactor.js
+ * @returns String
+ */
+const getSVGOfAxis = ({
+  orient,
+  translate,
+  scale: axisScale,
+  tickValues,
+  tickFormat,
+}) => {
+  const k = orient === "top" || orient === "left" ? -1 : 1;
+  const isVertical = orient === "left" || orient === "right";
+  const offset = 0.5; // Aligns 1 pixel lines with pixels, as d3-axis does on most screens
+  const [start, end] = axisScale.range().map((position) => position + offset);
+  const outer = k * TICK_SIZE;
+  const domain = isVertical
+    ? `M${outer},${start}H${offset}V${end}H${outer}`
+    : `M${start},${outer}V${offset}H${end}V${outer}`;
+
+  const format = tickFormat || axisScale.tickFormat();
+  const coordinate = isVertical ? "x" : "y";
+  const dy = { top: "0em", bottom: "0.71em" }[orient] || "0.32em";
+  const ticks = (tickValues || axisScale.ticks()).map((value, index) => {
+    const position = axisScale(value) + offset;
+    return (
+      `<g class="tick" opacity="1" transform="translate(` +
+      `${isVertical ? `0,${position}` : `${position},0`})">` +
+      `<line stroke="currentColor" ${coordinate}2="${outer}"/>` +
+      `<text fill="currentColor" ${coordinate}="${
+        k * (TICK_SIZE + TICK_PADDING)
+      }" dy="${dy}">${escapeXML(format(value, index))}</text></g>`
+    );
+  });
+
+  const textAnchor = { left: "end", right: "start" }[orient] || "middle";
+  return (
+    `<g transform="translate(${translate[0]}, ${translate[1]})" fill="none" ` +
+    `font-size="10" font-family="sans-serif" text-anchor="${textAnchor}">` +
+    `<path class="domain" stroke="currentColor" d="${domain}"/>${ticks.join(
+      ""
+    )}</g>`
+  );
+};
+
+/**
+ * Write the labels of a specification as SVG elements, like SVGInteractor.updateLabels.
+ *
+ * @param {Array=} labels of the specification
+ * @param {Object} view of the form {currentXRange, currentYRange, width, height}
+ * @returns String
+ */
+const getSVGOfLabels = (labels = [], view) => {
+  const xToPixels = scale(view.currentXRange, [0, view.width]);
+  const yToPixels = scale(view.currentYRange, [view.height, 0]);
+
+  return labels
+    .map((label) => {
+      const x = xToPixels(label.x);
+      const y = yToPixels(label.y);
+      if (
+        (!label.fixedX && (x < 0 || x > view.width)) ||
+        (!label.fixedY && (y < 0 || y > view.height))
+      ) {
+        return "";
+      }
+
+      const attributes = Object.entries(label)
+        .filter(([property]) => !LABEL_PROPERTIES.includes(property))
+        .map(([property, value]) => ` ${property}="${escapeXML(value)}"`);
+      if (label.transformRotate) {
+        attributes.push(
+          ` transform="rotate(${label.transformRotate}, ${x}, ${y})"`
+        );
+      }
+      return `<text x="${x}" y="${y}"${attributes.join("")}>${escapeXML(
+        label.text
+      )}</text>`;
+    })
+    .join("");
+};
+
+/**
+ * Render a specification as an SVG document without a browser, such as for thumbnails made
+ * on a server. The data is loaded and mapped by a {@link SpecificationProcessor}, and the
+ * marks are calculated by the {@link VertexCalculator} of each track into the buffers of
+ * its {@link VertexShader} like the {@link WebGLDrawer} does. The marks are then written out
+ * by getSVGOfMarks in image-export.js, along with the axes and labels of the
+ * {@link SVGInteractor}.
+ *
+ * @param {Object} specification of the visualization, it is not modified
+ * @param {Object=} options of the form {width, height, xRange, yRange} where width and height
+ *  are the size of the image in pixels, defaulting to the width and height of the
+ *  specification if they are in pixels, and xRange and yRange are the part of the data that
+ *  is shown, defaulting to all of it
+ * @returns Promise resolving to a String of the SVG document, rejected with a
+ *  {@link VisualizationError} if the specification is not valid or can not be drawn
+ */
+const renderToSVG = async (specification, options = {}) => {
+  // Reasons are given in the error rather than logged, as there may be no console to read
+  const validationErrors = getValidationErrors(specification);
+  if (validationErrors.length > 0) {
+    throw new VisualizationError(
+      `The specification is not valid: ${validationErrors
+        .map((error) => error.stack)
+        .join(", ")}`,
+      { stage: "validation" }
+    );
+  }
+  // Drawing replaces the color specifiers of tracks with numbers
+  specification = copySpecification(specification);
+
+  const specificationHelper = new SpecificationProcessor(
+    specification,
+    () => {}
+  );
+  await specificationHelper.loaded;
+  const trackShaders = calculateMarks(specificationHelper);
+
+  const layout = getLayout(specification, options);
+  const [minX, maxX, minY, maxY] = getViewportForSpecification(specification);
+  const view = {
+    minX,
+    maxX,
+    minY,
+    maxY,
+    currentXRange: options.xRange || [minX, maxX],
+    currentYRange: options.yRange || [minY, maxY],
+    width: layout.canvasWidth,
+    height: layout.canvasHeight,
+  };
+
+  const semanticZoomer = new SemanticZoomer(specificationHelper);
+  const drawModes = trackShaders.map((trackShader) =>
+    semanticZoomer.getRecommendedDrawingMode(
+      trackShader,
+      view.currentXRange,
+      view.currentYRange
+    )
+  );
+  const marks = getSVGOfMarks(
+    trackShaders,
+    drawModes,
+    calculateWebGLViewport(view),
+    view.width,
+    view.height
+  );
+
+  const axes = ["x", "y"]
+    .map((dimension) =>
+      getAxisLayout(
+        dimension,
+        specification[`${dimension}Axis`],
+        specification,
+        getScaleForSpecification(dimension, specification),
+        view
+      )
+    )
+    .filter((axisLayout) => axisLayout)
+    .map(getSVGOfAxis)
+    .join("");
+  const labels = getSVGOfLabels(specification.labels, view);
+
+  return getSVGDocument(layout, `${labels}${axes}`, marks);
+};
+
+/**
+ * Render a specification as a PNG without a browser or GPU, see renderToSVG. The SVG is
+ * rasterized by @resvg/resvg-js, which has to be installed, with the fonts of the system.
+ *
+ * @param {Object} specification of the visualization, it is not modified
+ * @param {Object=} options of renderToSVG, and scale to multiply the size of the PNG with
+ * @returns Promise resolving to a Buffer of the PNG
+ */
+const renderToPNG = async (specification, options = {}) => {
+  const svg = await renderToSVG(specification, options);
+
+  let Resvg;
+  try {
+    ({ Resvg } = await import("@resvg/resvg-js"));
+  } catch (error) {
+    throw new VisualizationError(
+      "Rendering a PNG needs @resvg/resvg-js, install it with npm install @resvg/resvg-js",
+      { stage: "drawing" }
+    );
+  }
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: "zoom", value: options.scale || 1 },
+    font: { loadSystemFonts: true },
+  });
+  return resvg.render().asPng();
+};
+
+export { renderToPNG, renderToSVG };
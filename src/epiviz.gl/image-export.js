@@ -0,0 +1,329 @@
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+// Vertices making up each primitive of a draw mode, and how far apart primitives start
+const PRIMITIVES_OF_DRAW_MODES = Object.freeze({
+  POINTS: { count: 1, step: 1 },
+  LINES: { count: 2, step: 2 },
+  LINE_STRIP: { count: 2, step: 1 },
+  TRIANGLES: { count: 3, step: 3 },
+});
+
+// Radius of the inner part of highlighted dots, the rest is the outline, see the dots fragment shader
+const DOT_OUTLINE_RADIUS = 0.7;
+
+/**
+ * Round a coordinate so the exported SVG is not bloated by insignificant digits.
+ *
+ * @param {Number} coordinate in pixels
+ * @returns Number
+ */
+const round = (coordinate) => Math.round(coordinate * 100) / 100;
+
+/**
+ * Turn a color packed like the color channel of marks into a color of SVG.
+ *
+ * @param {Number} color such as 0xff0000
+ * @returns String such as "#ff0000"
+ */
+const toHexColor = (color) =>
+  `#${Math.floor(color).toString(16).padStart(6, "0")}`;
+
+/**
+ * Get what a track shader draws each vertex with, like its vertex shader does.
+ *
+ * @param {VertexShader} trackShader of a track
+ * @returns function of the form (vertex) => {color, opacity, size, outline, isHidden}
+ */
+const getStyleOfVertices = (trackShader) => {
+  const { attributes, uniforms } = trackShader;
+  const valueOf = (channel) =>
+    attributes[`a_${channel}`]
+      ? (vertex) => attributes[`a_${channel}`].data[vertex]
+      : () => uniforms[`u_${channel}`];
+  const colorOf = valueOf("color");
+  const opacityOf = valueOf("opacity");
+  const sizeOf = valueOf("size");
+  const filterValueOf = valueOf("filterValue");
+  const selectedOf = valueOf("selected");
+
+  return (vertex) => {
+    const style = {
+      color: colorOf(vertex),
+      opacity: opacityOf(vertex),
+      size: sizeOf(vertex),
+      isHidden: false,
+    };
+    if (uniforms.filterEnabled) {
+      const [min, max] = uniforms.filterRange;
+      const filterValue = filterValueOf(vertex);
+      style.isHidden = filterValue < min || filterValue > max;
+    }
+    if (uniforms.highlightEnabled) {
+      if (selectedOf(vertex) > 0.5) {
+        if (uniforms.highlightColor >= 0) {
+          style.color = uniforms.highlightColor;
+        }
+        if (uniforms.outlineColor >= 0) {
+          style.outline = uniforms.outlineColor;
+        }
+        style.size *= uniforms.highlightSize;
+      } else {
+        style.opacity *= uniforms.dimOpacity;
+      }
+    }
+    return style;
+  };
+};
+
+/**
+ * Get the path data of a dot.
+ *
+ * @param {Array} center [x, y] in pixels
+ * @param {Number} radius in pixels
+ * @returns String
+ */
+const getDotPath = ([x, y], radius) =>
+  `M${round(x - radius)} ${round(y)}a${round(radius)} ${round(radius)} 0 1 0 ` +
+  `${round(2 * radius)} 0a${round(radius)} ${round(radius)} 0 1 0 ` +
+  `${round(-2 * radius)} 0`;
+
+/**
+ * Call a function with each primitive a track shader draws in the viewport, in the order
+ * they are drawn, using the vertices calculated by the {@link VertexCalculator} of the track.
+ * Primitives that are hidden by a filter or outside of the viewport are left out.
+ *
+ * @param {VertexShader} trackShader of the track
+ * @param {String} drawMode the track is drawn with, see SemanticZoomer
+ * @param {Array} viewport from WebGLDrawer.getWebGLViewport
+ * @param {Number} width of the drawing in pixels
+ * @param {Number} height of the drawing in pixels
+ * @param {Function} callback called with (vertices, style, radius, lastVertex) where vertices
+ *  are [x, y] in pixels with the y axis pointing down, style is of the form
+ *  {color, opacity, size, outline}, radius is that of dots in pixels, and lastVertex is the
+ *  index of the last vertex of the primitive such as for VertexShader.getMarkOfVertex
+ */
+const forEachPrimitive = (
+  trackShader,
+  drawMode,
+  viewport,
+  width,
+  height,
+  callback
+) => {
+  const { count, step } = PRIMITIVES_OF_DRAW_MODES[drawMode];
+  const positions = trackShader.attributes.a_VertexPosition.data;
+  const styleOf = getStyleOfVertices(trackShader);
+  const toPixels = (x, y) => [
+    ((x - viewport[0]) / (viewport[2] - viewport[0])) * width,
+    (1 - (y - viewport[1]) / (viewport[3] - viewport[1])) * height,
+  ];
+
+  const numVertices = positions.length / 2;
+  for (let first = 0; first + count <= numVertices; first += step) {
+    const vertices = [];
+    let isHidden = false;
+    for (let vertex = first; vertex < first + count; vertex++) {
+      // Lines and triangles next to hidden vertices are discarded by the shader
+      isHidden = isHidden || styleOf(vertex).isHidden;
+      vertices.push(toPixels(positions[vertex * 2], positions[vertex * 2 + 1]));
+    }
+    const style = styleOf(first);
+
+    const radius = drawMode === "POINTS" ? (style.size * viewport[4]) / 2 : 0;
+    const isOutside =
+      vertices.every(([x]) => x + radius < 0) ||
+      vertices.every(([x]) => x - radius > width) ||
+      vertices.every(([, y]) => y + radius < 0) ||
+      vertices.every(([, y]) => y - radius > height);
+    if (!isHidden && !isOutside) {
+      callback(vertices, style, radius, first + count - 1);
+    }
+  }
+};
+
+/**
+ * Get the marks of tracks in the viewport as SVG elements, see forEachPrimitive. Consecutive
+ * primitives of the same style are merged into a single path.
+ *
+ * @param {Array} trackShaders {@link VertexShader}s of the tracks, in the order they are drawn
+ * @param {Array} drawModes the tracks are drawn with, see SemanticZoomer
+ * @param {Array} viewport from WebGLDrawer.getWebGLViewport
+ * @param {Number} width of the drawing in pixels
+ * @param {Number} height of the drawing in pixels
+ * @returns String of SVG elements, a group for each track
+ */
+const getSVGOfMarks = (trackShaders, drawModes, viewport, width, height) =>
+  trackShaders
+    .map((trackShader, trackIndex) => {
+      const drawMode = drawModes[trackIndex];
+      const isFilled = drawMode === "POINTS" || drawMode === "TRIANGLES";
+
+      const elements = [];
+      let path;
+      const addToPath = (color, opacity, data) => {
+        const paint = isFilled
+          ? `fill="${toHexColor(color)}"`
+          : `fill="none" stroke="${toHexColor(color)}"`;
+        const opacityName = isFilled ? "fill-opacity" : "stroke-opacity";
+        const attributes =
+          opacity < 1 ? `${paint} ${opacityName}="${opacity}"` : paint;
+        if (path && path.attributes === attributes) {
+          path.data.push(data);
+          return;
+        }
+        path = { attributes, data: [data] };
+        elements.push(path);
+      };
+
+      forEachPrimitive(
+        trackShader,
+        drawMode,
+        viewport,
+        width,
+        height,
+        (vertices, style, radius) => {
+          if (drawMode !== "POINTS") {
+            const points = vertices.map(([x, y]) => `${round(x)} ${round(y)}`);
+            addToPath(
+              style.color,
+              style.opacity,
+              `M${points.join("L")}${isFilled ? "Z" : ""}`
+            );
+          } else if (style.outline === undefined) {
+            addToPath(
+              style.color,
+              style.opacity,
+              getDotPath(vertices[0], radius)
+            );
+          } else {
+            addToPath(
+              style.outline,
+              style.opacity,
+              getDotPath(vertices[0], radius)
+            );
+            addToPath(
+              style.color,
+              style.opacity,
+              getDotPath(vertices[0], radius * DOT_OUTLINE_RADIUS)
+            );
+          }
+        }
+      );
+
+      const paths = elements
+        .map(
+          ({ attributes, data }) => `<path ${attributes} d="${data.join("")}"/>`
+        )
+        .join("");
+      return `<g class="track-${trackIndex}">${paths}</g>`;
+    })
+    .join("");
+
+/**
+ * Measure where the canvas of a visualization is within it, in CSS pixels.
+ *
+ * @param {HTMLElement} parent element of the visualization containing the canvas and axes
+ * @param {HTMLElement} canvas the tracks are drawn on
+ * @returns object of the form {width, height, left, top, canvasWidth, canvasHeight}
+ */
+const getExportLayout = (parent, canvas) => {
+  const parentBox = parent.getBoundingClientRect();
+  const canvasBox = canvas.getBoundingClientRect();
+  return {
+    width: parentBox.width,
+    height: parentBox.height,
+    left: canvasBox.left - parentBox.left,
+    top: canvasBox.top - parentBox.top,
+    canvasWidth: canvasBox.width,
+    canvasHeight: canvasBox.height,
+  };
+};
+
+/**
+ * Serialize the elements of the overlay of a visualization.
+ *
+ * @param {SVGElement} svg with the axes, labels and selection, see {@link SVGInteractor}
+ * @returns String of SVG elements
+ */
+const serializeOverlay = (svg) => {
+  const serializer = new XMLSerializer();
+  return Array.from(svg.childNodes)
+    .map((node) => serializer.serializeToString(node))
+    .join("");
+};
+
+/**
+ * Build a standalone SVG document of a visualization.
+ *
+ * @param {Object} layout of the form {width, height, left, top, canvasWidth, canvasHeight},
+ *  see getExportLayout
+ * @param {String} overlay SVG elements of the axes and labels in the coordinates of the canvas,
+ *  see serializeOverlay
+ * @param {String=} marks SVG elements of the marks from getSVGOfMarks, if undefined the
+ *  document only has the overlay on a transparent background
+ * @returns String
+ */
+const getSVGDocument = (layout, overlay, marks) => {
+  // The canvas clips the marks, the overlay is drawn over the margins
+  const drawing =
+    marks === undefined
+      ? ""
+      : `<rect width="${layout.width}" height="${layout.height}" fill="#ffffff"/>` +
+        `<svg x="${layout.left}" y="${layout.top}" width="${layout.canvasWidth}" ` +
+        `height="${layout.canvasHeight}" overflow="hidden">${marks}</svg>`;
+  return (
+    `<svg xmlns="${SVG_NAMESPACE}" width="${layout.width}" height="${layout.height}" ` +
+    `viewBox="0 0 ${layout.width} ${layout.height}">${drawing}` +
+    `<g transform="translate(${layout.left}, ${layout.top})">${overlay}</g></svg>`
+  );
+};
+
+/**
+ * Composite a snapshot of the canvas with the overlay of a visualization into a PNG.
+ *
+ * @param {Object} layout from getExportLayout
+ * @param {ImageBitmap} image of the canvas drawn at scale times its size
+ * @param {String} overlay SVG elements from serializeOverlay
+ * @param {Number} scale of the PNG relative to the size of the visualization on the page
+ * @returns Promise resolving to a Blob of the PNG
+ */
+const getPNGOfImage = (layout, image, overlay, scale) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(layout.width * scale);
+  canvas.height = Math.round(layout.height * scale);
+  const context = canvas.getContext("2d");
+  context.fillStyle = "#ffffff";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(
+    image,
+    layout.left * scale,
+    layout.top * scale,
+    layout.canvasWidth * scale,
+    layout.canvasHeight * scale
+  );
+  image.close();
+
+  // The overlay is drawn as vector graphics at the size of the PNG
+  const overlayImage = new Image();
+  overlayImage.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(
+    getSVGDocument(layout, overlay)
+  )}`;
+  return overlayImage.decode().then(
+    () =>
+      new Promise((resolve) => {
+        context.drawImage(overlayImage, 0, 0, canvas.width, canvas.height);
+        canvas.toBlob(resolve, "image/png");
+      })
+  );
+};
+
+export {
+  forEachPrimitive,
+  getExportLayout,
+  getPNGOfImage,
+  getSVGDocument,
+  getSVGOfMarks,
+  serializeOverlay,
+  toHexColor,
+  DOT_OUTLINE_RADIUS,
+};
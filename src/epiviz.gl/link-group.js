@@ -0,0 +1,179 @@
+import { VisualizationError } from "./errors";
+
+// Events of a WebGLVis fired when the user or zoomTo changes its viewport
+const VIEWPORT_EVENTS = Object.freeze([
+  "pan",
+  "zoomIn",
+  "zoomOut",
+  "viewportChanged",
+]);
+
+// Ranges of the viewport each way of linking axes keeps in sync
+const RANGES_OF_AXES = Object.freeze({
+  x: ["currentXRange"],
+  y: ["currentYRange"],
+  xy: ["currentXRange", "currentYRange"],
+  none: [],
+});
+
+class LinkGroup {
+  /**
+   * Keeps the viewports and selections of several {@link WebGLVis} in sync, such as a t-SNE, a
+   * heatmap and genome tracks shown side by side. When the user pans or zooms one plot, or
+   * zoomTo reaches its ranges, the linked ranges of the others are set to the same ranges. When
+   * the user selects points in one plot, the points of the others with the same value of a key
+   * attribute are highlighted.
+   *
+   * Plots are only changed in answer to the user or zoomTo, and the ranges are copied, so
+   * linked plots neither trigger each other in a loop nor pan each other twice.
+   *
+   * @param {Object=} options of the form {axes, key, highlightStyle}:
+   *   axes: "x", "y", "xy" or "none", which ranges of the viewport are linked, defaults to "xy"
+   *   key: attribute of the data shared by the plots, such as a sample id, selections are not
+   *     linked if undefined
+   *   highlightStyle: style of the points highlighted in linked plots, see WebGLVis.highlight
+   */
+  constructor({ axes = "xy", key, highlightStyle } = {}) {
+    if (!RANGES_OF_AXES[axes]) {
+      throw new VisualizationError(
+        `${axes} is not a way of linking the axes of a LinkGroup`
+      );
+    }
+    this.axes = axes;
+    this.key = key;
+    this.highlightStyle = highlightStyle;
+
+    this.listeners = new Map(); // Listeners added to each plot, see add
+    this.isLinking = false;
+    this.selectionCount = 0;
+  }
+
+  /**
+   * Link a plot to the others of the group.
+   *
+   * @param {WebGLVis} plot to link
+   * @returns this LinkGroup, so plots can be added in a chain
+   */
+  add(plot) {
+    if (this.listeners.has(plot)) {
+      return this;
+    }
+
+    const listeners = {
+      viewport: (event) => this._linkViewport(plot, event.detail.viewport),
+      selection: (event) =>
+        this._linkSelection(plot, event.detail.data.selection),
+    };
+    VIEWPORT_EVENTS.forEach((type) =>
+      plot.addEventListener(type, listeners.viewport)
+    );
+    plot.addEventListener("onSelectionEnd", listeners.selection);
+    this.listeners.set(plot, listeners);
+    return this;
+  }
+
+  /**
+   * Unlink a plot from the others of the group. Its viewport and highlight are kept.
+   *
+   * @param {WebGLVis} plot to unlink
+   * @returns this LinkGroup
+   */
+  remove(plot) {
+    const listeners = this.listeners.get(plot);
+    if (!listeners) {
+      return this;
+    }
+
+    VIEWPORT_EVENTS.forEach((type) =>
+      plot.removeEventListener(type, listeners.viewport)
+    );
+    plot.removeEventListener("onSelectionEnd", listeners.selection);
+    this.listeners.delete(plot);
+    return this;
+  }
+
+  /**
+   * Plots linked by the group.
+   *
+   * @returns Array of WebGLVis
+   */
+  get plots() {
+    return Array.from(this.listeners.keys());
+  }
+
+  /**
+   * Set the linked ranges of the other plots to those of a plot whose viewport changed.
+   *
+   * @param {WebGLVis} source plot whose viewport changed
+   * @param {Object} viewport of the form {xRange, yRange}, see MouseReader.getViewport
+   */
+  _linkViewport(source, viewport) {
+    const ranges = RANGES_OF_AXES[this.axes];
+    if (this.isLinking || ranges.length === 0) {
+      return;
+    }
+
+    // A plot changed by the group does not change the others again
+    this.isLinking = true;
+    try {
+      for (const plot of this.plots) {
+        if (plot === source) {
+          continue;
+        }
+        // Each plot gets its own copy, as the mouse reader changes its ranges in place
+        const options = {};
+        if (ranges.includes("currentXRange")) {
+          options.currentXRange = [...viewport.xRange];
+        }
+        if (ranges.includes("currentYRange")) {
+          options.currentYRange = [...viewport.yRange];
+        }
+        plot.setViewOptions(options);
+      }
+    } finally {
+      this.isLinking = false;
+    }
+  }
+
+  /**
+   * Highlight the points of the other plots whose key is one of those of the points selected
+   * in a plot. An empty selection removes the highlight.
+   *
+   * @param {WebGLVis} source plot the points were selected in
+   * @param {Object} selection of the form {indices, points, tracks}, see WebGLVis.selectPoints
+   */
+  _linkSelection(source, selection) {
+    if (this.key === undefined || this.isLinking) {
+      return;
+    }
+
+    const keys = new Set();
+    selection.points.forEach((point) => {
+      if (point[this.key] !== undefined) {
+        keys.add(point[this.key]);
+      }
+    });
+
+    // Only the newest selection is highlighted if the queries are answered out of order
+    const selectionCount = ++this.selectionCount;
+    for (const plot of this.plots) {
+      if (plot === source) {
+        continue;
+      }
+      plot
+        .queryValues(this.key, Array.from(keys))
+        .then(({ indices }) => {
+          if (
+            selectionCount === this.selectionCount &&
+            this.listeners.has(plot)
+          ) {
+            plot.highlight(indices, this.highlightStyle);
+          }
+        })
+        .catch(() => {}); // Reported by the error event of the plot
+    }
+  }
+}
+
+export default LinkGroup;
+export { VIEWPORT_EVENTS };
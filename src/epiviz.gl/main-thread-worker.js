@@ -0,0 +1,100 @@
+import { toErrorMessage } from "./errors";
+
+/**
+ * Clone a message the way posting it to a worker would. Canvases can not be cloned, they
+ * are passed as they are since the main thread draws on them directly.
+ *
+ * @param {Object} message to clone
+ * @param {Array=} transfer objects whose ownership moves to the clone
+ * @returns Object
+ */
+const cloneMessage = (message, transfer = []) => {
+  const canvases = {};
+  const cloneable = {};
+  for (const [key, value] of Object.entries(message)) {
+    if (
+      typeof HTMLCanvasElement !== "undefined" &&
+      value instanceof HTMLCanvasElement
+    ) {
+      canvases[key] = value;
+    } else {
+      cloneable[key] = value;
+    }
+  }
+  return { ...structuredClone(cloneable, { transfer }), ...canvases };
+};
+
+class MainThreadWorker {
+  /**
+   * Runs the message handler of a worker module on the main thread, for browsers without
+   * module workers or OffscreenCanvas. It can be used in place of a Worker: messages are
+   * cloned and delivered asynchronously in the order they are posted, and errors thrown
+   * by the handler are posted back as error messages, see toErrorMessage in errors.js.
+   *
+   * @param {Function} importModule returning a promise of the worker module, which exports
+   *  createMessageHandler
+   * @param {String} stage of the errors thrown by the handler that do not know theirs
+   */
+  constructor(importModule, stage) {
+    this.stage = stage;
+    this.onmessage = null;
+    this.onerror = null; // Never called, errors are posted as messages
+    this.isTerminated = false;
+
+    this.handler = importModule().then(({ createMessageHandler }) =>
+      createMessageHandler((message, transfer) =>
+        this._receive(message, transfer)
+      )
+    );
+    this.handler.catch((error) =>
+      this._receive(toErrorMessage(error, "worker"))
+    );
+  }
+
+  /**
+   * Post a message to the handler.
+   *
+   * @param {Object} message of the form {type, ...}
+   * @param {Array=} transfer objects whose ownership moves to the handler
+   */
+  postMessage(message, transfer) {
+    const data = cloneMessage(message, transfer);
+    this.handler.then(
+      (handle) => {
+        if (this.isTerminated) {
+          return;
+        }
+        try {
+          handle({ data });
+        } catch (error) {
+          this._receive(toErrorMessage(error, this.stage));
+        }
+      },
+      () => {} // Reported once by the constructor
+    );
+  }
+
+  /**
+   * Stop delivering messages in both directions.
+   */
+  terminate() {
+    this.isTerminated = true;
+  }
+
+  /**
+   * Deliver a message posted by the handler to onmessage.
+   *
+   * @param {Object} message of the form {type, ...}
+   * @param {Array=} transfer objects whose ownership moves to the receiver
+   */
+  _receive(message, transfer) {
+    const data = cloneMessage(message, transfer);
+    queueMicrotask(() => {
+      if (!this.isTerminated) {
+        this.onmessage?.({ data });
+      }
+    });
+  }
+}
+
+export default MainThreadWorker;
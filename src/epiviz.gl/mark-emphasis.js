@@ -0,0 +1,186 @@
+import { colorSpecifierToHex } from "./utilities";
+
+// Width in pixels of emphasized tick and arc marks, which are otherwise 1 pixel lines
+const EMPHASIZED_LINE_WIDTH = 3;
+
+// Style of the emphasis of hovered marks
+const DEFAULT_EMPHASIS_STYLE = Object.freeze({
+  size: 1.5,
+  outline: "#000000",
+  outlineWidth: 2,
+});
+
+/**
+ * Unpack a color packed like the color channel of marks.
+ *
+ * @param {Number} hex color such as 0xff0000
+ * @returns Array of [r, g, b, a] between 0 and 1
+ */
+const unpackColor = (hex) => [
+  ((hex >> 16) & 255) / 255,
+  ((hex >> 8) & 255) / 255,
+  (hex & 255) / 255,
+  1,
+];
+
+/**
+ * Get a mark as it was drawn by a track shader. The vertices are the ones calculated by
+ * the {@link VertexCalculator} of the track.
+ *
+ * @param {VertexShader} trackShader the mark was added to
+ * @param {Number} row index of the mark in the track
+ * @returns object of the form {drawMode, vertices, color, size}, undefined if the mark has
+ *  not been drawn or is hidden by a filter
+ */
+const getDrawnMark = (trackShader, row) => {
+  const markVertexCounts = trackShader.markVertexCounts;
+  if (row >= markVertexCounts.length) {
+    return undefined;
+  }
+
+  let start = 0;
+  for (let i = 0; i < row; i++) {
+    start += markVertexCounts[i];
+  }
+  const valueOf = (channel) =>
+    trackShader.attributes[`a_${channel}`]
+      ? trackShader.attributes[`a_${channel}`].data[start]
+      : trackShader.uniforms[`u_${channel}`];
+
+  if (trackShader.uniforms.filterEnabled) {
+    const [min, max] = trackShader.uniforms.filterRange;
+    const filterValue = valueOf("filterValue");
+    if (filterValue < min || filterValue > max) {
+      return undefined;
+    }
+  }
+
+  return {
+    drawMode: trackShader.drawMode,
+    vertices: trackShader.attributes.a_VertexPosition.data.slice(
+      start * 2,
+      (start + markVertexCounts[row]) * 2
+    ),
+    color: valueOf("color"),
+    size: valueOf("size"),
+  };
+};
+
+/**
+ * Turn lines into triangles so they can be drawn wider than 1 pixel.
+ *
+ * @param {Array} vertices of lines in pairs of points, as drawn with gl.LINES
+ * @param {Number} width of the lines in pixels
+ * @param {Array} pixelSize [width, height] of a pixel in the units of the vertices
+ * @returns Array of vertices of triangles
+ */
+const thickenLines = (vertices, width, pixelSize) => {
+  const triangles = [];
+  for (let i = 0; i + 3 < vertices.length; i += 4) {
+    const [x1, y1, x2, y2] = vertices.slice(i, i + 4);
+    // Normal of the line in pixels, scaled back to the units of the vertices
+    const dx = (x2 - x1) / pixelSize[0];
+    const dy = (y2 - y1) / pixelSize[1];
+    const length = Math.sqrt(dx ** 2 + dy ** 2) || 1;
+    const nx = (-dy / length) * (width / 2) * pixelSize[0];
+    const ny = (dx / length) * (width / 2) * pixelSize[1];
+
+    triangles.push(
+      ...[x1 + nx, y1 + ny, x1 - nx, y1 - ny, x2 + nx, y2 + ny],
+      ...[x1 - nx, y1 - ny, x2 - nx, y2 - ny, x2 + nx, y2 + ny]
+    );
+  }
+  return triangles;
+};
+
+/**
+ * Move the vertices of triangles away from their center so they cover an outline.
+ *
+ * @param {Array} vertices of triangles
+ * @param {Number} width of the outline in pixels
+ * @param {Array} pixelSize [width, height] of a pixel in the units of the vertices
+ * @returns Array of vertices of the grown triangles
+ */
+const growTriangles = (vertices, width, pixelSize) => {
+  let centerX = 0;
+  let centerY = 0;
+  for (let i = 0; i < vertices.length; i += 2) {
+    centerX += vertices[i];
+    centerY += vertices[i + 1];
+  }
+  centerX /= vertices.length / 2;
+  centerY /= vertices.length / 2;
+
+  return vertices.map((coordinate, i) =>
+    i % 2 === 0
+      ? coordinate + Math.sign(coordinate - centerX) * width * pixelSize[0]
+      : coordinate + Math.sign(coordinate - centerY) * width * pixelSize[1]
+  );
+};
+
+/**
+ * Get what to draw to emphasize a mark: an outline behind it, then the mark enlarged or
+ * thickened in a single opaque color.
+ *
+ * @param {Object} mark from getDrawnMark
+ * @param {Object} style of the form {color, size, outline, outlineWidth} where color defaults
+ *  to the color of the mark, size multiplies the size of dots, and outline is a color specifier
+ *  of an outline outlineWidth pixels wide or undefined for no outline
+ * @param {Array} pixelSize [width, height] of a pixel in the units of the vertices
+ * @param {Number} pointSizeModifier the size of dots is multiplied with, see WebGLDrawer.getWebGLViewport
+ * @returns Array of objects of the form {vertices, drawMode, color, pointSize} to draw in order
+ */
+const getEmphasisPasses = (mark, style, pixelSize, pointSizeModifier) => {
+  const color = unpackColor(
+    style.color ? colorSpecifierToHex(style.color) : mark.color
+  );
+  const outlineColor =
+    style.outline && unpackColor(colorSpecifierToHex(style.outline));
+  const outlineWidth = style.outline ? style.outlineWidth : 0;
+
+  let outline;
+  let emphasized;
+  switch (mark.drawMode) {
+    case "POINTS":
+    case "LINE_STRIP": {
+      // Marks of lines are a single vertex, emphasize them as a dot
+      const vertices = mark.vertices.slice(0, 2);
+      const pointSize = mark.size * pointSizeModifier * style.size;
+      outline = { vertices, pointSize: pointSize + 2 * outlineWidth };
+      emphasized = { vertices, pointSize };
+      break;
+    }
+    case "LINES":
+      outline = {
+        vertices: thickenLines(
+          mark.vertices,
+          EMPHASIZED_LINE_WIDTH + 2 * outlineWidth,
+          pixelSize
+        ),
+      };
+      emphasized = {
+        vertices: thickenLines(mark.vertices, EMPHASIZED_LINE_WIDTH, pixelSize),
+      };
+      break;
+    default:
+      outline = {
+        vertices: growTriangles(mark.vertices, outlineWidth, pixelSize),
+      };
+      emphasized = { vertices: mark.vertices };
+  }
+
+  const drawMode = outline.pointSize ? "POINTS" : "TRIANGLES";
+  const passes = [{ ...emphasized, drawMode, color }];
+  if (outlineColor) {
+    passes.unshift({ ...outline, drawMode, color: outlineColor });
+  }
+  return passes;
+};
+
+export {
+  DEFAULT_EMPHASIS_STYLE,
+  getDrawnMark,
+  getEmphasisPasses,
+  growTriangles,
+  thickenLines,
+};
@@ -11,6 +11,9 @@ import SVGInteractor from "./svg-interactor";
 
 const SELECT_THRESHOLD = 30;
 
+// Errors of requests made for mouse events are reported by the error event of the handler
+const ignoreReportedError = () => {};
+
 /**
  * event.layerX and event.layerY are deprecated. We will use them if they are on the event, but
  * if not we will use a manual calculation.
@@ -58,6 +61,9 @@ class MouseReader {
     this.throttledUpdateSVG = throttleWithRAF(this._updateSVG.bind(this));
     this.uniDirectionalSelectionEnabled = true;
     this.useNaturalScrolling = false;
+
+    // Ranges of another plot shown by an OverviewBrush, of the form {points, mode, handles}
+    this.brush = null;
   }
 
   /**
@@ -75,6 +81,28 @@ class MouseReader {
     this._updateSVG();
   }
 
+  /**
+   * Update the specification of the mouse reader without resetting the current zoom.
+   * @param {Object} specification
+   * @param {Object} changes from diffSpecifications in specification-diff.js
+   */
+  updateSpecification(specification, changes) {
+    const styles = getDimAndMarginStyleForSpecification(specification);
+    this.element.style.width = styles.width;
+    this.element.style.height = styles.height;
+    this.element.style.margin = styles.margin;
+
+    if (changes.scales) {
+      // Only the bounds change, the current x and y ranges are kept
+      [this.minX, this.maxX, this.minY, this.maxY] =
+        getViewportForSpecification(specification);
+    }
+    if (changes.svg) {
+      this.SVGInteractor.setSpecification(specification);
+      this._updateSVG();
+    }
+  }
+
   setSVGOptions(options) {
     this.SVGInteractor.setOptions(options);
   }
@@ -140,10 +168,12 @@ class MouseReader {
     this.element.addEventListener(
       "mousemove",
       (event) => {
-        this.handler.getClosestPoint(
-          this._calculateViewportSpot(...getLayerXandYFromEvent(event)),
-          cloneMouseEvent(event)
-        );
+        this.handler
+          .getClosestPoint(
+            this._calculateViewportSpot(...getLayerXandYFromEvent(event)),
+            cloneMouseEvent(event)
+          )
+          .catch(ignoreReportedError);
         if (!mouseDown) {
           return;
         }
@@ -267,10 +297,12 @@ class MouseReader {
     this.element.addEventListener(
       "dblclick",
       (event) => {
-        this.handler.getClickPoint(
-          this._calculateViewportSpot(...getLayerXandYFromEvent(event)),
-          cloneMouseEvent(event)
-        );
+        this.handler
+          .getClickPoint(
+            this._calculateViewportSpot(...getLayerXandYFromEvent(event)),
+            cloneMouseEvent(event)
+          )
+          .catch(ignoreReportedError);
       },
       false
     );
@@ -436,6 +468,15 @@ class MouseReader {
     return this.currentYRange[1] >= this.currentYRange[0];
   }
 
+  /**
+   * Update the axes and selection right away, such as in every frame of an animation that
+   * already runs once per frame. Changes that can come more often than frames are drawn,
+   * such as mouse events, use throttledUpdateSVG instead.
+   */
+  updateSVG() {
+    this._updateSVG();
+  }
+
   /**
    * Updates the DOM component used to show user selection or axis.
    * Calls methods from SVGInteractor.
@@ -463,6 +504,21 @@ class MouseReader {
     }
 
     this.SVGInteractor.updateSelectView(selectionPoints);
+
+    if (this.brush) {
+      // Like selections, brushes of one axis span the current range of the other
+      this.SVGInteractor.updateBrushView(
+        getPointsBySelectMode(
+          this.brush.mode,
+          this.brush.points,
+          this.currentXRange,
+          this.currentYRange
+        ),
+        this.brush.handles
+      );
+    } else {
+      this.SVGInteractor.updateBrushView([]);
+    }
   }
 
   /**
@@ -475,16 +531,22 @@ class MouseReader {
       (this.tool === "box" || this.tool === "boxh" || this.tool === "boxv") &&
       this.isUniDirectionalSelectionAllowed
     ) {
-      this.handler.selectPoints(
-        getPointsBySelectMode(
-          this.tool,
-          this._currentSelectionPoints,
-          this.currentXRange,
-          this.currentYRange
-        ),
-        event
-      );
-    } else this.handler.selectPoints(this._currentSelectionPoints, event);
+      this.handler
+        .selectPoints(
+          getPointsBySelectMode(
+            this.tool,
+            this._currentSelectionPoints,
+            this.currentXRange,
+            this.currentYRange
+          ),
+          event
+        )
+        .catch(ignoreReportedError);
+    } else {
+      this.handler
+        .selectPoints(this._currentSelectionPoints, event)
+        .catch(ignoreReportedError);
+    }
   }
 
   /**
@@ -2,42 +2,182 @@
  * The offscreen webgl worker is meant to communicate from the {@link WebGLVis}
  * by sending a specification data to the drawer for management of shader program and
  * eventually drawing. Most messages passed are containing the new viewport
- * information for the drawer to process.
+ * information for the drawer to process. Answers carry the id of the message
+ * they answer, see {@link WorkerChannel}. The data itself is received from the
+ * data loader worker.
  */
 import WebGLDrawer from "./webgl-drawer";
+import Canvas2DDrawer from "./canvas-2d-drawer";
+import DataReceiver from "./data-receiver";
+import { isWorkerScope } from "./utilities";
+import { forwardErrorsOfWorker, toErrorMessage } from "./errors";
 
-class OffscreenWebGLDrawer extends WebGLDrawer {
-  tick() {
-    postMessage({ type: "tick" });
-  }
-}
+/**
+ * Create the handler of the messages to the drawer. A worker installs it as its onmessage,
+ * without OffscreenCanvas a {@link MainThreadWorker} runs it on the main thread.
+ *
+ * @param {Function} postMessage to post messages to the {@link WebGLVis} with
+ * @returns function handling a MessageEvent
+ */
+const createMessageHandler = (postMessage) => {
+  // Drawers posting what happens while drawing, ticks only when the FPS meter is displayed
+  const withMessages = (DrawerClass, displayFPSMeter) =>
+    class extends DrawerClass {
+      tick() {
+        if (displayFPSMeter) {
+          postMessage({ type: "tick" });
+        }
+      }
+
+      dataProgress(progress) {
+        postMessage({ type: "dataProgress", ...progress });
+      }
+
+      contextLost() {
+        postMessage({ type: "contextLost" });
+      }
+
+      contextRestored() {
+        postMessage({ type: "contextRestored" });
+      }
+    };
+
+  /**
+   * Create the drawer of the init message. WebGL2 is used unless a 2D canvas is asked for
+   * or WebGL2 is not available, such as when it is blocklisted.
+   *
+   * @param {Object} data of the init message
+   * @returns WebGLDrawer or Canvas2DDrawer
+   */
+  const createDrawer = (data) => {
+    if (data.renderer !== "canvas2d") {
+      try {
+        return new (withMessages(WebGLDrawer, data.displayFPSMeter))(data);
+      } catch (error) {
+        if (error.stage !== "webgl") {
+          throw error;
+        }
+      }
+    }
+    return new (withMessages(Canvas2DDrawer, data.displayFPSMeter))(data);
+  };
 
-self.onmessage = (message) => {
-  switch (message.data.type) {
-    case "init":
-      self.drawer = message.data.displayFPSMeter
-        ? new OffscreenWebGLDrawer(message.data)
-        : new WebGLDrawer(message.data);
-      break;
-    case "viewport":
-      self.drawer.receiveViewport(message.data);
-      break;
-    case "render":
-      self.drawer.receiveViewport(message.data);
-      self.drawer.render();
-      break;
-    case "specification":
-      self.drawer.setSpecification(message.data.specification);
-      break;
-    case "clearBuffers":
-      self.drawer.clearBuffers();
-      break;
-    case "resize":
-      self.drawer.canvas.width = message.data.width;
-      self.drawer.canvas.height = message.data.height;
-      self.drawer.gl.viewport(0, 0, message.data.width, message.data.height);
-      break;
-    default:
-      console.error(`Received unknown message type: ${message.type}`);
-  }
+  const state = {}; // drawer and dataReceiver created by the init message
+
+  // Requests are answered with an error instead of being left pending, see WorkerChannel
+  const postError = (message, error) =>
+    postMessage({ id: message.data.id, ...toErrorMessage(error, "worker") });
+
+  const handleMessage = (message) => {
+    switch (message.data.type) {
+      case "init":
+        state.drawer = createDrawer(message.data);
+        state.dataReceiver = new DataReceiver(message.data.dataPort);
+        postMessage({
+          type: "renderer",
+          renderer:
+            state.drawer instanceof Canvas2DDrawer ? "canvas2d" : "webgl",
+        });
+        break;
+      case "viewport":
+        state.drawer.receiveViewport(message.data);
+        break;
+      case "render":
+        state.drawer.receiveViewport(message.data);
+        state.drawer.render();
+        break;
+      case "specification":
+        state.drawer.setSpecification(
+          message.data.specification,
+          state.dataReceiver.getLoaderFor(message.data.loadId),
+          () => postMessage({ type: "loaded", id: message.data.id }),
+          (error) => postError(message, error)
+        );
+        break;
+      case "updateSpecification":
+        state.drawer.updateSpecification(
+          message.data.specification,
+          message.data.changes,
+          message.data.loadId === undefined
+            ? undefined
+            : state.dataReceiver.getLoaderFor(message.data.loadId),
+          () => postMessage({ type: "loaded", id: message.data.id }),
+          (error) => postError(message, error)
+        );
+        break;
+      case "appendData":
+        state.drawer.appendData(
+          message.data.trackIndex,
+          message.data.columns,
+          message.data.numRows
+        );
+        break;
+      case "removeData":
+        state.drawer.removeData(
+          message.data.trackIndex,
+          message.data.predicate
+        );
+        break;
+      case "setFilter":
+        state.drawer.setFilter(message.data.trackIndex, message.data.filter);
+        break;
+      case "highlight":
+        state.drawer.highlight(message.data.indices, message.data.style);
+        break;
+      case "emphasizePoint":
+        state.drawer.emphasizePoint(message.data.index, message.data.style);
+        break;
+      case "pick":
+        postMessage({
+          type: message.data.type,
+          id: message.data.id,
+          picked: state.drawer.pick(message.data.point),
+        });
+        break;
+      case "exportImage":
+        state.drawer
+          .exportImage(message.data.scale)
+          .then((image) =>
+            postMessage(
+              { type: message.data.type, id: message.data.id, image },
+              image ? [image] : []
+            )
+          )
+          .catch((error) => postError(message, error));
+        break;
+      case "exportSVG":
+        postMessage({
+          type: message.data.type,
+          id: message.data.id,
+          svg: state.drawer.exportSVG(),
+        });
+        break;
+      case "clearBuffers":
+        state.drawer.clearBuffers();
+        break;
+      case "resize":
+        state.drawer.resize(message.data.width, message.data.height);
+        break;
+      default:
+        console.error(`Received unknown message type: ${message.type}`);
+    }
+  };
+
+  return (message) => {
+    try {
+      handleMessage(message);
+    } catch (error) {
+      if (message.data.id === undefined) {
+        throw error; // Not a request, posted by forwardErrorsOfWorker
+      }
+      postError(message, error);
+    }
+  };
 };
+
+if (isWorkerScope()) {
+  forwardErrorsOfWorker("worker");
+  self.onmessage = createMessageHandler(postMessage);
+}
+
+export { createMessageHandler };
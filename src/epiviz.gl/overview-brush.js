@@ -0,0 +1,260 @@
+import { VisualizationError } from "./errors";
+import { VIEWPORT_EVENTS } from "./link-group";
+import { cloneMouseEvent } from "./utilities";
+
+// Selection modes whose bounds the brush of each way of linking axes has, see
+// getPointsBySelectMode in utilities.js
+const MODES_OF_AXES = Object.freeze({
+  x: "boxh",
+  y: "boxv",
+  xy: "box",
+});
+
+// Edges and corners of the brush that can be dragged to resize it
+const HANDLES_OF_AXES = Object.freeze({
+  x: ["w", "e"],
+  y: ["n", "s"],
+  xy: ["n", "e", "s", "w", "nw", "ne", "se", "sw"],
+});
+
+// Smallest width and height in pixels of the overview a brush can be resized to
+const MIN_BRUSH_SIZE = 4;
+
+/**
+ * Clamp a number between two bounds.
+ *
+ * @param {Number} value to clamp
+ * @param {Number} min lower bound
+ * @param {Number} max upper bound
+ * @returns Number
+ */
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Calculate the ranges of a brush after dragging it or one of its handles. The brush stays
+ * within the bounds of the viewport and does not get smaller than minSize, but is not moved
+ * back if it already was outside of them.
+ *
+ * @param {Object} viewport of the form {minX, maxX, minY, maxY, xRange, yRange} when the drag
+ *  started, see MouseReader.getViewport
+ * @param {String} handle dragged, "move" for the brush itself or an edge or corner such as "w"
+ *  or "nw", see SVGInteractor.updateBrushView
+ * @param {Array} delta [x, y] the mouse moved by in data space
+ * @param {Array} minSize [width, height] in data space
+ * @returns object of the form {xRange, yRange} with new arrays
+ */
+const moveBrush = (viewport, handle, delta, minSize) => {
+  const { minX, maxX, minY, maxY } = viewport;
+  const xRange = [...viewport.xRange];
+  const yRange = [...viewport.yRange];
+
+  if (handle === "move") {
+    const shiftX = clamp(
+      delta[0],
+      Math.min(0, minX - xRange[0]),
+      Math.max(0, maxX - xRange[1])
+    );
+    const shiftY = clamp(
+      delta[1],
+      Math.min(0, minY - yRange[0]),
+      Math.max(0, maxY - yRange[1])
+    );
+    return {
+      xRange: [xRange[0] + shiftX, xRange[1] + shiftX],
+      yRange: [yRange[0] + shiftY, yRange[1] + shiftY],
+    };
+  }
+
+  // The y axis points up in data space, so the top edge is the end of the y range
+  if (handle.includes("w")) {
+    xRange[0] = clamp(
+      xRange[0] + delta[0],
+      Math.min(minX, xRange[0]),
+      Math.max(xRange[1] - minSize[0], xRange[0])
+    );
+  }
+  if (handle.includes("e")) {
+    xRange[1] = clamp(
+      xRange[1] + delta[0],
+      Math.min(xRange[0] + minSize[0], xRange[1]),
+      Math.max(maxX, xRange[1])
+    );
+  }
+  if (handle.includes("s")) {
+    yRange[0] = clamp(
+      yRange[0] + delta[1],
+      Math.min(minY, yRange[0]),
+      Math.max(yRange[1] - minSize[1], yRange[0])
+    );
+  }
+  if (handle.includes("n")) {
+    yRange[1] = clamp(
+      yRange[1] + delta[1],
+      Math.min(yRange[0] + minSize[1], yRange[1]),
+      Math.max(maxY, yRange[1])
+    );
+  }
+  return { xRange, yRange };
+};
+
+class OverviewBrush {
+  /**
+   * Makes one {@link WebGLVis} an overview of another, such as a whole genome above a zoomed
+   * in region of it. The current ranges of the detail plot are drawn as a brush over the
+   * overview, which follows as the detail plot is panned and zoomed. Dragging the brush pans
+   * the detail plot, dragging its edges or corners zooms it.
+   *
+   * Brushes of one axis span the other, like the boxh and boxv selections do, and only change
+   * the range of that axis of the detail plot. Use WebGLVis.setOverviewOf rather than creating
+   * this class.
+   *
+   * @param {WebGLVis} overview plot the brush is drawn over
+   * @param {WebGLVis} detail plot whose viewport the brush shows and controls
+   * @param {Object=} options of the form {axes}:
+   *   axes: "x", "y" or "xy", which ranges of the detail plot the brush shows, defaults to "xy"
+   */
+  constructor(overview, detail, { axes = "xy" } = {}) {
+    if (!MODES_OF_AXES[axes]) {
+      throw new VisualizationError(
+        `${axes} is not a way of brushing the axes of a plot`
+      );
+    }
+    this.overview = overview;
+    this.detail = detail;
+    this.axes = axes;
+
+    this.drag = null; // Handle and viewport when dragging started, see _startDrag
+    this.listeners = {
+      viewport: () => this._draw(),
+      mousedown: (event) => this._startDrag(event),
+      mousemove: (event) => this._drag(event),
+      mouseup: () => this._endDrag(),
+    };
+
+    VIEWPORT_EVENTS.forEach((type) =>
+      detail.addEventListener(type, this.listeners.viewport)
+    );
+    this.overview.mouseReader.SVGInteractor.brushMarker.addEventListener(
+      "mousedown",
+      this.listeners.mousedown
+    );
+    this._draw();
+  }
+
+  /**
+   * Stop showing the detail plot in the overview. The viewport of the detail plot is kept.
+   */
+  remove() {
+    this._endDrag();
+    VIEWPORT_EVENTS.forEach((type) =>
+      this.detail.removeEventListener(type, this.listeners.viewport)
+    );
+    this.overview.mouseReader.SVGInteractor.brushMarker.removeEventListener(
+      "mousedown",
+      this.listeners.mousedown
+    );
+    this.overview.mouseReader.brush = null;
+    this.overview.mouseReader.throttledUpdateSVG();
+  }
+
+  /**
+   * Draw the current ranges of the detail plot as the brush of the overview.
+   */
+  _draw() {
+    const { xRange, yRange } = this.detail.mouseReader.getViewport();
+    this.overview.mouseReader.brush = {
+      points: [xRange[0], yRange[1], xRange[1], yRange[0]],
+      mode: MODES_OF_AXES[this.axes],
+      handles: HANDLES_OF_AXES[this.axes],
+    };
+    this.overview.mouseReader.throttledUpdateSVG();
+  }
+
+  /**
+   * Start dragging the brush or one of its handles.
+   *
+   * @param {MouseEvent} event from "mousedown" on the brush
+   */
+  _startDrag(event) {
+    const handle = event.target.getAttribute("data-handle");
+    if (!handle) {
+      return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+
+    const viewport = this.detail.mouseReader.getViewport();
+    this.drag = {
+      handle,
+      start: [event.clientX, event.clientY],
+      // Copied, as the mouse reader changes its ranges in place
+      viewport: {
+        ...viewport,
+        xRange: [...viewport.xRange],
+        yRange: [...viewport.yRange],
+      },
+    };
+    // The mouse can leave the overview while dragging
+    window.addEventListener("mousemove", this.listeners.mousemove);
+    window.addEventListener("mouseup", this.listeners.mouseup);
+  }
+
+  /**
+   * Set the ranges of the detail plot to those of the dragged brush.
+   *
+   * @param {MouseEvent} event from "mousemove" while dragging
+   */
+  _drag(event) {
+    const { handle, start, viewport } = this.drag;
+    const { currentXRange, currentYRange, width, height } =
+      this.overview.mouseReader;
+    const unitsPerPixel = [
+      (currentXRange[1] - currentXRange[0]) / width,
+      (currentYRange[1] - currentYRange[0]) / height,
+    ];
+    // Flipped for Y since the y axis of the data points up
+    const delta = [
+      this.axes === "y" ? 0 : (event.clientX - start[0]) * unitsPerPixel[0],
+      this.axes === "x" ? 0 : (start[1] - event.clientY) * unitsPerPixel[1],
+    ];
+    const { xRange, yRange } = moveBrush(viewport, handle, delta, [
+      MIN_BRUSH_SIZE * unitsPerPixel[0],
+      MIN_BRUSH_SIZE * unitsPerPixel[1],
+    ]);
+
+    this.detail.setViewOptions({
+      currentXRange: xRange,
+      currentYRange: yRange,
+    });
+
+    // Fired as if the user panned or zoomed the detail plot, so linked plots follow
+    let type = "pan";
+    if (handle !== "move") {
+      const previousArea =
+        (viewport.xRange[1] - viewport.xRange[0]) *
+        (viewport.yRange[1] - viewport.yRange[0]);
+      const area = (xRange[1] - xRange[0]) * (yRange[1] - yRange[0]);
+      type = area < previousArea ? "zoomIn" : "zoomOut";
+    }
+    this.detail.dispatchEvent(type, {
+      viewport: this.detail.mouseReader.getViewport(),
+      type: "brush",
+      event: cloneMouseEvent(event),
+    });
+  }
+
+  /**
+   * Stop dragging the brush.
+   */
+  _endDrag() {
+    if (!this.drag) {
+      return;
+    }
+    this.drag = null;
+    window.removeEventListener("mousemove", this.listeners.mousemove);
+    window.removeEventListener("mouseup", this.listeners.mouseup);
+  }
+}
+
+export default OverviewBrush;
+export { moveBrush };
@@ -0,0 +1,158 @@
+import Flatbush from "flatbush";
+
+/**
+ * Get the squared distance from a point to bounds, like Flatbush measures it.
+ *
+ * @param {Number} x of the point
+ * @param {Number} y of the point
+ * @param {Array} bounds of the form [minX, minY, maxX, maxY]
+ * @returns Number
+ */
+const squaredDistanceToBounds = (x, y, [minX, minY, maxX, maxY]) => {
+  const dx = Math.max(minX - x, 0, x - maxX);
+  const dy = Math.max(minY - y, 0, y - maxY);
+  return dx ** 2 + dy ** 2;
+};
+
+/**
+ * Build a Flatbush index of a range of points.
+ *
+ * @param {Function} getBounds called with the index of a point, see PointIndex
+ * @param {Number} start index of the first point
+ * @param {Number} end index after the last point
+ * @returns Flatbush, or null if there are no points
+ */
+const buildFlatbush = (getBounds, start, end) => {
+  if (end <= start) {
+    return null;
+  }
+  const index = new Flatbush(end - start);
+  for (let i = start; i < end; i++) {
+    index.add(...getBounds(i));
+  }
+  index.finish();
+  return index;
+};
+
+class PointIndex {
+  /**
+   * A spatial index of points that can be appended to, with the search and neighbors methods
+   * of a Flatbush index. A Flatbush index can not change once it is built, so points appended
+   * after it are kept in a second index which is rebuilt as they arrive and searched
+   * alongside the first one. Appending is cheap while there are few appended points compared
+   * to the points of the first index, see shouldRebuild.
+   *
+   * @param {Function} getBounds called with the index of a point, returning its bounds of the
+   *  form [minX, minY, maxX, maxY]
+   * @param {Number} size number of points, indexed from 0
+   */
+  constructor(getBounds, size) {
+    this.getBounds = getBounds;
+    this.mainSize = size;
+    this.size = size;
+    this.main = buildFlatbush(getBounds, 0, size);
+    this.appended = null;
+  }
+
+  /**
+   * Add the points after the last indexed one.
+   *
+   * @param {Number} size number of points including the appended ones
+   */
+  append(size) {
+    this.size = size;
+    this.appended = buildFlatbush(this.getBounds, this.mainSize, size);
+  }
+
+  /**
+   * Whether appending up to a number of points would be as slow as building a new index,
+   * which happens once the appended points are a tenth of the points of the first index.
+   *
+   * @param {Number} size number of points including the ones to append
+   * @returns boolean
+   */
+  shouldRebuild(size) {
+    return size - this.mainSize > Math.max(this.mainSize / 10, 1000);
+  }
+
+  /**
+   * Find the points whose bounds intersect a box, see Flatbush.search.
+   *
+   * @param {Number} minX of the box
+   * @param {Number} minY of the box
+   * @param {Number} maxX of the box
+   * @param {Number} maxY of the box
+   * @param {Function=} filter called with the index of a point, points it returns false for
+   *  are not found
+   * @returns Array of indices
+   */
+  search(minX, minY, maxX, maxY, filter) {
+    const found = this.main
+      ? this.main.search(minX, minY, maxX, maxY, filter)
+      : [];
+    if (!this.appended) {
+      return found;
+    }
+    return found.concat(
+      this.appended
+        .search(minX, minY, maxX, maxY, this._shiftFilter(filter))
+        .map((index) => index + this.mainSize)
+    );
+  }
+
+  /**
+   * Find the points nearest to a point, see Flatbush.neighbors.
+   *
+   * @param {Number} x of the point
+   * @param {Number} y of the point
+   * @param {Number=} maxResults number of points to find
+   * @param {Number=} maxDistance points whose bounds are further away are not found
+   * @param {Function=} filter called with the index of a point, points it returns false for
+   *  are not found
+   * @returns Array of indices ordered from nearest to furthest
+   */
+  neighbors(x, y, maxResults = Infinity, maxDistance = Infinity, filter) {
+    const found = this.main
+      ? this.main.neighbors(x, y, maxResults, maxDistance, filter)
+      : [];
+    if (!this.appended) {
+      return found;
+    }
+
+    const appended = this.appended
+      .neighbors(x, y, maxResults, maxDistance, this._shiftFilter(filter))
+      .map((index) => index + this.mainSize);
+    // Both are ordered by distance, so the nearest of them are merged
+    const distanceOf = (index) =>
+      squaredDistanceToBounds(x, y, this.getBounds(index));
+    const merged = [];
+    let i = 0;
+    let j = 0;
+    while (
+      merged.length < maxResults &&
+      (i < found.length || j < appended.length)
+    ) {
+      if (
+        j === appended.length ||
+        (i < found.length && distanceOf(found[i]) <= distanceOf(appended[j]))
+      ) {
+        merged.push(found[i++]);
+      } else {
+        merged.push(appended[j++]);
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Get a filter of the appended index, whose indices start at 0.
+   *
+   * @param {Function=} filter called with the index of a point
+   * @returns Function or undefined if there is no filter
+   */
+  _shiftFilter(filter) {
+    return filter && ((index) => filter(index + this.mainSize));
+  }
+}
+
+export default PointIndex;
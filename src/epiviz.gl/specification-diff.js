@@ -0,0 +1,186 @@
+import { getDrawModeForTrack } from "./specification-processor";
+import { getViewportForSpecification } from "./utilities";
+
+// Channels which only change the attributes of vertices, not their positions
+const STYLE_CHANNELS = ["color", "opacity", "size"];
+
+// Properties of a track which do not change how it is drawn or indexed
+const IGNORED_TRACK_PROPERTIES = ["tooltips"];
+
+/**
+ * Deep equality for specifications. Binary data is compared by reference as comparing the
+ * bytes would be as slow as loading them.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns boolean
+ */
+const isEqual = (a, b) => {
+  if (a === b) {
+    return true;
+  }
+  if (a instanceof ArrayBuffer || b instanceof ArrayBuffer) {
+    return false;
+  }
+  if (ArrayBuffer.isView(a) || ArrayBuffer.isView(b)) {
+    return (
+      ArrayBuffer.isView(a) &&
+      ArrayBuffer.isView(b) &&
+      a.constructor === b.constructor &&
+      a.length === b.length &&
+      a.every((value, i) => value === b[i])
+    );
+  }
+  if (
+    typeof a !== "object" ||
+    typeof b !== "object" ||
+    a === null ||
+    b === null ||
+    Array.isArray(a) !== Array.isArray(b)
+  ) {
+    return false;
+  }
+
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every((key) => key in b && isEqual(a[key], b[key]))
+  );
+};
+
+/**
+ * Copy a specification so later changes to the original can be diffed against it. Objects
+ * and Arrays are copied, anything else such as binary data is kept by reference.
+ *
+ * @param {*} specification or part of one
+ * @returns copy of specification
+ */
+const copySpecification = (specification) => {
+  if (Array.isArray(specification)) {
+    return specification.map(copySpecification);
+  }
+  if (
+    !specification ||
+    typeof specification !== "object" ||
+    ArrayBuffer.isView(specification) ||
+    specification instanceof ArrayBuffer
+  ) {
+    return specification;
+  }
+
+  const copy = {};
+  for (const [key, value] of Object.entries(specification)) {
+    copy[key] = copySpecification(value);
+  }
+  return copy;
+};
+
+/**
+ * Get the inputs of the x and y scales of a specification, which if changed move every mark.
+ *
+ * @param {Object} specification
+ * @returns object to compare with isEqual
+ */
+const getScaleInputs = (specification) => ({
+  viewport: getViewportForSpecification(specification),
+  dimensions: specification.tracks.map((track) =>
+    ["x", "y"].map((dimension) => [
+      track[dimension].type,
+      track[dimension].genome,
+      track[dimension].domain,
+    ])
+  ),
+});
+
+/**
+ * Classify how a track changed between specifications.
+ *
+ * @param {Object=} previousTrack track of the previous specification with the same index
+ * @param {Object} track of the new specification
+ * @param {Boolean} mustRebuild whether the data or scales of the track changed
+ * @returns "none" if drawing is unaffected, "style" if only the color, opacity, or size of
+ *  dots changed, or "rebuild" if the marks need to be calculated again
+ */
+const getTrackChange = (previousTrack, track, mustRebuild) => {
+  if (!previousTrack || mustRebuild) {
+    return "rebuild";
+  }
+
+  const properties = new Set([
+    ...Object.keys(previousTrack),
+    ...Object.keys(track),
+  ]);
+  const changed = [...properties].filter(
+    (property) =>
+      !IGNORED_TRACK_PROPERTIES.includes(property) &&
+      !isEqual(previousTrack[property], track[property])
+  );
+
+  if (changed.length === 0) {
+    return "none";
+  }
+  const onlyStyle = changed.every(
+    (property) =>
+      STYLE_CHANNELS.includes(property) &&
+      // Size changes the vertices of marks other than dots
+      (property !== "size" || getDrawModeForTrack(track) === "POINTS")
+  );
+  return onlyStyle ? "style" : "rebuild";
+};
+
+/**
+ * Find what changed between two specifications so only the affected parts of the
+ * visualization need to be rebuilt.
+ *
+ * @param {Object} previous specification currently displayed
+ * @param {Object} specification to update to
+ * @param {Boolean=} reloadData whether to treat all data as changed, e.g. if the data of the
+ *  previous specification has not finished loading
+ * @returns object of the form {layout, svg, scales, data, transform, tracks} where layout, svg,
+ *  and scales are booleans on whether the size and margins, the axes and labels, or the domains
+ *  changed, data is an Array of the data which changed ("defaultData" or the index of a track
+ *  with its own data), transform is a boolean on whether the transforms of the default data
+ *  changed, and tracks is an Array with the change of each track from getTrackChange
+ */
+const diffSpecifications = (previous, specification, reloadData = false) => {
+  const layout = ["width", "height", "margins"].some(
+    (property) => !isEqual(previous[property], specification[property])
+  );
+  const scales = !isEqual(
+    getScaleInputs(previous),
+    getScaleInputs(specification)
+  );
+  const svg =
+    layout ||
+    scales ||
+    ["labels", "xAxis", "yAxis"].some(
+      (property) => !isEqual(previous[property], specification[property])
+    );
+
+  const data = [];
+  const defaultDataChanged =
+    reloadData || !isEqual(previous.defaultData, specification.defaultData);
+  if (defaultDataChanged) {
+    data.push("defaultData");
+  }
+  const transform = !isEqual(previous.transform, specification.transform);
+
+  const tracks = specification.tracks.map((track, index) => {
+    const previousTrack = previous.tracks[index];
+    const dataChanged = reloadData || !isEqual(previousTrack?.data, track.data);
+    if (dataChanged && track.data) {
+      data.push(index);
+    }
+    const usesChangedDefaultData =
+      !track.data && (defaultDataChanged || transform);
+    return getTrackChange(
+      previousTrack,
+      track,
+      scales || dataChanged || usesChangedDefaultData
+    );
+  });
+
+  return { layout, svg, scales, data, transform, tracks };
+};
+
+export { copySpecification, diffSpecifications, isEqual };
@@ -1,10 +1,20 @@
 import {
+  buildFilterPredicate,
   rgbStringToHex,
   scale,
   colorSpecifierToHex,
   getScaleForSpecification,
 } from "./utilities";
-import { SIZE_UNITS } from "./vertex-calculator";
+import { getDrawModeForTrack, SIZE_UNITS } from "./vertex-calculator";
+import {
+  addTextTypeHints,
+  appendToColumnarData,
+  createColumnarData,
+  getDataSource,
+  loadDataSource,
+} from "./data-loader";
+import { TransformedData } from "./transforms";
+import { VisualizationError, addErrorContext } from "./errors";
 
 import * as d3 from "d3-scale-chromatic";
 
@@ -66,32 +76,29 @@ const DEFAULT_MAX_HEIGHT = 1 / SIZE_UNITS;
 
 const DEFAULT_COLOR_SCHEME = "interpolateBrBG";
 
+// Minimum milliseconds between calls of the progress callback while streaming data
+const MIN_PROGRESS_INTERVAL = 100;
+
 // first value is undefined as categories are 1-indexed
 const SHAPES = [undefined, "dot", "triangle", "circle", "diamond"];
 
 /**
- * Given a track, determine the WebGL draw mode for it
+ * Wrap inline data, an object mapping attribute names to arrays, so it can be read
+ * the same way as loaded data.
  *
- * @param {Object} track from specification
- * @returns WebGLDrawMode as a string
+ * @param {Object} inlineData data property of a track or defaultData of a specification
+ * @returns columnar data as from createColumnarData
  */
-const getDrawModeForTrack = (track) => {
-  switch (track.mark) {
-    case "line":
-      return "LINE_STRIP";
-    case "tick":
-    case "arc":
-      return "LINES";
-    case "point":
-      if (track.shape && track.shape.value !== "dot") {
-        return "TRIANGLES";
-      } else {
-        return "POINTS";
-      }
-    case "rect":
-    case "area":
-      return "TRIANGLES";
-  }
+const toColumnarData = (inlineData) => {
+  const data = createColumnarData();
+  const columns = Object.values(inlineData);
+  appendToColumnarData(
+    data,
+    inlineData,
+    columns.length > 0 ? columns[0].length : 0
+  );
+  data.isComplete = true;
+  return data;
 };
 
 class SpecificationProcessor {
@@ -99,23 +106,36 @@ class SpecificationProcessor {
    * Process a specification by reading in the data, the channel information, and producing an
    * iterator like interface with getNextTrack to feed to a drawer.
    *
+   * Data from urls or Arrow IPC bytes is streamed as columns, so rows are appended to the
+   * tracks as they arrive. If a progressCallback is given, it is called periodically while
+   * data is loading so consumers can process the rows that have arrived so far with
+   * {@link Track#getNextMark} or {@link Track#getNextDataPoint}.
+   *
    * @param {Object} specification user defined specification
    * @param {Function} callback function to call after all the data has been loaded
+   * @param {Function=} progressCallback function called with (this, progress) as data streams in,
+   *  progress is of the form {loadedBytes, totalBytes, loadedRows}
+   * @param {Function=} loadData function called with (source, onBatch, sourceId) to load each
+   *  data source, see loadDataSource in data-loader.js. Defaults to loading the data in place,
+   *  a {@link DataReceiver} can instead provide data loaded elsewhere.
    */
-  constructor(specification, callback) {
+  constructor(
+    specification,
+    callback,
+    progressCallback,
+    loadData = loadDataSource
+  ) {
     this.index = 0;
     this.specification = specification;
-    if (typeof specification.defaultData === "string") {
-      // data is a url to get
-      this.dataPromise = fetch(specification.defaultData)
-        .then((response) => response.text())
-        .then((text) => (this.data = text.split("\n")));
-    } else if (specification.defaultData) {
-      // default data is defined, assumed to be an object
-      this.data = specification.defaultData;
-      this.isInlineData = true;
-    }
-    this.tracks = specification.tracks.map((track) => new Track(this, track));
+    this.progressCallback = progressCallback;
+    this.loadData = loadData;
+    this.dataSources = [];
+    this.lastProgressTime = 0;
+
+    this._setDefaultData(specification);
+    this.tracks = specification.tracks.map(
+      (track, index) => new Track(this, track, index)
+    );
 
     const allPromises = this.tracks
       .map((track) => track.dataPromise)
@@ -127,9 +147,231 @@ class SpecificationProcessor {
     this.xScale = getScaleForSpecification("x", specification);
     this.yScale = getScaleForSpecification("y", specification);
 
-    // When all tracks have acquired their data, call the callback
-    // TODO: Allow tracks to be processed while waiting for others, need to keep in mind order
-    Promise.all(allPromises).then(() => callback(this));
+    // When all tracks have acquired their data, call the callback. this.loaded settles
+    // after it, and is rejected if the data can not be loaded or mapped.
+    this.loaded = Promise.all(allPromises).then(() => callback(this));
+  }
+
+  /**
+   * Load the default data of a specification into this.data.
+   *
+   * @param {Object} specification user defined specification
+   */
+  _setDefaultData(specification) {
+    this.data = undefined;
+    this.dataPromise = undefined;
+    this.transformedData = undefined;
+
+    const defaultSource = getDataSource(specification.defaultData);
+    if (defaultSource) {
+      // data needs to be loaded, rows are appended to this.data as they arrive
+      this.data = createColumnarData();
+      this.dataPromise = this.streamData(
+        addTextTypeHints(
+          defaultSource,
+          specification.tracks.filter((track) => !track.data)
+        ),
+        this.data,
+        "defaultData"
+      );
+    } else if (specification.defaultData) {
+      // default data is defined, assumed to be an object
+      this.data = toColumnarData(specification.defaultData);
+    }
+
+    if (this.data && specification.transform?.length > 0) {
+      // Derived once and shared by every track using the default data
+      this.transformedData = new TransformedData(
+        this.data,
+        specification.transform
+      );
+    }
+  }
+
+  /**
+   * Update to a new specification in place, keeping the data and tracks that did not change.
+   * Tracks that need to be rebuilt are replaced or read from their first row again. Tracks
+   * whose style changed keep their position, use {@link Track#rewind} to read their new marks.
+   *
+   * @param {Object} specification user defined specification to update to
+   * @param {Object} changes from diffSpecifications in specification-diff.js
+   * @param {Function} callback function to call after all changed data has been loaded
+   * @param {Function=} loadData to load changed data with, see the constructor
+   * @returns promise settling like this.loaded, which is replaced by it
+   */
+  updateSpecification(
+    specification,
+    changes,
+    callback,
+    loadData = this.loadData
+  ) {
+    this.specification = specification;
+    this.loadData = loadData;
+    this.dataSources = [];
+
+    const allPromises = [];
+    if (changes.data.includes("defaultData")) {
+      this._setDefaultData(specification);
+      allPromises.push(this.dataPromise);
+    } else if (changes.transform) {
+      this.transformedData =
+        this.data && specification.transform?.length > 0
+          ? new TransformedData(this.data, specification.transform)
+          : undefined;
+    }
+
+    const previousTracks = this.tracks;
+    this.tracks = specification.tracks.map((track, index) => {
+      const previousTrack = previousTracks[index];
+      const needsNewData =
+        !previousTrack ||
+        Boolean(track.data) !== Boolean(previousTrack.hasOwnData) ||
+        changes.data.includes(track.data ? index : "defaultData");
+
+      if (needsNewData) {
+        const newTrack = new Track(this, track, index);
+        newTrack.setFilter(previousTrack?.filter);
+        allPromises.push(newTrack.dataPromise);
+        return newTrack;
+      }
+
+      switch (changes.tracks[index]) {
+        case "rebuild":
+          previousTrack.reset(track);
+          break;
+        case "style":
+          previousTrack.track = track;
+          if (previousTrack.headers) {
+            previousTrack.buildMappers();
+          }
+          break;
+        default:
+          previousTrack.track = track;
+      }
+      return previousTrack;
+    });
+
+    if (changes.scales) {
+      this.xScale = getScaleForSpecification("x", specification);
+      this.yScale = getScaleForSpecification("y", specification);
+    }
+
+    this.loaded = Promise.all(allPromises.filter((p) => p)).then(() =>
+      callback(this)
+    );
+    return this.loaded;
+  }
+
+  /**
+   * Stream rows from a data source into data, notifying the progressCallback as they arrive.
+   *
+   * @param {Object} source from getDataSource
+   * @param {Object} data from createColumnarData to append received rows to
+   * @param {String|Number} sourceId "defaultData" or the index of the track the data is for
+   * @returns promise resolving when the entire source has been read
+   */
+  streamData(source, data, sourceId) {
+    const sourceProgress = { loadedBytes: 0, totalBytes: undefined, data };
+    this.dataSources.push(sourceProgress);
+
+    return this.loadData(
+      source,
+      (columns, numRows, progress) => {
+        appendToColumnarData(data, columns, numRows);
+        sourceProgress.loadedBytes = progress.loadedBytes;
+        sourceProgress.totalBytes = progress.totalBytes;
+        this._reportProgress();
+      },
+      sourceId
+    ).then(
+      () => {
+        data.isComplete = true;
+      },
+      (error) => {
+        throw addErrorContext(error, {
+          stage: "data",
+          trackIndex: sourceId === "defaultData" ? undefined : sourceId,
+        });
+      }
+    );
+  }
+
+  /**
+   * Call the progressCallback with the combined progress of all data sources. Calls are
+   * throttled as consumers typically do expensive work such as uploading buffers.
+   */
+  _reportProgress() {
+    const now = Date.now();
+    if (
+      !this.progressCallback ||
+      now - this.lastProgressTime < MIN_PROGRESS_INTERVAL
+    ) {
+      return;
+    }
+    this.lastProgressTime = now;
+    this.progressCallback(this, this.getProgress());
+  }
+
+  /**
+   * Get how much of the data from urls or bytes has been loaded so far.
+   *
+   * @returns object of the form {loadedBytes, totalBytes, loadedRows}, totalBytes is undefined
+   *  if the size of any data source is unknown
+   */
+  getProgress() {
+    let loadedBytes = 0;
+    let totalBytes = 0;
+    let loadedRows = 0;
+    for (const source of this.dataSources) {
+      loadedBytes += source.loadedBytes;
+      totalBytes += source.totalBytes; // NaN if any size is unknown
+      loadedRows += source.data.length;
+    }
+    return {
+      loadedBytes,
+      totalBytes: isNaN(totalBytes) ? undefined : totalBytes,
+      loadedRows,
+    };
+  }
+
+  /**
+   * Get the tracks whose rows are indexed by the DataProcessor, every track with data unless
+   * it sets interactive to false. Tracks sharing the default data are indexed separately as
+   * their marks may be positioned differently. Indices of points returned by selections count
+   * the rows of these tracks in order.
+   *
+   * @returns Array of {@link Track}s
+   */
+  getTracksToIndex() {
+    return this.tracks.filter(
+      (track) => track.rows && track.track.interactive !== false
+    );
+  }
+
+  /**
+   * Map indices of points, as returned by selections of the DataProcessor, to the rows of the
+   * tracks drawing them.
+   *
+   * @param {Array} indices of points counting the rows of getTracksToIndex in order
+   * @returns Array with a Set of the indices of rows for each track
+   */
+  getRowsOfIndices(indices) {
+    const rowsOfTracks = this.tracks.map(() => new Set());
+    const indexedTracks = this.getTracksToIndex();
+    const offsets = [0];
+    indexedTracks.forEach((track) =>
+      offsets.push(offsets[offsets.length - 1] + track.rows.length)
+    );
+
+    for (const index of indices) {
+      const indexedTrack = offsets.findIndex((offset) => index < offset) - 1;
+      if (indexedTrack < 0) {
+        continue; // Out of range
+      }
+      const trackIndex = this.tracks.indexOf(indexedTracks[indexedTrack]);
+      rowsOfTracks[trackIndex].add(index - offsets[indexedTrack]);
+    }
+    return rowsOfTracks;
   }
 
   /**
@@ -149,130 +391,279 @@ class Track {
    * Process a track from a specification by loading data and producing an iterator
    * like interface with getNextDataPoint or getNextMark.
    *
-   * @param {Object} specification user defined visualization
+   * @param {SpecificationProcessor} specification processor of the user defined visualization
    * @param {Object} track user defined track
+   * @param {Number} trackIndex index of the track in the specification
    */
-  constructor(specification, track) {
+  constructor(specification, track, trackIndex) {
+    this.specification = specification;
     this.track = track;
-
-    if (typeof track.data === "string") {
-      // Track has its own data to GET
-      this.dataPromise = fetch(track.data)
-        .then((response) => response.text())
-        .then((text) => {
-          this.data = text.split(/[\n\r]+/);
-          this.processHeadersAndMappers();
-          this.hasOwnData = true;
-        });
+    this.trackIndex = trackIndex;
+
+    const source = getDataSource(track.data);
+    if (source) {
+      // Track has its own data to load, headers are processed once the first row arrives
+      this.data = createColumnarData();
+      this.dataPromise = specification.streamData(
+        addTextTypeHints(source, [track]),
+        this.data,
+        trackIndex
+      );
+      this.hasOwnData = true;
     } else if (track.data) {
       // Track has its own inline data
-      this.data = track.data;
-      this.isInlineData = true;
-      this.processHeadersAndMappers();
+      this.data = toColumnarData(track.data);
       this.hasOwnData = true;
     } else if (specification.data) {
       // Track does not have its own data, but the specification has default data
       this.data = specification.data;
-      this.isInlineData = specification.isInlineData;
-      this.processHeadersAndMappers();
-    } else if (specification.dataPromise) {
-      // Track does not have its own data, but the specification is GETting default data
-      specification.dataPromise.then(() => {
-        this.data = specification.data;
-        this.processHeadersAndMappers();
-      });
     } else {
       console.error(
         `Could not find data (no defaultData in specification and no data specified for this track) for track ${track}.`
       );
     }
+
+    this._setRows();
+    this.hasNextRow(); // Processes the headers of data that is already available
+  }
+
+  /**
+   * Set the rows the marks are read from, the data after the transforms of the specification
+   * (for the default data) and of the track.
+   */
+  _setRows() {
+    const sourceRows =
+      this.hasOwnData || !this.specification.transformedData
+        ? this.data
+        : this.specification.transformedData;
+    this.rows =
+      this.data && this.track.transform?.length > 0
+        ? new TransformedData(sourceRows, this.track.transform)
+        : sourceRows;
+
+    // Tracks without rows of their own share the rows of the default data
+    this.hasOwnRows = Boolean(this.hasOwnData || this.track.transform?.length);
+    // Whether rows that have been read can change when rows are appended to the data
+    this.transformsAllRows = Boolean(this.rows?.needsAllRows);
+  }
+
+  /**
+   * Check if rows are available to be read. Headers of streamed data are processed
+   * here as they are not available until the first row has arrived.
+   *
+   * @returns boolean on whether getNextDataPoint or getNextMark will return a row
+   */
+  hasNextRow() {
+    if (!this.rows) {
+      return false;
+    }
+    if (this.rows instanceof TransformedData) {
+      this.rows.update();
+    }
+    if (!this.headers) {
+      if (this.rows.length === 0) {
+        return false;
+      }
+      this.processHeadersAndMappers();
+    }
+    return this.index < this.rows.length;
   }
 
   /**
-   * Read the headers from the first row of data and then build functions to map a data row
+   * Read the headers from the columns of the data and then build functions to map a data row
    * to a channel value for drawing. Ultimately a method due to clunky constructor.
    */
   processHeadersAndMappers() {
-    // Processing headers
-    if (this.isInlineData) {
-      this.headers = Object.keys(this.data);
-      this.data.length = this.data[this.headers[0]].length; // assign length to data object for iteration
-      this.index = 0;
-    } else {
-      this.headers = this.data[0].split(",");
-      this.index = 1; // 1 to skip header
-    }
+    this.headers = Object.keys(this.rows.chunks[0].columns);
+    this.rewind();
+    this.buildMappers();
+  }
 
-    // Creating channel mappers
+  /**
+   * Build the functions mapping a data row to channel values from the channels of the track.
+   */
+  buildMappers() {
     this.channelMaps = new Map();
     Object.keys(DEFAULT_CHANNELS).forEach((channel) => {
       this.channelMaps.set(channel, this.buildMapperForChannel(channel));
     });
+    this.filterMapper = this.filter ? this._buildFilterMapper() : undefined;
+  }
+
+  /**
+   * Set the filter hiding marks of this track, see WebGLVis.setFilter. Marks read afterwards
+   * have a filterValue the shader compares to the filter range.
+   *
+   * @param {Object=} filter of the form {attribute, range} or {attribute, values}, undefined to remove
+   */
+  setFilter(filter) {
+    this.filter = filter || undefined;
+    if (this.headers) {
+      this.filterMapper = this.filter ? this._buildFilterMapper() : undefined;
+    }
+  }
+
+  /**
+   * Set the rows of this track to highlight, see WebGLVis.highlight. Marks read afterwards
+   * have a selected value of 1 if their row is highlighted and 0 otherwise.
+   *
+   * @param {Set=} rows indices of the rows to highlight, undefined to remove the highlight
+   */
+  setHighlight(rows) {
+    this.highlightedRows = rows;
   }
 
   /**
-   * Get the next data point from the track. Returns null when all points have been returned.
+   * Build the function mapping a data row to the value compared to the filter range in the
+   * shader. Values of a range filter are used as they are, membership of a values filter is
+   * mapped to 1 or 0 and compared to the range [0.5, 1.5].
+   *
+   * @returns function of the form (row) => Number
+   */
+  _buildFilterMapper() {
+    const attributeIndex = this.headers.indexOf(this.filter.attribute);
+    if (this.filter.values) {
+      const passes = buildFilterPredicate(this.filter);
+      return (row) => (passes(row[attributeIndex]) ? 1 : 0);
+    }
+    return (row) => Number(row[attributeIndex]);
+  }
+
+  /**
+   * Replace the user defined track of this track, rows are read from the beginning again
+   * with the transforms and channels of the new track.
+   *
+   * @param {Object} track user defined track
+   */
+  reset(track) {
+    this.track = track;
+    this._setRows();
+    this.headers = undefined; // Processed again by hasNextRow
+  }
+
+  /**
+   * Start reading rows from the beginning of the data again, e.g. after rows have been
+   * removed from it.
+   */
+  rewind() {
+    this.index = 0;
+    this.chunkIndex = 0;
+    this.chunkStart = 0; // index of the first row of the current chunk
+  }
+
+  /**
+   * Get the next data point from the track. Returns null when all points that have been
+   * loaded so far have been returned.
    * @returns A data point with the x and y coordinates and other attributes from the header
    */
   getNextDataPoint() {
-    if (this.index >= this.data.length) {
+    if (!this.hasNextRow()) {
       return null;
     }
 
     const toReturn = { geometry: { coordinates: [], dimensions: [] } };
-    let splitted;
-    if (this.isInlineData) {
-      splitted = this.headers.map((header) => this.data[header][this.index]);
-    } else {
-      const currRow = this.data[this.index];
-      splitted = currRow.split(",");
-    }
-
+    const splitted = this._getCurrentRow();
     this.index++;
 
     this.headers.forEach((header, index) => {
       toReturn[header] = splitted[index];
     });
 
-    const rawHeight = this.channelMaps.get("height")(splitted);
-    const rawWidth = this.channelMaps.get("width")(splitted);
-    const x = this.channelMaps.get("x")(splitted);
-    const y = this.channelMaps.get("y")(splitted);
-    toReturn.geometry.coordinates.push(x, y);
-    toReturn.geometry.dimensions.push(rawWidth, rawHeight);
+    try {
+      const rawHeight = this.channelMaps.get("height")(splitted);
+      const rawWidth = this.channelMaps.get("width")(splitted);
+      const x = this.channelMaps.get("x")(splitted);
+      const y = this.channelMaps.get("y")(splitted);
+      toReturn.geometry.coordinates.push(x, y);
+      toReturn.geometry.dimensions.push(rawWidth, rawHeight);
+    } catch (error) {
+      throw this._addRowToError(error);
+    }
     return toReturn;
   }
 
   /**
    * Get the next mark from the track for the drawer to process. Returns null when all
-   * marks have been returned.
+   * marks that have been loaded so far have been returned.
    * @returns An object containing information used to draw a mark for a row of data.
    */
   getNextMark() {
     // Getting the next mark cannot modify the data objects as other tracks may refer to
     // the same data
-    if (this.index >= this.data.length) {
+    if (!this.hasNextRow()) {
       return null;
     }
 
     const toReturn = {};
-    let splitted;
-    if (this.isInlineData) {
-      splitted = this.headers.map((header) => this.data[header][this.index]);
-    } else {
-      const currRow = this.data[this.index];
-      splitted = currRow.split(",");
+    const splitted = this._getCurrentRow();
+    if (this.highlightedRows) {
+      toReturn.selected = this.highlightedRows.has(this.index) ? 1 : 0;
     }
-
     this.index++;
 
-    this.channelMaps.forEach((mapper, channel) => {
-      toReturn[channel] = mapper(splitted);
-    });
+    try {
+      this.channelMaps.forEach((mapper, channel) => {
+        toReturn[channel] = mapper(splitted);
+      });
+      if (this.filterMapper) {
+        toReturn.filterValue = this.filterMapper(splitted);
+      }
+    } catch (error) {
+      throw this._addRowToError(error);
+    }
 
     return toReturn;
   }
 
+  /**
+   * Add the track and the row that was just read to an error mapping the row.
+   *
+   * @param {*} error thrown while mapping the row
+   * @returns VisualizationError to throw instead
+   */
+  _addRowToError(error) {
+    return addErrorContext(error, {
+      stage: "mapping",
+      trackIndex: this.trackIndex,
+      row: this.index - 1,
+    });
+  }
+
+  /**
+   * Get the index of an attribute in the headers of the data.
+   *
+   * @param {String} attribute name of a column of the data
+   * @param {String} channel the attribute is used for, to describe the error if it is missing
+   * @returns Number index of the attribute in this.headers
+   */
+  _getAttributeIndex(attribute, channel) {
+    const attributeIndex = this.headers.indexOf(attribute);
+    if (attributeIndex === -1) {
+      throw new VisualizationError(
+        `The data of track ${this.trackIndex} has no attribute ${attribute} for the ${channel} channel!`,
+        { stage: "mapping", trackIndex: this.trackIndex, attribute }
+      );
+    }
+    return attributeIndex;
+  }
+
+  /**
+   * Get the fields of the row at this.index from the columns of the data. Rows are read in
+   * order, so the chunk containing the row is found by moving forward from the last one.
+   *
+   * @returns Array of field values in the order of this.headers
+   */
+  _getCurrentRow() {
+    let chunk = this.rows.chunks[this.chunkIndex];
+    while (this.index >= this.chunkStart + chunk.length) {
+      this.chunkStart += chunk.length;
+      chunk = this.rows.chunks[++this.chunkIndex];
+    }
+
+    const indexInChunk = this.index - this.chunkStart;
+    return this.headers.map((header) => chunk.columns[header][indexInChunk]);
+  }
+
   /**
    * Builds a function which maps an attribute value to a channel value for use by the drawer.
    * The function will return a default if not present in the track, or a constant if
@@ -290,7 +681,6 @@ class Track {
         }
         return () => channelInfo.value;
       } else {
-        const attributeIndex = this.headers.indexOf(channelInfo.attribute);
         let attrMapper;
 
         switch (channelInfo.type) {
@@ -304,21 +694,23 @@ class Track {
             attrMapper = buildMapperForCategoricalChannel(channel, channelInfo);
             break;
           case "genomic":
-            const chrAttributeIndex = this.headers.indexOf(
-              channelInfo.chrAttribute
+            const chrAttributeIndex = this._getAttributeIndex(
+              channelInfo.chrAttribute,
+              channel
             );
-            const geneAttributeIndex = this.headers.indexOf(
-              channelInfo.geneAttribute
+            const geneAttributeIndex = this._getAttributeIndex(
+              channelInfo.geneAttribute,
+              channel
             );
             attrMapper = buildMapperForGenomicChannel(channel, channelInfo);
             return (row) =>
               attrMapper(row[chrAttributeIndex], row[geneAttributeIndex]);
           case "genomicRange":
             const genomicAttributeIndices = [
-              this.headers.indexOf(channelInfo.chrAttribute),
-              this.headers.indexOf(channelInfo.startAttribute),
-              this.headers.indexOf(channelInfo.endAttribute),
-            ];
+              channelInfo.chrAttribute,
+              channelInfo.startAttribute,
+              channelInfo.endAttribute,
+            ].map((attribute) => this._getAttributeIndex(attribute, channel));
             attrMapper = buildMapperForGenomicRangeChannel(
               channel,
               channelInfo
@@ -328,6 +720,10 @@ class Track {
             ) =>
               attrMapper(...genomicAttributeIndices.map((index) => row[index]));
         }
+        const attributeIndex = this._getAttributeIndex(
+          channelInfo.attribute,
+          channel
+        );
         return (row) => attrMapper(row[attributeIndex]);
       }
     } else {
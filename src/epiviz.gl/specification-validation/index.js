@@ -2,20 +2,48 @@ import { Validator } from "jsonschema";
 import visualization from "./visualization.json";
 import track from "./track.json";
 import channel from "./channel.json";
+import format from "./format.json";
+import transform from "./transform.json";
 
 const v = new Validator();
 v.addSchema(channel, "/channel");
+v.addSchema(format, "/format");
+v.addSchema(transform, "/transform");
 v.addSchema(track, "/track");
 
+// Stands in for Arrow IPC bytes during validation as JSON schema can not describe binary data
+const BINARY_DATA_PLACEHOLDER = "arrow-ipc-bytes";
+
+const isBinaryData = (data) =>
+  data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+
 /**
- * Utility method that returns a boolean on whether the json is a valid specification.
- * console.errors the reason if it is not.
+ * Validate a specification against the schema without logging.
  * @param {Object} json specification
- * @returns boolean
+ * @returns Array of the jsonschema ValidationErrors, empty if the specification is valid
  */
-const isJSONValid = (json) => {
+const getValidationErrors = (json) => {
   let jsonToValidate = json;
 
+  // Validate Arrow IPC bytes as if they were a url, without copying them
+  const tracks = Array.isArray(json.tracks) ? json.tracks : [];
+  if (
+    isBinaryData(json.defaultData) ||
+    tracks.some((track) => isBinaryData(track.data))
+  ) {
+    jsonToValidate = {
+      ...json,
+      defaultData: isBinaryData(json.defaultData)
+        ? BINARY_DATA_PLACEHOLDER
+        : json.defaultData,
+      tracks: tracks.map((track) =>
+        isBinaryData(track.data)
+          ? { ...track, data: BINARY_DATA_PLACEHOLDER }
+          : track
+      ),
+    };
+  }
+
   // Check if any typed arrays are in 'defaultData'
   const typedArrayTypes = [
     Int8Array,
@@ -38,7 +66,7 @@ const isJSONValid = (json) => {
     )
   ) {
     // Create a deep copy of the json if a typed array needs to be converted
-    jsonToValidate = JSON.parse(JSON.stringify(json));
+    jsonToValidate = JSON.parse(JSON.stringify(jsonToValidate));
 
     // Convert typed arrays to standard arrays
     Object.keys(jsonToValidate.defaultData).forEach((key) => {
@@ -48,15 +76,32 @@ const isJSONValid = (json) => {
     });
   }
 
-  const validation = v.validate(jsonToValidate, visualization);
+  return v.validate(jsonToValidate, visualization).errors;
+};
+
+/**
+ * Utility method that returns a boolean on whether the json is a valid specification.
+ * console.errors the reason if it is not.
+ * @param {Object} json specification
+ * @returns boolean
+ */
+const isJSONValid = (json) => {
+  const errors = getValidationErrors(json);
 
-  if (!validation.valid) {
-    console.error(validation.errors);
+  if (errors.length > 0) {
+    console.error(errors);
   }
 
-  return validation.valid;
+  return errors.length === 0;
 };
 
 export default isJSONValid;
 
-export { channel, track, visualization };
+export {
+  channel,
+  format,
+  getValidationErrors,
+  track,
+  transform,
+  visualization,
+};
@@ -8,6 +8,134 @@ import { axisBottom, axisLeft, axisTop, axisRight } from "d3-axis";
 import { scaleLinear } from "d3-scale";
 import { select } from "d3-selection";
 
+const AXES_OF_ORIENTS = Object.freeze({
+  top: axisTop,
+  bottom: axisBottom,
+  left: axisLeft,
+  right: axisRight,
+});
+
+// Width in pixels of the handles along the edges of a brush, see updateBrushView
+const BRUSH_HANDLE_SIZE = 8;
+
+// Cursors shown over the parts of a brush, "move" is the brush itself
+const BRUSH_CURSORS = Object.freeze({
+  move: "move",
+  n: "ns-resize",
+  s: "ns-resize",
+  e: "ew-resize",
+  w: "ew-resize",
+  nw: "nwse-resize",
+  se: "nwse-resize",
+  ne: "nesw-resize",
+  sw: "nesw-resize",
+});
+
+/**
+ * Calculate where an axis is drawn and with which ticks.
+ *
+ * @param {String} dimension either x or y
+ * @param {String} orientation of the axis from the specification, such as "bottom" or "zero"
+ * @param {Object} specification of the visualization
+ * @param {Function} genomeScale from getScaleForSpecification, used for genomic ticks
+ * @param {Object} view of the form {currentXRange, currentYRange, width, height}
+ * @returns object of the form {orient, translate, scale, tickValues, tickFormat} where orient
+ *  is the side of the ticks, translate is the [x, y] of the axis and tickValues and tickFormat
+ *  are only defined for genomic axes, or null if there is no axis
+ */
+const getAxisLayout = (
+  dimension,
+  orientation,
+  specification,
+  genomeScale,
+  { currentXRange, currentYRange, width, height }
+) => {
+  let orient, translate, domain, range;
+  if (dimension === "x") {
+    domain = currentXRange;
+    range = [0, width];
+    switch (orientation) {
+      case "none":
+        return null;
+      case "top":
+        orient = "top";
+        translate = [0, 0];
+        break;
+      case "center":
+        orient = "bottom";
+        translate = [0, height / 2];
+        break;
+      case "zero":
+        const yScale = scaleLinear().domain(currentYRange).range([height, 0]);
+
+        orient = "bottom";
+        translate = [0, yScale(0)];
+        break;
+      case "bottom":
+      default:
+        orient = "bottom";
+        translate = [0, height];
+        break;
+    }
+  }
+
+  if (dimension === "y") {
+    domain = currentYRange;
+    range = [height, 0];
+    switch (orientation) {
+      case "none":
+        return null;
+      case "center":
+        orient = "right";
+        translate = [width / 2, 0];
+        break;
+      case "right":
+        orient = "right";
+        translate = [width, 0];
+        break;
+      case "zero":
+        const xScale = scaleLinear().domain(currentXRange).range([0, width]);
+
+        orient = "left";
+        translate = [xScale(0), 0];
+        break;
+      case "left": // left is default behavior
+      default:
+        orient = "left";
+        translate = [0, 0];
+        break;
+    }
+  }
+
+  const layout = {
+    orient,
+    translate,
+    scale: scaleLinear().domain(domain).range(range),
+  };
+
+  let genomic = false;
+  for (const track of specification.tracks) {
+    if (track[dimension].type && track[dimension].type.includes("genomic")) {
+      genomic = true;
+    }
+  }
+
+  if (!genomic) {
+    return layout;
+  }
+
+  let tickInfo;
+  if (dimension === "x") {
+    tickInfo = genomeScale.getTickCoordsAndLabels(domain[0], domain[1]);
+  } else {
+    tickInfo = genomeScale.getTickCoordsAndLabels(range[0], range[1]);
+  }
+
+  layout.tickValues = tickInfo.tickCoords;
+  layout.tickFormat = (_, index) => tickInfo.tickLabels[index];
+  return layout;
+};
+
 class SVGInteractor {
   /**
    * A class used to illustrate state of the visualization on the main thread such as
@@ -41,6 +169,11 @@ class SVGInteractor {
         "stroke-width": "1",
         "stroke-dasharray": "5,5",
       },
+      brushMarkerAttributes: {
+        fill: "rgba(124, 124, 247, 0.2)",
+        stroke: "rgb(136, 128, 247)",
+        "stroke-width": "1",
+      },
     };
 
     // Create a clip path to clip the selection box to the viewport
@@ -61,6 +194,10 @@ class SVGInteractor {
       "http://www.w3.org/2000/svg",
       "g"
     );
+    this.brushMarker = document.createElementNS(
+      "http://www.w3.org/2000/svg",
+      "g"
+    );
 
     this.applyOptions();
   }
@@ -122,6 +259,7 @@ class SVGInteractor {
     );
     selectionMarkerGroup.setAttribute("clip-path", "url(#clipPolygon)");
     selectionMarkerGroup.appendChild(this._selectMarker);
+    selectionMarkerGroup.appendChild(this.brushMarker);
     this.svg.appendChild(selectionMarkerGroup);
     this.svg.appendChild(this._labelMarker);
     this.xAxisAnchor = this.d3SVG.append("g");
@@ -303,91 +441,27 @@ class SVGInteractor {
   }
 
   _calculateAxis(dimension, orientation, specification, genomeScale, anchor) {
-    let axis, domain, range;
-    if (dimension === "x") {
-      domain = this.currentXRange;
-      range = [0, this.width];
-      switch (orientation) {
-        case "none":
-          anchor.attr("transform", `translate(-1000000, -1000000)`);
-          return null;
-        case "top":
-          axis = axisTop();
-          anchor.attr("transform", `translate(0, 0)`);
-          break;
-        case "center":
-          axis = axisBottom();
-          anchor.attr("transform", `translate(0, ${this.height / 2})`);
-          break;
-        case "zero":
-          const yScale = scaleLinear()
-            .domain(this.currentYRange)
-            .range([this.height, 0]);
-
-          axis = axisBottom();
-          anchor.attr("transform", `translate(0, ${yScale(0)})`);
-          break;
-        case "bottom":
-        default:
-          axis = axisBottom();
-          anchor.attr("transform", `translate(0, ${this.height})`);
-          break;
-      }
-    }
-
-    if (dimension === "y") {
-      domain = this.currentYRange;
-      range = [this.height, 0];
-      switch (orientation) {
-        case "none":
-          anchor.attr("transform", `translate(-1000000, -1000000)`);
-          return null;
-        case "center":
-          axis = axisRight();
-          anchor.attr("transform", `translate(${this.width / 2}, 0)`);
-          break;
-        case "right":
-          axis = axisRight();
-          anchor.attr("transform", `translate(${this.width}, 0)`);
-          break;
-        case "zero":
-          const xScale = scaleLinear()
-            .domain(this.currentXRange)
-            .range([0, this.width]);
-
-          axis = axisLeft();
-          anchor.attr("transform", `translate(${xScale(0)}, 0)`);
-          break;
-        case "left": // left is default behavior
-        default:
-          axis = axisLeft();
-          anchor.attr("transform", `translate(0, 0)`);
-          break;
-      }
-    }
-
-    let genomic = false;
-    for (const track of specification.tracks) {
-      if (track[dimension].type && track[dimension].type.includes("genomic")) {
-        genomic = true;
-      }
-    }
-
-    if (!genomic) {
-      return axis.scale(scaleLinear().domain(domain).range(range));
+    const layout = getAxisLayout(
+      dimension,
+      orientation,
+      specification,
+      genomeScale,
+      this
+    );
+    if (!layout) {
+      anchor.attr("transform", `translate(-1000000, -1000000)`);
+      return null;
     }
 
-    let tickInfo;
-    if (dimension === "x") {
-      tickInfo = genomeScale.getTickCoordsAndLabels(domain[0], domain[1]);
-    } else {
-      tickInfo = genomeScale.getTickCoordsAndLabels(range[0], range[1]);
+    anchor.attr(
+      "transform",
+      `translate(${layout.translate[0]}, ${layout.translate[1]})`
+    );
+    const axis = AXES_OF_ORIENTS[layout.orient]().scale(layout.scale);
+    if (!layout.tickValues) {
+      return axis;
     }
-
-    return axis
-      .scale(scaleLinear().domain(domain).range(range))
-      .tickValues(tickInfo.tickCoords)
-      .tickFormat((_, index) => tickInfo.tickLabels[index]);
+    return axis.tickValues(layout.tickValues).tickFormat(layout.tickFormat);
   }
 
   /**
@@ -444,6 +518,62 @@ class SVGInteractor {
     this._selectMarker.setAttribute("points", pointAttr);
   }
 
+  /**
+   * Draw a brush, such as the viewport of the plot an {@link OverviewBrush} controls, with
+   * handles along its edges. Unlike the rest of the svg, the brush and its handles receive
+   * mouse events, the name of the part under the mouse is in its data-handle attribute.
+   *
+   * @param {Array} points [x1, y1, x2, y2] of opposite corners in data space, empty to remove
+   *  the brush
+   * @param {Array=} handles names of the edges and corners that can be dragged to resize the
+   *  brush, such as ["w", "e"] or "nw" for the top left corner
+   */
+  updateBrushView(points, handles = []) {
+    const brushMarker = select(this.brushMarker);
+    if (points.length !== 4) {
+      brushMarker.selectAll("rect").remove();
+      return;
+    }
+
+    const corners = [
+      this._calculateViewportSpotInverse(points[0], points[1]),
+      this._calculateViewportSpotInverse(points[2], points[3]),
+    ];
+    const left = Math.min(corners[0][0], corners[1][0]);
+    const right = Math.max(corners[0][0], corners[1][0]);
+    const top = Math.min(corners[0][1], corners[1][1]);
+    const bottom = Math.max(corners[0][1], corners[1][1]);
+
+    // Handles are centered on the edges they resize and span the others
+    const getSide = (handle, start, end, startName, endName) => {
+      if (handle.includes(startName)) {
+        return [start - BRUSH_HANDLE_SIZE / 2, BRUSH_HANDLE_SIZE];
+      }
+      if (handle.includes(endName)) {
+        return [end - BRUSH_HANDLE_SIZE / 2, BRUSH_HANDLE_SIZE];
+      }
+      return [start, end - start];
+    };
+
+    brushMarker
+      .selectAll("rect")
+      .data(["move", ...handles])
+      .join("rect")
+      .attr("data-handle", (handle) => handle)
+      .attr("x", (handle) => getSide(handle, left, right, "w", "e")[0])
+      .attr("width", (handle) => getSide(handle, left, right, "w", "e")[1])
+      .attr("y", (handle) => getSide(handle, top, bottom, "n", "s")[0])
+      .attr("height", (handle) => getSide(handle, top, bottom, "n", "s")[1])
+      .attr("cursor", (handle) => BRUSH_CURSORS[handle])
+      .attr("pointer-events", "all")
+      .attr("fill", "transparent");
+
+    const brush = brushMarker.select("rect");
+    for (const key in this.options.brushMarkerAttributes) {
+      brush.attr(key, this.options.brushMarkerAttributes[key]);
+    }
+  }
+
   /**
    * Calculate the location on the canvas a real coordniate corresponds to.
    *
@@ -468,3 +598,4 @@ class SVGInteractor {
 }
 
 export default SVGInteractor;
+export { getAxisLayout };
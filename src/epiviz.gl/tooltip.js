@@ -0,0 +1,178 @@
+import { format } from "d3-format";
+import { calculateZoomLevel, getScaleForSpecification } from "./utilities";
+
+// Distance in pixels from a mark within which it is considered hovered
+const HOVER_DISTANCE = 10;
+
+// Offset in pixels of the tooltip from the mouse
+const TOOLTIP_OFFSET = 12;
+
+const DEFAULT_TOOLTIP_STYLE = Object.freeze({
+  position: "absolute",
+  display: "none",
+  pointerEvents: "none",
+  zIndex: "1",
+  padding: "4px 8px",
+  background: "rgba(255, 255, 255, 0.95)",
+  border: "1px solid #999",
+  borderRadius: "3px",
+  font: "12px sans-serif",
+  whiteSpace: "nowrap",
+});
+
+/**
+ * Check whether the tooltips of a track are shown at the current zoom.
+ *
+ * @param {Object} track from the specification, see the tooltips property in track.json
+ * @param {Object} viewport from MouseReader.getViewport
+ * @returns boolean
+ */
+const areTooltipsShown = (track, viewport) => {
+  const threshold = track.tooltips || 0;
+  if (threshold === 0) {
+    return false;
+  }
+  if (threshold >= 1) {
+    return true;
+  }
+
+  // Fraction of the domain that is visible along the most zoomed in axis
+  const { xZoomLevel, yZoomLevel } = calculateZoomLevel(viewport);
+  return 1 / Math.max(xZoomLevel, yZoomLevel) <= threshold;
+};
+
+/**
+ * Format a value for a tooltip.
+ *
+ * @param {*} value of an attribute
+ * @param {String=} specifier for d3-format, only used for numbers
+ * @returns String
+ */
+const formatValue = (value, specifier) =>
+  specifier && typeof value === "number"
+    ? format(specifier)(value)
+    : String(value);
+
+/**
+ * Get the rows of a tooltip for a point.
+ *
+ * @param {Object} point closestPoint from {@link DataProcessor#getClosestPoint}
+ * @param {Array=} template the tooltip property of the specification, every attribute of the
+ *  point is shown if undefined
+ * @param {Object} scales of the form {x, y} from getScaleForSpecification, used to show the
+ *  position of the point on genomic axes, other coordinates are in the units of the data
+ * @returns Array of [title, value] Strings
+ */
+const getTooltipRows = (point, template, scales) => {
+  const items =
+    template ||
+    Object.keys(point)
+      .filter((key) => key !== "geometry")
+      .map((attribute) => ({ attribute }));
+
+  return items.map((item) => {
+    if (!item.channel) {
+      return [
+        item.title || item.attribute,
+        formatValue(point[item.attribute], item.format),
+      ];
+    }
+
+    const coordinate = point.geometry.coordinates[item.channel === "x" ? 0 : 1];
+    const scale = scales[item.channel];
+    return [
+      item.title || item.channel,
+      scale.isGenomeScale
+        ? scale.inverse(coordinate, item.format)
+        : formatValue(coordinate, item.format),
+    ];
+  });
+};
+
+class Tooltip {
+  /**
+   * An HTML tooltip showing the attributes of the hovered point of tracks whose tooltips
+   * property allows it at the current zoom. Style it with the epiviz-gl-tooltip class.
+   *
+   * @param {HTMLElement} container to position the tooltip in, should be positioned
+   */
+  constructor(container) {
+    this.container = container;
+    this.element = document.createElement("div");
+    this.element.className = "epiviz-gl-tooltip";
+    Object.assign(this.element.style, DEFAULT_TOOLTIP_STYLE);
+    container.appendChild(this.element);
+  }
+
+  /**
+   * Set the specification the tooltips are for.
+   *
+   * @param {Object} specification of the visualization
+   */
+  setSpecification(specification) {
+    this.specification = specification;
+    this.scales = {
+      x: getScaleForSpecification("x", specification),
+      y: getScaleForSpecification("y", specification),
+    };
+  }
+
+  /**
+   * Show the tooltip for a hovered point or hide it if no track shows tooltips for it.
+   *
+   * @param {Object} result of {@link DataProcessor#getClosestPoint} with the mouse event
+   * @param {Object} viewport from MouseReader.getViewport
+   * @param {Number} width of the canvas in pixels
+   */
+  update(result, viewport, width) {
+    const { closestPoint, distance, isInside, trackIndex, event } = result;
+    if (!closestPoint || !this.specification) {
+      this.hide();
+      return;
+    }
+
+    const unitsPerPixel = (viewport.xRange[1] - viewport.xRange[0]) / width;
+    const isHovered = isInside || distance / unitsPerPixel <= HOVER_DISTANCE;
+    const isShown = areTooltipsShown(
+      this.specification.tracks[trackIndex],
+      viewport
+    );
+    if (!isHovered || !isShown) {
+      this.hide();
+      return;
+    }
+
+    const rows = getTooltipRows(
+      closestPoint,
+      this.specification.tooltip,
+      this.scales
+    );
+    this.element.replaceChildren(
+      ...rows.map(([title, value]) => {
+        const row = document.createElement("div");
+        const titleElement = document.createElement("b");
+        titleElement.textContent = `${title}: `;
+        row.append(titleElement, value);
+        return row;
+      })
+    );
+    const containerBox = this.container.getBoundingClientRect();
+    this.element.style.left = `${
+      event.clientX - containerBox.left + TOOLTIP_OFFSET
+    }px`;
+    this.element.style.top = `${
+      event.clientY - containerBox.top + TOOLTIP_OFFSET
+    }px`;
+    this.element.style.display = "block";
+  }
+
+  /**
+   * Hide the tooltip.
+   */
+  hide() {
+    this.element.style.display = "none";
+  }
+}
+
+export default Tooltip;
+export { areTooltipsShown, getTooltipRows };
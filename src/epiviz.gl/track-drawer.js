@@ -0,0 +1,573 @@
+import Drawer from "./drawer";
+import SpecificationProcessor from "./specification-processor";
+import { appendToColumnarData, removeFromColumnarData } from "./data-loader";
+import { compilePredicate } from "./transforms";
+import { scale } from "./utilities";
+import VertexCalculator from "./vertex-calculator";
+import { addErrorContext } from "./errors";
+import SemanticZoomer from "./semantic-zoomer";
+import { getSVGOfMarks } from "./image-export";
+import { VertexShader } from "./webgl";
+import { DEFAULT_EMPHASIS_STYLE, getDrawnMark } from "./mark-emphasis";
+
+// Style of highlighted marks, see VertexShader.setHighlight
+const DEFAULT_HIGHLIGHT_STYLE = Object.freeze({
+  size: 1.5,
+  outline: "#000000",
+  opacity: 0.2,
+});
+
+/**
+ * Calculates the viewport of the tracks in clip space to control zooming, such as for
+ * this.gl.viewport of the {@link WebGLCanvasDrawer}. Also calculates point size.
+ *
+ * @param {Object} viewportData of the form {minX, maxX, minY, maxY, currentXRange, currentYRange}
+ *  like a {@link Drawer}
+ * @returns Array of 5 elements, first 4 are viewport parameters, last is pointSizeMultiplier:
+ *   [xOffset, yOffset, displayAsIfThisWide, displayAsIfThisHigh, pointSizeMultiplier]
+ */
+const calculateWebGLViewport = ({
+  minX,
+  maxX,
+  minY,
+  maxY,
+  currentXRange,
+  currentYRange,
+}) => {
+  // Calculate appropriate webgl viewport given current selection window
+
+  // Transform current data coordinates to GPU cordinates
+  const scaleXWindowSpace = scale([minX, maxX], [-1, 1]);
+  const scaleYWindowSpace = scale([minY, maxY], [-1, 1]);
+
+  // Multiply point size by the ratio of max dimension and current width
+  const pointSize = Math.max(
+    1.75,
+    Math.min(
+      1 /
+        (scaleXWindowSpace(currentXRange[1]) -
+          scaleXWindowSpace(currentXRange[0])),
+      1 /
+        (scaleYWindowSpace(currentYRange[1]) -
+          scaleYWindowSpace(currentYRange[0]))
+    )
+  );
+  // Return [x1, y1, x2, y2] and pointsize, camera corners coordinates in GPU space
+  // Which becomes uniform in vertex shader
+  return [
+    scaleXWindowSpace(currentXRange[0]),
+    scaleYWindowSpace(currentYRange[0]),
+    scaleXWindowSpace(currentXRange[1]),
+    scaleYWindowSpace(currentYRange[1]),
+    pointSize,
+  ];
+};
+
+class TrackDrawer extends Drawer {
+  /**
+   * A drawer of the tracks of a specification. The marks of each track are calculated by its
+   * {@link VertexCalculator} into the buffers of its {@link VertexShader}, and subclasses draw
+   * those buffers. Subclasses that keep copies of the buffers, such as on the GPU, update them
+   * in the methods starting with an underscore that do nothing here.
+   *
+   * @param {Object} drawingData object containing keys for {@link Drawer#receiveViewport}
+   *  and canvas key used for drawing.
+   */
+  constructor(drawingData) {
+    super(drawingData);
+    this.isRendered = false; // Whether render has been called for the current buffers
+  }
+
+  /**
+   * Calculates the viewport in clip space to control zooming. Also calculates point size.
+   * @returns Array of 5 elements, see calculateWebGLViewport
+   */
+  getWebGLViewport() {
+    return calculateWebGLViewport(this);
+  }
+
+  /**
+   * Sets the specification and begins the process of drawing it.
+   *  1. Cancels any current animation
+   *  2. Builds shaders for the tracks
+   *  3. As data is streamed in, calls populateBuffers to draw what has arrived so far.
+   *
+   * @param {Object} specification of visualization
+   * @param {Function=} loadData to load the data with, see {@link SpecificationProcessor}
+   * @param {Function=} onLoad called once all the data is loaded and drawn
+   * @param {Function=} onError called with the error if the data can not be loaded or drawn
+   */
+  setSpecification(specification, loadData, onLoad, onError) {
+    super.render(); // Cancels current animation frame
+
+    // Populate buffers needs a trackShader built to know what buffers to fill
+    this.trackShaders = VertexShader.fromSpecification(specification);
+    this.vertexCalculators = [];
+    this.isRendered = false;
+    this.highlightStyle = undefined;
+    this.emphasizedMarks = [];
+
+    this.specificationHelper = new SpecificationProcessor(
+      specification,
+      (specificationHelper) => {
+        this.populateBuffers(specificationHelper, {
+          ...specificationHelper.getProgress(),
+          done: true,
+        });
+        onLoad?.();
+      },
+      this.populateBuffers.bind(this),
+      loadData
+    );
+    if (onError) {
+      this.specificationHelper.loaded.catch(onError);
+    }
+    this.semanticZoomer = new SemanticZoomer(this.specificationHelper);
+  }
+
+  /**
+   * Update to a new specification without starting over. The viewport is kept, and only
+   * the tracks that changed are recalculated. Tracks whose color, opacity or size changed
+   * keep their vertices and only have their other attributes uploaded again.
+   *
+   * @param {Object} specification of visualization
+   * @param {Object} changes from diffSpecifications in specification-diff.js
+   * @param {Function=} loadData to load the changed data with, see {@link SpecificationProcessor}
+   * @param {Function=} onLoad called once the changed data is loaded and drawn
+   * @param {Function=} onError called with the error if the data can not be loaded or drawn
+   */
+  updateSpecification(specification, changes, loadData, onLoad, onError) {
+    const loaded = this.specificationHelper.updateSpecification(
+      specification,
+      changes,
+      (specificationHelper) => {
+        this.populateBuffers(specificationHelper, {
+          ...specificationHelper.getProgress(),
+          done: true,
+        });
+        onLoad?.();
+      },
+      loadData
+    );
+    if (onError) {
+      loaded.catch(onError);
+    }
+
+    const previousShaders = this.trackShaders;
+    this.emphasizedMarks = [];
+    this.trackShaders = specification.tracks.map((track, index) => {
+      const change = changes.tracks[index];
+      if (change === "none") {
+        return previousShaders[index];
+      }
+
+      const trackShader = VertexShader.fromTrack(track);
+      const currentTrack = this.specificationHelper.tracks[index];
+      trackShader.setFilter(currentTrack.filter);
+      if (this.highlightStyle && !currentTrack.highlightedRows) {
+        currentTrack.setHighlight(new Set()); // Rows of new data are dimmed
+      }
+      trackShader.setHighlight(this.highlightStyle);
+      if (
+        change === "style" &&
+        trackShader.buildShader() === previousShaders[index].buildShader()
+      ) {
+        trackShader.restyleMarksOf(previousShaders[index], currentTrack);
+        if (this.isRendered) {
+          this._uploadChannelAttributes(index, trackShader);
+        }
+      } else {
+        currentTrack.rewind();
+        this.vertexCalculators[index] = undefined;
+        if (this.isRendered) {
+          if (previousShaders[index]) {
+            this._deleteTrackResources(index);
+          }
+          this._createTrackResources(index, trackShader);
+        }
+      }
+      return trackShader;
+    });
+
+    if (this.isRendered) {
+      for (let i = this.trackShaders.length; i < previousShaders.length; i++) {
+        this._deleteTrackResources(i);
+      }
+      this._truncateTrackResources(this.trackShaders.length);
+    }
+    this.vertexCalculators.length = Math.min(
+      this.vertexCalculators.length,
+      this.trackShaders.length
+    );
+
+    this.needsAnimation = true;
+    this.drawNewMarks();
+  }
+
+  /**
+   * Populate the buffers that are drawn with the marks that have been loaded since the last
+   * call. Only the new vertices are uploaded once rendering has started, see uploadNewVertices.
+   *
+   * @param {SpecificationProcessor} specificationHelper created in the setSpecification method
+   * @param {Object} progress of the data loading from the specificationHelper
+   */
+  populateBuffers(specificationHelper, progress) {
+    if (specificationHelper !== this.specificationHelper) {
+      // Data is still arriving for a specification that has been replaced
+      return;
+    }
+
+    this.drawNewMarks();
+    this.dataProgress(progress);
+  }
+
+  /**
+   * Add the marks of rows that have not been drawn yet to the buffers and draw them.
+   */
+  drawNewMarks() {
+    const specificationHelper = this.specificationHelper;
+    specificationHelper.tracks.forEach(
+      (currentTrack, currentTrackShaderIndex) => {
+        // Calculators are kept between calls as they keep internal state for each track
+        if (!this.vertexCalculators[currentTrackShaderIndex]) {
+          this.vertexCalculators[currentTrackShaderIndex] =
+            new VertexCalculator(
+              specificationHelper.xScale,
+              specificationHelper.yScale,
+              currentTrack.track // Access actual track specification
+            );
+        }
+        const vertexCalculator =
+          this.vertexCalculators[currentTrackShaderIndex];
+
+        let currentMark = currentTrack.getNextMark();
+
+        while (currentMark) {
+          // A lot of the heavy lifting occurs in the track shaders
+          try {
+            this.trackShaders[currentTrackShaderIndex].addMarkToBuffers(
+              currentMark,
+              vertexCalculator
+            );
+          } catch (error) {
+            throw addErrorContext(error, {
+              stage: "drawing",
+              trackIndex: currentTrackShaderIndex,
+              row: currentTrack.index - 1,
+            });
+          }
+
+          currentMark = currentTrack.getNextMark();
+        }
+      }
+    );
+
+    if (this.isRendered) {
+      this.uploadNewVertices();
+    } else {
+      this.render();
+    }
+  }
+
+  /**
+   * Append rows to the data of a track and draw them without rebuilding the other marks.
+   * Tracks sharing the default data of the specification all receive the rows. Tracks with
+   * transforms that use every row, such as aggregate, are drawn again.
+   *
+   * @param {Number} trackIndex index of the track in the specification
+   * @param {Object} columns mapping attribute names to Arrays or TypedArrays of values
+   * @param {Number} numRows number of rows in columns
+   */
+  appendData(trackIndex, columns, numRows) {
+    const data = this.specificationHelper.tracks[trackIndex].data;
+    appendToColumnarData(data, columns, numRows);
+    this._clearMarksOfData(data, (track) => track.transformsAllRows);
+    this.drawNewMarks();
+  }
+
+  /**
+   * Remove rows from the data of a track. The marks of tracks using that data are
+   * recalculated, as marks such as area depend on their neighbors, and uploaded to the
+   * existing buffers.
+   *
+   * @param {Number} trackIndex index of the track in the specification
+   * @param {String|Object} predicate of the rows to remove, see compilePredicate in transforms.js
+   */
+  removeData(trackIndex, predicate) {
+    const data = this.specificationHelper.tracks[trackIndex].data;
+    const isRemoved = compilePredicate(predicate);
+    if (removeFromColumnarData(data, isRemoved) === 0) {
+      return;
+    }
+
+    this._clearMarksOfData(data);
+    this.drawNewMarks();
+  }
+
+  /**
+   * Clear the marks of tracks using data so they are read from the first row again.
+   *
+   * @param {Object} data columnar data of a track
+   * @param {Function=} shouldClear called with each {@link Track} using data to choose which to clear
+   */
+  _clearMarksOfData(data, shouldClear = () => true) {
+    this.specificationHelper.tracks.forEach((track, index) => {
+      if (track.data !== data || !shouldClear(track)) {
+        return;
+      }
+      track.rewind();
+      this.trackShaders[index].clearMarks();
+      this.vertexCalculators[index] = undefined; // Calculators keep the last mark
+      this._clearUploadedVertices(index);
+    });
+  }
+
+  /**
+   * Hide the marks of a track whose attribute is outside of a range or not one of a set of
+   * values. The shader discards hidden marks, so changing only the range of a filter on the
+   * same attribute does not upload anything.
+   *
+   * @param {Number} trackIndex index of the track in the specification
+   * @param {Object=} filter of the form {attribute, range} or {attribute, values}, undefined to remove
+   */
+  setFilter(trackIndex, filter) {
+    const track = this.specificationHelper.tracks[trackIndex];
+    const trackShader = this.trackShaders[trackIndex];
+    const previousFilter = track.filter;
+    const hadFilterValues = Boolean(trackShader.attributes.a_filterValue);
+
+    track.setFilter(filter);
+    trackShader.setFilter(filter);
+    this.needsAnimation = true;
+
+    const onlyRangeChanged =
+      filter &&
+      previousFilter &&
+      filter.range &&
+      previousFilter.range &&
+      filter.attribute === previousFilter.attribute;
+    if (!onlyRangeChanged) {
+      this._refillMarkAttribute(trackIndex, "a_filterValue", hadFilterValues);
+    }
+  }
+
+  /**
+   * Highlight points returned by selections, drawing them with a style and dimming every
+   * other mark.
+   *
+   * @param {Array=} indices of points from {@link DataProcessor#selectBox} or selectLasso,
+   *  leave empty to remove the highlight
+   * @param {Object=} style of the form {color, size, outline, opacity}, see VertexShader.setHighlight
+   */
+  highlight(indices, style) {
+    const isHighlighted = indices && indices.length > 0;
+    const rowsOfTracks = isHighlighted
+      ? this.specificationHelper.getRowsOfIndices(indices)
+      : [];
+    this.highlightStyle = isHighlighted
+      ? { ...DEFAULT_HIGHLIGHT_STYLE, ...style }
+      : undefined;
+
+    this.specificationHelper.tracks.forEach((track, index) => {
+      const trackShader = this.trackShaders[index];
+      const hadSelectedValues = Boolean(trackShader.attributes.a_selected);
+      track.setHighlight(rowsOfTracks[index]);
+      trackShader.setHighlight(this.highlightStyle);
+      this._refillMarkAttribute(index, "a_selected", hadSelectedValues);
+    });
+    this.needsAnimation = true;
+  }
+
+  /**
+   * Emphasize the mark of a hovered point by drawing it enlarged and outlined above the other
+   * marks. The emphasis uses the vertices of the mark calculated by its {@link VertexCalculator}.
+   *
+   * @param {Number=} index of the point from {@link DataProcessor#getClosestPoint}, undefined
+   *  to remove the emphasis
+   * @param {Object=} style of the form {color, size, outline, outlineWidth}, see getEmphasisPasses
+   */
+  emphasizePoint(index, style) {
+    this.emphasizedMarks = [];
+    this.emphasisStyle = { ...DEFAULT_EMPHASIS_STYLE, ...style };
+    if (index !== undefined) {
+      this.specificationHelper
+        .getRowsOfIndices([index])
+        .forEach((rows, trackIndex) =>
+          rows.forEach((row) => {
+            const mark = getDrawnMark(this.trackShaders[trackIndex], row);
+            if (mark) {
+              this.emphasizedMarks.push(mark);
+            }
+          })
+        );
+    }
+    this.needsAnimation = true;
+  }
+
+  /**
+   * Fill an attribute of the marks of a track again and upload it, after the track changed
+   * the values of its marks for that attribute.
+   *
+   * @param {Number} trackIndex index of the track in the specification
+   * @param {String} name of the attribute such as a_filterValue
+   * @param {Boolean} hadAttribute whether the shader had the attribute before the change
+   */
+  _refillMarkAttribute(trackIndex, name, hadAttribute) {
+    const trackShader = this.trackShaders[trackIndex];
+    const hasAttribute = Boolean(trackShader.attributes[name]);
+    if (hasAttribute) {
+      trackShader.refillAttribute(
+        name,
+        this.specificationHelper.tracks[trackIndex]
+      );
+    }
+    if (!this.isRendered || (!hasAttribute && !hadAttribute)) {
+      return;
+    }
+
+    if (hasAttribute && hadAttribute) {
+      this._uploadChannelAttributes(trackIndex, trackShader, [name]);
+    } else {
+      // The buffer of the attribute is added to or removed from the vertex array
+      this._deleteTrackResources(trackIndex);
+      this._createTrackResources(trackIndex, trackShader);
+    }
+  }
+
+  /**
+   * Get the marks in the current view as SVG elements, see getSVGOfMarks in image-export.js.
+   * Emphasized marks are left out.
+   *
+   * @returns String of SVG elements, empty if there is no specification
+   */
+  exportSVG() {
+    if (!this.trackShaders) {
+      return "";
+    }
+
+    const drawModes = this.trackShaders.map((trackShader) =>
+      this.semanticZoomer.getRecommendedDrawingMode(
+        trackShader,
+        this.currentXRange,
+        this.currentYRange
+      )
+    );
+    return getSVGOfMarks(
+      this.trackShaders,
+      drawModes,
+      this.getWebGLViewport(),
+      this.canvas.width,
+      this.canvas.height
+    );
+  }
+
+  /**
+   * Animates the frames by drawing them with _drawFrame whenever the canvas changes.
+   */
+  animate() {
+    if (!this.needsAnimation) {
+      // Prevent pointless animation if canvas does not change
+      this.lastFrame = requestAnimationFrame(this.animate.bind(this));
+      this.tick();
+      return;
+    }
+
+    this._drawFrame();
+
+    this.needsAnimation = false;
+    this.lastFrame = requestAnimationFrame(this.animate.bind(this));
+    this.tick();
+  }
+
+  /**
+   * Method to implement drawing the tracks and the emphasized marks in the current viewport.
+   *
+   * @param {Number=} pointScale to multiply the size of dots with, such as when drawing the
+   *  canvas at a multiple of its size
+   */
+  _drawFrame(pointScale = 1) {}
+
+  /**
+   * Draw the current view at a multiple of the size of the canvas and take a snapshot of it,
+   * see WebGLVis.exportImage. The canvas is drawn at its own size again right after.
+   *
+   * @param {Number} scale to multiply the size of the canvas and of dots with
+   * @returns Promise resolving to an ImageBitmap, or to null if nothing is drawn such as
+   *  while the WebGL context is lost
+   */
+  exportImage(scale) {
+    if (!this.isRendered) {
+      return Promise.resolve(null);
+    }
+
+    const { width, height } = this.canvas;
+    this.resize(Math.round(width * scale), Math.round(height * scale));
+    this._drawFrame(scale);
+    const image = createImageBitmap(this.canvas);
+    this.resize(width, height);
+    this._drawFrame();
+    return image;
+  }
+
+  /**
+   * Resize the canvas, which clears what is drawn.
+   *
+   * @param {Number} width in pixels
+   * @param {Number} height in pixels
+   */
+  resize(width, height) {
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.needsAnimation = true;
+  }
+
+  /**
+   * Method to implement drawing the vertices added to the track shaders since the last call.
+   */
+  uploadNewVertices() {
+    this.needsAnimation = true;
+  }
+
+  /**
+   * Method to implement updating the attributes other than the vertex positions of a track,
+   * after its marks were restyled or refilled without changing their vertices.
+   *
+   * @param {Number} index of the track
+   * @param {VertexShader} trackShader whose marks have the same vertices as before
+   * @param {Array=} names of the attributes that changed, defaults to all but the vertex positions
+   */
+  _uploadChannelAttributes(index, trackShader, names) {}
+
+  /**
+   * Method to implement creating what a track needs to be drawn.
+   *
+   * @param {Number} index of the track
+   * @param {VertexShader} trackShader of the track
+   */
+  _createTrackResources(index, trackShader) {}
+
+  /**
+   * Method to implement freeing what a track needed to be drawn.
+   *
+   * @param {Number} index of the track
+   */
+  _deleteTrackResources(index) {}
+
+  /**
+   * Method to implement forgetting the resources of tracks that were removed from the end.
+   *
+   * @param {Number} numTracks number of tracks left
+   */
+  _truncateTrackResources(numTracks) {}
+
+  /**
+   * Method to implement forgetting the vertices of a track that were drawn, after its marks
+   * were cleared to be added again from the first row.
+   *
+   * @param {Number} index of the track
+   */
+  _clearUploadedVertices(index) {}
+}
+
+export default TrackDrawer;
+export { calculateWebGLViewport };
@@ -0,0 +1,468 @@
+import { appendToColumnarData } from "./data-loader";
+import { VisualizationError } from "./errors";
+import { compileExpression } from "./expression";
+import { coerceNumber } from "./utilities";
+
+const TRANSFORM_TYPES = [
+  "filter",
+  "calculate",
+  "bin",
+  "aggregate",
+  "sort",
+  "fold",
+];
+
+// Default number of bins when neither a step or maxbins is given
+const DEFAULT_MAX_BINS = 10;
+
+/**
+ * Get a row of columns as an object for expressions.
+ *
+ * @param {Object} columns mapping names to Arrays or TypedArrays
+ * @param {Array} names of the columns
+ * @param {Number} index of the row
+ * @returns object mapping the names to the values of the row
+ */
+const getRow = (columns, names, index) => {
+  const row = {};
+  names.forEach((name) => (row[name] = columns[name][index]));
+  return row;
+};
+
+/**
+ * Select rows of columns, keeping the type of TypedArrays.
+ *
+ * @param {Object} columns mapping names to Arrays or TypedArrays
+ * @param {Array} indices of the rows to select, in the order to select them
+ * @returns object mapping the names to the selected values
+ */
+const selectRows = (columns, indices) => {
+  const selected = {};
+  for (const [name, column] of Object.entries(columns)) {
+    selected[name] = ArrayBuffer.isView(column)
+      ? column.constructor.from(indices, (i) => column[i])
+      : indices.map((i) => column[i]);
+  }
+  return selected;
+};
+
+/**
+ * Check that the fields a transform reads are columns of its input.
+ *
+ * @param {Object} columns input of the transform
+ * @param {Array} fields names the transform reads
+ * @param {String} type of the transform, such as "aggregate", to describe the error
+ * @throws VisualizationError naming the first field that is not a column
+ */
+const checkFields = (columns, fields, type) => {
+  const missing = fields.find((field) => !(field in columns));
+  if (missing !== undefined) {
+    throw new VisualizationError(
+      `The ${type} transform reads ${missing}, which is not an attribute of the data`,
+      { stage: "transform", attribute: missing }
+    );
+  }
+};
+
+/**
+ * Convert the numbers given as text in a column to numbers, see coerceNumber.
+ *
+ * @param {Array} column Array or TypedArray of values
+ * @returns column itself if it is a TypedArray, otherwise a new Array
+ */
+const coerceNumbers = (column) =>
+  ArrayBuffer.isView(column) ? column : Array.from(column, coerceNumber);
+
+/**
+ * Concatenate the columns of chunks of columnar data.
+ *
+ * @param {Array} chunks of the form {columns, length} from columnar data
+ * @returns object mapping the names of the columns of the first chunk to all their values
+ */
+const concatenateChunks = (chunks) => {
+  if (chunks.length === 1) {
+    return chunks[0].columns;
+  }
+
+  const columns = {};
+  for (const name of Object.keys(chunks[0].columns)) {
+    const parts = chunks.map((chunk) => chunk.columns[name]);
+    const Type = parts[0].constructor;
+    if (ArrayBuffer.isView(parts[0]) && parts.every((p) => p instanceof Type)) {
+      const column = new Type(parts.reduce((sum, p) => sum + p.length, 0));
+      let offset = 0;
+      for (const part of parts) {
+        column.set(part, offset);
+        offset += part.length;
+      }
+      columns[name] = column;
+    } else {
+      columns[name] = parts.flatMap((part) => Array.from(part));
+    }
+  }
+  return columns;
+};
+
+/**
+ * Build the function checking whether a value passes a filter given as an object. Numbers
+ * given as text, in the data or the filter, are compared as numbers, see coerceNumber.
+ *
+ * @param {Object} filter of the form {field, equal, oneOf, range, lt, lte, gt, gte}
+ * @returns function of the form (value) => boolean
+ */
+const buildFieldPredicate = (filter) => {
+  const checks = [];
+  if ("equal" in filter) {
+    const equal = coerceNumber(filter.equal);
+    checks.push((value) => value === equal);
+  }
+  if ("oneOf" in filter) {
+    const values = new Set(filter.oneOf.map(coerceNumber));
+    checks.push((value) => values.has(value));
+  }
+  if ("range" in filter) {
+    const [min, max] = filter.range;
+    checks.push(
+      (value) =>
+        (min === null || value >= min) && (max === null || value <= max)
+    );
+  }
+  if ("lt" in filter) {
+    checks.push((value) => value < filter.lt);
+  }
+  if ("lte" in filter) {
+    checks.push((value) => value <= filter.lte);
+  }
+  if ("gt" in filter) {
+    checks.push((value) => value > filter.gt);
+  }
+  if ("gte" in filter) {
+    checks.push((value) => value >= filter.gte);
+  }
+  return (value) => checks.every((check) => check(coerceNumber(value)));
+};
+
+/**
+ * Compile a predicate of rows given like the filter of a filter transform, such as rows to
+ * remove with WebGLVis.removeData. Predicates are expressions or objects rather than
+ * functions so they can be posted to the workers.
+ *
+ * @param {String|Object} predicate expression, e.g. "datum.x < 0", or object of the form
+ *  {field, equal, oneOf, range, lt, lte, gt, gte}
+ * @returns function of the form (row) => boolean
+ */
+const compilePredicate = (predicate) => {
+  if (typeof predicate === "string") {
+    const expression = compileExpression(predicate);
+    return (row) => Boolean(expression(row));
+  }
+  if (typeof predicate?.field !== "string") {
+    throw new VisualizationError(
+      'Predicates of rows are expressions such as "datum.x < 0" or objects such as ' +
+        '{field: "x", lt: 0}, functions can not be posted to the workers',
+      { stage: "validation" }
+    );
+  }
+  const passes = buildFieldPredicate(predicate);
+  return (row) => passes(row[predicate.field]);
+};
+
+/**
+ * Compile a filter transform, keeping rows for which the predicate or expression is truthy.
+ */
+const compileFilter = ({ filter }) => {
+  if (typeof filter === "string") {
+    const expression = compileExpression(filter);
+    return (columns, numRows) => {
+      const names = Object.keys(columns);
+      const kept = [];
+      for (let i = 0; i < numRows; i++) {
+        if (expression(getRow(columns, names, i))) {
+          kept.push(i);
+        }
+      }
+      return { columns: selectRows(columns, kept), numRows: kept.length };
+    };
+  }
+
+  const predicate = buildFieldPredicate(filter);
+  return (columns, numRows) => {
+    const column = columns[filter.field] || [];
+    const kept = [];
+    for (let i = 0; i < numRows; i++) {
+      if (predicate(column[i])) {
+        kept.push(i);
+      }
+    }
+    return { columns: selectRows(columns, kept), numRows: kept.length };
+  };
+};
+
+/**
+ * Compile a calculate transform, adding a field computed from an expression.
+ */
+const compileCalculate = (transform) => {
+  const expression = compileExpression(transform.calculate);
+  return (columns, numRows) => {
+    const names = Object.keys(columns);
+    const column = new Array(numRows);
+    for (let i = 0; i < numRows; i++) {
+      column[i] = expression(getRow(columns, names, i));
+    }
+    return { columns: { ...columns, [transform.as]: column }, numRows };
+  };
+};
+
+/**
+ * Compile a bin transform, adding the start and end of the bin of a numeric field. Without
+ * an extent or step the extent of the field in the given rows is used.
+ */
+const compileBin = (transform) => {
+  const options = transform.bin === true ? {} : transform.bin;
+  const [startName, endName] = Array.isArray(transform.as)
+    ? transform.as
+    : [transform.as, `${transform.as}_end`];
+
+  return (columns, numRows) => {
+    const values = coerceNumbers(columns[transform.field] || []);
+    let extent = options.extent;
+    if (!extent && !options.step) {
+      let min = Infinity;
+      let max = -Infinity;
+      for (let i = 0; i < numRows; i++) {
+        min = Math.min(min, values[i]);
+        max = Math.max(max, values[i]);
+      }
+      extent = [min, max];
+    }
+
+    const anchor = extent ? extent[0] : 0;
+    const step =
+      options.step ||
+      (extent[1] - extent[0]) / (options.maxbins || DEFAULT_MAX_BINS) ||
+      1;
+    const starts = new Float64Array(numRows);
+    const ends = new Float64Array(numRows);
+    for (let i = 0; i < numRows; i++) {
+      let bin = Math.floor((values[i] - anchor) / step);
+      if (extent && values[i] === extent[1] && bin > 0) {
+        bin = Math.ceil((values[i] - anchor) / step) - 1; // The maximum closes the last bin
+      }
+      starts[i] = anchor + bin * step;
+      ends[i] = starts[i] + step;
+    }
+
+    return {
+      columns: { ...columns, [startName]: starts, [endName]: ends },
+      numRows,
+    };
+  };
+};
+
+const AGGREGATE_OPS = Object.freeze({
+  count: (values) => values.length,
+  sum: (values) => values.reduce((sum, value) => sum + value, 0),
+  mean: (values) => AGGREGATE_OPS.sum(values) / values.length,
+  min: (values) => values.reduce((min, value) => Math.min(min, value)),
+  max: (values) => values.reduce((max, value) => Math.max(max, value)),
+});
+
+/**
+ * Compile an aggregate transform, summarizing the rows of each group as one row.
+ */
+const compileAggregate = (transform) => (columns, numRows) => {
+  const groupby = transform.groupby || [];
+  const fields = transform.aggregate
+    .map(({ field }) => field)
+    .filter((field) => field !== undefined); // count needs no field
+  checkFields(columns, [...groupby, ...fields], "aggregate");
+  const groups = new Map();
+  for (let i = 0; i < numRows; i++) {
+    const key = JSON.stringify(groupby.map((field) => columns[field][i]));
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(i);
+  }
+
+  const rowsOfGroups = [...groups.values()];
+  const groupColumns = {};
+  groupby.forEach((field) => (groupColumns[field] = columns[field]));
+  const aggregated = selectRows(
+    groupColumns,
+    rowsOfGroups.map((rows) => rows[0])
+  );
+
+  for (const { op, field, as } of transform.aggregate) {
+    const column = columns[field];
+    aggregated[as] = Float64Array.from(rowsOfGroups, (rows) =>
+      AGGREGATE_OPS[op](
+        column ? rows.map((i) => coerceNumber(column[i])) : rows
+      )
+    );
+  }
+  return { columns: aggregated, numRows: rowsOfGroups.length };
+};
+
+/**
+ * Compile a sort transform, ordering rows by one or more fields. Numbers given as text are
+ * ordered as numbers.
+ */
+const compileSort = (transform) => (columns, numRows) => {
+  checkFields(
+    columns,
+    transform.sort.map(({ field }) => field),
+    "sort"
+  );
+  const indices = Array.from({ length: numRows }, (_, i) => i);
+  const keys = transform.sort.map(({ field, order }) => ({
+    column: coerceNumbers(columns[field]),
+    sign: order === "descending" ? -1 : 1,
+  }));
+  indices.sort((a, b) => {
+    for (const { column, sign } of keys) {
+      const difference =
+        column[a] < column[b] ? -1 : column[a] > column[b] ? 1 : 0;
+      if (difference !== 0) {
+        return sign * difference;
+      }
+    }
+    return a - b;
+  });
+  return { columns: selectRows(columns, indices), numRows };
+};
+
+/**
+ * Compile a fold transform, turning each row into one row per folded field.
+ */
+const compileFold = (transform) => {
+  const [keyName, valueName] = transform.as || ["key", "value"];
+  return (columns, numRows) => {
+    const indices = [];
+    const keys = [];
+    const values = [];
+    for (let i = 0; i < numRows; i++) {
+      for (const field of transform.fold) {
+        indices.push(i);
+        keys.push(field);
+        values.push(columns[field]?.[i]);
+      }
+    }
+    return {
+      columns: {
+        ...selectRows(columns, indices),
+        [keyName]: keys,
+        [valueName]: values,
+      },
+      numRows: indices.length,
+    };
+  };
+};
+
+const TRANSFORM_COMPILERS = Object.freeze({
+  filter: compileFilter,
+  calculate: compileCalculate,
+  bin: compileBin,
+  aggregate: compileAggregate,
+  sort: compileSort,
+  fold: compileFold,
+});
+
+/**
+ * Check whether a transform needs every row of the data, rather than working row by row.
+ *
+ * @param {Object} transform from a transform array of a specification
+ * @returns boolean
+ */
+const needsAllRows = (transform) =>
+  "aggregate" in transform ||
+  "sort" in transform ||
+  ("bin" in transform &&
+    (transform.bin === true || (!transform.bin.step && !transform.bin.extent)));
+
+/**
+ * Compile a transform of a specification to a function of columns.
+ *
+ * @param {Object} transform from a transform array of a specification, see transform.json
+ * @returns function of the form (columns, numRows) => {columns, numRows}
+ */
+const compileTransform = (transform) => {
+  const type = TRANSFORM_TYPES.find((type) => type in transform);
+  return TRANSFORM_COMPILERS[type](transform);
+};
+
+class TransformedData {
+  /**
+   * Columnar data derived from other columnar data by the transforms of a specification.
+   * Rows are derived as the rows of the source arrive, unless a transform needs every row
+   * (aggregate, sort, or bin without a step or extent) in which case all rows are derived once
+   * the source is complete. Has the form of data from createColumnarData in data-loader.js,
+   * call update before reading it.
+   *
+   * @param {Object} source columnar data or TransformedData to derive rows from
+   * @param {Array} transforms of a specification, see transform.json
+   */
+  constructor(source, transforms) {
+    this.source = source;
+    this.transforms = transforms.map(compileTransform);
+    this.ownNeedsAllRows = transforms.some(needsAllRows);
+    // Whether rows that have been read can change when rows are appended to the source
+    this.needsAllRows = this.ownNeedsAllRows || Boolean(source.needsAllRows);
+    this._clear();
+  }
+
+  get isComplete() {
+    return this.source.isComplete;
+  }
+
+  _clear() {
+    this.chunks = [];
+    this.length = 0;
+    this.sourceChunks = []; // chunks of the source the rows were derived from
+  }
+
+  /**
+   * Derive the rows of source chunks that have arrived since the last update. If rows were
+   * removed from the source, all rows are derived again.
+   */
+  update() {
+    if (this.source instanceof TransformedData) {
+      this.source.update();
+    }
+
+    const sourceChunks = this.source.chunks;
+    if (this.sourceChunks.some((chunk, i) => chunk !== sourceChunks[i])) {
+      this._clear();
+    }
+    if (this.sourceChunks.length === sourceChunks.length) {
+      return;
+    }
+
+    if (!this.ownNeedsAllRows) {
+      sourceChunks
+        .slice(this.sourceChunks.length)
+        .forEach((chunk) =>
+          this._appendDerivedRows(chunk.columns, chunk.length)
+        );
+    } else if (this.isComplete) {
+      this._clear();
+      this._appendDerivedRows(
+        concatenateChunks(sourceChunks),
+        this.source.length
+      );
+    } else {
+      return; // Wait for every row
+    }
+    this.sourceChunks = [...sourceChunks];
+  }
+
+  _appendDerivedRows(columns, numRows) {
+    let derived = { columns, numRows };
+    for (const transform of this.transforms) {
+      derived = transform(derived.columns, derived.numRows);
+    }
+    appendToColumnarData(this, derived.columns, derived.numRows);
+  }
+}
+
+export { compilePredicate, compileTransform, needsAllRows, TransformedData };
@@ -1,20 +1,6 @@
-import { GenomeScale } from "./genome-sizes";
+import { GenomeScale, scale } from "./genome-sizes";
 import { color } from "d3-color";
 
-/**
- * Returns a linear scale to map elements in domain to elements in range.
- * @param {Array} domain array of length two containing minimum and maximum values
- * @param {Array} range array of length two containing minimum and maximum values
- * @returns linear scale mapping domain to range
- */
-function scale(domain, range) {
-  const domainLength = domain[1] - domain[0];
-  const rangeLength = range[1] - range[0];
-  const slope = rangeLength / domainLength;
-  const intercept = range[1] - slope * domain[1];
-  return (x) => slope * x + intercept;
-}
-
 /**
  * Maps RGB values to integer for webgl buffer.
  *
@@ -373,19 +359,70 @@ const throttleWithRAF = (callback) => {
   };
 };
 
+// Text read as a number when a column of delimited text has no type hint, see
+// inferColumnTypes in data-loader.js. Text such as "007" or "1e" is not a number.
+const NUMBER_PATTERN = /^-?(0|[1-9][0-9]*)(\.[0-9]+)?([eE][+-]?[0-9]+)?$/;
+
+/**
+ * Convert text that is a number, such as a field of a CSV file read without a type hint, to
+ * the number so it compares, sorts and adds as one. Other values are returned as they are.
+ *
+ * @param {*} value to convert
+ * @returns Number if value is the text of one, otherwise value
+ */
+const coerceNumber = (value) =>
+  typeof value === "string" && NUMBER_PATTERN.test(value)
+    ? Number(value)
+    : value;
+
+/**
+ * Build a function checking whether a value passes a filter set with WebGLVis.setFilter.
+ * Numbers given as text, in the data or the filter, are compared as numbers, see coerceNumber.
+ *
+ * @param {Object} filter of the form {attribute, range: [min, max]} or {attribute, values}.
+ *  Either end of the range may be null to leave it open.
+ * @returns function of the form (value) => boolean
+ */
+const buildFilterPredicate = (filter) => {
+  if (filter.values) {
+    const values = new Set(filter.values.map(coerceNumber));
+    return (value) => values.has(coerceNumber(value));
+  }
+  const [min, max] = filter.range;
+  return (value) => {
+    const number = coerceNumber(value);
+    return (min === null || number >= min) && (max === null || number <= max);
+  };
+};
+
+/**
+ * Check whether the code runs in a worker, where the worker modules install their message
+ * handlers, rather than on the main thread, where they are run by a MainThreadWorker.
+ *
+ * @returns boolean
+ */
+const isWorkerScope = () =>
+  typeof WorkerGlobalScope !== "undefined" && self instanceof WorkerGlobalScope;
+
 export {
+  buildFilterPredicate,
   cloneMouseEvent,
   calculateZoomLevel,
+  coerceNumber,
   colorSpecifierToHex,
   getPointsBySelectMode,
   getViewportForSpecification,
   getScaleForSpecification,
   getDimAndMarginStyleForSpecification,
+  getPixelMeasurement,
   getQuadraticBezierCurveForPoints,
+  isWorkerScope,
   rgbToHex,
   rgbStringToHex,
   scale,
   throttleWithRAF,
   DEFAULT_WIDTH,
   DEFAULT_HEIGHT,
+  DEFAULT_MARGIN,
+  NUMBER_PATTERN,
 };
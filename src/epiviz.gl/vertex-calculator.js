@@ -1,5 +1,5 @@
-import { getDrawModeForTrack } from "./specification-processor";
 import { getQuadraticBezierCurveForPoints } from "./utilities";
+import { VisualizationError } from "./errors";
 
 // Each size unit refers to 1/200 of the clip space
 // e.g. if the canvas is 1000x1000 pixels, and the size value for a mark
@@ -11,6 +11,31 @@ const NUMBER_OF_VERTICES_PER_ARC = 20;
 
 const ARC_HEIGHT_MODIFIER = 10;
 
+/**
+ * Given a track, determine the WebGL draw mode for it
+ *
+ * @param {Object} track from specification
+ * @returns WebGLDrawMode as a string
+ */
+const getDrawModeForTrack = (track) => {
+  switch (track.mark) {
+    case "line":
+      return "LINE_STRIP";
+    case "tick":
+    case "arc":
+      return "LINES";
+    case "point":
+      if (track.shape && track.shape.value !== "dot") {
+        return "TRIANGLES";
+      } else {
+        return "POINTS";
+      }
+    case "rect":
+    case "area":
+      return "TRIANGLES";
+  }
+};
+
 /**
  * Get a curve representing the arc with given start and end points
  *
@@ -222,7 +247,9 @@ class VertexCalculator {
       case "cross":
         return this._getVerticesForCross(mark);
       default:
-        console.error(`${mark.shape} is not a valid shape!`);
+        throw new VisualizationError(`${mark.shape} is not a valid shape!`, {
+          stage: "drawing",
+        });
     }
   }
 
@@ -391,6 +418,9 @@ class VertexCalculator {
 export default VertexCalculator;
 
 export {
+  getCurveForArc,
+  getDrawModeForTrack,
+  NUMBER_OF_VERTICES_PER_ARC,
   SIZE_UNITS,
   transformGenomicRangeArcToStandard,
   transformGenomicRangeToStandard,
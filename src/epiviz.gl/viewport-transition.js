@@ -0,0 +1,103 @@
+import { VisualizationError } from "./errors";
+
+// Easing functions by name, mapping the fraction of the duration passed to the fraction of
+// the way between the ranges
+const EASINGS = Object.freeze({
+  linear: (t) => t,
+  quadInOut: (t) => (t < 0.5 ? 2 * t ** 2 : 1 - (-2 * t + 2) ** 2 / 2),
+  cubicInOut: (t) => (t < 0.5 ? 4 * t ** 3 : 1 - (-2 * t + 2) ** 3 / 2),
+  cubicOut: (t) => 1 - (1 - t) ** 3,
+});
+
+const DEFAULT_DURATION = 500;
+
+/**
+ * Interpolate between two ranges.
+ *
+ * @param {Array} from range of the form [start, end]
+ * @param {Array} to range of the form [start, end]
+ * @param {Number} t fraction of the way from one to the other
+ * @returns Array of the form [start, end]
+ */
+const interpolateRange = (from, to, t) => [
+  from[0] + (to[0] - from[0]) * t,
+  from[1] + (to[1] - from[1]) * t,
+];
+
+/**
+ * Animate the ranges of a viewport from one to another, once per animation frame.
+ *
+ * @param {Object} from ranges of the form {xRange, yRange}
+ * @param {Object} to ranges of the form {xRange, yRange}
+ * @param {Object=} options of the form {duration, easing}:
+ *   duration: of the animation in milliseconds, defaults to 500, 0 to jump in the next frame
+ *   easing: name of one of EASINGS or a function from [0, 1] to [0, 1], defaults to
+ *     "cubicInOut"
+ * @param {Function} onFrame called with new ranges of the form {xRange, yRange} every frame
+ * @returns object of the form {promise, cancel}, promise resolves to true once the ranges
+ *  reach to, or to false if cancel is called before
+ */
+const animateRanges = (
+  from,
+  to,
+  { duration = DEFAULT_DURATION, easing = "cubicInOut" } = {},
+  onFrame
+) => {
+  const ease = typeof easing === "function" ? easing : EASINGS[easing];
+  if (!ease) {
+    throw new VisualizationError(`${easing} is not a known easing`);
+  }
+
+  let frame;
+  let finish;
+  const promise = new Promise((resolve) => (finish = resolve));
+  const start = performance.now();
+
+  const step = () => {
+    const t =
+      duration > 0 ? Math.min((performance.now() - start) / duration, 1) : 1;
+    const eased = t === 1 ? 1 : ease(t);
+    onFrame({
+      xRange: interpolateRange(from.xRange, to.xRange, eased),
+      yRange: interpolateRange(from.yRange, to.yRange, eased),
+    });
+    if (t === 1) {
+      finish(true);
+    } else {
+      frame = requestAnimationFrame(step);
+    }
+  };
+  frame = requestAnimationFrame(step);
+
+  return {
+    promise,
+    cancel: () => {
+      cancelAnimationFrame(frame);
+      finish(false);
+    },
+  };
+};
+
+/**
+ * Calculate ranges showing bounds with some space around them. An axis the bounds have no
+ * size in, such as of a single point, keeps the size of its current range.
+ *
+ * @param {Array} bounds of the form [minX, minY, maxX, maxY]
+ * @param {Number} padding space on each side as a fraction of the size of the bounds
+ * @param {Object} viewport with the current ranges of the form {xRange, yRange}
+ * @returns object of the form {xRange, yRange}
+ */
+const getRangesToFit = ([minX, minY, maxX, maxY], padding, viewport) => {
+  const fit = (min, max, currentRange) => {
+    const size = max - min;
+    const pad =
+      size > 0 ? size * padding : (currentRange[1] - currentRange[0]) / 2;
+    return [min - pad, max + pad];
+  };
+  return {
+    xRange: fit(minX, maxX, viewport.xRange),
+    yRange: fit(minY, maxY, viewport.yRange),
+  };
+};
+
+export { animateRanges, getRangesToFit, interpolateRange, EASINGS };
@@ -1,22 +1,22 @@
-import Drawer from "./drawer";
-import SpecificationProcessor from "./specification-processor";
-import { scale } from "./utilities";
-import VertexCalculator from "./vertex-calculator";
-import SemanticZoomer from "./semantic-zoomer";
+import TrackDrawer from "./track-drawer";
+import { VisualizationError } from "./errors";
 import {
-  VertexShader,
   varyingColorsFragmentShader,
   varyingColorsFragmentShaderDots,
+  emphasisVertexShader,
+  emphasisFragmentShader,
+  pickingFragmentShader,
   SUPPORTED_CHANNEL_ATTRIBUTES,
 } from "./webgl.js";
+import { getEmphasisPasses } from "./mark-emphasis";
 
 import * as twgl from "twgl.js";
 
 const ALL_POTENTIAL_ATTRIBUTES = SUPPORTED_CHANNEL_ATTRIBUTES.map(
   (attr) => `a_${attr}`
-).concat("a_VertexPosition");
+).concat("a_VertexPosition", "a_filterValue", "a_selected");
 
-class WebGLCanvasDrawer extends Drawer {
+class WebGLCanvasDrawer extends TrackDrawer {
   constructor(viewportData) {
     super(viewportData);
 
@@ -27,19 +27,38 @@ class WebGLCanvasDrawer extends Drawer {
       premultipliedAlpha: false,
     });
 
-    this.gl.canvas.addEventListener(
+    if (!this.gl) {
+      throw new VisualizationError("Unable to initialize WebGL!", {
+        stage: "webgl",
+      });
+    }
+
+    // The marks are kept in the track shaders, so they are uploaded again once restored
+    this.isContextLost = false;
+    this.canvas.addEventListener(
       "webglcontextlost",
       (event) => {
-        event.preventDefault();
-        throw `WebGL context lost`;
+        event.preventDefault(); // Allows the context to be restored
+        cancelAnimationFrame(this.lastFrame);
+        this.isContextLost = true;
+        this.isRendered = false; // Buffers are drawn again by render
+        this.vertexArrayInfos = null;
+        this.contextLost();
+      },
+      false
+    );
+    this.canvas.addEventListener(
+      "webglcontextrestored",
+      () => {
+        this.isContextLost = false;
+        this.pickingFramebufferInfo = undefined; // Created again by pick
+        if (this.trackShaders) {
+          this.render();
+        }
+        this.contextRestored();
       },
       false
     );
-
-    if (!this.gl) {
-      console.error("Unable to initialize WebGL!");
-      return;
-    }
   }
 
   /**
@@ -48,107 +67,374 @@ class WebGLCanvasDrawer extends Drawer {
   tick() {}
 
   /**
-   * Calculates the viewport for this.gl.viewport to control zooming. Also calculates point size.
-   * @returns Array of 5 elements, first 4 are viewport parameters, last is pointSizeMultiplier:
-   *   [xOffset, yOffset, displayAsIfThisWide, displayAsIfThisHigh, pointSizeMultiplier]
+   * Called when the WebGL context is lost, such as when the GPU is switched. Nothing is
+   * drawn until it is restored.
    */
-  getWebGLViewport() {
-    // Calculate appropriate webgl viewport given current selection window
-
-    // Transform current data coordinates to GPU cordinates
-    const scaleXWindowSpace = scale([this.minX, this.maxX], [-1, 1]);
-    const scaleYWindowSpace = scale([this.minY, this.maxY], [-1, 1]);
-
-    // Multiply point size by the ratio of max dimension and current width
-    const pointSize = Math.max(
-      1.75,
-      Math.min(
-        1 /
-          (scaleXWindowSpace(this.currentXRange[1]) -
-            scaleXWindowSpace(this.currentXRange[0])),
-        1 /
-          (scaleYWindowSpace(this.currentYRange[1]) -
-            scaleYWindowSpace(this.currentYRange[0]))
-      )
-    );
-    // Return [x1, y1, x2, y2] and pointsize, camera corners coordinates in GPU space
-    // Which becomes uniform in vertex shader
-    return [
-      scaleXWindowSpace(this.currentXRange[0]),
-      scaleYWindowSpace(this.currentYRange[0]),
-      scaleXWindowSpace(this.currentXRange[1]),
-      scaleYWindowSpace(this.currentYRange[1]),
-      pointSize,
+  contextLost() {}
+
+  /**
+   * Called when the WebGL context has been restored and every track has been drawn again.
+   */
+  contextRestored() {}
+
+  /**
+   * Draw the emphasis of the marks from emphasizePoint over the tracks.
+   *
+   * @param {Array} viewport from getWebGLViewport
+   */
+  _drawEmphasizedMarks(viewport) {
+    if (this.emphasizedMarks.length === 0) {
+      return;
+    }
+
+    const pixelSize = [
+      (viewport[2] - viewport[0]) / this.gl.drawingBufferWidth,
+      (viewport[3] - viewport[1]) / this.gl.drawingBufferHeight,
     ];
+    const positions = this.emphasisBufferInfo.attribs.a_VertexPosition;
+    this.gl.useProgram(this.emphasisProgramInfo.program);
+    this.gl.bindVertexArray(null); // The emphasis buffer is not part of a vertex array
+
+    for (const mark of this.emphasizedMarks) {
+      const passes = getEmphasisPasses(
+        mark,
+        this.emphasisStyle,
+        pixelSize,
+        viewport[4]
+      );
+      for (const pass of passes) {
+        twgl.setAttribInfoBufferFromArray(
+          this.gl,
+          positions,
+          new Float32Array(pass.vertices)
+        );
+        twgl.setBuffersAndAttributes(
+          this.gl,
+          this.emphasisProgramInfo,
+          this.emphasisBufferInfo
+        );
+        twgl.setUniforms(this.emphasisProgramInfo, {
+          viewport: this.globalUniforms.viewport,
+          color: pass.color,
+          pointSize: pass.pointSize || 1,
+          isPoint: pass.drawMode === "POINTS" ? 1 : 0,
+        });
+        twgl.drawBufferInfo(
+          this.gl,
+          this.emphasisBufferInfo,
+          this.gl[pass.drawMode],
+          pass.vertices.length / 2
+        );
+      }
+    }
   }
 
   /**
-   * Sets the specification and begins the process of drawing it.
-   *  1. Cancels any current animation
-   *  2. Builds shaders for the tracks
-   *  3. After data is loaded, calls populateBuffers.
+   * Pick the topmost mark drawn at a point by drawing the id of each mark into an offscreen
+   * framebuffer and reading back the pixel under the point. Unlike the index of the
+   * {@link DataProcessor}, this accounts for the size and shape of marks on screen and the
+   * order they are drawn in. Tracks that are not interactive are not picked.
    *
-   * @param {Object} specification of visualization
+   * @param {Array} point [x, y] in the coordinates of the viewport, such as the mouse position
+   * @returns object of the form {trackIndex, rowIndex}, or null if no mark is drawn there
    */
-  setSpecification(specification) {
-    super.render(); // Cancels current animation frame
+  pick(point) {
+    if (!this.isRendered) {
+      return null;
+    }
 
-    // Populate buffers needs a trackShader built to know what buffers to fill
-    this.trackShaders = VertexShader.fromSpecification(specification);
+    const gl = this.gl;
+    const x = Math.floor(
+      ((point[0] - this.currentXRange[0]) /
+        (this.currentXRange[1] - this.currentXRange[0])) *
+        gl.drawingBufferWidth
+    );
+    const y = Math.floor(
+      ((point[1] - this.currentYRange[0]) /
+        (this.currentYRange[1] - this.currentYRange[0])) *
+        gl.drawingBufferHeight
+    );
+    if (
+      x < 0 ||
+      y < 0 ||
+      x >= gl.drawingBufferWidth ||
+      y >= gl.drawingBufferHeight
+    ) {
+      return null;
+    }
+
+    const viewport = this.getWebGLViewport();
+    const uniforms = {
+      viewport: new Float32Array(viewport.slice(0, 4)),
+      pointSizeModifier: viewport[4],
+    };
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this._getPickingFramebuffer());
+    // Only the pixel under the point is drawn
+    gl.enable(gl.SCISSOR_TEST);
+    gl.scissor(x, y, 1, 1);
+    gl.disable(gl.BLEND);
+    gl.clearBufferuiv(gl.COLOR, 0, new Uint32Array(4));
 
-    new SpecificationProcessor(specification, this.populateBuffers.bind(this));
+    this.trackShaders.forEach((trackShader, index) => {
+      if (this.specificationHelper.tracks[index].track.interactive === false) {
+        return;
+      }
+      if (!this.pickingProgramInfos[index]) {
+        this.pickingProgramInfos[index] = twgl.createProgramInfo(
+          gl,
+          [trackShader.buildShader(), pickingFragmentShader],
+          ALL_POTENTIAL_ATTRIBUTES
+        );
+      }
+      const drawMode = this.semanticZoomer.getRecommendedDrawingMode(
+        trackShader,
+        this.currentXRange,
+        this.currentYRange
+      );
+
+      gl.useProgram(this.pickingProgramInfos[index].program);
+      twgl.setUniforms(this.pickingProgramInfos[index], {
+        ...uniforms,
+        ...trackShader.uniforms,
+        pickingTrack: index + 1,
+        isPoint: drawMode === "POINTS" ? 1 : 0,
+      });
+      twgl.setBuffersAndAttributes(
+        gl,
+        this.pickingProgramInfos[index],
+        this.vertexArrayInfos[index]
+      );
+      twgl.drawBufferInfo(
+        gl,
+        this.vertexArrayInfos[index],
+        gl[drawMode],
+        trackShader.attributes.a_VertexPosition.data.length / 2
+      );
+    });
+
+    const pixel = new Uint32Array(4);
+    gl.readPixels(x, y, 1, 1, gl.RGBA_INTEGER, gl.UNSIGNED_INT, pixel);
+    gl.disable(gl.SCISSOR_TEST);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    if (pixel[0] === 0) {
+      return null;
+    }
+    const trackIndex = pixel[0] - 1;
+    const rowIndex = this.trackShaders[trackIndex].getMarkOfVertex(pixel[1]);
+    return rowIndex === undefined ? null : { trackIndex, rowIndex };
   }
 
   /**
-   * Populate the buffers that are fed to webgl for drawing.
+   * Get the framebuffer marks are picked with, creating it again if the canvas was resized.
    *
-   * @param {SpecificationProcessor} specificationHelper created in the setSpecification method
+   * @returns WebGLFramebuffer with an unsigned integer color attachment the size of the canvas
    */
-  populateBuffers(specificationHelper) {
-    let currentTrack = specificationHelper.getNextTrack();
-    let currentTrackShaderIndex = 0;
-
-    this.semanticZoomer = new SemanticZoomer(specificationHelper);
-
-    while (currentTrack) {
-      // Construct calculator in track loop as calculator keeps internal state for each track
-      let vertexCalculator = new VertexCalculator(
-        specificationHelper.xScale,
-        specificationHelper.yScale,
-        currentTrack.track // Access actual track specification
-      );
+  _getPickingFramebuffer() {
+    const gl = this.gl;
+    const { drawingBufferWidth: width, drawingBufferHeight: height } = gl;
+    if (
+      this.pickingFramebufferInfo &&
+      this.pickingFramebufferInfo.width === width &&
+      this.pickingFramebufferInfo.height === height
+    ) {
+      return this.pickingFramebufferInfo.framebuffer;
+    }
 
-      let currentMark = currentTrack.getNextMark();
+    if (this.pickingFramebufferInfo) {
+      gl.deleteFramebuffer(this.pickingFramebufferInfo.framebuffer);
+      gl.deleteRenderbuffer(this.pickingFramebufferInfo.renderbuffer);
+    }
+    const renderbuffer = gl.createRenderbuffer();
+    gl.bindRenderbuffer(gl.RENDERBUFFER, renderbuffer);
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.RGBA32UI, width, height);
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferRenderbuffer(
+      gl.FRAMEBUFFER,
+      gl.COLOR_ATTACHMENT0,
+      gl.RENDERBUFFER,
+      renderbuffer
+    );
+    this.pickingFramebufferInfo = { framebuffer, renderbuffer, width, height };
+    return framebuffer;
+  }
+
+  /**
+   * Upload vertices added to the track shaders since the last upload. Buffers grow by
+   * doubling so repeated uploads while streaming do not copy all the data each time.
+   */
+  uploadNewVertices() {
+    this.trackShaders.forEach((trackShader, index) => {
+      const numVertices =
+        trackShader.attributes.a_VertexPosition.data.length / 2;
+      const uploaded = this.uploadedVertexCounts[index];
+      if (numVertices === uploaded) {
+        return;
+      }
 
-      while (currentMark) {
-        // A lot of the heavy lifting occurs in the track shaders, this class is mostly boilerplate for webgl
-        this.trackShaders[currentTrackShaderIndex].addMarkToBuffers(
-          currentMark,
-          vertexCalculator
+      const needsResize = numVertices > this.bufferCapacities[index];
+      if (needsResize) {
+        this.bufferCapacities[index] = Math.max(
+          numVertices,
+          this.bufferCapacities[index] * 2
         );
+      }
 
-        currentMark = currentTrack.getNextMark();
+      for (const [name, attribute] of Object.entries(trackShader.attributes)) {
+        const numComponents = attribute.numComponents;
+        this.gl.bindBuffer(
+          this.gl.ARRAY_BUFFER,
+          this.bufferInfos[index].attribs[name].buffer
+        );
+
+        if (needsResize) {
+          this.gl.bufferData(
+            this.gl.ARRAY_BUFFER,
+            this.bufferCapacities[index] * numComponents * 4, // 4 bytes per float
+            this.gl.STATIC_DRAW
+          );
+          this.gl.bufferSubData(
+            this.gl.ARRAY_BUFFER,
+            0,
+            new Float32Array(attribute.data)
+          );
+        } else {
+          this.gl.bufferSubData(
+            this.gl.ARRAY_BUFFER,
+            uploaded * numComponents * 4,
+            new Float32Array(attribute.data.slice(uploaded * numComponents))
+          );
+        }
       }
 
-      currentTrack = specificationHelper.getNextTrack();
-      currentTrackShaderIndex++;
+      this.uploadedVertexCounts[index] = numVertices;
+    });
+
+    this.needsAnimation = true;
+  }
+
+  /**
+   * Upload the attributes other than the vertex positions of a track to its existing buffers.
+   *
+   * @param {Number} index of the track
+   * @param {VertexShader} trackShader whose marks have the same vertices as the uploaded ones
+   * @param {Array=} names of the attributes to upload, defaults to all but the vertex positions
+   */
+  _uploadChannelAttributes(
+    index,
+    trackShader,
+    names = Object.keys(trackShader.attributes).filter(
+      (name) => name !== "a_VertexPosition"
+    )
+  ) {
+    const uploaded = this.uploadedVertexCounts[index];
+    for (const name of names) {
+      const attribute = trackShader.attributes[name];
+      this.gl.bindBuffer(
+        this.gl.ARRAY_BUFFER,
+        this.bufferInfos[index].attribs[name].buffer
+      );
+      this.gl.bufferSubData(
+        this.gl.ARRAY_BUFFER,
+        0,
+        new Float32Array(
+          attribute.data.slice(0, uploaded * attribute.numComponents)
+        )
+      );
     }
+  }
+
+  /**
+   * Compile the program and create the buffers of a track.
+   *
+   * @param {Number} index of the track
+   * @param {VertexShader} trackShader of the track
+   */
+  _createTrackResources(index, trackShader) {
+    this.programInfos[index] = twgl.createProgramInfo(
+      this.gl,
+      [
+        trackShader.buildShader(),
+        trackShader.drawMode === "POINTS"
+          ? varyingColorsFragmentShaderDots
+          : varyingColorsFragmentShader,
+      ],
+      ALL_POTENTIAL_ATTRIBUTES
+    );
+    this.bufferInfos[index] = twgl.createBufferInfoFromArrays(
+      this.gl,
+      trackShader.attributes
+    );
+    this.vertexArrayInfos[index] = twgl.createVertexArrayInfo(
+      this.gl,
+      [this.programInfos[index]],
+      this.bufferInfos[index]
+    );
 
-    this.render();
+    // Track what has been uploaded so streamed data can be appended to the buffers
+    this.uploadedVertexCounts[index] =
+      trackShader.attributes.a_VertexPosition.data.length / 2;
+    this.bufferCapacities[index] = this.uploadedVertexCounts[index];
   }
 
   /**
-   * Animates the frames by setting viewport, uniforms, blending, clearing, and calling webgl draw.
+   * Forget the programs and buffers of tracks that were removed from the end, after they
+   * were freed by _deleteTrackResources.
+   *
+   * @param {Number} numTracks number of tracks left
    */
-  animate() {
-    if (!this.needsAnimation) {
-      // Prevent pointless animation if canvas does not change
-      this.lastFrame = requestAnimationFrame(this.animate.bind(this));
-      this.tick();
-      return;
+  _truncateTrackResources(numTracks) {
+    for (const perTrack of [
+      "programInfos",
+      "pickingProgramInfos",
+      "bufferInfos",
+      "vertexArrayInfos",
+      "uploadedVertexCounts",
+      "bufferCapacities",
+    ]) {
+      this[perTrack].length = numTracks;
     }
+  }
+
+  /**
+   * Upload the vertices of a track from the start of its buffers again, after its marks
+   * were cleared.
+   *
+   * @param {Number} index of the track
+   */
+  _clearUploadedVertices(index) {
+    if (this.uploadedVertexCounts) {
+      this.uploadedVertexCounts[index] = 0;
+    }
+  }
+
+  /**
+   * Free the program and buffers of a track.
+   *
+   * @param {Number} index of the track
+   */
+  _deleteTrackResources(index) {
+    this.gl.deleteProgram(this.programInfos[index].program);
+    if (this.pickingProgramInfos[index]) {
+      this.gl.deleteProgram(this.pickingProgramInfos[index].program);
+      this.pickingProgramInfos[index] = undefined;
+    }
+    Object.values(this.bufferInfos[index].attribs).forEach((attrib) =>
+      this.gl.deleteBuffer(attrib.buffer)
+    );
+    this.gl.deleteVertexArray(this.vertexArrayInfos[index].vertexArrayObject);
+  }
 
+  /**
+   * Draw the tracks and the emphasized marks in the current viewport.
+   *
+   * @param {Number=} pointScale to multiply the size of dots with, such as when drawing the
+   *  canvas at a multiple of its size
+   */
+  _drawFrame(pointScale = 1) {
     const viewport = this.getWebGLViewport();
+    viewport[4] *= pointScale;
     this.globalUniforms.viewport = new Float32Array(viewport.slice(0, 4));
     this.globalUniforms.pointSizeModifier = viewport[4];
 
@@ -192,10 +478,18 @@ class WebGLCanvasDrawer extends Drawer {
         trackShader.attributes.a_VertexPosition.data.length / 2
       );
     });
+    this._drawEmphasizedMarks(viewport);
+  }
 
-    this.needsAnimation = false;
-    this.lastFrame = requestAnimationFrame(this.animate.bind(this));
-    this.tick();
+  /**
+   * Resize the canvas and the viewport of webgl, which clears what is drawn.
+   *
+   * @param {Number} width in pixels
+   * @param {Number} height in pixels
+   */
+  resize(width, height) {
+    super.resize(width, height);
+    this.gl.viewport(0, 0, width, height);
   }
 
   /**
@@ -204,32 +498,32 @@ class WebGLCanvasDrawer extends Drawer {
    */
   render() {
     super.render();
-
-    this.programInfos = this.trackShaders.map((trackShader) =>
-      twgl.createProgramInfo(
-        this.gl,
-        [
-          trackShader.buildShader(),
-          trackShader.drawMode === "POINTS"
-            ? varyingColorsFragmentShaderDots
-            : varyingColorsFragmentShader,
-        ],
-        ALL_POTENTIAL_ATTRIBUTES
-      )
-    );
+    if (this.isContextLost) {
+      return; // Rendered once the context is restored
+    }
 
     this.globalUniforms = {
       viewport: new Float32Array([-1, -1, 1, 1]),
       pointSizeModifier: 1,
     };
 
-    this.vertexArrayInfos = this.trackShaders.map((trackShader) =>
-      twgl.createVertexArrayInfo(
-        this.gl,
-        this.programInfos,
-        twgl.createBufferInfoFromArrays(this.gl, trackShader.attributes)
-      )
+    this.programInfos = [];
+    this.pickingProgramInfos = []; // Compiled once a track is picked, see pick
+    this.bufferInfos = [];
+    this.vertexArrayInfos = [];
+    this.uploadedVertexCounts = [];
+    this.bufferCapacities = [];
+    this.trackShaders.forEach((trackShader, index) =>
+      this._createTrackResources(index, trackShader)
     );
+    this.emphasisProgramInfo = twgl.createProgramInfo(this.gl, [
+      emphasisVertexShader,
+      emphasisFragmentShader,
+    ]);
+    this.emphasisBufferInfo = twgl.createBufferInfoFromArrays(this.gl, {
+      a_VertexPosition: { numComponents: 2, data: [] },
+    });
+    this.isRendered = true;
 
     this.needsAnimation = true;
     this.animate();
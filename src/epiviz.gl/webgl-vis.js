@@ -1,12 +1,70 @@
 import "fpsmeter";
 import MouseReader from "./mouse-reader";
+import OverviewBrush from "./overview-brush";
+import Tooltip from "./tooltip";
+import WorkerChannel from "./worker-channel";
+import MainThreadWorker from "./main-thread-worker";
+import {
+  getExportLayout,
+  getPNGOfImage,
+  getSVGDocument,
+  serializeOverlay,
+} from "./image-export";
+import { VisualizationError, fromErrorMessage } from "./errors";
+import { animateRanges, getRangesToFit } from "./viewport-transition";
 import isJSONValid from "./specification-validation/index";
+import {
+  checkColumnsToAppend,
+  getDataSource,
+  rowsToColumns,
+} from "./data-loader";
+import { copySpecification, diffSpecifications } from "./specification-diff";
+import { compilePredicate } from "./transforms";
 import {
   getDimAndMarginStyleForSpecification,
   DEFAULT_HEIGHT,
   DEFAULT_WIDTH,
 } from "./utilities";
 
+// Distance in pixels from the curve of an arc within which it is hovered or clicked
+const DEFAULT_ARC_TOLERANCE = 5;
+
+// Space around the points zoomToFit zooms to, as a fraction of the size of their bounds
+const DEFAULT_FIT_PADDING = 0.05;
+
+/**
+ * Check whether the browser can create workers of type module.
+ *
+ * @returns boolean
+ */
+const supportsModuleWorkers = () => {
+  if (typeof Worker === "undefined") {
+    return false;
+  }
+  // The type option is read before the invalid URL makes the constructor throw
+  let isTypeRead = false;
+  try {
+    new Worker("blob://", {
+      get type() {
+        isTypeRead = true;
+        return "module";
+      },
+    });
+  } catch (error) {
+    // Expected
+  }
+  return isTypeRead;
+};
+
+/**
+ * Check whether the browser can hand a canvas to a worker.
+ *
+ * @returns boolean
+ */
+const supportsOffscreenCanvas = () =>
+  typeof HTMLCanvasElement !== "undefined" &&
+  typeof HTMLCanvasElement.prototype.transferControlToOffscreen === "function";
+
 class WebGLVis {
   /**
    * A class meant to display a visualization based off a given specification using webgl.
@@ -24,6 +82,10 @@ class WebGLVis {
     this.canvas = document.createElement("canvas");
     this.canvas.style.position = "absolute";
 
+    this.arcTolerance = DEFAULT_ARC_TOLERANCE;
+    this.loading = Promise.resolve(); // see ready
+    this.zoomTransition = null; // see zoomTo
+
     this.POSSIBLE_MOUSE_READER_OPTIONS = Object.freeze([
       "lockedX",
       "lockedY",
@@ -65,8 +127,11 @@ class WebGLVis {
    *  3. Exposes the messages the webworkers send back to the main thread under this.dataWorkerStream
    *
    * @param {Boolean} displayFPSMeter whether or not to display an fps meter
+   * @param {String=} renderer "webgl" to draw with WebGL2, falling back to a 2D canvas where
+   *  it is not available, or "canvas2d" to always draw with a 2D canvas, see Canvas2DDrawer.
+   *  The renderer that is used is set as this.renderer once the drawer is created.
    */
-  addToDom(displayFPSMeter) {
+  addToDom(displayFPSMeter, renderer = "webgl") {
     this.container.appendChild(this.parent);
     this.parent.appendChild(this.canvas);
     this.parent.appendChild(this.mouseReader.element);
@@ -75,59 +140,119 @@ class WebGLVis {
       this.initFpsmeter();
     }
 
-    const offscreenCanvas = this.canvas.transferControlToOffscreen();
+    // Without module workers every worker runs on the main thread, without OffscreenCanvas
+    // only the drawer does. Both have the interface of a Worker, see MainThreadWorker.
+    const hasModuleWorkers = supportsModuleWorkers();
+    this.isDrawnOffscreen = hasModuleWorkers && supportsOffscreenCanvas();
+    const canvas = this.isDrawnOffscreen
+      ? this.canvas.transferControlToOffscreen()
+      : this.canvas;
 
-    this.webglWorker = new Worker(
-      new URL("offscreen-webgl-worker.js", import.meta.url),
-      { type: "module" }
+    // The data is loaded once by the data loader worker and posted to both other workers
+    const webglDataChannel = new MessageChannel();
+    const dataProcessorDataChannel = new MessageChannel();
+    this.loadId = 0;
+    this.dataLoaderWorker = hasModuleWorkers
+      ? new Worker(new URL("data-loader-worker.js", import.meta.url), {
+          type: "module",
+        })
+      : new MainThreadWorker(() => import("./data-loader-worker"), "data");
+    this.dataLoaderWorker.onmessage = (e) => this._onWorkerMessage(e);
+    this.dataLoaderWorker.onerror = (e) => this._onWorkerError(e);
+    this.dataLoaderWorker.postMessage(
+      {
+        type: "init",
+        ports: [webglDataChannel.port1, dataProcessorDataChannel.port1],
+      },
+      [webglDataChannel.port1, dataProcessorDataChannel.port1]
     );
+
+    this.webglWorker = this.isDrawnOffscreen
+      ? new Worker(new URL("offscreen-webgl-worker.js", import.meta.url), {
+          type: "module",
+        })
+      : new MainThreadWorker(
+          () => import("./offscreen-webgl-worker"),
+          "worker"
+        );
     this.webglWorker.postMessage(
       {
         type: "init",
-        canvas: offscreenCanvas,
+        canvas,
         displayFPSMeter,
+        renderer,
+        dataPort: webglDataChannel.port2,
       },
-      [offscreenCanvas]
+      this.isDrawnOffscreen
+        ? [canvas, webglDataChannel.port2]
+        : [webglDataChannel.port2]
     );
 
-    // Allow OffScreenWebGLDrawer to tick FPS meter
-    this.webglWorker.onmessage = (e) => {
+    // Allow the drawer to tick FPS meter and report data loading progress
+    this.renderer = renderer;
+    const onWebGLMessage = (e) => {
       if (e.data.type === "tick") {
         this.meter.tick();
+      } else if (e.data.type === "renderer") {
+        this.renderer = e.data.renderer;
+      } else if (e.data.type === "dataProgress") {
+        if (e.data.done) {
+          this.dataLoading = false;
+        }
+        this.dispatchEvent("dataProgress", e);
+      } else if (
+        e.data.type === "contextLost" ||
+        e.data.type === "contextRestored"
+      ) {
+        this.dispatchEvent(e.data.type, e);
+      } else {
+        this._onWorkerMessage(e);
       }
     };
+    // Failed requests reject their promise and fire an error event like other errors
+    const onRequestError = (error) =>
+      this.dispatchEvent("error", { data: error });
+    this.webglChannel = new WorkerChannel(
+      this.webglWorker,
+      onWebGLMessage,
+      onRequestError
+    );
 
-    this.webglWorker.onerror = (e) => {
-      throw e;
-    };
+    this.webglWorker.onerror = (e) => this._onWorkerError(e);
 
     this.dataWorkerStream = [];
-    this.dataWorker = new Worker(
-      new URL("data-processor-worker.js", import.meta.url),
-      { type: "module" }
+    this.dataWorker = hasModuleWorkers
+      ? new Worker(new URL("data-processor-worker.js", import.meta.url), {
+          type: "module",
+        })
+      : new MainThreadWorker(() => import("./data-processor-worker"), "worker");
+    this.dataChannel = new WorkerChannel(
+      this.dataWorker,
+      (e) => this._onWorkerMessage(e),
+      onRequestError
     );
-    this.dataWorker.onmessage = (message) => {
-      if (message.data.type === "getClosestPoint") {
-        if (message.data.closestPoint === undefined) {
-          return;
-        }
-        this.dispatchEvent("pointHovered", message);
-      } else if (message.data.type === "getClickPoint") {
-        if (message.data.closestPoint === undefined) {
-          return;
-        }
-        this.dispatchEvent("pointClicked", message);
-      } else if (
-        message.data.type === "selectBox" ||
-        message.data.type === "selectLasso"
-      ) {
-        this.dispatchEvent("onSelectionEnd", message);
-        this.dataWorkerStream.push(message);
+    this.dataWorker.onerror = (e) => this._onWorkerError(e);
+    this.dataWorker.postMessage(
+      { type: "connect", dataPort: dataProcessorDataChannel.port2 },
+      [dataProcessorDataChannel.port2]
+    );
+
+    this.tooltip = new Tooltip(this.parent);
+    if (this.specification) {
+      this.tooltip.setSpecification(this.specification);
+    }
+    this.mouseReader.element.addEventListener("mouseleave", () => {
+      this.tooltip.hide();
+      if (this.hoverEmphasis) {
+        this.emphasizePoint();
       }
-    };
-    this.dataWorker.onerror = (e) => {
-      throw e;
-    };
+    });
+    // The user taking over stops zoomTo
+    ["mousedown", "wheel"].forEach((type) =>
+      this.mouseReader.element.addEventListener(type, () =>
+        this.zoomTransition?.cancel()
+      )
+    );
 
     // Needs to be called at the end of addToDOM so mouseReader has correct dimensions to work with
     this.mouseReader.init();
@@ -146,8 +271,18 @@ class WebGLVis {
    *   uniDirectionalSelectionEnabled: boolean
    *   tool: one of ["pan", "box", "lasso"]
    *   maxZoomLevel: Number
+   *   highlightSelection: boolean or style for {@link WebGLVis#highlight}, whether to
+   *     highlight the points of each box or lasso selection
+   *   hoverEmphasis: boolean or style for {@link WebGLVis#emphasizePoint}, whether to
+   *     emphasize the mark of the hovered point
+   *   picking: one of ["index", "gpu"], how hovered and clicked points are found. "index"
+   *     searches the bounds of marks in the data worker, "gpu" reads back the topmost mark
+   *     drawn under the mouse from the drawer, see WebGLCanvasDrawer.pick
+   *   arcTolerance: Number of pixels from the curve of an arc within which it is hovered or
+   *     clicked with "index" picking, defaults to 5
    *
-   * @param {Object} options with keys under WebGLVis.POSSIBLE_MOUSE_READER_OPTIONS
+   * @param {Object} options with keys under WebGLVis.POSSIBLE_MOUSE_READER_OPTIONS,
+   *   highlightSelection, hoverEmphasis, picking or arcTolerance
    */
   setViewOptions(options) {
     for (const option of this.POSSIBLE_MOUSE_READER_OPTIONS) {
@@ -155,13 +290,37 @@ class WebGLVis {
         this.mouseReader[option] = options[option];
       }
     }
+    if ("highlightSelection" in options) {
+      this.highlightSelection = options.highlightSelection;
+    }
+    if ("hoverEmphasis" in options) {
+      this.hoverEmphasis = options.hoverEmphasis;
+      if (!this.hoverEmphasis) {
+        this.emphasizePoint();
+      }
+    }
+    if ("picking" in options) {
+      this.picking = options.picking;
+    }
+    if ("arcTolerance" in options) {
+      this.arcTolerance = options.arcTolerance;
+    }
     this.sendDrawerState(this.mouseReader.getViewport());
+    if (
+      "viewport" in options ||
+      "currentXRange" in options ||
+      "currentYRange" in options
+    ) {
+      // The axes follow the ranges, such as those of a linked plot, see LinkGroup
+      this.mouseReader.throttledUpdateSVG();
+    }
   }
 
   /**
    * Set the options for the SVG overlay.
    * @param {Object} options
    * @param {String} options.selectionAttributes - CSS attributes for the selection box
+   * @param {String} options.brushMarkerAttributes - CSS attributes for the brush of setOverviewOf
    *
    * @example
    * setSVGOptions({
@@ -182,6 +341,112 @@ class WebGLVis {
     this.mouseReader.setSVGOptions(options);
   }
 
+  /**
+   * Make this plot an overview of another one. The current ranges of the detail plot are
+   * drawn as a brush over this plot, which can be dragged to pan the detail plot or resized by
+   * its edges to zoom it. The detail plot fires pan, zoomIn and zoomOut events with type
+   * "brush" as it is changed, see OverviewBrush.
+   *
+   * @param {WebGLVis=} detail plot to show the viewport of, null to remove the brush
+   * @param {Object=} options of the form {axes}:
+   *   axes: "x", "y" or "xy", which ranges of the detail plot the brush shows, defaults to "xy"
+   */
+  setOverviewOf(detail, options) {
+    if (this.overviewBrush) {
+      this.overviewBrush.remove();
+      this.overviewBrush = null;
+    }
+    if (detail) {
+      this.overviewBrush = new OverviewBrush(this, detail, options);
+    }
+  }
+
+  /**
+   * Zoom to ranges by animating the viewport, such as for a "jump to gene" button. Every frame
+   * of the animation is sent to the drawer and the axes are updated. Once the ranges are
+   * reached a single viewportChanged event fires with the viewport. Zooming again, or the user
+   * panning or zooming, stops the animation where it is without firing the event.
+   *
+   * @param {Array=} xRange to zoom to of the form [start, end], undefined to keep the current
+   * @param {Array=} yRange to zoom to of the form [start, end], undefined to keep the current
+   * @param {Object=} options of the form {duration, easing}:
+   *   duration: of the animation in milliseconds, defaults to 500, 0 to jump
+   *   easing: "linear", "quadInOut", "cubicInOut" (default), "cubicOut" or a function from
+   *     [0, 1] to [0, 1]
+   * @returns Promise resolving to true once the ranges are reached, false if stopped before
+   */
+  zoomTo(xRange, yRange, options) {
+    this.zoomTransition?.cancel();
+
+    const from = {
+      xRange: [...this.mouseReader.currentXRange],
+      yRange: [...this.mouseReader.currentYRange],
+    };
+    const to = {
+      xRange: xRange ? [...xRange] : from.xRange,
+      yRange: yRange ? [...yRange] : from.yRange,
+    };
+    const transition = animateRanges(from, to, options, (ranges) => {
+      // New arrays each frame, as the mouse reader changes its ranges in place
+      this.mouseReader.currentXRange = ranges.xRange;
+      this.mouseReader.currentYRange = ranges.yRange;
+      this.sendDrawerState(this.mouseReader.getViewport());
+      // Not throttled, the axes would show the last frame after viewportChanged
+      this.mouseReader.updateSVG();
+    });
+    this.zoomTransition = transition;
+
+    return transition.promise.then((isFinished) => {
+      if (this.zoomTransition === transition) {
+        this.zoomTransition = null;
+      }
+      if (isFinished) {
+        this.dispatchEvent("viewportChanged", {
+          viewport: this.mouseReader.getViewport(),
+          type: "zoomTo",
+        });
+      }
+      return isFinished;
+    });
+  }
+
+  /**
+   * Zoom to the bounds of the marks of points with zoomTo, such as for a "zoom to cluster"
+   * button. Nothing happens if there are no points.
+   *
+   * @param {Array|String=} target indices of the points, such as from a query, "data" for
+   *  every point shown by the filters (default), or "selection" for the points of the last
+   *  selection
+   * @param {Object=} options of zoomTo, and padding, the space around the points as a fraction
+   *  of the size of their bounds, defaults to 0.05
+   * @returns Promise resolving like zoomTo, or to false if there are no points
+   */
+  zoomToFit(
+    target = "data",
+    { padding = DEFAULT_FIT_PADDING, ...options } = {}
+  ) {
+    let indices;
+    if (target === "selection") {
+      indices = this.selectedIndices || [];
+    } else if (target !== "data") {
+      indices = target;
+    }
+
+    return this._query({ type: "getBoundsOfPoints", indices }).then(
+      (bounds) => {
+        if (!bounds) {
+          return false;
+        }
+        const { xRange, yRange } = getRangesToFit(
+          bounds,
+          padding,
+          this.mouseReader.getViewport()
+        );
+        return this.zoomTo(xRange, yRange, options);
+      }
+    );
+  }
+
   _setMargins(specification) {
     const styles = getDimAndMarginStyleForSpecification(specification);
     this.parent.style.width = specification.width || DEFAULT_WIDTH;
@@ -199,32 +464,301 @@ class WebGLVis {
     }
   }
 
+  /**
+   * Handle a message a worker posts on its own, such as an error. Errors tagged with the
+   * loadId of a load that has been superseded are dropped, so they do not reject the
+   * loading promise of the newer specification.
+   *
+   * @param {MessageEvent} e from the worker
+   */
+  _onWorkerMessage(e) {
+    if (e.data.type !== "error") {
+      return;
+    }
+    if (e.data.loadId !== undefined && e.data.loadId !== this.loadId) {
+      return;
+    }
+    this._reportError(fromErrorMessage(e.data));
+  }
+
+  /**
+   * Handle an error a worker could not report itself, such as failing to start.
+   *
+   * @param {ErrorEvent} e from the worker
+   */
+  _onWorkerError(e) {
+    e.preventDefault();
+    this._reportError(new VisualizationError(e.message, { stage: "worker" }));
+  }
+
+  /**
+   * Fire an error event and reject the promise of the specification that is loading.
+   *
+   * @param {VisualizationError} error that occurred
+   */
+  _reportError(error) {
+    this.dispatchEvent("error", { data: error });
+    this.rejectLoading?.(error);
+  }
+
   /**
    * Set the specification of the visualization, and then render it.
    *
    * @param {Object} specification describing visualization
-   * @returns boolean on whether the specification was accepted
+   * @returns Promise resolving once the specification has loaded, see ready. It is rejected
+   *  with a {@link VisualizationError} if the specification is invalid or fails to load.
    */
   setSpecification(specification) {
     if (!isJSONValid(specification)) {
-      return false;
+      return this._rejectSpecification();
     }
 
+    this.specification = copySpecification(specification);
+    this.tooltip?.setSpecification(this.specification);
     this._setMargins(specification);
     this.mouseReader.setSpecification(specification);
     this.sendDrawerState(this.mouseReader.getViewport());
-    this.webglWorker.postMessage({ type: "specification", specification });
-    this.dataWorker.postMessage({ type: "init", specification });
-    return true;
+    this._loadSpecification(specification);
+    return this.ready();
+  }
+
+  /**
+   * Report a specification that did not pass validation.
+   *
+   * @returns rejected Promise
+   */
+  _rejectSpecification() {
+    const error = new VisualizationError(
+      "The specification is not valid, see the console for why",
+      { stage: "validation" }
+    );
+    this.dispatchEvent("error", { data: error });
+    return Promise.reject(error);
   }
 
+  /**
+   * Update the specification of the visualization without resetting the current zoom.
+   * Only what changed from the previous specification is rebuilt:
+   *  - changing the color, opacity, or size of dots only uploads those attributes again
+   *  - changing labels or axes only redraws the SVG overlay
+   *  - changing the data, x, y, or other channels recalculates the marks of that track
+   *    and reindexes it
+   *
+   * @param {Object} specification describing visualization
+   * @returns Promise of the same form as setSpecification
+   */
   updateSpecification(specification) {
+    if (!this.specification) {
+      return this.setSpecification(specification);
+    }
     if (!isJSONValid(specification)) {
-      return false;
+      return this._rejectSpecification();
     }
 
-    this.webglWorker.postMessage({ type: "specification", specification });
-    return true;
+    // Sources that are still loading would be abandoned by a new load, so load them again
+    const changes = diffSpecifications(
+      this.specification,
+      specification,
+      this.dataLoading
+    );
+    this.specification = copySpecification(specification);
+    this.tooltip?.setSpecification(this.specification);
+    if (changes.layout) {
+      this._setMargins(specification);
+    }
+    this.mouseReader.updateSpecification(specification, changes);
+    this.sendDrawerState(this.mouseReader.getViewport());
+    this._loadSpecification(specification, changes);
+    return this.ready();
+  }
+
+  /**
+   * Send the specification to the workers. The data loader worker loads the data and posts it
+   * to the other workers, which only need to know which data sources to expect.
+   *
+   * @param {Object} specification validated specification of the visualization
+   * @param {Object=} changes from diffSpecifications if updating the previous specification
+   */
+  _loadSpecification(specification, changes) {
+    let loadId;
+    if (!changes || changes.data.length > 0) {
+      loadId = ++this.loadId;
+      this.dataLoading = true;
+      this.dataLoaderWorker.postMessage({
+        type: "load",
+        specification,
+        loadId,
+        sourceIds: changes?.data,
+      });
+    }
+
+    // Bytes of Arrow data are only needed by the data loader worker, avoid copying them
+    const withoutBytes = (data) =>
+      getDataSource(data)?.buffer ? new Uint8Array() : data;
+    const specificationForWorkers = {
+      ...specification,
+      defaultData: withoutBytes(specification.defaultData),
+      tracks: specification.tracks.map((track) => ({
+        ...track,
+        data: withoutBytes(track.data),
+      })),
+    };
+
+    // Both workers answer once they have loaded the data, a newer load cancels this one
+    let loaded;
+    if (changes) {
+      // Without a loadId the workers keep receiving the data of the previous load
+      const message = {
+        type: "updateSpecification",
+        specification: specificationForWorkers,
+        changes,
+        loadId,
+      };
+      loaded = Promise.all([
+        this.webglChannel.request(message, "load"),
+        this.dataChannel.request(message, "load"),
+      ]);
+    } else {
+      loaded = Promise.all([
+        this.webglChannel.request(
+          {
+            type: "specification",
+            specification: specificationForWorkers,
+            loadId,
+          },
+          "load"
+        ),
+        this.dataChannel.request(
+          {
+            type: "init",
+            specification: specificationForWorkers,
+            loadId,
+          },
+          "load"
+        ),
+      ]);
+    }
+
+    // Errors of the workers until then reject the load, see _reportError
+    this.columnNamesOfTracks = undefined;
+    this.loading = new Promise((resolve, reject) => {
+      this.rejectLoading = reject;
+      loaded.then(([, processed]) => {
+        // Rows appended from then on are checked against the columns, see appendData
+        this.columnNamesOfTracks = processed?.columns;
+        resolve();
+      }, reject);
+    });
+  }
+
+  /**
+   * Wait for the workers to load the specification. If the specification is set or updated
+   * again before it has loaded, the promise waits for the newest one instead.
+   *
+   * @returns Promise resolving once both workers have loaded and processed the data of the
+   *  current specification
+   */
+  ready() {
+    const loading = this.loading;
+    return loading.then(() =>
+      loading === this.loading ? undefined : this.ready()
+    );
+  }
+
+  /**
+   * Append rows to the data of a track without rebuilding the visualization. The current zoom
+   * is kept and only the new marks are uploaded. Tracks sharing the defaultData of the
+   * specification all receive the rows.
+   *
+   * @param {Number} trackIndex index of the track in the specification
+   * @param {Array} rows objects mapping attribute names to values, e.g. [{x: 1, y: 2}].
+   *  Values should have the same types as the data already loaded.
+   * @throws VisualizationError if the rows do not have every attribute of the loaded data
+   */
+  appendData(trackIndex, rows) {
+    const columns = rowsToColumns(rows);
+    if (this.columnNamesOfTracks && rows.length > 0) {
+      // Throws here rather than in the workers if a column of the data is missing
+      checkColumnsToAppend(
+        this.columnNamesOfTracks[trackIndex],
+        columns,
+        trackIndex
+      );
+    }
+    const message = {
+      type: "appendData",
+      trackIndex,
+      columns,
+      numRows: rows.length,
+    };
+    this.webglWorker.postMessage(message);
+    this.dataWorker.postMessage(message);
+  }
+
+  /**
+   * Remove rows from the data of a track without rebuilding the visualization. The current
+   * zoom is kept.
+   *
+   * @param {Number} trackIndex index of the track in the specification
+   * @param {String|Object} predicate of the rows to remove, given like the filter of a filter
+   *  transform: an expression such as "datum.x < 0" or an object such as {field: "x", lt: 0}.
+   *  Functions are not accepted as they can not be posted to the workers.
+   */
+  removeData(trackIndex, predicate) {
+    compilePredicate(predicate); // Throws here rather than in the workers if it is invalid
+    const message = { type: "removeData", trackIndex, predicate };
+    this.webglWorker.postMessage(message);
+    this.dataWorker.postMessage(message);
+  }
+
+  /**
+   * Hide the marks of a track whose attribute is outside of a range or not one of a set of
+   * values. Hidden marks are not drawn and are not returned by hovering, box or lasso
+   * selection. Changing the range of a filter on the same attribute only updates the GPU.
+   *
+   * @param {Number} trackIndex index of the track in the specification
+   * @param {Object=} filter of the form {attribute, range: [min, max]} where null is an open
+   *  end, or {attribute, values: [...]}. Leave undefined to remove the filter.
+   */
+  setFilter(trackIndex, filter) {
+    const message = { type: "setFilter", trackIndex, filter };
+    this.webglWorker.postMessage(message);
+    this.dataWorker.postMessage(message);
+  }
+
+  /**
+   * Highlight points, such as the result of a selection, until the highlight is removed or
+   * the specification is set again. Highlighted points are drawn with a style and every other
+   * mark is dimmed. Use the highlightSelection option of setViewOptions to highlight every
+   * box or lasso selection.
+   *
+   * @param {Array=} indices from selection.indices of an onSelectionEnd event, leave empty to
+   *  remove the highlight
+   * @param {Object=} style of highlighted points:
+   *   color: color specifier of highlighted marks, their own color if undefined
+   *   size: multiplier of the size of highlighted dots, defaults to 1.5
+   *   outline: color specifier of an outline around highlighted dots, defaults to black
+   *   opacity: multiplier of the opacity of other marks, defaults to 0.2
+   */
+  highlight(indices, style) {
+    this.webglWorker.postMessage({ type: "highlight", indices, style });
+  }
+
+  /**
+   * Emphasize the mark of a point by drawing it enlarged and outlined above the other marks.
+   * Works for point, rect, tick, and arc marks. Use the hoverEmphasis option of setViewOptions
+   * to emphasize the hovered point.
+   *
+   * @param {Number=} index from the indices of a pointHovered event, undefined to remove
+   *  the emphasis
+   * @param {Object=} style of the emphasis:
+   *   color: color specifier of the mark, its own color if undefined
+   *   size: multiplier of the size of dots, defaults to 1.5
+   *   outline: color specifier of the outline, defaults to black, null for no outline
+   *   outlineWidth: width of the outline in pixels, defaults to 2
+   */
+  emphasizePoint(index, style) {
+    this.webglWorker.postMessage({ type: "emphasizePoint", index, style });
   }
 
   /**
@@ -248,52 +782,222 @@ class WebGLVis {
 
   /**
    * Utility method to have data worker call {@link DataProcessor#selectBox} or
-   * {@link DataProcessor#selectLasso}.
+   * {@link DataProcessor#selectLasso}. Also fires onSelectionEnd and adds the result to
+   * this.dataWorkerStream.
    *
-   * Does not return, posts result to this.dataWorkerStream.
    * @param {Array} points array in format [x1,y1,x2,y2,x3,y3,...]
    * @param {Event} event that triggered the selection
    *  if points.length == 4, does a box select, if points.length >= 6 does a lasso select
    *    using points as a polygon
+   * @returns Promise resolving to an object of the form {selection, bounds, event}, null if
+   *  there are too few points
    */
   selectPoints(points, event) {
+    let type;
     if (points.length === 4) {
-      this.dataWorker.postMessage({ type: "selectBox", points, event });
+      type = "selectBox";
     } else if (points.length >= 6) {
-      this.dataWorker.postMessage({ type: "selectLasso", points, event });
+      type = "selectLasso";
+    } else {
+      return Promise.resolve(null);
     }
+
+    return this.dataChannel.request({ type, points, event }).then((data) => {
+      this.selectedIndices = data.selection.indices; // see zoomToFit
+      this.dispatchEvent("onSelectionEnd", { data });
+      this.dataWorkerStream.push({ data });
+      if (this.highlightSelection) {
+        this.highlight(
+          data.selection.indices,
+          this.highlightSelection === true ? undefined : this.highlightSelection
+        );
+      }
+      return data;
+    });
   }
 
   /**
-   * Utility method to have data worker call {@link DataProcessor#getClosestPoint}.
-   * Does not return, posts result to this.dataWorkerStream.
+   * Utility method to have data worker call {@link DataProcessor#getClosestPoint}. Also
+   * updates the tooltip and hover emphasis and fires pointHovered if a point is found.
    *
    * @param {Array} point to get closest point to
    * @param {Object=} event refers to mouse event has triggered this function. Optional Parameter
+   * @returns Promise resolving to the result of {@link DataProcessor#getClosestPoint} with the
+   *  event, null if another point was requested before this one was found
    */
   getClosestPoint(point, event) {
-    this.dataWorker.postMessage({
-      type: "getClosestPoint",
-      point,
-      event,
+    return this._requestPoint("getClosestPoint", point, event).then((data) => {
+      if (!data) {
+        return null;
+      }
+
+      this.tooltip.update(
+        data,
+        this.mouseReader.getViewport(),
+        this.mouseReader.width
+      );
+      if (this.hoverEmphasis) {
+        this.emphasizePoint(
+          data.indices?.[0],
+          this.hoverEmphasis === true ? undefined : this.hoverEmphasis
+        );
+      }
+      if (data.closestPoint !== undefined) {
+        this.dispatchEvent("pointHovered", { data });
+      }
+      return data;
     });
   }
 
   /**
-   * Utility method to have data worker call {@link DataProcessor#getClosestPoint}.
-   * Does not return, posts result to this.dataWorkerStream.
+   * Utility method to have data worker call {@link DataProcessor#getClosestPoint}. Also
+   * fires pointClicked if a point is found.
    *
    * @param {Array} point to get closest point to
    * @param {Object=} event refers to mouse event that triggered this function. Optional parameter
+   * @returns Promise resolving to the result of {@link DataProcessor#getClosestPoint} with the event
    */
   getClickPoint(point, event) {
-    this.dataWorker.postMessage({
-      type: "getClickPoint",
-      point,
-      event,
+    return this._requestPoint("getClickPoint", point, event).then((data) => {
+      if (data.closestPoint !== undefined) {
+        this.dispatchEvent("pointClicked", { data });
+      }
+      return data;
     });
   }
 
+  /**
+   * Find the point at a position with the picking option of setViewOptions. Points picked on
+   * the GPU are first picked by the webgl worker, then looked up by the data worker. A hover
+   * cancels the previous hover if it has not been answered yet.
+   *
+   * @param {String} type of the request, getClosestPoint or getClickPoint
+   * @param {Array} point to find the point at
+   * @param {Object=} event refers to mouse event that triggered this function
+   * @returns Promise resolving to the response of the data worker, null if cancelled
+   */
+  _requestPoint(type, point, event) {
+    const key = type === "getClosestPoint" ? type : undefined;
+    if (this.picking === "gpu") {
+      return this.webglChannel
+        .request({ type: "pick", point }, key)
+        .then(
+          (response) =>
+            response &&
+            this.dataChannel.request(
+              { type, event, picked: response.picked },
+              key
+            )
+        );
+    }
+
+    // Arcs are hit within a number of pixels of their curve, in the units of the viewport
+    const { xRange, yRange } = this.mouseReader.getViewport();
+    const tolerance = [
+      ((xRange[1] - xRange[0]) / this.mouseReader.width) * this.arcTolerance,
+      ((yRange[1] - yRange[0]) / this.mouseReader.height) * this.arcTolerance,
+    ];
+    return this.dataChannel.request({ type, point, event, tolerance }, key);
+  }
+
+  /**
+   * Find the k points nearest to a point, see {@link DataProcessor#queryNearest}.
+   *
+   * @param {Array} point of the form [x, y] in the units of the viewport
+   * @param {Number=} k number of points to find, defaults to 1
+   * @param {Number=} maxDistance points further away than this are not found
+   * @returns Promise resolving to an object of the form {indices, points, distances, tracks}
+   */
+  queryNearest(point, k, maxDistance) {
+    return this._query({ type: "queryNearest", point, k, maxDistance });
+  }
+
+  /**
+   * Find the points within a radius of a point, see {@link DataProcessor#queryRadius}.
+   *
+   * @param {Array} point of the form [x, y] in the units of the viewport
+   * @param {Number} radius points further away than this are not found
+   * @returns Promise resolving to an object of the same form as queryNearest
+   */
+  queryRadius(point, radius) {
+    return this._query({ type: "queryRadius", point, radius });
+  }
+
+  /**
+   * Find the points within a box, see {@link DataProcessor#queryBox}.
+   *
+   * @param {Array} bounds of the form [x1, y1, x2, y2] in the units of the viewport
+   * @returns Promise resolving to an object of the same form as queryNearest
+   */
+  queryBox(bounds) {
+    return this._query({ type: "queryBox", bounds });
+  }
+
+  /**
+   * Find the points whose attribute has one of a set of values, see
+   * {@link DataProcessor#queryValues}.
+   *
+   * @param {String} attribute of the data, such as an id shared with another plot
+   * @param {Array} values to find
+   * @returns Promise resolving to an object of the same form as queryNearest
+   */
+  queryValues(attribute, values) {
+    return this._query({ type: "queryValues", attribute, values });
+  }
+
+  /**
+   * Send a query to the data worker.
+   *
+   * @param {Object} query message of the form {type, ...arguments}
+   * @returns Promise resolving to the result of the query
+   */
+  _query(query) {
+    return this.dataChannel.request(query).then((data) => data.result);
+  }
+
+  /**
+   * Export what is shown, including the axes, labels and margins, as an image.
+   *  - "png" composites a snapshot of the canvas, drawn again at scale times its size, with
+   *    the SVG overlay. Sizes of dots are scaled too, lines stay 1 pixel wide.
+   *  - "svg" regenerates the marks in the viewport as vector graphics from the vertices
+   *    calculated by their {@link VertexCalculator}, see getSVGOfMarks in image-export.js
+   *
+   * The tooltip, FPS meter and hover emphasis are not exported.
+   *
+   * @param {Object=} options of the form {format, scale}, format is "png" (default) or
+   *  "svg", scale is the size of the PNG relative to the size on the page, defaults to 1
+   * @returns Promise resolving to a Blob of the image
+   */
+  exportImage({ format = "png", scale = 1 } = {}) {
+    const layout = getExportLayout(this.parent, this.canvas);
+    const overlay = serializeOverlay(this.mouseReader.SVGInteractor.svg);
+
+    if (format === "svg") {
+      return this.webglChannel.request({ type: "exportSVG" }).then(
+        ({ svg }) =>
+          new Blob([getSVGDocument(layout, overlay, svg)], {
+            type: "image/svg+xml",
+          })
+      );
+    }
+    if (format !== "png") {
+      return Promise.reject(
+        new VisualizationError(`${format} is not a format of exportImage`)
+      );
+    }
+    return this.webglChannel
+      .request({ type: "exportImage", scale })
+      .then(({ image }) => {
+        if (!image) {
+          throw new VisualizationError(
+            "Nothing is drawn to export, the WebGL context may be lost",
+            { stage: "webgl" }
+          );
+        }
+        return getPNGOfImage(layout, image, overlay, scale);
+      });
+  }
+
   /**
    * Initializes the FPS meter.
    */
@@ -320,6 +1024,16 @@ class WebGLVis {
    * "pointHovered": fires when pointer hovers over a datapoint
    * "pointClicked": fires when pointer clicks on a datapoint
    * "labelClicked": fires when pointer clicks on a label
+   * "dataProgress": fires as data is streamed in and drawn, event.detail.data contains
+   *   loadedBytes, totalBytes (undefined if unknown), loadedRows, and done
+   * "error": fires when the specification is invalid or a worker fails to load, process or
+   *   draw it, event.detail.data is a {@link VisualizationError} with the stage, trackIndex,
+   *   attribute and row it occurred at where known
+   * "contextLost": fires when the WebGL context is lost, such as when the GPU is switched,
+   *   nothing is drawn until it is restored
+   * "contextRestored": fires once the WebGL context is restored and the marks are drawn again
+   * "viewportChanged": fires once zoomTo or zoomToFit reach their ranges, event.detail.viewport
+   *   is the new viewport
    *
    * For information on the parameters and functionality see:
    *   https://developer.mozilla.org/en-US/docs/Web/API/EventTarget/addEventListener
@@ -332,6 +1046,17 @@ class WebGLVis {
     this.parent.addEventListener(type, listener, options);
   }
 
+  /**
+   * Removes an event listener added with addEventListener.
+   *
+   * @param {String} type
+   * @param {Function} listener
+   * @param {Object} options
+   */
+  removeEventListener(type, listener, options) {
+    this.parent.removeEventListener(type, listener, options);
+  }
+
   /**
    * Dispatches an event on the visualization on the appropriate component.
    * @param {String} eventName
@@ -340,6 +1065,11 @@ class WebGLVis {
    * "pointClicked" - fires when pointer clicks on a datapoint
    * "labelClicked" - fires when pointer clicks on a label
    * "onSelectionEnd" - fires when a selection has been completed and the results are in the dataWorkerStream
+   * "dataProgress" - fires as data is streamed in and drawn
+   * "error" - fires when the specification fails to load
+   * "contextLost" - fires when the WebGL context is lost
+   * "contextRestored" - fires once the WebGL context is restored
+   * "viewportChanged" - fires once zoomTo reaches its ranges
    * @param {Object} message
    **/
   dispatchEvent(eventName, message) {
@@ -351,6 +1081,7 @@ class WebGLVis {
    * Clears the polygon selection on the visualization
    */
   clearSelection() {
+    this.selectedIndices = undefined;
     this.mouseReader.clear();
   }
 }
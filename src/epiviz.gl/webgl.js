@@ -11,12 +11,28 @@ const baseVertexShader = `#version 300 es
   precision highp float;
 
   in vec2 a_VertexPosition;
+  in float a_filterValue;
+  in float a_selected;
 
   uniform float pointSizeModifier;
   // [x1, y1,x2, y2] of viewing window
   uniform vec4 viewport;
+  // Marks with a filter value outside of the range are hidden if the filter is enabled
+  uniform vec2 filterRange;
+  uniform float filterEnabled;
+  // Selected marks are drawn with the highlight style and the others dimmed if enabled.
+  // Colors are packed like the color channel, negative to not change the color or outline.
+  uniform float highlightEnabled;
+  uniform float highlightColor;
+  uniform float highlightSize;
+  uniform float outlineColor;
+  uniform float dimOpacity;
 
   out vec4 vColor;
+  out float vFiltered;
+  out vec4 vOutlineColor;
+  // Identifies the mark of a fragment when picking, see pickingFragmentShader
+  flat out uint vVertexId;
 `;
 
 /**
@@ -48,6 +64,26 @@ const vertexShaderSuffix = (opacityName, colorName, sizeName) => `
       ${opacityName}
     );
     gl_PointSize = ${sizeName} * pointSizeModifier;
+
+    vOutlineColor = vec4(0.0);
+    if (highlightEnabled > 0.0) {
+      if (a_selected > 0.5) {
+        if (highlightColor >= 0.0) {
+          vColor.rgb = unpackColor(highlightColor);
+        }
+        if (outlineColor >= 0.0) {
+          vOutlineColor = vec4(unpackColor(outlineColor), 1.0);
+        }
+        gl_PointSize *= highlightSize;
+      } else {
+        vColor.a *= dimOpacity;
+      }
+    }
+
+    vFiltered = filterEnabled * float(
+      a_filterValue < filterRange.x || a_filterValue > filterRange.y
+    );
+    vVertexId = uint(gl_VertexID);
   }
 `;
 
@@ -58,6 +94,8 @@ const varyingColorsFragmentShaderDots = `#version 300 es
   precision highp float;
 
   in vec4 vColor;
+  in float vFiltered;
+  in vec4 vOutlineColor;
 
   out vec4 outColor;
 
@@ -65,8 +103,9 @@ const varyingColorsFragmentShaderDots = `#version 300 es
     // outColor = vColor;
     float d = distance(gl_PointCoord, vec2(0.5, 0.5));
     
-    if(d < .5) { 
-        outColor = vColor;
+    if(d < .5 && vFiltered == 0.0) { 
+        // Outline the edge of highlighted dots
+        outColor = d > 0.35 && vOutlineColor.a > 0.0 ? vOutlineColor : vColor;
     }
     else { discard; }
   }
@@ -79,14 +118,88 @@ const varyingColorsFragmentShaderDots = `#version 300 es
  precision highp float;
 
  in vec4 vColor;
+ in float vFiltered;
 
  out vec4 outColor;
 
  void main(void) {
+    if (vFiltered > 0.0) {
+      // Also discards lines and areas next to hidden vertices
+      discard;
+    }
     outColor = vColor;
  }
 `;
 
+/**
+ * Vertex shader drawing the emphasis of a hovered mark in a single color, see mark-emphasis.js.
+ */
+const emphasisVertexShader = `#version 300 es
+  precision highp float;
+
+  in vec2 a_VertexPosition;
+
+  // [x1, y1,x2, y2] of viewing window
+  uniform vec4 viewport;
+  uniform float pointSize;
+
+  void main(void) {
+    gl_Position = vec4(
+       (a_VertexPosition.x - (viewport.z + viewport.x)/2.0) * 2.0/(viewport.z - viewport.x),
+       (a_VertexPosition.y - (viewport.w + viewport.y)/2.0) * 2.0/(viewport.w - viewport.y),
+        0,
+        1
+    );
+    gl_PointSize = pointSize;
+  }
+`;
+
+const emphasisFragmentShader = `#version 300 es
+  precision highp float;
+
+  uniform vec4 color;
+  uniform float isPoint;
+
+  out vec4 outColor;
+
+  void main(void) {
+    if (isPoint > 0.0 && distance(gl_PointCoord, vec2(0.5, 0.5)) > 0.5) {
+      discard;
+    }
+    outColor = color;
+  }
+`;
+
+/**
+ * Fragment shader writing which mark covers a pixel instead of its color, used with the vertex
+ * shader of a track to pick marks on the GPU. The vertex is the last one of its primitive.
+ */
+const pickingFragmentShader = `#version 300 es
+  precision highp float;
+
+  in float vFiltered;
+  flat in uint vVertexId;
+
+  // Index of the track plus one, as 0 is left for pixels without marks
+  uniform uint pickingTrack;
+  uniform float isPoint;
+
+  out uvec4 outId;
+
+  void main(void) {
+    if (
+      vFiltered > 0.0 ||
+      (isPoint > 0.0 && distance(gl_PointCoord, vec2(0.5, 0.5)) > 0.5)
+    ) {
+      discard;
+    }
+    outId = uvec4(pickingTrack, vVertexId, 0u, 0u);
+  }
+`;
+
+// Largest value of a 32 bit float
+const MAX_FLOAT = 3.4e38;
+
 const SUPPORTED_CHANNEL_ATTRIBUTES = [
   "color",
   "size",
@@ -102,7 +215,11 @@ class VertexShader {
    */
   constructor() {
     this.shader = baseVertexShader;
-    this.uniforms = {};
+    this.uniforms = {
+      filterEnabled: 0,
+      filterRange: [0, 0],
+      highlightEnabled: 0,
+    };
 
     // Add position buffers here since x and y channels don't map nicely to shader code
     this.attributes = {
@@ -111,6 +228,8 @@ class VertexShader {
         data: [],
       },
     };
+    // Number of vertices of each mark, so the other attributes can be refilled
+    this.markVertexCounts = [];
   }
 
   /**
@@ -123,19 +242,154 @@ class VertexShader {
   addMarkToBuffers(mark, vertexCalculator) {
     const vertices = vertexCalculator.calculateForMark(mark);
     this.attributes.a_VertexPosition.data.push(...vertices);
+    this.markVertexCounts.push(vertices.length / 2);
+    this._addChannelsOfMark(mark, vertices.length / 2);
+
+    this.lastMark = mark;
+  }
 
+  /**
+   * Add the channel values of a mark, such as color or opacity, to the buffers.
+   *
+   * @param {Object} mark passed in from SpecificationHelper in webgl-drawer.js
+   * @param {Number} numVertices number of vertices of the mark
+   */
+  _addChannelsOfMark(mark, numVertices) {
     for (const channel of Object.keys(this.attributes)) {
       if (channel === "a_VertexPosition") {
-        // handled above
+        // handled by addMarkToBuffers
         continue;
       }
 
-      for (let i = 0; i < vertices.length / 2; i++) {
+      for (let i = 0; i < numVertices; i++) {
         this.attributes[channel].data.push(mark[channel.substring(2)]); // Remove "a_" prefix
       }
     }
+  }
 
-    this.lastMark = mark;
+  /**
+   * Take the marks of a shader built for the same program, keeping their vertices but
+   * using the channel values of this shader. Used when only the style of a track changed.
+   *
+   * @param {VertexShader} previousShader whose marks to take
+   * @param {Track} track whose marks were added to previousShader, read again from its first row
+   */
+  restyleMarksOf(previousShader, track) {
+    this.attributes.a_VertexPosition =
+      previousShader.attributes.a_VertexPosition;
+    this.markVertexCounts = previousShader.markVertexCounts;
+    this.lastMark = previousShader.lastMark;
+    if (Object.keys(this.attributes).length === 1) {
+      return; // Only uniforms changed
+    }
+
+    track.rewind();
+    for (const numVertices of this.markVertexCounts) {
+      this._addChannelsOfMark(track.getNextMark(), numVertices);
+    }
+  }
+
+  /**
+   * Fill an attribute again from the marks of a track, keeping the vertices. Used when
+   * only the values of one attribute changed, such as the filter values.
+   *
+   * @param {String} name of the attribute, such as a_filterValue
+   * @param {Track} track whose marks were added to this shader, read again from its first row
+   */
+  refillAttribute(name, track) {
+    const attribute = this.attributes[name];
+    const key = name.substring(2); // Remove "a_" prefix
+    attribute.data = [];
+
+    track.rewind();
+    for (const numVertices of this.markVertexCounts) {
+      const value = track.getNextMark()[key];
+      for (let i = 0; i < numVertices; i++) {
+        attribute.data.push(value);
+      }
+    }
+  }
+
+  /**
+   * Set the filter hiding marks of the track. A range filter is compared to the values of
+   * the attribute, a values filter to 1 for marks with one of the values.
+   *
+   * @param {Object=} filter of the form {attribute, range} or {attribute, values}, undefined to remove
+   */
+  setFilter(filter) {
+    if (!filter) {
+      this.uniforms.filterEnabled = 0;
+      delete this.attributes.a_filterValue;
+      return;
+    }
+
+    // Open ends of a range are the largest float of the shader
+    const [min, max] = filter.values ? [0.5, 1.5] : filter.range;
+    this.uniforms.filterEnabled = 1;
+    this.uniforms.filterRange = [
+      min === null ? -MAX_FLOAT : min,
+      max === null ? MAX_FLOAT : max,
+    ];
+    if (!this.attributes.a_filterValue) {
+      this.attributes.a_filterValue = { numComponents: 1, data: [] };
+    }
+  }
+
+  /**
+   * Set the style of highlighted marks, or remove the highlight. Marks are highlighted by the
+   * selected values of their track, see Track.setHighlight.
+   *
+   * @param {Object=} style of the form {color, size, outline, opacity} where color and outline
+   *  are color specifiers or undefined, size multiplies the size of highlighted dots, and opacity
+   *  multiplies the opacity of the other marks. Undefined to remove the highlight.
+   */
+  setHighlight(style) {
+    if (!style) {
+      this.uniforms.highlightEnabled = 0;
+      delete this.attributes.a_selected;
+      return;
+    }
+
+    this.uniforms.highlightEnabled = 1;
+    this.uniforms.highlightColor = style.color
+      ? colorSpecifierToHex(style.color)
+      : -1;
+    this.uniforms.highlightSize = style.size;
+    this.uniforms.outlineColor = style.outline
+      ? colorSpecifierToHex(style.outline)
+      : -1;
+    this.uniforms.dimOpacity = style.opacity;
+    if (!this.attributes.a_selected) {
+      this.attributes.a_selected = { numComponents: 1, data: [] };
+    }
+  }
+
+  /**
+   * Get the mark a vertex belongs to.
+   *
+   * @param {Number} vertex index of the vertex in the buffers
+   * @returns index of the mark, which is its row in the track, or undefined if out of range
+   */
+  getMarkOfVertex(vertex) {
+    let firstVertex = 0;
+    for (let mark = 0; mark < this.markVertexCounts.length; mark++) {
+      firstVertex += this.markVertexCounts[mark];
+      if (vertex < firstVertex) {
+        return mark;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Remove all marks from the buffers so they can be added again.
+   */
+  clearMarks() {
+    for (const attribute of Object.values(this.attributes)) {
+      attribute.data = [];
+    }
+    this.markVertexCounts = [];
+    this.lastMark = undefined;
   }
 
   /**
@@ -258,4 +512,12 @@ class VertexShader {
   }
 }
 
-export { varyingColorsFragmentShader, VertexShader, varyingColorsFragmentShaderDots, SUPPORTED_CHANNEL_ATTRIBUTES};
+export {
+  varyingColorsFragmentShader,
+  VertexShader,
+  varyingColorsFragmentShaderDots,
+  emphasisVertexShader,
+  emphasisFragmentShader,
+  pickingFragmentShader,
+  SUPPORTED_CHANNEL_ATTRIBUTES,
+};
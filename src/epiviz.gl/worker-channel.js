@@ -0,0 +1,82 @@
+import { fromErrorMessage } from "./errors";
+
+class WorkerChannel {
+  /**
+   * Pairs the messages posted to a worker with the messages it posts back. Requests are
+   * tagged with an id which the worker copies into its response, so each response resolves
+   * the promise of its own request no matter in which order responses arrive. A worker that
+   * fails to answer a request responds with an error message of its id instead, see
+   * toErrorMessage in errors.js, which rejects the promise.
+   *
+   * @param {Worker} worker to post requests to
+   * @param {Function=} onMessage called with the MessageEvents the worker posts on its own,
+   *  such as progress, that are not a response to a request
+   * @param {Function=} onError called with the {@link VisualizationError} of each request the
+   *  worker fails to answer, before its promise is rejected with it
+   */
+  constructor(worker, onMessage, onError) {
+    this.worker = worker;
+    this.nextId = 0;
+    this.pending = new Map(); // resolve and reject functions of requests by id
+    this.latest = new Map(); // id of the latest request by key, see request
+
+    worker.onmessage = (message) => {
+      const { id } = message.data;
+      if (id === undefined) {
+        onMessage?.(message);
+        return;
+      }
+
+      // Responses to cancelled requests are dropped
+      const request = this.pending.get(id);
+      if (!request) {
+        return;
+      }
+      this.pending.delete(id);
+      if (message.data.type === "error") {
+        const error = fromErrorMessage(message.data);
+        onError?.(error);
+        request.reject(error);
+      } else {
+        request.resolve(message.data);
+      }
+    };
+  }
+
+  /**
+   * Post a message the worker answers with a message of the same id.
+   *
+   * @param {Object} message of the form {type, ...}
+   * @param {String=} key of requests superseding each other, such as hovering. A request
+   *  cancels the pending request with the same key, whose promise resolves to null.
+   * @returns Promise resolving to the data of the response, or rejected with a
+   *  {@link VisualizationError} if the worker failed to answer
+   */
+  request(message, key) {
+    const id = this.nextId++;
+    if (key !== undefined) {
+      this.cancel(this.latest.get(key));
+      this.latest.set(key, id);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ ...message, id });
+    });
+  }
+
+  /**
+   * Cancel a pending request, its promise resolves to null and its response is dropped.
+   *
+   * @param {Number=} id of the request, nothing happens if it is no longer pending
+   */
+  cancel(id) {
+    const request = this.pending.get(id);
+    if (request) {
+      this.pending.delete(id);
+      request.resolve(null);
+    }
+  }
+}
+
+export default WorkerChannel;
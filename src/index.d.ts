@@ -3,13 +3,35 @@ export = WebGLVis;
 declare class WebGLVis {
   constructor(container: HTMLElement);
   setCanvasSize(width: Number, height: Number): void;
-  addToDom(): void;
+  addToDom(displayFPSMeter?: Boolean, renderer?: "webgl" | "canvas2d"): void;
   setViewOptions(options: Object): void;
-  setSpecification(specification: Object): boolean;
+  setOverviewOf(
+    detail: WebGLVis | null,
+    options?: { axes?: "x" | "y" | "xy" }
+  ): void;
+  zoomTo(
+    xRange?: Array<Number>,
+    yRange?: Array<Number>,
+    options?: { duration?: Number; easing?: String | ((t: Number) => Number) }
+  ): Promise<Boolean>;
+  zoomToFit(
+    target?: Array<Number> | "data" | "selection",
+    options?: {
+      padding?: Number;
+      duration?: Number;
+      easing?: String | ((t: Number) => Number);
+    }
+  ): Promise<Boolean>;
+  setSpecification(specification: Object): Promise<void>;
   sendDrawerState(viewport: Object): void;
   forceDrawerRender(): void;
-  selectPoints(points: Array<Number>): void;
-  getClosestPoint(point: Array<Number>): void;
+  ready(): Promise<void>;
+  selectPoints(points: Array<Number>, event?: Object): Promise<Object | null>;
+  getClosestPoint(point: Array<Number>, event?: Object): Promise<Object | null>;
+  exportImage(options?: {
+    format?: "png" | "svg";
+    scale?: Number;
+  }): Promise<Blob>;
   initFpsmeter(): void;
   addEventListener(
     type: string,
@@ -17,5 +39,12 @@ declare class WebGLVis {
     options?: Object
   );
 
+  removeEventListener(
+    type: string,
+    listener: (event: CustomEvent) => void,
+    options?: Object
+  );
+
   dataWorkerStream: Array<MessageEvent>;
+  renderer: "webgl" | "canvas2d";
 }
@@ -2,6 +2,7 @@ import DataProcessor from "./epiviz.gl/data-processor";
 import Drawer from "./epiviz.gl/drawer";
 import GenomeScale from "./epiviz.gl/genome-scale";
 import GeometryMapper from "./epiviz.gl/geometry-mapper";
+import LinkGroup from "./epiviz.gl/link-group";
 import MouseReader from "./epiviz.gl/mouse-reader";
 import OffscreenWebGLDrawer from "./epiviz.gl/offscreen-webgl-drawer";
 import SemanticZoomer from "./epiviz.gl/semantic-zoomer";
@@ -18,6 +19,7 @@ export {
   Drawer,
   GenomeScale,
   GeometryMapper,
+  LinkGroup,
   MouseReader,
   OffscreenWebGLDrawer,
   SVGInteractor,
@@ -0,0 +1,3 @@
+import { renderToPNG, renderToSVG } from "./epiviz.gl/headless-renderer";
+
+export { renderToPNG, renderToSVG };
@@ -0,0 +1,52 @@
+// Runs the build of src/node.js under Node rather than in the browser Cypress tests run in,
+// see the test:node script
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { renderToPNG, renderToSVG } from "../dist/node.js";
+
+const specification = {
+  width: "400px",
+  height: "300px",
+  xAxis: "bottom",
+  yAxis: "left",
+  defaultData: {
+    day: [1, 2, 3, 4, 5, 6, 7],
+    price: [10, 20, 30, 20, 10, 5, 1],
+  },
+  tracks: [
+    {
+      mark: "point",
+      x: { attribute: "day", type: "quantitative", domain: [0, 8] },
+      y: { attribute: "price", type: "quantitative", domain: [0, 40] },
+      color: { value: "#ff0000" },
+    },
+  ],
+};
+
+test("can render an SVG", async () => {
+  const svg = await renderToSVG(specification);
+  assert.match(svg, /^<svg [^>]*width="400" height="300"/);
+  const paths = svg.match(/<g class="track-0"><path [^>]*>/);
+  assert.equal(paths[0].match(/M/g).length, 7);
+});
+
+test("can reject specifications that are not valid", async (t) => {
+  const logError = t.mock.method(console, "error", () => {});
+  await assert.rejects(renderToSVG({ tracks: [{ mark: "nonsense" }] }), {
+    stage: "validation",
+    message: /tracks\[0\]\.mark/,
+  });
+  assert.equal(logError.mock.callCount(), 0);
+});
+
+test("can render a PNG", async (t) => {
+  try {
+    await import("@resvg/resvg-js");
+  } catch {
+    t.skip("@resvg/resvg-js is not installed");
+    return;
+  }
+  const png = await renderToPNG(specification, { scale: 2 });
+  assert.equal(png.subarray(1, 4).toString(), "PNG");
+  assert.equal(png.readUInt32BE(16), 800); // Width in the header of the image
+});